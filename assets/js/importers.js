@@ -21,6 +21,36 @@
 
         cards: {},
 
+        /**
+         * Milliseconds between background import status requests.
+         */
+        POLL_INTERVAL: 2000,
+
+        /**
+         * Milliseconds to wait after a mapping change before refreshing the preview.
+         */
+        PREVIEW_DELAY: 400,
+
+        /**
+         * Times a failed upload chunk is sent again, and the milliseconds
+         * before the first retry (doubled for each later one).
+         */
+        CHUNK_RETRIES: 3,
+        CHUNK_RETRY_DELAY: 1000,
+
+        /**
+         * Milliseconds an adaptive import batch should take.
+         */
+        BATCH_TARGET_TIME: 5000,
+
+        /**
+         * Times a batch that failed with a network or server error is sent
+         * again, and the milliseconds before the first retry (doubled for
+         * each later one).
+         */
+        BATCH_RETRIES: 5,
+        BATCH_RETRY_DELAY: 2000,
+
         /**
          * Initialize all import cards on the page.
          */
@@ -48,27 +78,116 @@
          * @param {string} operationId
          */
         downloadSampleCsv: function (operationId) {
+            const self = this;
+
             $.ajax({
                 url: ImportersAdmin.restUrl + 'sample/' + ImportersAdmin.pageId + '/' + operationId,
                 method: 'GET',
                 headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
                 success: function (response) {
                     if (response.success && response.csv) {
-                        const blob = new Blob([response.csv], {type: 'text/csv'});
-                        const url = URL.createObjectURL(blob);
-                        const a = document.createElement('a');
-                        a.href = url;
-                        a.download = response.filename || 'sample.csv';
-                        document.body.appendChild(a);
-                        a.click();
-                        document.body.removeChild(a);
-                        URL.revokeObjectURL(url);
+                        self.saveCsv(response.csv, response.filename || 'sample.csv');
                     }
                 }
             });
+        },
+
+        /**
+         * Save CSV content as a file download.
+         *
+         * @param {string} csv
+         * @param {string} filename
+         */
+        saveCsv: function (csv, filename) {
+            const blob = new Blob([csv], {type: 'text/csv'});
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
         }
     };
 
+    /**
+     * Minimum score for a column to be auto-matched to a field.
+     */
+    const MATCH_MIN_SCORE = 0.5;
+
+    /**
+     * Auto-matches scoring below this are flagged for review.
+     */
+    const MATCH_CONFIDENT_SCORE = 0.8;
+
+    /**
+     * Mapping dropdown values that build a field from a template or a constant.
+     */
+    const MAP_TEMPLATE = '__template__';
+    const MAP_CONSTANT = '__constant__';
+
+    /**
+     * Value mapping choices that create or skip a value, and the field
+     * types whose values map to existing items.
+     */
+    const VALUE_CREATE = '__create__';
+    const VALUE_SKIP = '__skip__';
+    const VALUE_ENTITY_TYPES = ['post', 'term'];
+
+    /**
+     * Column transforms and their parameters, in editor order.
+     */
+    const COLUMN_TRANSFORMS = {
+        replace: ['find', 'replace'],
+        regex: ['pattern', 'group'],
+        trim: ['characters'],
+        number: ['decimal', 'thousands'],
+        date: ['from', 'to'],
+        lookup: ['table']
+    };
+
+    /**
+     * Row filter rule operators, in menu order, and the most rules a run
+     * can have.
+     */
+    const ROW_FILTER_OPERATORS = ['equals', 'not_equals', 'contains', 'not_contains', 'regex', 'not_regex', 'empty', 'not_empty'];
+    const ROW_FILTER_MAX_RULES = 10;
+
+    /**
+     * Common column-name abbreviations, expanded before matching.
+     */
+    const COLUMN_ABBREVIATIONS = {
+        qty: 'quantity',
+        no: 'number',
+        num: 'number',
+        nbr: 'number',
+        desc: 'description',
+        descr: 'description',
+        addr: 'address',
+        amt: 'amount',
+        cat: 'category',
+        cats: 'categories',
+        img: 'image',
+        pic: 'image',
+        tel: 'phone',
+        ph: 'phone',
+        zip: 'postcode',
+        postal: 'postcode',
+        ref: 'reference',
+        fname: 'firstname',
+        lname: 'lastname',
+        dob: 'birthdate',
+        mail: 'email',
+        link: 'url',
+        website: 'url',
+        dept: 'department',
+        cust: 'customer',
+        prod: 'product',
+        ctry: 'country',
+        curr: 'currency'
+    };
+
     /**
      * Import Card
      *
@@ -83,8 +202,24 @@
         this.currentStep = 1;
         this.fileData = null;
         this.fieldMap = {};
+        this.valueMaps = {};
+        this.valueSearchTimer = null;
+        this.chunkedUpload = null;
+        this.presets = {};
+        this.historyPage = 1;
+        this.runId = null;
+        this.rollbackTotals = null;
+        this.isBackground = false;
+        this.jobErrorCount = 0;
+        this.pollTimer = null;
+        this.previewTimer = null;
+        this.previewRequest = null;
+        this.isDryRunning = false;
+        this.dryRunRequest = null;
+        this.dryRunErrors = [];
         this.isProcessing = false;
         this.isCancelled = false;
+        this.isPaused = false;
 
         this.init();
     }
@@ -97,6 +232,12 @@
         init: function () {
             this.cacheElements();
             this.bindEvents();
+            this.checkResume();
+
+            // Follow a background import that is still running
+            if (this.$card.data('background-job')) {
+                this.attachBackgroundJob();
+            }
         },
 
         /**
@@ -108,9 +249,13 @@
             this.$nextBtn = this.$card.find('.importers-next-button');
             this.$backBtn = this.$card.find('.importers-back-button');
             this.$cancelBtn = this.$card.find('.importers-cancel-button');
+            this.$pauseBtn = this.$card.find('.importers-pause-button');
             this.$dryRunBtn = this.$card.find('.importers-dry-run-button');
             this.$fileInput = this.$card.find('.importers-file-input');
             this.$dropzone = this.$card.find('.importers-dropzone');
+            this.$uploadProgress = this.$card.find('.importers-upload-progress');
+            this.$sources = this.$card.find('.importers-sources');
+            this.$sourcePanels = this.$card.find('.importers-source-panel');
             this.$fileInfo = this.$card.find('.importers-file-info');
             this.$mappingGrid = this.$card.find('.importers-mapping-grid');
             this.$progressFill = this.$card.find('.importers-progress-fill');
@@ -118,6 +263,20 @@
             this.$progressPercent = this.$card.find('.importers-progress-percent');
             this.$logEntries = this.$card.find('.importers-log-entries');
             this.$completeSummary = this.$card.find('.importers-complete-summary');
+            this.$resumeNotice = this.$card.find('.importers-resume-notice');
+            this.$sheetPicker = this.$card.find('.importers-sheet-picker');
+            this.$sheetSelect = this.$card.find('.importers-sheet-select');
+            this.$csvOptions = this.$card.find('.importers-csv-options');
+            this.$presetSelect = this.$card.find('.importers-preset-select');
+            this.$presetDelete = this.$card.find('.importers-preset-delete');
+            this.$historyPanel = this.$card.find('.importers-history-panel');
+            this.$schedulePanel = this.$card.find('.importers-schedule-panel');
+            this.$undoBtn = this.$card.find('.importers-undo-import');
+            this.$rollbackProgress = this.$card.find('.importers-rollback-progress');
+            this.$dryRunProgress = this.$card.find('.importers-dry-run-progress');
+            this.$modeSelect = this.$card.find('.importers-mode-select');
+            this.$matchKeySelect = this.$card.find('.importers-match-key-select');
+            this.$rowFilters = this.$card.find('.importers-row-filters');
         },
 
         /**
@@ -150,11 +309,118 @@
                     }
                 });
 
+            this.$uploadProgress.find('.importers-upload-cancel').on('click', function () {
+                self.cancelChunkedUpload();
+            });
+
+            // Other file sources
+            this.$sources.on('click', '.importers-source-button', function () {
+                self.toggleSource($(this).data('source'));
+            });
+
+            this.$sourcePanels.on('click', '.importers-source-submit', function () {
+                self.submitSource($(this).closest('.importers-source-panel').data('source'));
+            });
+
+            this.$sourcePanels.on('keydown', '.importers-source-url', function (e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    self.submitSource('url');
+                }
+            });
+
             // Remove file
             this.$card.find('.importers-file-remove').on('click', function () {
                 self.resetToStep1();
             });
 
+            // Workbook sheet selection
+            this.$sheetSelect.on('change', function () {
+                self.selectSheet(parseInt($(this).val(), 10));
+            });
+
+            // Run history
+            this.$card.find('.importers-history-toggle').on('click', function (e) {
+                e.preventDefault();
+                self.toggleHistory();
+            });
+
+            this.$historyPanel.find('.importers-history-prev').on('click', function () {
+                self.loadHistory(self.historyPage - 1);
+            });
+
+            this.$historyPanel.find('.importers-history-next').on('click', function () {
+                self.loadHistory(self.historyPage + 1);
+            });
+
+            this.$historyPanel.on('click', '.importers-history-errors', function () {
+                self.toggleRunErrors($(this).closest('tr'));
+            });
+
+            // Export existing items
+            this.$card.find('.importers-export').on('click', function (e) {
+                e.preventDefault();
+                self.exportItems();
+            });
+
+            // Scheduled imports
+            this.$card.find('.importers-schedule-toggle').on('click', function (e) {
+                e.preventDefault();
+                self.toggleSchedule();
+            });
+
+            this.$schedulePanel.find('.importers-schedule-source').on('change', function () {
+                self.updateScheduleSource();
+            });
+
+            this.$schedulePanel.find('.importers-schedule-save').on('click', function () {
+                self.saveSchedule();
+            });
+
+            this.$schedulePanel.find('.importers-schedule-run').on('click', function () {
+                self.runSchedule();
+            });
+
+            this.$schedulePanel.find('.importers-schedule-delete').on('click', function () {
+                self.deleteSchedule();
+            });
+
+            // Failed rows report (dry run results and completion summary)
+            this.$card.on('click', '.importers-download-errors', function () {
+                self.downloadErrorReport($(this).data('type'));
+            });
+
+            // Unmatched values table (dry run results)
+            this.$card.on('change', '.importers-value-select', function () {
+                const $row = $(this).closest('tr');
+
+                self.setValueMapping(
+                    $row.closest('.importers-value-mapping-group').data('field'),
+                    $row.attr('data-value'),
+                    $(this).val(),
+                    $(this).find('option:selected').text()
+                );
+            });
+
+            this.$card.on('input', '.importers-value-search', function () {
+                const $row = $(this).closest('tr');
+
+                clearTimeout(self.valueSearchTimer);
+                self.valueSearchTimer = setTimeout(function () {
+                    self.searchValues($row);
+                }, 300);
+            });
+
+            // Undo a completed import
+            this.$undoBtn.on('click', function () {
+                self.undoImport();
+            });
+
+            // CSV dialect overrides
+            this.$csvOptions.on('change', '.importers-csv-option', function () {
+                self.updateDialect();
+            });
+
             // Navigation buttons
             this.$nextBtn.on('click', function () {
                 self.handleNextStep();
@@ -164,6 +430,10 @@
                 self.goToStep(self.currentStep - 1);
             });
 
+            this.$pauseBtn.on('click', function () {
+                self.togglePause();
+            });
+
             this.$cancelBtn.on('click', function () {
                 self.handleCancel();
             });
@@ -171,6 +441,129 @@
             this.$dryRunBtn.on('click', function () {
                 self.runDryRun();
             });
+
+            this.$dryRunProgress.on('click', '.importers-dry-run-cancel', function () {
+                self.cancelDryRun();
+            });
+
+            // Row filters
+            this.$rowFilters.find('.importers-row-filters-enable').on('change', function () {
+                self.$rowFilters.find('.importers-row-filters-panel').toggle(this.checked);
+                self.updateRowFilters();
+            });
+
+            this.$rowFilters.find('.importers-row-filters-add').on('click', function () {
+                self.addRowFilterRule({});
+                self.updateRowFilters();
+            });
+
+            this.$rowFilters.on('click', '.importers-row-filter-remove', function () {
+                $(this).closest('.importers-row-filter').remove();
+                self.updateRowFilters();
+            });
+
+            this.$rowFilters.on('change', '.importers-row-filter-operator', function () {
+                self.refreshRowFilterRule($(this).closest('.importers-row-filter'));
+            });
+
+            this.$rowFilters.on('input change', '.importers-row-filters-panel select, .importers-row-filters-panel input', function () {
+                self.updateRowFilters();
+            });
+
+            // Mapping presets
+            this.$presetSelect.on('change', function () {
+                const preset = self.presets[$(this).val()];
+                if (preset) {
+                    self.applyPreset(preset);
+                }
+                self.$presetDelete.toggle(!!preset);
+            });
+
+            this.$card.find('.importers-preset-save').on('click', function () {
+                self.savePreset();
+            });
+
+            this.$presetDelete.on('click', function () {
+                self.deletePreset(self.$presetSelect.val());
+            });
+
+            // Resume or discard an unfinished run
+            this.$resumeNotice.find('.importers-resume-button').on('click', function () {
+                self.resumeImport();
+            });
+
+            this.$resumeNotice.find('.importers-discard-button').on('click', function () {
+                self.discardResume();
+            });
+        },
+
+        /* =================================================================
+           Resume
+           ================================================================= */
+
+        /**
+         * Read resume data for an unfinished run rendered by the server.
+         */
+        checkResume: function () {
+            this.resumeData = this.$resumeNotice.length ? this.$resumeNotice.data('resume') : null;
+        },
+
+        /**
+         * Resume an unfinished run from its last committed offset.
+         */
+        resumeImport: function () {
+            const resume = this.resumeData;
+
+            if (!resume) return;
+
+            this.fileData = resume.file;
+            this.fieldMap = resume.field_map || {};
+            this.totalItems = resume.total;
+            this.hideResumeNotice();
+
+            this.goToStep(3);
+            this.prepareProgress();
+            this.updateStats({stats: resume.stats});
+            this.updateProgress({
+                percentage: resume.total > 0 ? Math.round((resume.processed / resume.total) * 100) : 0,
+                total_processed: resume.processed,
+                total_items: resume.total
+            });
+
+            this.addLogEntry(ImportersAdmin.i18n.resumingImport.replace('%d', resume.offset + 1), 'info');
+            this.startBatches(resume.offset, resume.settings || {});
+        },
+
+        /**
+         * Discard an unfinished run and delete its file.
+         */
+        discardResume: function () {
+            const resume = this.resumeData;
+
+            if (!resume || !confirm(ImportersAdmin.i18n.confirmDiscard)) return;
+
+            this.hideResumeNotice();
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'complete',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    page_id: ImportersAdmin.pageId,
+                    operation_id: this.operationId,
+                    status: 'cancelled',
+                    file_uuid: resume.file.uuid
+                })
+            });
+        },
+
+        /**
+         * Remove the resume notice once it has been acted on.
+         */
+        hideResumeNotice: function () {
+            this.resumeData = null;
+            this.$resumeNotice.remove();
         },
 
         /* =================================================================
@@ -180,614 +573,3429 @@
         /**
          * Handle file selection.
          *
+         * Files larger than one chunk are uploaded in chunks.
+         *
          * @param {File} file
          */
         handleFileSelect: function (file) {
-            const self = this;
+            if (this.chunkedUpload) return;
 
             // Validate extension
-            if (!file.name.toLowerCase().endsWith('.csv')) {
+            const extension = file.name.split('.').pop().toLowerCase();
+            if (ImportersAdmin.fileExtensions.indexOf(extension) === -1) {
                 this.showNotice(ImportersAdmin.i18n.invalidFile, 'error');
                 return;
             }
 
+            if (file.size > ImportersAdmin.chunkSize) {
+                this.startChunkedUpload(file);
+                return;
+            }
+
             const formData = new FormData();
             formData.append('import_file', file);
             formData.append('page_id', ImportersAdmin.pageId);
             formData.append('operation_id', this.operationId);
 
-            // Show loading state
-            this.$dropzone.hide();
-            this.$fileInfo.show();
-            this.$card.find('.importers-file-name').text(file.name);
-            this.$card.find('.importers-file-size').text(ImportersAdmin.i18n.loading);
-
-            $.ajax({
+            this.sendFile(file.name, {
                 url: ImportersAdmin.restUrl + 'upload',
-                method: 'POST',
-                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
                 data: formData,
                 processData: false,
-                contentType: false,
-                success: function (response) {
-                    if (response.success) {
-                        self.fileData = response.file;
-                        self.$card.find('.importers-file-size').text(
-                            response.file.size_human + ' — ' + response.file.rows + ' ' + ImportersAdmin.i18n.rows
-                        );
-                        self.$nextBtn.prop('disabled', false);
-                    } else {
-                        self.resetToStep1();
-                        self.showNotice(ImportersAdmin.i18n.uploadFailed, 'error');
-                    }
-                },
-                error: function (xhr) {
-                    self.resetToStep1();
-                    const msg = xhr.responseJSON?.message || ImportersAdmin.i18n.uploadFailed;
-                    self.showNotice(msg, 'error');
-                }
+                contentType: false
             });
         },
 
         /**
-         * Reset to step 1 (remove file, clear state).
+         * Show or hide the panel of another file source.
+         *
+         * The media library opens its own modal instead.
+         *
+         * @param {string} source
          */
-        resetToStep1: function () {
-            this.fileData = null;
-            this.fieldMap = {};
-            this.$fileInput.val('');
-            this.$dropzone.show();
-            this.$fileInfo.hide();
-            this.$nextBtn.prop('disabled', true);
-            this.$card.find('.importers-dry-run-results').remove();
-            this.goToStep(1);
-        },
+        toggleSource: function (source) {
+            if (source === 'media') {
+                this.$sourcePanels.hide();
+                this.openMediaLibrary();
+                return;
+            }
 
-        /* =================================================================
-           Step Navigation
-           ================================================================= */
+            const $panel = this.$sourcePanels.filter('[data-source="' + source + '"]');
+
+            this.$sourcePanels.not($panel).hide();
+            $panel.toggle();
+            $panel.find('.importers-source-url').trigger('focus');
+        },
 
         /**
-         * Handle next step based on current position.
+         * Open the media library to pick an import file.
          */
-        handleNextStep: function () {
-            switch (this.currentStep) {
-                case 1:
-                    this.goToStep(2);
-                    this.buildFieldMapping();
-                    this.loadPreview();
-                    break;
-                case 2:
-                    if (this.validateMapping()) {
-                        this.goToStep(3);
-                        this.startImport();
-                    }
-                    break;
+        openMediaLibrary: function () {
+            const self = this;
+
+            if (!window.wp || !wp.media) return;
+
+            if (!this.mediaFrame) {
+                this.mediaFrame = wp.media({
+                    title: ImportersAdmin.i18n.chooseImportFile,
+                    button: {text: ImportersAdmin.i18n.useFile},
+                    multiple: false
+                });
+
+                this.mediaFrame.on('select', function () {
+                    const attachment = self.mediaFrame.state().get('selection').first().toJSON();
+                    self.addSourceFile('media', {attachment_id: attachment.id}, attachment.filename);
+                });
             }
+
+            this.mediaFrame.open();
         },
 
         /**
-         * Navigate to a specific step.
+         * Add the file chosen in a source panel.
          *
-         * @param {number} step
+         * @param {string} source
          */
-        goToStep: function (step) {
-            this.currentStep = step;
+        submitSource: function (source) {
+            const $panel = this.$sourcePanels.filter('[data-source="' + source + '"]');
 
-            // Show/hide steps
-            this.$steps.hide();
-            this.$card.find('.importers-step[data-step="' + step + '"]').show();
+            if (source === 'url') {
+                const url = $.trim($panel.find('.importers-source-url').val());
 
-            // Update dots
-            this.$dots.removeClass('active completed');
-            this.$dots.each(function () {
-                const dotStep = parseInt($(this).data('step'));
-                if (dotStep === step) {
-                    $(this).addClass('active');
-                } else if (dotStep < step) {
-                    $(this).addClass('completed');
-                }
-            });
+                if (!url) return;
 
-            // Update buttons
-            this.$backBtn.toggle(step === 2);
-            this.$cancelBtn.toggle(step === 3 && this.isProcessing);
-            this.$dryRunBtn.toggle(step === 2);
+                this.addSourceFile('url', {url: url}, url.split('?')[0].split('/').pop() || url);
+            } else if (source === 'server') {
+                const $option = $panel.find('.importers-server-file option:selected');
 
-            switch (step) {
-                case 1:
-                    this.$nextBtn.show().prop('disabled', !this.fileData)
-                        .find('.button-text').text(ImportersAdmin.i18n.continueToMap);
-                    break;
-                case 2:
-                    this.$nextBtn.show().prop('disabled', false)
-                        .find('.button-text').text(ImportersAdmin.i18n.startImport);
-                    this.$nextBtn.addClass('button-primary');
-                    break;
-                case 3:
-                    this.$nextBtn.hide();
-                    break;
+                if (!$option.length) return;
+
+                this.addSourceFile('server', {directory: $option.data('directory'), file: $option.val()}, $option.val());
             }
         },
 
-        /* =================================================================
-           Field Mapping
-           ================================================================= */
-
         /**
-         * Build the field mapping UI.
+         * Add the import file from a URL, the media library or the server.
+         *
+         * @param {string} source URL, media or server.
+         * @param {object} data   Parameters identifying the file.
+         * @param {string} name   Name shown while the file is added.
          */
-        buildFieldMapping: function () {
+        addSourceFile: function (source, data, name) {
+            this.sendFile(name, {
+                url: ImportersAdmin.restUrl + 'upload/' + source,
+                contentType: 'application/json',
+                data: JSON.stringify($.extend({
+                    page_id: ImportersAdmin.pageId,
+                    operation_id: this.operationId
+                }, data))
+            });
+        },
+
+        /**
+         * Send a file request and show the file once it is stored.
+         *
+         * @param {string} name    Name shown while the file is added.
+         * @param {object} options Request options for the source.
+         */
+        sendFile: function (name, options) {
             const self = this;
-            const fields = this.getOperationFields();
-            const csvHeaders = this.fileData ? this.fileData.headers : [];
 
-            this.$mappingGrid.empty();
+            this.showFileLoading(name);
 
-            let currentGroup = null;
+            $.ajax($.extend({
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                success: function (response) {
+                    self.receiveFile(response);
+                },
+                error: function (xhr) {
+                    self.failUpload(xhr);
+                }
+            }, options));
+        },
 
-            Object.keys(fields).forEach(function (fieldKey) {
-                const field = fields[fieldKey];
-                const group = field.group || null;
+        /**
+         * Show the file info panel while a file is added.
+         *
+         * @param {string} name
+         */
+        showFileLoading: function (name) {
+            this.$dropzone.hide();
+            this.$sources.hide();
+            this.$sourcePanels.hide();
+            this.$fileInfo.show();
+            this.$card.find('.importers-file-name').text(name);
+            this.$card.find('.importers-file-size').text(ImportersAdmin.i18n.loading);
+        },
 
-                // Group separator
-                if (group && group !== currentGroup) {
-                    currentGroup = group;
-                    self.$mappingGrid.append(
-                        '<div class="importers-mapping-group-label">' + self.escHtml(group) + '</div>'
-                    );
-                }
+        /**
+         * Use the file returned by an upload or file source.
+         *
+         * @param {object} response
+         */
+        receiveFile: function (response) {
+            if (response.success) {
+                this.setFileData(response.file);
+                this.renderSheetPicker(response.file);
+                this.renderCsvOptions(response.file);
+                this.$nextBtn.prop('disabled', false);
+            } else {
+                this.resetToStep1();
+                this.showNotice(ImportersAdmin.i18n.uploadFailed, 'error');
+            }
+        },
 
-                const isRequired = field.required;
-                const $row = $('<div class="importers-mapping-row" data-field="' + fieldKey + '">');
+        /**
+         * Go back to the dropzone after a file could not be added.
+         *
+         * @param {object} xhr
+         */
+        failUpload: function (xhr) {
+            this.resetToStep1();
+            this.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.uploadFailed, 'error');
+        },
 
-                // Field label
-                const requiredMark = isRequired ? ' <span class="required-indicator">*</span>' : '';
-                $row.append('<div class="importers-mapping-field">' + self.escHtml(field.label || fieldKey) + requiredMark + '</div>');
+        /* =================================================================
+           Chunked Upload
+           ================================================================= */
 
-                // Arrow
-                $row.append('<div class="importers-mapping-arrow"><span class="dashicons dashicons-arrow-right-alt"></span></div>');
+        /**
+         * Start uploading a large file in chunks.
+         *
+         * The upload ID is kept in local storage, so choosing the same file
+         * again after an interruption or reload only sends the chunks the
+         * server is missing.
+         *
+         * @param {File} file
+         */
+        startChunkedUpload: function (file) {
+            const self = this;
+            const key = this.getChunkedUploadKey(file);
 
-                // Select dropdown
-                const $selectWrap = $('<div class="importers-mapping-select">');
-                const $select = $('<select data-field="' + fieldKey + '">');
-                $select.append('<option value="">' + ImportersAdmin.i18n.selectColumn + '</option>');
+            this.chunkedUpload = {file: file, key: key, pending: [], sent: 0, attempts: 0, request: null};
+            this.$sources.hide();
+            this.$sourcePanels.hide();
+            this.$dropzone.addClass('is-uploading');
+            this.updateChunkedProgress(0, ImportersAdmin.i18n.uploadStarting);
 
-                csvHeaders.forEach(function (header) {
-                    $select.append('<option value="' + self.escHtml(header) + '">' + self.escHtml(header) + '</option>');
-                });
+            this.chunkedUpload.request = $.ajax({
+                url: ImportersAdmin.restUrl + 'upload/chunked/start',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    page_id: ImportersAdmin.pageId,
+                    operation_id: this.operationId,
+                    name: file.name,
+                    size: file.size,
+                    upload_id: this.getStoredUploadId(key)
+                }),
+                success: function (response) {
+                    const upload = self.chunkedUpload;
+
+                    if (!upload) return;
+
+                    upload.id = response.upload_id;
+                    upload.chunkSize = response.chunk_size;
+                    upload.chunks = response.chunks;
+                    upload.sent = response.received.length;
 
-                // Auto-match by label/key
-                const autoMatch = self.findBestMatch(fieldKey, field.label || fieldKey, csvHeaders);
-                if (autoMatch) {
-                    $select.val(autoMatch);
-                    self.fieldMap[fieldKey] = autoMatch;
+                    for (let index = 0; index < response.chunks; index++) {
+                        if (response.received.indexOf(index) === -1) {
+                            upload.pending.push(index);
+                        }
+                    }
+
+                    self.storeUploadId(key, response.upload_id);
+                    self.updateChunkedProgress(0);
+                    self.sendNextChunk();
+                },
+                error: function (xhr, status) {
+                    if (status === 'abort') return;
+
+                    self.endChunkedUpload();
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.uploadFailed, 'error');
                 }
+            });
+        },
 
-                $select.on('change', function () {
-                    self.fieldMap[fieldKey] = $(this).val();
-                });
+        /**
+         * Send the next missing chunk, or finish the upload.
+         *
+         * Network errors and server errors are retried with a growing
+         * delay; other errors end the upload.
+         */
+        sendNextChunk: function () {
+            const self = this;
+            const upload = this.chunkedUpload;
 
-                $selectWrap.append($select);
-                $row.append($selectWrap);
-                self.$mappingGrid.append($row);
+            if (!upload) return;
+
+            if (!upload.pending.length) {
+                this.completeChunkedUpload();
+                return;
+            }
+
+            const index = upload.pending[0];
+            const start = index * upload.chunkSize;
+            const formData = new FormData();
+
+            formData.append('chunk', upload.file.slice(start, start + upload.chunkSize), upload.file.name);
+            formData.append('page_id', ImportersAdmin.pageId);
+            formData.append('upload_id', upload.id);
+            formData.append('index', index);
+
+            upload.request = $.ajax({
+                url: ImportersAdmin.restUrl + 'upload/chunked',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                data: formData,
+                processData: false,
+                contentType: false,
+                xhr: function () {
+                    const xhr = $.ajaxSettings.xhr();
+
+                    if (xhr.upload) {
+                        xhr.upload.addEventListener('progress', function (e) {
+                            self.updateChunkedProgress(e.loaded);
+                        });
+                    }
+
+                    return xhr;
+                },
+                success: function () {
+                    upload.pending.shift();
+                    upload.sent++;
+                    upload.attempts = 0;
+                    self.updateChunkedProgress(0);
+                    self.sendNextChunk();
+                },
+                error: function (xhr, status) {
+                    if (status === 'abort') return;
+
+                    if ((xhr.status === 0 || xhr.status >= 500) && upload.attempts < ImportersManager.CHUNK_RETRIES) {
+                        upload.attempts++;
+                        self.updateChunkedProgress(0, ImportersAdmin.i18n.uploadRetrying.replace('%d', index + 1));
+                        upload.retryTimer = setTimeout(function () {
+                            self.sendNextChunk();
+                        }, ImportersManager.CHUNK_RETRY_DELAY * Math.pow(2, upload.attempts - 1));
+                        return;
+                    }
+
+                    self.endChunkedUpload();
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.uploadFailed, 'error');
+                }
             });
         },
 
         /**
-         * Find the best auto-match between a field key and CSV headers.
+         * Ask the server to reassemble the file once every chunk is sent.
          *
-         * @param   {string}   key
-         * @param   {string}   label
-         * @param   {string[]} headers
-         * @returns {string|null}
+         * Chunks the server reports missing are sent again.
          */
-        findBestMatch: function (key, label, headers) {
-            const normalizedKey = key.toLowerCase().replace(/[_\-]/g, '');
-            const normalizedLabel = label.toLowerCase().replace(/[_\-\s]/g, '');
+        completeChunkedUpload: function () {
+            const self = this;
+            const upload = this.chunkedUpload;
+
+            this.updateChunkedProgress(0, ImportersAdmin.i18n.uploadProcessing);
+
+            upload.request = $.ajax({
+                url: ImportersAdmin.restUrl + 'upload/chunked/complete',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    page_id: ImportersAdmin.pageId,
+                    upload_id: upload.id
+                }),
+                success: function (response) {
+                    self.forgetUploadId(upload.key);
+                    self.endChunkedUpload();
+                    self.showFileLoading(upload.file.name);
+                    self.receiveFile(response);
+                },
+                error: function (xhr, status) {
+                    if (status === 'abort') return;
+
+                    const missing = xhr.responseJSON?.data?.missing;
 
-            for (let i = 0; i < headers.length; i++) {
-                const normalizedHeader = headers[i].toLowerCase().replace(/[_\-\s]/g, '');
+                    if (xhr.status === 409 && missing && missing.length) {
+                        upload.pending = missing;
+                        upload.sent = upload.chunks - missing.length;
+                        self.sendNextChunk();
+                        return;
+                    }
 
-                if (normalizedHeader === normalizedKey || normalizedHeader === normalizedLabel) {
-                    return headers[i];
+                    self.forgetUploadId(upload.key);
+                    self.endChunkedUpload();
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.uploadFailed, 'error');
                 }
+            });
+        },
+
+        /**
+         * Stop the current chunked upload.
+         *
+         * The chunks already sent are kept, so the upload continues where it
+         * stopped if the same file is chosen again.
+         */
+        cancelChunkedUpload: function () {
+            const upload = this.chunkedUpload;
+
+            if (!upload) return;
+
+            clearTimeout(upload.retryTimer);
+
+            if (upload.request) {
+                upload.request.abort();
             }
 
-            return null;
+            this.endChunkedUpload();
         },
 
         /**
-         * Validate that all required fields are mapped.
+         * Restore the dropzone after a chunked upload ends.
+         */
+        endChunkedUpload: function () {
+            this.chunkedUpload = null;
+            this.$dropzone.removeClass('is-uploading');
+            this.$sources.show();
+            this.$fileInput.val('');
+        },
+
+        /**
+         * Update the chunked upload progress.
          *
-         * @returns {boolean}
+         * @param {number} loaded  Bytes of the current chunk sent so far.
+         * @param {string} [status] Status text, instead of the chunk count.
          */
-        validateMapping: function () {
-            const fields = this.getOperationFields();
-            const missing = [];
+        updateChunkedProgress: function (loaded, status) {
+            const upload = this.chunkedUpload;
 
-            Object.keys(fields).forEach(function (key) {
-                if (fields[key].required && !this.fieldMap[key]) {
-                    missing.push(fields[key].label || key);
-                }
-            }.bind(this));
+            if (!upload) return;
 
-            if (missing.length) {
-                this.showNotice(
-                    ImportersAdmin.i18n.mapRequiredFields + ' ' + missing.join(', '),
-                    'error'
-                );
-                return false;
+            const size = upload.file.size;
+            const done = upload.chunkSize ? Math.min(size, upload.sent * upload.chunkSize + loaded) : 0;
+            const percent = size ? Math.floor((done / size) * 100) : 0;
+
+            this.$uploadProgress.find('.importers-upload-fill').css('width', percent + '%');
+            this.$uploadProgress.find('.importers-upload-status').text(status || ImportersAdmin.i18n.uploadProgress
+                .replace('%1$d', percent)
+                .replace('%%', '%')
+                .replace('%2$d', Math.min(upload.sent + 1, upload.chunks))
+                .replace('%3$d', upload.chunks));
+        },
+
+        /**
+         * Get the local storage key of a file's chunked upload.
+         *
+         * @param   {File} file
+         * @returns {string}
+         */
+        getChunkedUploadKey: function (file) {
+            return ['importers_upload', ImportersAdmin.pageId, this.operationId, file.name, file.size, file.lastModified].join(':');
+        },
+
+        /**
+         * Get the stored upload ID of an unfinished chunked upload.
+         *
+         * @param   {string} key
+         * @returns {string}
+         */
+        getStoredUploadId: function (key) {
+            try {
+                return window.localStorage.getItem(key) || '';
+            } catch (e) {
+                return '';
             }
+        },
 
-            return true;
+        /**
+         * Remember a chunked upload's ID.
+         *
+         * @param {string} key
+         * @param {string} uploadId
+         */
+        storeUploadId: function (key, uploadId) {
+            try {
+                window.localStorage.setItem(key, uploadId);
+            } catch (e) {
+                // Uploads still work, they just cannot be continued after a reload
+            }
         },
 
         /**
-         * Load preview data for the mapped fields.
+         * Forget a finished chunked upload.
+         *
+         * @param {string} key
          */
-        loadPreview: function () {
+        forgetUploadId: function (key) {
+            try {
+                window.localStorage.removeItem(key);
+            } catch (e) {
+                // Nothing stored
+            }
+        },
+
+        /**
+         * Store uploaded file data and update the file info panel.
+         *
+         * @param {object} file
+         */
+        setFileData: function (file) {
+            let details = file.size_human + ' — ' + file.rows + ' ' + ImportersAdmin.i18n.rows;
+
+            if (file.media_files) {
+                details += ', ' + ImportersAdmin.i18n.mediaFiles.replace('%d', file.media_files);
+            }
+
+            this.fileData = file;
+            this.$card.find('.importers-file-size').text(details);
+        },
+
+        /**
+         * Show the sheet picker for workbooks with more than one sheet.
+         *
+         * @param {object} file
+         */
+        renderSheetPicker: function (file) {
+            const self = this;
+            const sheets = file.sheets || [];
+
+            this.$sheetSelect.empty();
+
+            sheets.forEach(function (name, index) {
+                self.$sheetSelect.append('<option value="' + index + '">' + self.escHtml(name) + '</option>');
+            });
+
+            this.$sheetSelect.val(String(file.sheet || 0));
+            this.$sheetPicker.toggle(sheets.length > 1);
+        },
+
+        /**
+         * Switch the uploaded workbook to another sheet.
+         *
+         * @param {number} sheet
+         */
+        selectSheet: function (sheet) {
             const self = this;
 
             if (!this.fileData) return;
 
+            this.$nextBtn.prop('disabled', true);
+            this.$sheetSelect.prop('disabled', true);
+            this.$card.find('.importers-file-size').text(ImportersAdmin.i18n.loading);
+
             $.ajax({
-                url: ImportersAdmin.restUrl + 'preview/' + this.fileData.uuid,
-                method: 'GET',
+                url: ImportersAdmin.restUrl + 'upload/sheet',
+                method: 'POST',
                 headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
-                data: {max_rows: 5},
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    page_id: ImportersAdmin.pageId,
+                    file_uuid: this.fileData.uuid,
+                    sheet: sheet
+                }),
                 success: function (response) {
                     if (response.success) {
-                        self.renderPreview(response.preview);
+                        self.fieldMap = {};
+                        self.setFileData(response.file);
                     }
+                },
+                error: function (xhr) {
+                    self.setFileData(self.fileData);
+                    self.$sheetSelect.val(String(self.fileData.sheet || 0));
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred, 'error');
+                },
+                complete: function () {
+                    self.$sheetSelect.prop('disabled', false);
+                    self.$nextBtn.prop('disabled', !self.fileData);
                 }
             });
         },
 
         /**
-         * Render the preview table.
+         * Show the detected CSV dialect in the override controls.
          *
-         * @param {object} preview
+         * @param {object} file
          */
-        renderPreview: function (preview) {
-            const $thead = this.$card.find('.importers-preview-table thead');
-            const $tbody = this.$card.find('.importers-preview-table tbody');
+        renderCsvOptions: function (file) {
+            const dialect = file.dialect;
 
-            $thead.empty();
-            $tbody.empty();
+            if (!dialect) {
+                this.$csvOptions.hide();
+                return;
+            }
 
-            // Headers
-            let headerRow = '<tr>';
-            preview.headers.forEach(function (h) {
-                headerRow += '<th>' + this.escHtml(h) + '</th>';
-            }.bind(this));
-            headerRow += '</tr>';
-            $thead.append(headerRow);
+            this.$csvOptions.find('[data-option="delimiter"]').val(dialect.delimiter);
+            this.$csvOptions.find('[data-option="enclosure"]').val(dialect.enclosure);
+            this.$csvOptions.find('[data-option="encoding"]').val(dialect.encoding);
+            this.$csvOptions.find('[data-option="header_row"]').val(dialect.header_row + 1);
+            this.$csvOptions.show();
+        },
+
+        /**
+         * Re-read the uploaded CSV with the dialect chosen in the controls.
+         */
+        updateDialect: function () {
+            const self = this;
+            const $options = this.$csvOptions.find('.importers-csv-option');
+
+            if (!this.fileData) return;
+
+            const headerRow = parseInt(this.$csvOptions.find('[data-option="header_row"]').val(), 10);
+
+            this.$nextBtn.prop('disabled', true);
+            $options.prop('disabled', true);
+            this.$card.find('.importers-file-size').text(ImportersAdmin.i18n.loading);
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'upload/dialect',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    page_id: ImportersAdmin.pageId,
+                    file_uuid: this.fileData.uuid,
+                    delimiter: this.$csvOptions.find('[data-option="delimiter"]').val(),
+                    enclosure: this.$csvOptions.find('[data-option="enclosure"]').val(),
+                    encoding: this.$csvOptions.find('[data-option="encoding"]').val(),
+                    header_row: Math.max(0, (headerRow || 1) - 1)
+                }),
+                success: function (response) {
+                    if (response.success) {
+                        self.fieldMap = {};
+                        self.setFileData(response.file);
+                        self.renderCsvOptions(response.file);
+                    }
+                },
+                error: function (xhr) {
+                    self.setFileData(self.fileData);
+                    self.renderCsvOptions(self.fileData);
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred, 'error');
+                },
+                complete: function () {
+                    $options.prop('disabled', false);
+                    self.$nextBtn.prop('disabled', !self.fileData);
+                }
+            });
+        },
+
+        /**
+         * Reset to step 1 (remove file, clear state).
+         */
+        resetToStep1: function () {
+            this.fileData = null;
+            this.fieldMap = {};
+            this.$sheetPicker.hide();
+            this.$csvOptions.hide();
+            this.$fileInput.val('');
+            this.$dropzone.show();
+            this.$sources.show();
+            this.$fileInfo.hide();
+            this.$nextBtn.prop('disabled', true);
+            this.$card.find('.importers-dry-run-results').remove();
+            this.goToStep(1);
+        },
+
+        /* =================================================================
+           Step Navigation
+           ================================================================= */
+
+        /**
+         * Handle next step based on current position.
+         */
+        handleNextStep: function () {
+            switch (this.currentStep) {
+                case 1:
+                    this.goToStep(2);
+                    this.buildFieldMapping();
+                    this.buildRowFilters();
+                    this.loadPresets();
+                    this.loadPreview();
+                    break;
+                case 2:
+                    if (this.validateMapping()) {
+                        this.goToStep(3);
+                        this.startImport();
+                    }
+                    break;
+            }
+        },
+
+        /**
+         * Navigate to a specific step.
+         *
+         * @param {number} step
+         */
+        goToStep: function (step) {
+            if (step !== 2) {
+                this.cancelDryRun();
+            }
+
+            this.currentStep = step;
+
+            // Show/hide steps
+            this.$steps.hide();
+            this.$card.find('.importers-step[data-step="' + step + '"]').show();
+
+            // Update dots
+            this.$dots.removeClass('active completed');
+            this.$dots.each(function () {
+                const dotStep = parseInt($(this).data('step'));
+                if (dotStep === step) {
+                    $(this).addClass('active');
+                } else if (dotStep < step) {
+                    $(this).addClass('completed');
+                }
+            });
+
+            // Update buttons
+            this.$backBtn.toggle(step === 2);
+            this.$cancelBtn.toggle(step === 3 && this.isProcessing);
+            this.$dryRunBtn.toggle(step === 2);
+
+            switch (step) {
+                case 1:
+                    this.$nextBtn.show().prop('disabled', !this.fileData)
+                        .find('.button-text').text(ImportersAdmin.i18n.continueToMap);
+                    break;
+                case 2:
+                    this.$nextBtn.show().prop('disabled', false)
+                        .find('.button-text').text(ImportersAdmin.i18n.startImport);
+                    this.$nextBtn.addClass('button-primary');
+                    break;
+                case 3:
+                    this.$nextBtn.hide();
+                    break;
+            }
+        },
+
+        /* =================================================================
+           Field Mapping
+           ================================================================= */
+
+        /**
+         * Build the field mapping UI.
+         */
+        buildFieldMapping: function () {
+            const self = this;
+            const fields = this.getOperationFields();
+            const csvHeaders = this.fileData ? this.fileData.headers : [];
+
+            this.$mappingGrid.empty();
+            this.valueMaps = {};
+
+            let currentGroup = null;
+
+            Object.keys(fields).forEach(function (fieldKey) {
+                const field = fields[fieldKey];
+                const group = field.group || null;
+
+                // Group separator
+                if (group && group !== currentGroup) {
+                    currentGroup = group;
+                    self.$mappingGrid.append(
+                        '<div class="importers-mapping-group-label">' + self.escHtml(group) + '</div>'
+                    );
+                }
+
+                const isRequired = field.required;
+                const $row = $('<div class="importers-mapping-row" data-field="' + fieldKey + '">');
+
+                // Field label
+                const requiredMark = isRequired ? ' <span class="required-indicator">*</span>' : '';
+                $row.append('<div class="importers-mapping-field">' + self.escHtml(field.label || fieldKey) + requiredMark + '</div>');
+
+                // Arrow
+                $row.append('<div class="importers-mapping-arrow"><span class="dashicons dashicons-arrow-right-alt"></span></div>');
+
+                // Select dropdown
+                const $selectWrap = $('<div class="importers-mapping-select">');
+                const $select = $('<select data-field="' + fieldKey + '">');
+                $select.append('<option value="">' + ImportersAdmin.i18n.selectColumn + '</option>');
+
+                csvHeaders.forEach(function (header) {
+                    $select.append('<option value="' + self.escHtml(header) + '">' + self.escHtml(header) + '</option>');
+                });
+
+                $select.append(
+                    '<optgroup label="' + self.escHtml(ImportersAdmin.i18n.mapComputed) + '">' +
+                    '<option value="' + MAP_TEMPLATE + '">' + self.escHtml(ImportersAdmin.i18n.mapTemplate) + '</option>' +
+                    '<option value="' + MAP_CONSTANT + '">' + self.escHtml(ImportersAdmin.i18n.mapConstant) + '</option>' +
+                    '</optgroup>'
+                );
+
+                const $editor = self.buildMappingEditor(fieldKey, csvHeaders);
+
+                $select.on('change', function () {
+                    const value = $(this).val();
+
+                    if (value === MAP_TEMPLATE || value === MAP_CONSTANT) {
+                        $editor.slideDown(150);
+                    }
+
+                    $row.removeClass('low-confidence');
+                    self.updateFieldEntry(fieldKey);
+                });
+
+                const $transformBtn = $(
+                    '<button type="button" class="button-link importers-mapping-transform" title="' +
+                    self.escHtml(ImportersAdmin.i18n.mapTransforms) + '">' +
+                    '<span class="dashicons dashicons-admin-generic"></span></button>'
+                );
+
+                $transformBtn.on('click', function () {
+                    $editor.slideToggle(150);
+                });
+
+                $selectWrap.append($select);
+                $row.append($selectWrap);
+                $row.append($transformBtn);
+                $row.append('<span class="importers-mapping-confidence">' + ImportersAdmin.i18n.checkMatch + '</span>');
+                self.$mappingGrid.append($row);
+                self.$mappingGrid.append($editor);
+            });
+
+            // Auto-match columns by key, label and aliases
+            const matches = this.autoMatchFields(fields, csvHeaders);
+
+            Object.keys(matches).forEach(function (fieldKey) {
+                const match = matches[fieldKey];
+                const $row = self.$mappingGrid.find('.importers-mapping-row[data-field="' + fieldKey + '"]');
+
+                $row.find('select').val(match.column);
+                $row.toggleClass('low-confidence', match.score < MATCH_CONFIDENT_SCORE);
+                self.fieldMap[fieldKey] = match.column;
+            });
+        },
+
+        /**
+         * Build the editor for a field's template, constant and column transforms.
+         *
+         * @param   {string}   fieldKey
+         * @param   {string[]} headers
+         * @returns {jQuery}
+         */
+        buildMappingEditor: function (fieldKey, headers) {
+            const self = this;
+            const $editor = $('<div class="importers-mapping-editor" data-field="' + fieldKey + '" style="display: none;">');
+
+            const $template = $(
+                '<div class="importers-mapping-template-wrap" style="display: none;">' +
+                '<input type="text" class="regular-text importers-mapping-template" placeholder="' +
+                self.escHtml(ImportersAdmin.i18n.templatePlaceholder) + '">' +
+                '<div class="importers-template-columns"></div>' +
+                '</div>'
+            );
+
+            headers.forEach(function (header) {
+                $('<button type="button" class="button button-small"></button>')
+                    .text('{' + header + '}')
+                    .on('click', function () {
+                        const $input = $template.find('.importers-mapping-template');
+                        $input.val($input.val() + '{' + header + '}').trigger('input');
+                    })
+                    .appendTo($template.find('.importers-template-columns'));
+            });
+
+            const $constant = $(
+                '<div class="importers-mapping-constant-wrap" style="display: none;">' +
+                '<input type="text" class="regular-text importers-mapping-constant" placeholder="' +
+                self.escHtml(ImportersAdmin.i18n.constantPlaceholder) + '">' +
+                '</div>'
+            );
+
+            const $add = $('<select class="importers-transform-add"></select>')
+                .append('<option value="">' + self.escHtml(ImportersAdmin.i18n.addTransform) + '</option>');
+
+            Object.keys(COLUMN_TRANSFORMS).forEach(function (type) {
+                $add.append('<option value="' + type + '">' + self.escHtml(self.getTransformLabel(type)) + '</option>');
+            });
+
+            $add.on('change', function () {
+                const type = $(this).val();
+                if (!type) return;
+
+                self.addTransform($editor, {type: type});
+                $(this).val('');
+                self.updateFieldEntry(fieldKey);
+            });
+
+            $editor.append($template, $constant, '<div class="importers-value-map"></div>', '<div class="importers-transform-list"></div>', $add);
+
+            $editor.on('input change', 'input, textarea', function () {
+                self.updateFieldEntry(fieldKey);
+            });
+
+            $editor.on('click', '.importers-transform-remove', function () {
+                $(this).closest('.importers-transform').remove();
+                self.updateFieldEntry(fieldKey);
+            });
+
+            $editor.on('click', '.importers-value-map-remove', function () {
+                self.setValueMapping(fieldKey, $(this).attr('data-value'), '');
+            });
+
+            return $editor;
+        },
+
+        /**
+         * Add a column transform to a field's editor.
+         *
+         * @param {jQuery} $editor
+         * @param {object} transform Transform with 'type' and its parameters.
+         */
+        addTransform: function ($editor, transform) {
+            const self = this;
+            const params = COLUMN_TRANSFORMS[transform.type];
+
+            if (!params) return;
+
+            const $transform = $('<div class="importers-transform" data-type="' + transform.type + '">')
+                .append('<span class="importers-transform-label">' + self.escHtml(self.getTransformLabel(transform.type)) + '</span>');
+
+            params.forEach(function (param) {
+                const placeholder = ImportersAdmin.i18n['param' + param.charAt(0).toUpperCase() + param.slice(1)] || param;
+                let $input;
+
+                if (param === 'table') {
+                    $input = $('<textarea rows="3"></textarea>').val(
+                        (transform.table || []).map(function (pair) {
+                            return pair.from + ' = ' + pair.to;
+                        }).join('\n')
+                    );
+                } else {
+                    $input = $('<input type="text">').val(
+                        transform[param] !== undefined ? transform[param] : ({group: '1', decimal: '.', to: 'Y-m-d'}[param] || '')
+                    );
+                }
+
+                $input.attr({'data-param': param, placeholder: placeholder, title: placeholder});
+                $transform.append($input);
+            });
+
+            $transform.append(
+                '<button type="button" class="button-link importers-transform-remove" title="' +
+                self.escHtml(ImportersAdmin.i18n.removeTransform) + '">' +
+                '<span class="dashicons dashicons-no-alt"></span></button>'
+            );
+
+            $editor.find('.importers-transform-list').append($transform);
+        },
+
+        /**
+         * Get the label of a column transform.
+         *
+         * @param   {string} type
+         * @returns {string}
+         */
+        getTransformLabel: function (type) {
+            return ImportersAdmin.i18n['transform' + type.charAt(0).toUpperCase() + type.slice(1)] || type;
+        },
+
+        /**
+         * Read a field's mapping from its dropdown and editor.
+         *
+         * Plain columns stay column names; templates, constants and
+         * columns with transforms or value maps become entry objects.
+         *
+         * @param   {string} fieldKey
+         * @returns {string|object}
+         */
+        readFieldEntry: function (fieldKey) {
+            const self = this;
+            const selected = this.$mappingGrid.find('select[data-field="' + fieldKey + '"]').val() || '';
+            const $editor = this.$mappingGrid.find('.importers-mapping-editor[data-field="' + fieldKey + '"]');
+            const values = this.valueMaps[fieldKey] || [];
+            const transforms = [];
+
+            $editor.find('.importers-transform').each(function () {
+                const transform = {type: $(this).data('type')};
+
+                $(this).find('[data-param]').each(function () {
+                    const param = $(this).data('param');
+                    transform[param] = param === 'table' ? self.parseLookupTable($(this).val()) : $(this).val();
+                });
+
+                transforms.push(transform);
+            });
+
+            let type = 'column';
+            if (selected === MAP_TEMPLATE) type = 'template';
+            if (selected === MAP_CONSTANT) type = 'constant';
+
+            if (type === 'column' && !transforms.length && !values.length) {
+                return selected;
+            }
+
+            return {
+                type: type,
+                column: type === 'column' ? selected : '',
+                template: $editor.find('.importers-mapping-template').val(),
+                value: $editor.find('.importers-mapping-constant').val(),
+                transforms: transforms,
+                values: values
+            };
+        },
+
+        /**
+         * Store a field's mapping after an edit and refresh the preview.
+         *
+         * @param {string} fieldKey
+         */
+        updateFieldEntry: function (fieldKey) {
+            this.fieldMap[fieldKey] = this.readFieldEntry(fieldKey);
+            this.refreshMappingEditor(fieldKey);
+            this.$presetSelect.val('');
+            this.$presetDelete.hide();
+            this.schedulePreview();
+        },
+
+        /**
+         * Set a field's mapping dropdown and editor from a field map entry.
+         *
+         * @param {string}        fieldKey
+         * @param {string|object} entry
+         */
+        setFieldEntry: function (fieldKey, entry) {
+            const self = this;
+            const $select = this.$mappingGrid.find('select[data-field="' + fieldKey + '"]');
+            const $editor = this.$mappingGrid.find('.importers-mapping-editor[data-field="' + fieldKey + '"]');
+
+            $editor.find('.importers-transform').remove();
+            $editor.find('.importers-mapping-template, .importers-mapping-constant').val('');
+            this.valueMaps[fieldKey] = entry && typeof entry === 'object' ? (entry.values || []) : [];
+
+            if (!entry || typeof entry !== 'object') {
+                $select.val(entry || '');
+                $editor.hide();
+            } else {
+                if (entry.type === 'template') {
+                    $select.val(MAP_TEMPLATE);
+                } else if (entry.type === 'constant') {
+                    $select.val(MAP_CONSTANT);
+                } else {
+                    $select.val(entry.column);
+                }
+
+                $editor.find('.importers-mapping-template').val(entry.template || '');
+                $editor.find('.importers-mapping-constant').val(entry.value || '');
+                (entry.transforms || []).forEach(function (transform) {
+                    self.addTransform($editor, transform);
+                });
+                $editor.show();
+            }
+
+            this.fieldMap[fieldKey] = entry;
+            this.refreshMappingEditor(fieldKey);
+        },
+
+        /**
+         * Show the editor inputs that apply to a field's mapping type.
+         *
+         * @param {string} fieldKey
+         */
+        refreshMappingEditor: function (fieldKey) {
+            const selected = this.$mappingGrid.find('select[data-field="' + fieldKey + '"]').val();
+            const $editor = this.$mappingGrid.find('.importers-mapping-editor[data-field="' + fieldKey + '"]');
+            const $row = this.$mappingGrid.find('.importers-mapping-row[data-field="' + fieldKey + '"]');
+
+            const values = this.valueMaps[fieldKey] || [];
+
+            $editor.find('.importers-mapping-template-wrap').toggle(selected === MAP_TEMPLATE);
+            $editor.find('.importers-mapping-constant-wrap').toggle(selected === MAP_CONSTANT);
+            $row.find('.importers-mapping-transform').toggleClass(
+                'is-active',
+                $editor.find('.importers-transform').length > 0 || values.length > 0
+            );
+
+            this.renderValueMap($editor.find('.importers-value-map'), fieldKey);
+        },
+
+        /**
+         * List a field's value mappings in its editor.
+         *
+         * @param {jQuery} $list
+         * @param {string} fieldKey
+         */
+        renderValueMap: function ($list, fieldKey) {
+            const self = this;
+            const field = this.getOperationFields()[fieldKey] || {};
+            const values = this.valueMaps[fieldKey] || [];
+
+            $list.empty();
+
+            if (!values.length) return;
+
+            $list.append('<span class="importers-value-map-title">' + self.escHtml(ImportersAdmin.i18n.valueMapTitle) + '</span>');
+
+            values.forEach(function (mapping) {
+                let target = ImportersAdmin.i18n.valueSkip;
+
+                if (mapping.action === 'create') {
+                    target = ImportersAdmin.i18n.valueCreate;
+                } else if (mapping.action === 'map') {
+                    target = mapping.label || (VALUE_ENTITY_TYPES.indexOf(field.type) !== -1 ? '#' + mapping.to : mapping.to);
+                }
+
+                $list.append(
+                    '<span class="importers-value-map-item"><code>' + self.escHtml(mapping.from) + '</code> &rarr; ' +
+                    self.escHtml(target) +
+                    ' <button type="button" class="button-link importers-value-map-remove" data-value="' + self.escHtml(mapping.from) + '" title="' +
+                    self.escHtml(ImportersAdmin.i18n.removeValueMap) + '">' +
+                    '<span class="dashicons dashicons-no-alt"></span></button></span>'
+                );
+            });
+        },
+
+        /**
+         * Set, change or remove the mapping of one of a field's values.
+         *
+         * @param {string} fieldKey
+         * @param {string} from     The source value.
+         * @param {string} choice   '', '__create__', '__skip__' or 'map:' followed by the target.
+         * @param {string} [label]  Display label of the target.
+         */
+        setValueMapping: function (fieldKey, from, choice, label) {
+            const values = (this.valueMaps[fieldKey] || []).filter(function (mapping) {
+                return mapping.from !== from;
+            });
+
+            if (choice === VALUE_CREATE) {
+                values.push({from: from, action: 'create'});
+            } else if (choice === VALUE_SKIP) {
+                values.push({from: from, action: 'skip'});
+            } else if (choice && choice.indexOf('map:') === 0) {
+                values.push({from: from, action: 'map', to: choice.slice(4), label: label});
+            }
+
+            this.valueMaps[fieldKey] = values;
+            this.updateFieldEntry(fieldKey);
+        },
+
+        /**
+         * Parse a lookup table written as "source = value" lines.
+         *
+         * @param   {string}   text
+         * @returns {object[]} Pairs with 'from' and 'to'.
+         */
+        parseLookupTable: function (text) {
+            const pairs = [];
+
+            String(text || '').split('\n').forEach(function (line) {
+                const index = line.indexOf('=');
+                if (index === -1) return;
+
+                const from = line.slice(0, index).trim();
+                if (from) {
+                    pairs.push({from: from, to: line.slice(index + 1).trim()});
+                }
+            });
+
+            return pairs;
+        },
+
+        /**
+         * Get the columns a field map entry reads.
+         *
+         * @param   {string|object} entry
+         * @returns {string[]}
+         */
+        getEntryColumns: function (entry) {
+            if (!entry) return [];
+            if (typeof entry !== 'object') return [entry];
+
+            if (entry.type === 'template') {
+                return (String(entry.template || '').match(/\{[^{}]+\}/g) || []).map(function (placeholder) {
+                    return placeholder.slice(1, -1);
+                });
+            }
+
+            return entry.type === 'column' && entry.column ? [entry.column] : [];
+        },
+
+        /**
+         * Auto-match CSV headers to fields.
+         *
+         * Every field/header pair is scored against the field's key, label
+         * and aliases. Pairs are then assigned greedily from the highest
+         * score down so each column is used by at most one field.
+         *
+         * @param   {object}   fields
+         * @param   {string[]} headers
+         * @returns {object}   Map of fieldKey => {column, score}
+         */
+        autoMatchFields: function (fields, headers) {
+            const self = this;
+            const pairs = [];
+            const matches = {};
+            const usedColumns = {};
+
+            Object.keys(fields).forEach(function (fieldKey) {
+                const field = fields[fieldKey];
+                const candidates = [fieldKey, field.label || fieldKey].concat(field.aliases || []);
+
+                headers.forEach(function (header) {
+                    let best = 0;
+
+                    candidates.forEach(function (candidate) {
+                        best = Math.max(best, self.scoreMatch(String(candidate), header));
+                    });
+
+                    if (best >= MATCH_MIN_SCORE) {
+                        pairs.push({field: fieldKey, column: header, score: best});
+                    }
+                });
+            });
+
+            pairs.sort(function (a, b) {
+                return b.score - a.score;
+            });
+
+            pairs.forEach(function (pair) {
+                if (matches[pair.field] || usedColumns[pair.column]) return;
+
+                matches[pair.field] = {column: pair.column, score: pair.score};
+                usedColumns[pair.column] = true;
+            });
+
+            return matches;
+        },
+
+        /**
+         * Score how well a CSV header matches a field name (0–1).
+         *
+         * @param   {string} candidate Field key, label or alias.
+         * @param   {string} header    CSV header.
+         * @returns {number}
+         */
+        scoreMatch: function (candidate, header) {
+            const a = this.tokenize(candidate);
+            const b = this.tokenize(header);
+
+            // Names without letters or digits can still be identical
+            if (!a.length || !b.length) {
+                const plain = candidate.trim().toLowerCase();
+
+                return plain !== '' && plain === String(header).trim().toLowerCase() ? 1 : 0;
+            }
+
+            const joinedA = a.join('');
+            const joinedB = b.join('');
+
+            // Exact match once separators and abbreviations are normalized
+            if (joinedA === joinedB) return 1;
+
+            let score = 0;
+
+            // Token overlap (e.g. "Product SKU" vs "SKU")
+            const shared = a.filter(function (token) {
+                return b.indexOf(token) !== -1;
+            }).length;
+
+            if (shared) {
+                score = Math.max(score, 0.9 * shared / Math.max(a.length, b.length));
+
+                // All candidate tokens present in the header
+                if (shared === a.length) {
+                    score = Math.max(score, 0.6 + 0.3 * (a.length / b.length));
+                }
+            }
+
+            // Edit distance for typos and close spellings
+            const maxLength = Math.max(joinedA.length, joinedB.length);
+            if (maxLength >= 4) {
+                score = Math.max(score, 0.9 * (1 - this.editDistance(joinedA, joinedB) / maxLength));
+            }
+
+            return score;
+        },
+
+        /**
+         * Split a column name into normalized, abbreviation-expanded tokens.
+         *
+         * @param   {string}   str
+         * @returns {string[]}
+         */
+        tokenize: function (str) {
+            return str
+                .replace(/([a-z])([A-Z])/g, '$1 $2')
+                .toLowerCase()
+                .replace(/\be[\s_\-]?mail\b/g, 'email')
+                .split(/[^\p{L}\p{N}]+/u)
+                .filter(Boolean)
+                .map(function (token) {
+                    return COLUMN_ABBREVIATIONS[token] || token;
+                });
+        },
+
+        /**
+         * Levenshtein distance between two strings.
+         *
+         * @param   {string} a
+         * @param   {string} b
+         * @returns {number}
+         */
+        editDistance: function (a, b) {
+            let previous = [];
+
+            for (let j = 0; j <= b.length; j++) {
+                previous[j] = j;
+            }
+
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+
+                for (let j = 1; j <= b.length; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                }
+
+                previous = current;
+            }
+
+            return previous[b.length];
+        },
+
+        /* =================================================================
+           Mapping Presets
+           ================================================================= */
+
+        /**
+         * Load saved presets and auto-apply the best match for the file.
+         */
+        loadPresets: function () {
+            const self = this;
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'presets/' + ImportersAdmin.pageId + '/' + this.operationId,
+                method: 'GET',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                data: {file_uuid: this.fileData ? this.fileData.uuid : ''},
+                success: function (response) {
+                    if (!response.success) return;
+
+                    self.renderPresets(response.presets || []);
+
+                    const suggested = self.presets[response.suggested];
+                    if (suggested) {
+                        self.$presetSelect.val(suggested.id);
+                        self.$presetDelete.show();
+                        self.applyPreset(suggested);
+                    }
+                }
+            });
+        },
+
+        /**
+         * Render the preset dropdown.
+         *
+         * @param {object[]} presets
+         */
+        renderPresets: function (presets) {
+            const self = this;
+
+            this.presets = {};
+            this.$presetSelect.find('option:not(:first)').remove();
+
+            presets.forEach(function (preset) {
+                self.presets[preset.id] = preset;
+                self.$presetSelect.append(
+                    '<option value="' + self.escHtml(preset.id) + '">' + self.escHtml(preset.name) + '</option>'
+                );
+            });
+
+            this.$presetDelete.hide();
+        },
+
+        /**
+         * Apply a preset's field map to the mapping dropdowns.
+         *
+         * Fields whose columns are missing from the current file are left
+         * unmapped.
+         *
+         * @param {object} preset
+         */
+        applyPreset: function (preset) {
+            const self = this;
+            const headers = this.fileData ? this.fileData.headers : [];
+            const map = preset.field_map || {};
+
+            this.$mappingGrid.find('select[data-field]').each(function () {
+                const fieldKey = $(this).data('field');
+                const entry = map[fieldKey];
+                const available = self.getEntryColumns(entry).every(function (column) {
+                    return headers.indexOf(column) !== -1;
+                });
+
+                $(this).closest('.importers-mapping-row').removeClass('low-confidence');
+
+                if (entry && available) {
+                    self.setFieldEntry(fieldKey, entry);
+                } else {
+                    self.setFieldEntry(fieldKey, '');
+                    delete self.fieldMap[fieldKey];
+                }
+            });
+
+            this.schedulePreview();
+        },
+
+        /**
+         * Save the current field map as a named preset.
+         */
+        savePreset: function () {
+            const self = this;
+            const current = this.presets[this.$presetSelect.val()];
+            const name = prompt(ImportersAdmin.i18n.presetName, current ? current.name : '');
+
+            if (!name) return;
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'presets',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    page_id: ImportersAdmin.pageId,
+                    operation_id: this.operationId,
+                    name: name,
+                    field_map: this.fieldMap,
+                    file_uuid: this.fileData ? this.fileData.uuid : ''
+                }),
+                success: function (response) {
+                    if (!response.success) return;
+
+                    const preset = response.preset;
+                    if (!self.presets[preset.id]) {
+                        self.$presetSelect.append(
+                            '<option value="' + self.escHtml(preset.id) + '">' + self.escHtml(preset.name) + '</option>'
+                        );
+                    }
+                    self.presets[preset.id] = preset;
+                    self.$presetSelect.val(preset.id);
+                    self.$presetDelete.show();
+                    self.showNotice(ImportersAdmin.i18n.presetSaved, 'success');
+                },
+                error: function (xhr) {
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred, 'error');
+                }
+            });
+        },
+
+        /**
+         * Delete a saved preset.
+         *
+         * @param {string} presetId
+         */
+        deletePreset: function (presetId) {
+            const self = this;
+
+            if (!presetId || !confirm(ImportersAdmin.i18n.confirmDeletePreset)) return;
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'presets/' + ImportersAdmin.pageId + '/' + this.operationId + '/' + presetId,
+                method: 'DELETE',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                success: function () {
+                    delete self.presets[presetId];
+                    self.$presetSelect.find('option[value="' + presetId + '"]').remove();
+                    self.$presetSelect.val('');
+                    self.$presetDelete.hide();
+                },
+                error: function (xhr) {
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred, 'error');
+                }
+            });
+        },
+
+        /**
+         * Validate that all required fields are mapped.
+         *
+         * @returns {boolean}
+         */
+        validateMapping: function () {
+            const fields = this.getOperationFields();
+            const missing = [];
+
+            Object.keys(fields).forEach(function (key) {
+                if (fields[key].required && !this.fieldMap[key]) {
+                    missing.push(fields[key].label || key);
+                }
+            }.bind(this));
+
+            if (missing.length) {
+                this.showNotice(
+                    ImportersAdmin.i18n.mapRequiredFields + ' ' + missing.join(', '),
+                    'error'
+                );
+                return false;
+            }
+
+            // Existing items can only be matched if the match key's field is mapped
+            const matchField = this.$matchKeySelect.find('option:selected').data('field');
+
+            if (matchField && !this.fieldMap[matchField]) {
+                this.showNotice(
+                    ImportersAdmin.i18n.mapMatchKey.replace('%s', fields[matchField] ? (fields[matchField].label || matchField) : matchField),
+                    'error'
+                );
+                return false;
+            }
+
+            return true;
+        },
+
+        /**
+         * Get the import mode, match key and row filters chosen for the run.
+         *
+         * Operations without match keys have no mode or match key.
+         *
+         * @returns {object}
+         */
+        getImportSettings: function () {
+            const settings = {};
+            const filters = this.getRowFilters();
+
+            if (this.$modeSelect.length) {
+                settings.mode = this.$modeSelect.val();
+                settings.match_key = this.$matchKeySelect.val();
+            }
+
+            if (filters) {
+                settings.filters = filters;
+            }
+
+            return settings;
+        },
+
+        /* =================================================================
+           Row Filters
+           ================================================================= */
+
+        /**
+         * Reset the row filters for a new file.
+         */
+        buildRowFilters: function () {
+            this.$rowFilters.find('.importers-row-filters-enable').prop('checked', false);
+            this.$rowFilters.find('.importers-row-filters-panel').hide();
+            this.$rowFilters.find('.importers-row-filters-rules').empty();
+            this.$rowFilters.find('.importers-row-filters-match-select').val('all');
+            this.$rowFilters.find('.importers-row-filters-range input').val('');
+            this.updateRowFilters();
+        },
+
+        /**
+         * Add a rule to the row filters.
+         *
+         * @param {object} rule Rule with 'column', 'operator' and 'value'.
+         */
+        addRowFilterRule: function (rule) {
+            const self = this;
+            const headers = this.fileData ? this.fileData.headers : [];
+            const $rule = $('<div class="importers-row-filter"></div>');
+            const $column = $('<select class="importers-row-filter-column"></select>');
+            const $operator = $('<select class="importers-row-filter-operator"></select>');
+
+            headers.forEach(function (header) {
+                $column.append('<option value="' + self.escHtml(header) + '">' + self.escHtml(header) + '</option>');
+            });
+
+            ROW_FILTER_OPERATORS.forEach(function (operator) {
+                $operator.append('<option value="' + operator + '">' + self.escHtml(self.getRowFilterOperatorLabel(operator)) + '</option>');
+            });
+
+            $column.val(rule.column || headers[0] || '');
+            $operator.val(rule.operator || 'equals');
+
+            $rule.append(
+                $column,
+                $operator,
+                $('<input type="text" class="importers-row-filter-value">').val(rule.value || ''),
+                '<button type="button" class="button-link importers-row-filter-remove" aria-label="' +
+                self.escHtml(ImportersAdmin.i18n.removeRule) + '">&times;</button>'
+            );
+
+            this.$rowFilters.find('.importers-row-filters-rules').append($rule);
+            this.refreshRowFilterRule($rule);
+        },
+
+        /**
+         * Show the value input only for operators that compare a value.
+         *
+         * @param {jQuery} $rule
+         */
+        refreshRowFilterRule: function ($rule) {
+            const operator = $rule.find('.importers-row-filter-operator').val();
+            const $value = $rule.find('.importers-row-filter-value');
+
+            $value.toggle(operator !== 'empty' && operator !== 'not_empty');
+            $value.attr('placeholder', operator === 'regex' || operator === 'not_regex'
+                ? ImportersAdmin.i18n.filterPatternPlaceholder
+                : ImportersAdmin.i18n.filterValuePlaceholder);
+        },
+
+        /**
+         * Get the label of a row filter operator.
+         *
+         * @param   {string} operator
+         * @returns {string}
+         */
+        getRowFilterOperatorLabel: function (operator) {
+            const key = 'filter' + operator.split('_').map(function (part) {
+                return part.charAt(0).toUpperCase() + part.slice(1);
+            }).join('');
+
+            return ImportersAdmin.i18n[key] || operator;
+        },
+
+        /**
+         * Read the row filters, if they are turned on.
+         *
+         * Rules still waiting for a value are left out; use the empty
+         * operators to match blank cells.
+         *
+         * @returns {object|null} Filters with rules, match, skip, end and limit.
+         */
+        getRowFilters: function () {
+            if (!this.$rowFilters.find('.importers-row-filters-enable').is(':checked')) return null;
+
+            const rules = [];
+
+            this.$rowFilters.find('.importers-row-filter').each(function () {
+                const $rule = $(this);
+                const operator = $rule.find('.importers-row-filter-operator').val();
+                const value = $rule.find('.importers-row-filter-value').val();
+
+                if (value === '' && operator !== 'empty' && operator !== 'not_empty') return;
+
+                rules.push({
+                    column: $rule.find('.importers-row-filter-column').val() || '',
+                    operator: operator,
+                    value: value
+                });
+            });
+
+            return {
+                rules: rules,
+                match: this.$rowFilters.find('.importers-row-filters-match-select').val(),
+                skip: parseInt(this.$rowFilters.find('.importers-row-filters-skip').val(), 10) || 0,
+                end: parseInt(this.$rowFilters.find('.importers-row-filters-end').val(), 10) || 0,
+                limit: parseInt(this.$rowFilters.find('.importers-row-filters-limit').val(), 10) || 0
+            };
+        },
+
+        /**
+         * Clear dry run results after the row filters change.
+         *
+         * The results counted a different set of rows.
+         */
+        updateRowFilters: function () {
+            const ruleCount = this.$rowFilters.find('.importers-row-filter').length;
+
+            this.$rowFilters.find('.importers-row-filters-add').prop('disabled', ruleCount >= ROW_FILTER_MAX_RULES);
+            this.$rowFilters.find('.importers-row-filters-match').toggle(ruleCount > 1);
+
+            this.dryRunErrors = [];
+            this.$card.find('.importers-dry-run-results').remove();
+            this.highlightPreviewErrors();
+        },
+
+        /**
+         * Refresh the preview shortly after the mapping changes.
+         */
+        schedulePreview: function () {
+            // Dry run errors no longer match a changed mapping
+            this.dryRunErrors = [];
+
+            clearTimeout(this.previewTimer);
+            this.previewTimer = setTimeout(this.loadPreview.bind(this), ImportersManager.PREVIEW_DELAY);
+        },
+
+        /**
+         * Load the processed preview for the current mapping.
+         *
+         * The server runs the first rows through the field pipeline, so
+         * the preview shows what each mapped field will become.
+         */
+        loadPreview: function () {
+            const self = this;
+
+            if (!this.fileData) return;
+
+            clearTimeout(this.previewTimer);
+
+            if (this.previewRequest) {
+                this.previewRequest.abort();
+            }
+
+            this.$card.find('.importers-preview-section').addClass('is-loading');
+
+            this.previewRequest = $.ajax({
+                url: ImportersAdmin.restUrl + 'preview/processed',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    page_id: ImportersAdmin.pageId,
+                    operation_id: this.operationId,
+                    file_uuid: this.fileData.uuid,
+                    field_map: this.fieldMap,
+                    max_rows: 5
+                }),
+                success: function (response) {
+                    if (response.success) {
+                        self.renderPreview(response);
+                    }
+                },
+                error: function (xhr, status) {
+                    if (status === 'abort') return;
+
+                    self.renderPreviewMessage(xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred);
+                },
+                complete: function (xhr, status) {
+                    if (status === 'abort') return;
+
+                    self.previewRequest = null;
+                    self.$card.find('.importers-preview-section').removeClass('is-loading');
+                }
+            });
+        },
+
+        /**
+         * Render the preview table.
+         *
+         * Each mapped field is a column showing the raw CSV value and the
+         * value it will be imported as, with badges for errors and notices.
+         *
+         * @param {object} preview
+         */
+        renderPreview: function (preview) {
+            const self = this;
+            const $thead = this.$card.find('.importers-preview-table thead');
+            const $tbody = this.$card.find('.importers-preview-table tbody');
+
+            if (!preview.fields.length) {
+                this.renderPreviewMessage(ImportersAdmin.i18n.previewNoFields);
+                return;
+            }
+
+            $thead.empty();
+            $tbody.empty();
+
+            // Headers
+            let headerRow = '<tr><th>' + ImportersAdmin.i18n.previewRow + '</th>';
+            preview.fields.forEach(function (field) {
+                headerRow += '<th>' + self.escHtml(field.label) +
+                    '<span class="importers-preview-column">' + self.escHtml(field.column) + '</span></th>';
+            });
+            headerRow += '</tr>';
+            $thead.append(headerRow);
+
+            // Rows
+            preview.rows.forEach(function (row) {
+                let tr = '<tr data-row="' + row.row + '"' + (row.error ? ' class="has-error"' : '') + '>' +
+                    '<td class="importers-preview-row">' + row.row + '</td>';
+
+                if (row.skipped) {
+                    tr += '<td colspan="' + preview.fields.length + '" class="importers-preview-skipped">' +
+                        ImportersAdmin.i18n.previewSkipped + '</td></tr>';
+                    $tbody.append(tr);
+                    return;
+                }
+
+                preview.fields.forEach(function (field) {
+                    tr += self.renderPreviewCell(field.key, row.cells[field.key] || {});
+                });
+                tr += '</tr>';
+
+                if (row.error) {
+                    tr += '<tr class="importers-preview-row-error"><td></td><td colspan="' + preview.fields.length + '">' +
+                        '<span class="importers-preview-badge is-error">!</span> ' + self.escHtml(row.error) + '</td></tr>';
+                }
+
+                $tbody.append(tr);
+            });
+
+            this.highlightPreviewErrors();
+        },
+
+        /**
+         * Build a preview cell showing the raw and processed value.
+         *
+         * @param   {string} fieldKey
+         * @param   {object} cell     Cell with raw, value, error and notices.
+         * @returns {string}
+         */
+        renderPreviewCell: function (fieldKey, cell) {
+            const raw = cell.raw === null || cell.raw === undefined ? '' : String(cell.raw);
+            let html = '<div class="importers-preview-raw">' + this.escHtml(raw) + '</div>';
+
+            if (cell.error) {
+                html += '<div class="importers-preview-value">' +
+                    '<span class="importers-preview-badge is-error" title="' + this.escHtml(cell.error) + '">!</span> ' +
+                    this.escHtml(cell.error) + '</div>';
+
+                return '<td data-field="' + this.escHtml(fieldKey) + '" class="has-error">' + html + '</td>';
+            }
+
+            const value = this.formatPreviewValue(cell.value);
+
+            if (value !== raw) {
+                html += '<div class="importers-preview-value">→ ' + this.escHtml(value) + '</div>';
+            }
+
+            (cell.notices || []).forEach(function (notice) {
+                html += '<div class="importers-preview-notice">' +
+                    '<span class="importers-preview-badge is-notice">i</span> ' + this.escHtml(notice) + '</div>';
+            }.bind(this));
+
+            return '<td data-field="' + this.escHtml(fieldKey) + '">' + html + '</td>';
+        },
+
+        /**
+         * Highlight preview cells that failed the last dry run.
+         */
+        highlightPreviewErrors: function () {
+            const $tbody = this.$card.find('.importers-preview-table tbody');
+
+            $tbody.find('td.has-dry-run-error').removeClass('has-dry-run-error').removeAttr('title');
+
+            this.dryRunErrors.forEach(function (err) {
+                if (!err.field) return;
+
+                const $cell = $tbody.find('tr[data-row="' + err.row + '"] td[data-field="' + err.field + '"]');
+                const title = $cell.attr('title');
+
+                $cell.addClass('has-dry-run-error').attr('title', title ? title + '\n' + err.message : err.message);
+            });
+        },
+
+        /**
+         * Format a processed value for display.
+         *
+         * @param   {*} value
+         * @returns {string}
+         */
+        formatPreviewValue: function (value) {
+            if (value === null || value === undefined) {
+                return ImportersAdmin.i18n.previewEmpty;
+            }
+
+            if (typeof value === 'boolean') {
+                return value ? 'true' : 'false';
+            }
+
+            if (typeof value === 'object') {
+                return JSON.stringify(value);
+            }
+
+            return String(value);
+        },
+
+        /**
+         * Replace the preview table with a message.
+         *
+         * @param {string} message
+         */
+        renderPreviewMessage: function (message) {
+            this.$card.find('.importers-preview-table thead').empty();
+            this.$card.find('.importers-preview-table tbody').html(
+                '<tr><td class="importers-preview-message">' + this.escHtml(message) + '</td></tr>'
+            );
+        },
+
+        /* =================================================================
+           Dry Run
+           ================================================================= */
+
+        /**
+         * Run a dry run (validate without importing).
+         *
+         * The file is validated in batches so large files never have to
+         * be read in a single request.
+         */
+        runDryRun: function () {
+            if (!this.validateMapping()) return;
+
+            this.isDryRunning = true;
+            this.dryRunErrors = [];
+            this.highlightPreviewErrors();
+
+            this.$dryRunBtn.prop('disabled', true)
+                .find('.button-text').text(ImportersAdmin.i18n.dryRunning);
+            this.$nextBtn.prop('disabled', true);
+
+            // Remove previous results
+            this.$card.find('.importers-dry-run-results').remove();
+
+            this.$dryRunProgress.show().find('.importers-dry-run-fill').css('width', '0%');
+            this.$dryRunProgress.find('.importers-dry-run-status').text(ImportersAdmin.i18n.dryRunning);
+
+            this.processDryRun(0);
+        },
+
+        /**
+         * Validate the next batch of rows.
+         *
+         * @param {number} offset
+         */
+        processDryRun: function (offset) {
+            const self = this;
+
+            this.dryRunRequest = $.ajax({
+                url: ImportersAdmin.restUrl + 'dry-run',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                contentType: 'application/json',
+                data: JSON.stringify($.extend({
+                    page_id: ImportersAdmin.pageId,
+                    operation_id: this.operationId,
+                    file_uuid: this.fileData.uuid,
+                    field_map: this.fieldMap,
+                    offset: offset
+                }, this.getImportSettings())),
+                success: function (response) {
+                    if (!self.isDryRunning) return;
+
+                    self.$dryRunProgress.find('.importers-dry-run-fill').css('width', response.percentage + '%');
+                    self.$dryRunProgress.find('.importers-dry-run-status').text(
+                        ImportersAdmin.i18n.dryRunProgress
+                            .replace('%1$d', response.total_rows)
+                            .replace('%2$d', response.total_items)
+                    );
+
+                    if (response.has_more) {
+                        self.processDryRun(response.offset);
+                    } else {
+                        self.finishDryRun();
+                        self.showDryRunResults(response);
+                    }
+                },
+                error: function (xhr) {
+                    if (!self.isDryRunning) return;
+
+                    // The server is further along — continue from its offset
+                    if (xhr.responseJSON?.code === 'invalid_offset' && xhr.responseJSON.data?.offset > offset) {
+                        self.processDryRun(xhr.responseJSON.data.offset);
+                        return;
+                    }
+
+                    const msg = xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred;
+                    self.finishDryRun();
+                    self.showDryRunResults({success: false, error_count: 1, errors: [{message: msg}]});
+                }
+            });
+        },
+
+        /**
+         * Stop a running dry run.
+         */
+        cancelDryRun: function () {
+            const request = this.dryRunRequest;
+
+            if (!this.isDryRunning) return;
+
+            this.finishDryRun();
+
+            if (request) {
+                request.abort();
+            }
+        },
+
+        /**
+         * Reset the dry run controls.
+         */
+        finishDryRun: function () {
+            this.isDryRunning = false;
+            this.dryRunRequest = null;
+            this.$dryRunProgress.hide();
+            this.$dryRunBtn.prop('disabled', false)
+                .find('.button-text').text(ImportersAdmin.i18n.dryRun);
+            this.$nextBtn.prop('disabled', false);
+        },
+
+        /**
+         * Display dry run results.
+         *
+         * @param {object} response
+         */
+        showDryRunResults: function (response) {
+            const hasErrors = response.error_count > 0;
+            const cls = hasErrors ? 'has-errors' : 'success';
+
+            let html = '<div class="importers-dry-run-results ' + cls + '">';
+            html += '<strong>';
+            html += ImportersAdmin.i18n.dryRunComplete
+                .replace('%d', response.valid_rows || 0)
+                .replace('%d', response.error_count || 0)
+                .replace('%d', response.total_rows || 0);
+            html += '</strong>';
+
+            if (response.predicted) {
+                html += '<p class="importers-dry-run-predicted">';
+                html += ImportersAdmin.i18n.dryRunPredicted
+                    .replace('%1$d', response.predicted.created)
+                    .replace('%2$d', response.predicted.updated)
+                    .replace('%3$d', response.predicted.skipped);
+                html += '</p>';
+            }
+
+            if (hasErrors && response.errors && response.errors.length) {
+                html += this.renderDryRunErrors(response);
+            }
+
+            if (response.unmatched && Object.keys(response.unmatched).length) {
+                html += this.renderUnmatchedValues(response.unmatched);
+            }
+
+            if (response.missing && Object.keys(response.missing).length) {
+                html += this.renderMissingFiles(response.missing);
+            }
+
+            if (response.error_report > 0) {
+                html += '<button type="button" class="button button-small importers-download-errors" data-type="dry_run">';
+                html += '<span class="dashicons dashicons-download"></span> ';
+                html += ImportersAdmin.i18n.downloadFailedRows.replace('%d', response.error_report);
+                html += '</button>';
+            }
+
+            html += '</div>';
+
+            this.$mappingGrid.after(html);
+
+            this.dryRunErrors = response.errors || [];
+            this.highlightPreviewErrors();
+        },
+
+        /**
+         * Build the dry run error list, grouped by field.
+         *
+         * Errors that are not tied to a field, such as those from the
+         * operation's validate_callback, are listed last.
+         *
+         * @param   {object} response Dry run response.
+         * @returns {string}
+         */
+        renderDryRunErrors: function (response) {
+            const self = this;
+            const fields = this.getOperationFields();
+            const counts = response.field_errors || {};
+            const groups = {};
+            const keys = [];
+
+            response.errors.forEach(function (err) {
+                const key = err.field || '';
+
+                if (!groups[key]) {
+                    groups[key] = [];
+                    keys.push(key);
+                }
+
+                groups[key].push(err);
+            });
+
+            // Row-level errors last
+            keys.sort(function (a, b) {
+                return (a === '') - (b === '');
+            });
+
+            let html = '<div class="importers-dry-run-errors">';
+
+            keys.forEach(function (key) {
+                const errors = groups[key];
+                let title = ImportersAdmin.i18n.otherErrors;
+
+                if (key) {
+                    title = self.escHtml(fields[key] ? (fields[key].label || key) : key);
+
+                    if (errors[0].column) {
+                        title += ' <span class="importers-dry-run-column">' + self.escHtml(errors[0].column) + '</span>';
+                    }
+                }
+
+                html += '<div class="importers-dry-run-group">';
+                html += '<h5>' + title + ' <span class="count">' + (counts[key] || errors.length) + '</span></h5>';
+                html += '<ul>';
+
+                errors.forEach(function (err) {
+                    html += '<li>';
+                    if (err.row) html += '<strong>' + ImportersAdmin.i18n.rowError.replace('%d', err.row) + '</strong> ';
+
+                    if (key && err.value !== null && err.value !== undefined && err.value !== '') {
+                        html += '<code>' + self.escHtml(String(err.value)) + '</code> — ';
+                    } else if (err.item) {
+                        html += self.escHtml(err.item) + ' — ';
+                    }
+
+                    html += self.escHtml(err.message);
+                    html += '</li>';
+                });
+
+                html += '</ul></div>';
+            });
+
+            if (response.errors.length < response.error_count) {
+                html += '<p class="importers-dry-run-truncated">' + ImportersAdmin.i18n.errorsTruncated
+                    .replace('%1$d', response.errors.length)
+                    .replace('%2$d', response.error_count) + '</p>';
+            }
+
+            return html + '</div>';
+        },
+
+        /**
+         * Build the table of values that match no option or existing item.
+         *
+         * @param   {object} unmatched Lists of 'value' and 'rows' keyed by field key.
+         * @returns {string}
+         */
+        renderUnmatchedValues: function (unmatched) {
+            const self = this;
+            const fields = this.getOperationFields();
+
+            let html = '<div class="importers-value-mapping">';
+            html += '<h4>' + self.escHtml(ImportersAdmin.i18n.unmatchedValues) + '</h4>';
+            html += '<p class="description">' + self.escHtml(ImportersAdmin.i18n.unmatchedValuesHelp) + '</p>';
+
+            Object.keys(unmatched).forEach(function (key) {
+                const field = fields[key];
+                const isEntity = field && VALUE_ENTITY_TYPES.indexOf(field.type) !== -1;
+
+                if (!field) return;
+
+                html += '<div class="importers-value-mapping-group" data-field="' + self.escHtml(key) + '">';
+                html += '<h5>' + self.escHtml(field.label || key) + ' <span class="count">' + unmatched[key].length + '</span></h5>';
+                html += '<table class="widefat striped"><tbody>';
+
+                unmatched[key].forEach(function (item) {
+                    html += '<tr data-value="' + self.escHtml(item.value) + '">';
+                    html += '<td><code>' + self.escHtml(item.value) + '</code></td>';
+                    html += '<td class="importers-value-rows">' + ImportersAdmin.i18n.valueRows.replace('%d', item.rows) + '</td>';
+                    html += '<td class="importers-value-choice">';
+
+                    if (isEntity) {
+                        html += '<input type="search" class="importers-value-search" placeholder="' +
+                            self.escHtml(ImportersAdmin.i18n.valueSearch) + '">';
+                    }
+
+                    html += self.buildValueSelect(field) + '</td>';
+                    html += '</tr>';
+                });
+
+                html += '</tbody></table></div>';
+            });
+
+            return html + '</div>';
+        },
+
+        /**
+         * Build the list of files that are in neither the ZIP bundle nor
+         * the media library.
+         *
+         * @param   {object} missing Lists of 'value' and 'rows' keyed by field key.
+         * @returns {string}
+         */
+        renderMissingFiles: function (missing) {
+            const self = this;
+            const fields = this.getOperationFields();
+
+            let html = '<div class="importers-dry-run-errors importers-missing-files">';
+            html += '<h4>' + self.escHtml(ImportersAdmin.i18n.missingFiles) + '</h4>';
+            html += '<p class="description">' + self.escHtml(ImportersAdmin.i18n.missingFilesHelp) + '</p>';
+
+            Object.keys(missing).forEach(function (key) {
+                const label = fields[key] ? (fields[key].label || key) : key;
+
+                html += '<div class="importers-dry-run-group">';
+                html += '<h5>' + self.escHtml(label) + ' <span class="count">' + missing[key].length + '</span></h5>';
+                html += '<ul>';
+
+                missing[key].forEach(function (item) {
+                    html += '<li><code>' + self.escHtml(item.value) + '</code> — ' +
+                        ImportersAdmin.i18n.valueRows.replace('%d', item.rows) + '</li>';
+                });
+
+                html += '</ul></div>';
+            });
+
+            return html + '</div>';
+        },
+
+        /**
+         * Build the choices for mapping one of a field's values.
+         *
+         * @param   {object} field Field definition.
+         * @returns {string}
+         */
+        buildValueSelect: function (field) {
+            const self = this;
+            const createsTerms = field.type === 'term' && field.create;
+
+            let html = '<select class="importers-value-select">';
+            html += '<option value="">' + self.escHtml(createsTerms ? ImportersAdmin.i18n.valueCreateDefault : ImportersAdmin.i18n.valueLeave) + '</option>';
+
+            if (VALUE_ENTITY_TYPES.indexOf(field.type) !== -1) {
+                html += '<optgroup class="importers-value-results" label="' + self.escHtml(ImportersAdmin.i18n.valueResults) + '"></optgroup>';
+            } else {
+                (field.options || []).forEach(function (option) {
+                    html += '<option value="map:' + self.escHtml(String(option)) + '">' + self.escHtml(String(option)) + '</option>';
+                });
+            }
+
+            if (field.type === 'term' && !field.create) {
+                html += '<option value="' + VALUE_CREATE + '">' + self.escHtml(ImportersAdmin.i18n.valueCreate) + '</option>';
+            }
+
+            html += '<option value="' + VALUE_SKIP + '">' + self.escHtml(ImportersAdmin.i18n.valueSkip) + '</option>';
+
+            return html + '</select>';
+        },
+
+        /**
+         * Search the existing items a value can be mapped to.
+         *
+         * The first result is selected; the others stay in the dropdown.
+         *
+         * @param {jQuery} $row Table row of the unmatched value.
+         */
+        searchValues: function ($row) {
+            const self = this;
+            const fieldKey = $row.closest('.importers-value-mapping-group').data('field');
+            const search = $row.find('.importers-value-search').val().trim();
+            const $select = $row.find('.importers-value-select');
+            const $results = $select.find('.importers-value-results');
+
+            if (!search) return;
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'values/' + ImportersAdmin.pageId + '/' + this.operationId + '/' + fieldKey,
+                method: 'GET',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                data: {search: search},
+                success: function (response) {
+                    $results.empty();
+
+                    (response.results || []).forEach(function (result) {
+                        $results.append(
+                            $('<option></option>').val('map:' + result.id).text(result.label)
+                        );
+                    });
+
+                    if (response.results && response.results.length) {
+                        $select.val('map:' + response.results[0].id).trigger('change');
+                    } else {
+                        $results.append(
+                            $('<option disabled></option>').text(ImportersAdmin.i18n.valueNoResults)
+                        );
+                    }
+                },
+                error: function (xhr) {
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred, 'error');
+                }
+            });
+        },
+
+        /**
+         * Download the original rows that failed a dry run or import.
+         *
+         * @param {string} type 'dry_run' or 'import'
+         */
+        downloadErrorReport: function (type) {
+            const self = this;
+
+            if (!this.fileData) return;
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'errors/' + ImportersAdmin.pageId + '/' + this.fileData.uuid,
+                method: 'GET',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                data: {type: type},
+                success: function (response) {
+                    if (response.success && response.csv) {
+                        ImportersManager.saveCsv(response.csv, response.filename);
+                    }
+                },
+                error: function (xhr) {
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred, 'error');
+                }
+            });
+        },
+
+        /* =================================================================
+           Import Processing
+           ================================================================= */
+
+        /**
+         * Start the import process.
+         */
+        startImport: function () {
+            const self = this;
+
+            this.hideResumeNotice();
+            this.prepareProgress();
+
+            this.addLogEntry(ImportersAdmin.i18n.startingImport, 'info');
+
+            // Start import
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'import/start',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                contentType: 'application/json',
+                data: JSON.stringify($.extend({
+                    page_id: ImportersAdmin.pageId,
+                    operation_id: this.operationId,
+                    file_uuid: this.fileData.uuid,
+                    field_map: this.fieldMap
+                }, this.getImportSettings())),
+                success: function (response) {
+                    if (response.success) {
+                        self.totalItems = response.total_items;
+                        self.batchSize = response.batch_size;
+                        self.addLogEntry(
+                            ImportersAdmin.i18n.processingRows.replace('%d', response.total_items),
+                            'info'
+                        );
+
+                        if (response.background) {
+                            self.addLogEntry(ImportersAdmin.i18n.importQueued, 'info');
+                            self.isBackground = true;
+                            self.jobErrorCount = 0;
+                            self.pollStatus();
+                        } else {
+                            self.startBatches(0, self.getImportSettings());
+                        }
+                    }
+                },
+                error: function (xhr) {
+                    const msg = xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred;
+                    self.addLogEntry(ImportersAdmin.i18n.failedToStart + ' ' + msg, 'error');
+                    self.completeImport('error');
+                }
+            });
+        },
+
+        /**
+         * Reset the progress step for a new or resumed run.
+         */
+        prepareProgress: function () {
+            this.isProcessing = true;
+            this.isCancelled = false;
+
+            this.$cancelBtn.show();
+            this.$logEntries.empty();
+            this.$completeSummary.hide();
+            this.$undoBtn.hide().prop('disabled', false);
+            this.$rollbackProgress.hide();
+            this.$progressFill.css('width', '0%').removeClass('complete error');
+            this.$progressStatus.text(ImportersAdmin.i18n.startingImport);
+            this.$progressPercent.text('0%');
+
+            // Reset stats display
+            this.$card.find('.importers-stat-created').text('0');
+            this.$card.find('.importers-stat-updated').text('0');
+            this.$card.find('.importers-stat-skipped').text('0');
+            this.$card.find('.importers-stat-failed').text('0');
+        },
+
+        /**
+         * Start sending import batches from an offset.
+         *
+         * Order-independent operations keep several batches in flight at
+         * once; others send one at a time. A row limit needs rows taken in
+         * order, so runs with one are never parallel.
+         *
+         * @param {number} offset
+         * @param {object} settings Run settings.
+         */
+        startBatches: function (offset, settings) {
+            const op = ImportersAdmin.operations[this.operationId] || {};
+            const filters = settings.filters || {};
+
+            this.batches = {
+                next: Math.max(offset, filters.skip || 0),
+                gaps: [],
+                active: 0,
+                done: false,
+                failed: false,
+                size: op.batchSize || 100,
+                parallel: filters.limit ? 1 : (op.parallelBatches || 1),
+                delay: op.batchDelay || 0,
+                processed: 0
+            };
+
+            this.setPaused(false);
+            this.$pauseBtn.show();
+            this.fillBatches();
+        },
+
+        /**
+         * Send batches until the parallel limit is reached.
+         *
+         * Rows a batch did not reach are sent again before new rows. Nothing
+         * is sent while paused. The run completes once the last batch in
+         * flight returns and no rows are left.
+         */
+        fillBatches: function () {
+            const batches = this.batches;
+
+            if (this.isCancelled) return;
+
+            while (batches.active < batches.parallel && !batches.failed && !this.isPaused) {
+                let offset, end, attempt = 0;
+
+                if (batches.gaps.length) {
+                    const gap = batches.gaps.shift();
+                    offset = gap.offset;
+                    end = Math.min(gap.end, offset + batches.size);
+                    attempt = gap.attempt || 0;
+
+                    if (end < gap.end) {
+                        batches.gaps.unshift({offset: end, end: gap.end});
+                    }
+                } else if (!batches.done) {
+                    offset = batches.next;
+                    end = offset + batches.size;
+                    batches.next = end;
+                } else {
+                    break;
+                }
+
+                batches.active++;
+                this.processBatch(offset, end - offset, attempt);
+            }
+
+            if (batches.active) return;
+
+            if (batches.failed || (batches.done && !batches.gaps.length)) {
+                this.completeImport(batches.failed ? 'error' : 'complete');
+            } else if (this.isPaused) {
+                this.$progressStatus.text(ImportersAdmin.i18n.paused);
+            }
+        },
+
+        /**
+         * Send the next batches once a batch has returned, after the
+         * operation's batch_delay.
+         */
+        continueBatches: function () {
+            const self = this;
+
+            if (this.batches.delay && !this.batches.failed) {
+                setTimeout(function () {
+                    self.fillBatches();
+                }, this.batches.delay);
+                return;
+            }
+
+            this.fillBatches();
+        },
+
+        /**
+         * Pause or resume sending batches.
+         *
+         * Batches already sent finish while paused.
+         */
+        togglePause: function () {
+            if (!this.isProcessing || this.isBackground) return;
+
+            this.setPaused(!this.isPaused);
+            this.addLogEntry(this.isPaused ? ImportersAdmin.i18n.importPaused : ImportersAdmin.i18n.importResumed, 'info');
+
+            if (!this.isPaused) {
+                this.fillBatches();
+            } else if (!this.batches.active) {
+                this.$progressStatus.text(ImportersAdmin.i18n.paused);
+            }
+        },
+
+        /**
+         * Set the paused state and its button.
+         *
+         * @param {boolean} paused
+         */
+        setPaused: function (paused) {
+            this.isPaused = paused;
+            this.$pauseBtn.find('.dashicons')
+                .toggleClass('dashicons-controls-pause', !paused)
+                .toggleClass('dashicons-controls-play', paused);
+            this.$pauseBtn.find('.button-text').text(paused ? ImportersAdmin.i18n.resume : ImportersAdmin.i18n.pause);
+        },
+
+        /**
+         * Process a batch of rows.
+         *
+         * Batches that fail with a network or server error are sent again
+         * after a growing delay. A retry of a batch the server did commit
+         * is refused as already committed, so its rows are never counted
+         * twice.
+         *
+         * @param {number} offset
+         * @param {number} size
+         * @param {number} [attempt] Retries already made.
+         */
+        processBatch: function (offset, size, attempt) {
+            const self = this;
+            const batches = this.batches;
+            const sent = Date.now();
+
+            attempt = attempt || 0;
+
+            if (this.isCancelled) return;
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'import/batch',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    page_id: ImportersAdmin.pageId,
+                    operation_id: this.operationId,
+                    file_uuid: this.fileData.uuid,
+                    offset: offset,
+                    field_map: this.fieldMap,
+                    batch_size: size
+                }),
+                success: function (response) {
+                    if (self.isCancelled) return;
+
+                    batches.active--;
+
+                    if (response.success) {
+                        // Batches can return out of order, so totals only move forward
+                        if (response.total_processed >= batches.processed) {
+                            batches.processed = response.total_processed;
+                            self.updateProgress(response);
+                            self.updateStats(response);
+                        }
+
+                        self.logErrors(response.errors);
+
+                        if (!response.has_more) {
+                            batches.done = true;
+                            batches.gaps = batches.gaps.filter(function (gap) {
+                                return gap.offset < response.offset;
+                            });
+                        } else if (response.offset < offset + size) {
+                            // Stopped short of rows another batch committed
+                            batches.gaps.push({offset: response.offset, end: offset + size});
+                        }
+
+                        self.adjustBatchSize(response, size, Date.now() - sent);
+                    }
+
+                    self.continueBatches();
+                },
+                error: function (xhr) {
+                    if (self.isCancelled) return;
+
+                    batches.active--;
+
+                    // Rows already committed by the server — continue after them
+                    if (xhr.responseJSON?.code === 'offset_committed' && xhr.responseJSON.data?.offset > offset) {
+                        const committed = xhr.responseJSON.data.offset;
+
+                        if (committed < offset + size) {
+                            batches.gaps.push({offset: committed, end: offset + size});
+                        } else if (committed > batches.next) {
+                            batches.next = committed;
+                        }
+
+                        self.continueBatches();
+                        return;
+                    }
+
+                    // Dropped connections, rate limits, gateway errors and rows another request still holds
+                    // are usually temporary. A 500 is not: the batch may have written rows before failing.
+                    if (self.isRetryable(xhr) && attempt < ImportersManager.BATCH_RETRIES) {
+                        self.retryBatch(offset, size, attempt + 1, xhr);
+                        return;
+                    }
+
+                    const msg = xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred;
+                    self.addLogEntry(ImportersAdmin.i18n.batchFailed + ' ' + msg, 'error');
+                    batches.failed = true;
+                    self.fillBatches();
+                }
+            });
+        },
+
+        /**
+         * Check whether a failed batch can safely be sent again.
+         *
+         * @param   {object} xhr The failed request.
+         * @returns {boolean}
+         */
+        isRetryable: function (xhr) {
+            if (xhr.status === 409) {
+                return xhr.responseJSON?.code === 'batch_in_progress';
+            }
+
+            return [0, 429, 502, 503, 504].indexOf(xhr.status) !== -1;
+        },
+
+        /**
+         * Send a failed batch again after a delay.
+         *
+         * The batch keeps its place in the parallel limit while it waits,
+         * then goes back to the front of the queue.
+         *
+         * @param {number} offset
+         * @param {number} size
+         * @param {number} attempt The retry about to be made.
+         * @param {object} xhr     The failed request.
+         */
+        retryBatch: function (offset, size, attempt, xhr) {
+            const self = this;
+            const batches = this.batches;
+            const delay = ImportersManager.BATCH_RETRY_DELAY * Math.pow(2, attempt - 1);
+            const reason = xhr.status ? (xhr.status + ' ' + (xhr.statusText || '')).trim() : ImportersAdmin.i18n.connectionError;
+
+            batches.active++;
+
+            this.addLogEntry(ImportersAdmin.i18n.batchRetrying
+                .replace('%1$d', offset + 1)
+                .replace('%2$s', reason)
+                .replace('%3$d', Math.round(delay / 1000))
+                .replace('%4$d', attempt)
+                .replace('%5$d', ImportersManager.BATCH_RETRIES), 'warning');
+
+            setTimeout(function () {
+                if (self.isCancelled) return;
+
+                batches.active--;
+                batches.gaps.unshift({offset: offset, end: offset + size, attempt: attempt});
+                self.fillBatches();
+            }, delay);
+        },
+
+        /**
+         * Resize the next batches from how long a batch took.
+         *
+         * Aims for batches of BATCH_TARGET_TIME, or half the server's time
+         * limit if that is shorter, at most doubling at a time. Batches are
+         * halved when the server is low on memory.
+         *
+         * @param {object} response Batch response.
+         * @param {number} size     Rows the batch asked for.
+         * @param {number} elapsed  Milliseconds the request took.
+         */
+        adjustBatchSize: function (response, size, elapsed) {
+            const op = ImportersAdmin.operations[this.operationId] || {};
+            const batches = this.batches;
+            const headroom = response.headroom || {};
+
+            // Short batches at the end of the file say little about speed
+            if (!op.adaptiveBatchSize || !response.count || response.count < size) return;
+
+            let target = ImportersManager.BATCH_TARGET_TIME;
+
+            if (headroom.time !== null && headroom.time !== undefined) {
+                target = Math.min(target, (headroom.time + (response.duration || 0)) * 500);
+            }
+
+            let next = Math.floor(target / (elapsed / response.count));
+
+            if (headroom.memory !== undefined && headroom.memory < 0.25) {
+                next = Math.floor(batches.size / 2);
+            }
+
+            batches.size = Math.max(1, Math.min(next, batches.size * 2, op.maxBatchSize || batches.size));
+        },
+
+        /**
+         * Add row errors to the activity log.
+         *
+         * @param {Array} errors
+         */
+        logErrors: function (errors) {
+            const self = this;
+
+            (errors || []).forEach(function (err) {
+                let msg = '';
+                if (err.row) msg += ImportersAdmin.i18n.rowError.replace('%d', err.row) + ' ';
+                if (err.item) msg += err.item + ' — ';
+                msg += err.message;
+                self.addLogEntry(msg, 'error');
+            });
+        },
+
+        /**
+         * Update progress bar.
+         *
+         * @param {object} response
+         */
+        updateProgress: function (response) {
+            const pct = response.percentage || 0;
+
+            this.$progressFill.css('width', pct + '%');
+            this.$progressPercent.text(pct + '%');
+            this.$progressStatus.text(
+                response.total_processed + ' / ' + response.total_items
+            );
+        },
+
+        /**
+         * Update live stats display.
+         *
+         * @param {object} response
+         */
+        updateStats: function (response) {
+            const stats = response.stats || {};
+
+            this.$card.find('.importers-stat-created').text(stats.created || 0);
+            this.$card.find('.importers-stat-updated').text(stats.updated || 0);
+            this.$card.find('.importers-stat-skipped').text(stats.skipped || 0);
+            this.$card.find('.importers-stat-failed').text(stats.failed || 0);
+        },
+
+        /**
+         * Complete the import process.
+         *
+         * Background jobs are completed by the server, so their result is
+         * passed in instead of being requested.
+         *
+         * @param {string} status   'complete', 'cancelled', or 'error'
+         * @param {object} [result] Final result of a background job
+         */
+        completeImport: function (status, result) {
+            const self = this;
+            this.isProcessing = false;
+            this.isBackground = false;
+            this.isPaused = false;
+
+            this.$cancelBtn.hide();
+            this.$pauseBtn.hide();
+            this.$progressFill.addClass(status === 'error' ? 'error' : 'complete');
+            this.$progressFill.css('width', '100%');
+            this.$progressPercent.text('100%');
+
+            if (status === 'complete') {
+                this.addLogEntry(ImportersAdmin.i18n.importCompleteMsg, 'success');
+            }
+
+            if (result) {
+                this.showResult(result, status);
+            } else {
+                this.notifyComplete(status);
+            }
+
+            // Show "Run Another" button
+            this.$nextBtn.show().prop('disabled', false)
+                .find('.button-text').text(ImportersAdmin.i18n.runAnother);
+            this.$nextBtn.off('click').on('click', function () {
+                self.resetToStep1();
+            });
+        },
+
+        /**
+         * Tell the server the run has finished and show its result.
+         *
+         * @param {string} status
+         */
+        notifyComplete: function (status) {
+            const self = this;
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'complete',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    page_id: ImportersAdmin.pageId,
+                    operation_id: this.operationId,
+                    status: status,
+                    file_uuid: this.fileData ? this.fileData.uuid : null
+                }),
+                success: function (response) {
+                    self.showResult(response, status);
+                }
+            });
+        },
+
+        /**
+         * Show the final stats, failed rows report and undo action.
+         *
+         * @param {object} result Response with stats, error_report and rollback
+         * @param {string} status
+         */
+        showResult: function (result, status) {
+            this.showCompleteSummary(result.stats || {}, status);
+            this.showErrorReportButton(result.error_report || 0);
+
+            this.runId = result.stats?.run_id || null;
+            this.$undoBtn.toggle(!!this.runId && result.rollback > 0);
+
+            if (this.$historyPanel.is(':visible')) {
+                this.loadHistory(1);
+            }
+        },
+
+        /**
+         * Show the completion summary overlay.
+         *
+         * @param {object} stats
+         * @param {string} status
+         */
+        showCompleteSummary: function (stats, status) {
+            this.$completeSummary.show();
+
+            // Update progress bar colour based on actual results
+            if (stats.failed > 0 && (stats.created || 0) === 0 && (stats.updated || 0) === 0) {
+                // All failed — show error state
+                this.$progressFill.removeClass('complete').addClass('error');
+                this.$completeSummary.addClass('has-errors');
+            } else if (stats.failed > 0) {
+                // Partial failure — warning state
+                this.$completeSummary.addClass('has-errors');
+            }
+
+            // Show errors table
+            if (stats.errors && stats.errors.length) {
+                const $errorsSection = this.$completeSummary.find('.importers-complete-errors');
+                const $tbody = $errorsSection.find('tbody');
+                $tbody.empty();
+
+                stats.errors.forEach(function (err) {
+                    $tbody.append(
+                        '<tr>' +
+                        '<td>' + (err.row || '—') + '</td>' +
+                        '<td>' + this.escHtml(err.item || '—') + '</td>' +
+                        '<td>' + this.escHtml(err.message) + '</td>' +
+                        '</tr>'
+                    );
+                }.bind(this));
+
+                $errorsSection.show();
+            }
+        },
+
+        /**
+         * Show the failed rows download in the completion summary.
+         *
+         * @param {number} count Number of failed rows in the report.
+         */
+        showErrorReportButton: function (count) {
+            const $button = this.$completeSummary.find('.importers-download-errors');
+
+            $button.find('.button-text').text(ImportersAdmin.i18n.downloadFailedRows.replace('%d', count));
+            $button.toggle(count > 0);
+        },
+
+        /**
+         * Handle cancel request.
+         */
+        handleCancel: function () {
+            if (!confirm(ImportersAdmin.i18n.confirmCancel)) return;
+
+            if (this.isBackground) {
+                this.cancelBackgroundJob();
+                return;
+            }
+
+            this.isCancelled = true;
+            this.addLogEntry(ImportersAdmin.i18n.operationCancelled, 'info');
+            this.completeImport('cancelled');
+        },
+
+        /* =================================================================
+           Background Imports
+           ================================================================= */
+
+        /**
+         * Show the progress of a background import already in progress.
+         */
+        attachBackgroundJob: function () {
+            this.hideResumeNotice();
+            this.isProcessing = true;
+            this.goToStep(3);
+            this.prepareProgress();
+
+            this.isBackground = true;
+            this.jobErrorCount = 0;
+            this.addLogEntry(ImportersAdmin.i18n.importQueued, 'info');
+            this.pollStatus();
+        },
+
+        /**
+         * Poll the background job and mirror its progress.
+         */
+        pollStatus: function () {
+            const self = this;
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'import/status/' + ImportersAdmin.pageId + '/' + this.operationId,
+                method: 'GET',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                data: {since: this.jobErrorCount},
+                success: function (response) {
+                    if (!response.success) return;
+
+                    self.updateProgress(response);
+                    self.updateStats(response);
+                    self.logErrors(response.errors);
+                    self.jobErrorCount = response.error_count;
+
+                    if (response.status === 'queued' || response.status === 'running') {
+                        self.pollTimer = setTimeout(function () {
+                            self.pollStatus();
+                        }, ImportersManager.POLL_INTERVAL);
+                        return;
+                    }
+
+                    if (response.status === 'complete') {
+                        self.addLogEntry(ImportersAdmin.i18n.importCompleteMsg, 'success');
+                    } else if (response.status === 'cancelled') {
+                        self.addLogEntry(ImportersAdmin.i18n.operationCancelled, 'info');
+                    }
+
+                    self.completeImport(response.status, response.result || {});
+                },
+                error: function (xhr) {
+                    const msg = xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred;
+
+                    // The job is gone; anything else may be transient
+                    if (xhr.status === 404) {
+                        self.addLogEntry(msg, 'error');
+                        self.completeImport('error', {});
+                        return;
+                    }
+
+                    self.pollTimer = setTimeout(function () {
+                        self.pollStatus();
+                    }, ImportersManager.POLL_INTERVAL);
+                }
+            });
+        },
+
+        /**
+         * Ask the server to stop the background job.
+         */
+        cancelBackgroundJob: function () {
+            const self = this;
+
+            this.$cancelBtn.prop('disabled', true);
+            this.addLogEntry(ImportersAdmin.i18n.cancellingImport, 'info');
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'import/cancel',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    page_id: ImportersAdmin.pageId,
+                    operation_id: this.operationId
+                }),
+                complete: function () {
+                    self.$cancelBtn.prop('disabled', false);
+                }
+            });
+        },
+
+        /* =================================================================
+           Rollback
+           ================================================================= */
+
+        /**
+         * Undo the completed run after confirmation.
+         */
+        undoImport: function () {
+            if (!this.runId || !confirm(ImportersAdmin.i18n.confirmUndo)) return;
+
+            this.rollbackTotals = {deleted: 0, restored: 0, failed: 0};
+            this.isProcessing = true;
+
+            this.$undoBtn.prop('disabled', true);
+            this.$nextBtn.prop('disabled', true);
+            this.$rollbackProgress.show();
+            this.$rollbackProgress.find('.importers-rollback-fill').css('width', '0%').removeClass('complete error');
+            this.$rollbackProgress.find('.importers-rollback-status').text(ImportersAdmin.i18n.undoingImport);
+
+            this.addLogEntry(ImportersAdmin.i18n.undoingImport, 'info');
+            this.processRollback();
+        },
+
+        /**
+         * Roll back the next batch of the run.
+         */
+        processRollback: function () {
+            const self = this;
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'rollback',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    page_id: ImportersAdmin.pageId,
+                    operation_id: this.operationId,
+                    run_id: this.runId
+                }),
+                success: function (response) {
+                    if (!response.success) return;
+
+                    const totals = self.rollbackTotals;
+                    totals.deleted += response.deleted;
+                    totals.restored += response.restored;
+                    totals.failed += response.failed;
+
+                    response.errors.forEach(function (err) {
+                        self.addLogEntry(err.item + ' — ' + err.message, 'error');
+                    });
+
+                    self.$rollbackProgress.find('.importers-rollback-fill').css('width', response.percentage + '%');
+                    self.$rollbackProgress.find('.importers-rollback-status').text(
+                        (totals.deleted + totals.restored + totals.failed) + ' / ' + response.total
+                    );
+
+                    if (response.has_more) {
+                        self.processRollback();
+                    } else {
+                        self.finishRollback(true);
+                    }
+                },
+                error: function (xhr) {
+                    const msg = xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred;
+                    self.addLogEntry(ImportersAdmin.i18n.undoFailed + ' ' + msg, 'error');
+                    self.finishRollback(false);
+                }
+            });
+        },
+
+        /**
+         * Finish the rollback and report the totals.
+         *
+         * @param {boolean} success Whether every batch was processed.
+         */
+        finishRollback: function (success) {
+            const totals = this.rollbackTotals;
+
+            this.isProcessing = false;
+            this.$nextBtn.prop('disabled', false);
+            this.$rollbackProgress.find('.importers-rollback-fill')
+                .addClass(success && totals.failed === 0 ? 'complete' : 'error');
+
+            if (success) {
+                const msg = ImportersAdmin.i18n.undoComplete
+                    .replace('%1$d', totals.deleted)
+                    .replace('%2$d', totals.restored)
+                    .replace('%3$d', totals.failed);
+
+                this.$undoBtn.hide();
+                this.$rollbackProgress.find('.importers-rollback-status').text(msg);
+                this.addLogEntry(msg, totals.failed ? 'error' : 'success');
+            } else {
+                // Undone entries are removed server-side, so retrying continues where it stopped
+                this.$undoBtn.prop('disabled', false);
+            }
+
+            if (this.$historyPanel.is(':visible')) {
+                this.loadHistory(1);
+            }
+        },
+
+        /* =================================================================
+           Schedule
+           ================================================================= */
+
+        /**
+         * Show or hide the schedule panel.
+         */
+        toggleSchedule: function () {
+            if (this.$schedulePanel.is(':visible')) {
+                this.$schedulePanel.slideUp(150);
+                return;
+            }
+
+            this.loadSchedulePresets();
+            this.updateScheduleSource();
+            this.$schedulePanel.slideDown(150);
+        },
+
+        /**
+         * Refresh the schedule's preset choices, keeping the selection.
+         */
+        loadSchedulePresets: function () {
+            const self = this;
+            const $select = this.$schedulePanel.find('.importers-schedule-preset');
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'presets/' + ImportersAdmin.pageId + '/' + this.operationId,
+                method: 'GET',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                success: function (response) {
+                    if (!response.success) return;
+
+                    const selected = $select.val();
+
+                    $select.find('option:not(:first)').remove();
+                    (response.presets || []).forEach(function (preset) {
+                        $select.append(
+                            '<option value="' + self.escHtml(preset.id) + '">' + self.escHtml(preset.name) + '</option>'
+                        );
+                    });
+
+                    if ($select.find('option').filter(function () {
+                        return this.value === selected;
+                    }).length) {
+                        $select.val(selected);
+                    }
+                }
+            });
+        },
+
+        /**
+         * Show the field for the chosen schedule source.
+         */
+        updateScheduleSource: function () {
+            const source = this.$schedulePanel.find('.importers-schedule-source').val();
+
+            this.$schedulePanel.find('.importers-schedule-source-field').each(function () {
+                $(this).toggle($(this).data('source') === source);
+            });
+        },
+
+        /**
+         * Collect the schedule form values.
+         *
+         * @returns {object}
+         */
+        getScheduleData: function () {
+            const $panel = this.$schedulePanel;
+            const $file = $panel.find('.importers-schedule-file option:selected');
+            const data = {
+                page_id: ImportersAdmin.pageId,
+                operation_id: this.operationId,
+                enabled: $panel.find('.importers-schedule-enabled').is(':checked'),
+                interval: $panel.find('.importers-schedule-interval').val(),
+                time: $panel.find('.importers-schedule-time').val() || '',
+                source: $panel.find('.importers-schedule-source').val(),
+                url: $panel.find('.importers-schedule-url').val() || '',
+                directory: $file.length ? parseInt($file.data('directory'), 10) : 0,
+                file: $file.length ? $file.val() : '',
+                preset_id: $panel.find('.importers-schedule-preset').val(),
+                email: $panel.find('.importers-schedule-email').val() || ''
+            };
+
+            if ($panel.find('.importers-schedule-mode').length) {
+                data.mode = $panel.find('.importers-schedule-mode').val();
+                data.match_key = $panel.find('.importers-schedule-match-key').val();
+            }
+
+            return data;
+        },
+
+        /**
+         * Save the schedule.
+         */
+        saveSchedule: function () {
+            const self = this;
+            const data = this.getScheduleData();
+
+            if (!data.preset_id) {
+                this.showNotice(ImportersAdmin.i18n.schedulePreset, 'error');
+                return;
+            }
+
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'schedule',
+                method: 'POST',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                contentType: 'application/json',
+                data: JSON.stringify(data),
+                success: function (response) {
+                    if (!response.success) return;
 
-            // Rows
-            preview.rows.forEach(function (row) {
-                let tr = '<tr>';
-                row.forEach(function (cell) {
-                    tr += '<td>' + this.escHtml(cell || '') + '</td>';
-                }.bind(this));
-                tr += '</tr>';
-                $tbody.append(tr);
-            }.bind(this));
+                    self.$schedulePanel.find('.importers-schedule-summary').text(response.summary);
+                    self.$schedulePanel.find('.importers-schedule-run').prop('disabled', false);
+                    self.$schedulePanel.find('.importers-schedule-delete').show();
+                    self.showNotice(ImportersAdmin.i18n.scheduleSaved, 'success');
+                },
+                error: function (xhr) {
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred, 'error');
+                }
+            });
         },
 
-        /* =================================================================
-           Dry Run
-           ================================================================= */
-
         /**
-         * Run a dry run (validate without importing).
+         * Run the saved schedule now and follow it as a background import.
          */
-        runDryRun: function () {
+        runSchedule: function () {
             const self = this;
 
-            if (!this.validateMapping()) return;
-
-            this.$dryRunBtn.prop('disabled', true)
-                .find('.button-text').text(ImportersAdmin.i18n.dryRunning);
+            if (this.isProcessing) {
+                this.showNotice(ImportersAdmin.i18n.scheduleBusy, 'error');
+                return;
+            }
 
-            // Remove previous results
-            this.$card.find('.importers-dry-run-results').remove();
+            const $button = this.$schedulePanel.find('.importers-schedule-run').prop('disabled', true);
 
             $.ajax({
-                url: ImportersAdmin.restUrl + 'dry-run',
+                url: ImportersAdmin.restUrl + 'schedule/run',
                 method: 'POST',
                 headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
                 contentType: 'application/json',
                 data: JSON.stringify({
                     page_id: ImportersAdmin.pageId,
-                    operation_id: this.operationId,
-                    file_uuid: this.fileData.uuid,
-                    field_map: this.fieldMap
+                    operation_id: this.operationId
                 }),
                 success: function (response) {
-                    self.showDryRunResults(response);
+                    if (!response.success) return;
+
+                    self.$schedulePanel.find('.importers-schedule-summary').text(response.summary);
+                    self.$schedulePanel.slideUp(150);
+                    self.attachBackgroundJob();
                 },
                 error: function (xhr) {
-                    const msg = xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred;
-                    self.showDryRunResults({success: false, error_count: 1, errors: [{message: msg}]});
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred, 'error');
                 },
                 complete: function () {
-                    self.$dryRunBtn.prop('disabled', false)
-                        .find('.button-text').text(ImportersAdmin.i18n.dryRun);
+                    $button.prop('disabled', false);
                 }
             });
         },
 
         /**
-         * Display dry run results.
-         *
-         * @param {object} response
+         * Delete the saved schedule.
          */
-        showDryRunResults: function (response) {
-            const hasErrors = response.error_count > 0;
-            const cls = hasErrors ? 'has-errors' : 'success';
-
-            let html = '<div class="importers-dry-run-results ' + cls + '">';
-            html += '<strong>';
-            html += ImportersAdmin.i18n.dryRunComplete
-                .replace('%d', response.valid_rows || 0)
-                .replace('%d', response.error_count || 0)
-                .replace('%d', response.total_rows || 0);
-            html += '</strong>';
-
-            if (hasErrors && response.errors && response.errors.length) {
-                html += '<ul class="importers-dry-run-errors">';
-                response.errors.forEach(function (err) {
-                    html += '<li>';
-                    if (err.row) html += '<strong>Row ' + err.row + ':</strong> ';
-                    if (err.item) html += err.item + ' — ';
-                    html += err.message;
-                    html += '</li>';
-                });
-                html += '</ul>';
-            }
+        deleteSchedule: function () {
+            const self = this;
 
-            html += '</div>';
+            if (!confirm(ImportersAdmin.i18n.confirmDeleteSchedule)) return;
 
-            this.$mappingGrid.after(html);
+            $.ajax({
+                url: ImportersAdmin.restUrl + 'schedule/' + ImportersAdmin.pageId + '/' + this.operationId,
+                method: 'DELETE',
+                headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
+                success: function (response) {
+                    self.$schedulePanel.find('.importers-schedule-summary').text(response.summary);
+                    self.$schedulePanel.find('.importers-schedule-run').prop('disabled', true);
+                    self.$schedulePanel.find('.importers-schedule-delete').hide();
+                },
+                error: function (xhr) {
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred, 'error');
+                }
+            });
         },
 
         /* =================================================================
-           Import Processing
+           History
            ================================================================= */
 
         /**
-         * Start the import process.
+         * Show or hide the run history panel.
          */
-        startImport: function () {
-            const self = this;
-
-            this.isProcessing = true;
-            this.isCancelled = false;
-
-            this.$cancelBtn.show();
-            this.$logEntries.empty();
-            this.$completeSummary.hide();
-            this.$progressFill.css('width', '0%').removeClass('complete error');
-            this.$progressStatus.text(ImportersAdmin.i18n.startingImport);
-            this.$progressPercent.text('0%');
+        toggleHistory: function () {
+            if (this.$historyPanel.is(':visible')) {
+                this.$historyPanel.slideUp(150);
+                return;
+            }
 
-            // Reset stats display
-            this.$card.find('.importers-stat-created').text('0');
-            this.$card.find('.importers-stat-updated').text('0');
-            this.$card.find('.importers-stat-skipped').text('0');
-            this.$card.find('.importers-stat-failed').text('0');
+            this.loadHistory(1);
+            this.$historyPanel.slideDown(150);
+        },
 
-            this.addLogEntry(ImportersAdmin.i18n.startingImport, 'info');
+        /**
+         * Load a page of past runs.
+         *
+         * @param {number} page
+         */
+        loadHistory: function (page) {
+            const self = this;
 
-            // Start import
             $.ajax({
-                url: ImportersAdmin.restUrl + 'import/start',
-                method: 'POST',
+                url: ImportersAdmin.restUrl + 'history/' + ImportersAdmin.pageId + '/' + this.operationId,
+                method: 'GET',
                 headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
-                contentType: 'application/json',
-                data: JSON.stringify({
-                    page_id: ImportersAdmin.pageId,
-                    operation_id: this.operationId,
-                    file_uuid: this.fileData.uuid,
-                    field_map: this.fieldMap
-                }),
+                data: {page: page},
                 success: function (response) {
                     if (response.success) {
-                        self.totalItems = response.total_items;
-                        self.batchSize = response.batch_size;
-                        self.addLogEntry(
-                            ImportersAdmin.i18n.processingRows.replace('%d', response.total_items),
-                            'info'
-                        );
-                        self.processBatch(0);
+                        self.historyPage = page;
+                        self.renderHistory(response);
                     }
                 },
                 error: function (xhr) {
-                    const msg = xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred;
-                    self.addLogEntry(ImportersAdmin.i18n.failedToStart + ' ' + msg, 'error');
-                    self.completeImport('error');
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred, 'error');
                 }
             });
         },
 
         /**
-         * Process a batch of rows.
+         * Render the run history table.
          *
-         * @param {number} offset
+         * @param {object} response
          */
-        processBatch: function (offset) {
+        renderHistory: function (response) {
             const self = this;
+            const $tbody = this.$historyPanel.find('tbody').empty();
+            const statuses = {
+                running: ImportersAdmin.i18n.statusRunning,
+                complete: ImportersAdmin.i18n.statusComplete,
+                cancelled: ImportersAdmin.i18n.statusCancelled,
+                error: ImportersAdmin.i18n.statusError,
+                rolled_back: ImportersAdmin.i18n.statusRolledBack
+            };
+
+            response.runs.forEach(function (run) {
+                const $row = $('<tr></tr>').data('run', run);
+
+                $row.append('<td>' + self.escHtml(self.formatDate(run.started_at)) + '</td>');
+                $row.append('<td>' + (self.escHtml(run.user_name) || '—') + '</td>');
+                $row.append('<td>' + (self.escHtml(run.source_file) || '—') + '</td>');
+                $row.append(
+                    '<td><span class="importers-history-status status-' + self.escHtml(run.status) + '">' +
+                    self.escHtml(statuses[run.status] || run.status) + '</span></td>'
+                );
+                $row.append('<td>' + run.created + '</td>');
+                $row.append('<td>' + run.updated + '</td>');
+                $row.append('<td>' + run.skipped + '</td>');
+                $row.append('<td>' + run.failed + '</td>');
+                $row.append(
+                    '<td>' + (run.error_count > 0
+                        ? '<button type="button" class="button-link importers-history-errors">' +
+                        ImportersAdmin.i18n.viewErrors + '</button>'
+                        : '') + '</td>'
+                );
 
-            if (this.isCancelled) return;
+                $tbody.append($row);
+            });
+
+            this.$historyPanel.find('.importers-history-table-wrap').toggle(response.total > 0);
+            this.$historyPanel.find('.importers-history-empty').toggle(response.total === 0);
+
+            const $pagination = this.$historyPanel.find('.importers-history-pagination');
+            $pagination.toggle(response.pages > 1);
+            $pagination.find('.importers-history-page').text(
+                ImportersAdmin.i18n.historyPage
+                    .replace('%1$d', this.historyPage)
+                    .replace('%2$d', response.pages)
+            );
+            $pagination.find('.importers-history-prev').prop('disabled', this.historyPage <= 1);
+            $pagination.find('.importers-history-next').prop('disabled', this.historyPage >= response.pages);
+        },
+
+        /**
+         * Show or hide the error list beneath a history row.
+         *
+         * @param {jQuery} $row
+         */
+        toggleRunErrors: function ($row) {
+            const self = this;
+            const run = $row.data('run');
+            const $existing = $row.next('.importers-history-errors-row');
+
+            if ($existing.length) {
+                $existing.remove();
+                return;
+            }
 
             $.ajax({
-                url: ImportersAdmin.restUrl + 'import/batch',
-                method: 'POST',
+                url: ImportersAdmin.restUrl + 'history/' + ImportersAdmin.pageId + '/' + this.operationId + '/' + run.id,
+                method: 'GET',
                 headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
-                contentType: 'application/json',
-                data: JSON.stringify({
-                    page_id: ImportersAdmin.pageId,
-                    operation_id: this.operationId,
-                    file_uuid: this.fileData.uuid,
-                    offset: offset,
-                    field_map: this.fieldMap
-                }),
                 success: function (response) {
-                    if (self.isCancelled) return;
-
-                    if (response.success) {
-                        self.updateProgress(response);
-                        self.updateStats(response);
-
-                        // Log errors
-                        if (response.errors && response.errors.length) {
-                            response.errors.forEach(function (err) {
-                                let msg = '';
-                                if (err.row) msg += ImportersAdmin.i18n.rowError.replace('%d', err.row) + ' ';
-                                if (err.item) msg += err.item + ' — ';
-                                msg += err.message;
-                                self.addLogEntry(msg, 'error');
-                            });
-                        }
-
-                        if (response.has_more) {
-                            self.processBatch(response.offset);
-                        } else {
-                            self.completeImport('complete');
-                        }
+                    if (!response.success) return;
+
+                    let html = '<tr class="importers-history-errors-row"><td colspan="9"><ul>';
+                    response.errors.forEach(function (err) {
+                        html += '<li>';
+                        if (err.row) html += '<strong>Row ' + err.row + ':</strong> ';
+                        if (err.item) html += self.escHtml(String(err.item)) + ' — ';
+                        html += self.escHtml(err.message);
+                        html += '</li>';
+                    });
+                    html += '</ul>';
+
+                    if (response.run.error_count > response.errors.length) {
+                        html += '<p>' + ImportersAdmin.i18n.errorsTruncated
+                            .replace('%1$d', response.errors.length)
+                            .replace('%2$d', response.run.error_count) + '</p>';
                     }
+
+                    html += '</td></tr>';
+                    $row.after(html);
                 },
                 error: function (xhr) {
-                    if (self.isCancelled) return;
-
-                    const msg = xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred;
-                    self.addLogEntry(ImportersAdmin.i18n.batchFailed + ' ' + msg, 'error');
-                    self.completeImport('error');
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred, 'error');
                 }
             });
         },
 
         /**
-         * Update progress bar.
+         * Format a GMT MySQL datetime in the browser's locale.
          *
-         * @param {object} response
+         * @param   {string|null} value
+         * @returns {string}
          */
-        updateProgress: function (response) {
-            const pct = response.percentage || 0;
-
-            this.$progressFill.css('width', pct + '%');
-            this.$progressPercent.text(pct + '%');
-            this.$progressStatus.text(
-                response.total_processed + ' / ' + response.total_items
-            );
+        formatDate: function (value) {
+            if (!value) return '';
+            return new Date(value.replace(' ', 'T') + 'Z').toLocaleString();
         },
 
+        /* =================================================================
+           Export
+           ================================================================= */
+
         /**
-         * Update live stats display.
+         * Export the operation's existing items as a CSV.
          *
-         * @param {object} response
+         * Pages are requested one after another and joined into a single
+         * file once the last one arrives.
          */
-        updateStats: function (response) {
-            const stats = response.stats || {};
+        exportItems: function () {
+            const $link = this.$card.find('.importers-export');
 
-            this.$card.find('.importers-stat-created').text(stats.created || 0);
-            this.$card.find('.importers-stat-updated').text(stats.updated || 0);
-            this.$card.find('.importers-stat-skipped').text(stats.skipped || 0);
-            this.$card.find('.importers-stat-failed').text(stats.failed || 0);
+            if ($link.hasClass('is-busy')) return;
+
+            $link.addClass('is-busy');
+            this.exportPage(0, []);
         },
 
         /**
-         * Complete the import process.
+         * Request the next page of an export.
          *
-         * @param {string} status 'complete', 'cancelled', or 'error'
+         * @param {number}   offset
+         * @param {string[]} parts  CSV of the pages so far.
          */
-        completeImport: function (status) {
+        exportPage: function (offset, parts) {
             const self = this;
-            this.isProcessing = false;
-
-            this.$cancelBtn.hide();
-            this.$progressFill.addClass(status === 'error' ? 'error' : 'complete');
-            this.$progressFill.css('width', '100%');
-            this.$progressPercent.text('100%');
-
-            if (status === 'complete') {
-                this.addLogEntry(ImportersAdmin.i18n.importCompleteMsg, 'success');
-            }
+            const $link = this.$card.find('.importers-export');
 
-            // Notify server
             $.ajax({
-                url: ImportersAdmin.restUrl + 'complete',
-                method: 'POST',
+                url: ImportersAdmin.restUrl + 'export/' + ImportersAdmin.pageId + '/' + this.operationId,
+                method: 'GET',
                 headers: {'X-WP-Nonce': ImportersAdmin.restNonce},
-                contentType: 'application/json',
-                data: JSON.stringify({
-                    page_id: ImportersAdmin.pageId,
-                    operation_id: this.operationId,
-                    status: status,
-                    file_uuid: this.fileData ? this.fileData.uuid : null
-                }),
+                data: {offset: offset},
                 success: function (response) {
-                    self.showCompleteSummary(response.stats || {}, status);
-                }
-            });
-
-            // Show "Run Another" button
-            this.$nextBtn.show().prop('disabled', false)
-                .find('.button-text').text(ImportersAdmin.i18n.runAnother);
-            this.$nextBtn.off('click').on('click', function () {
-                self.resetToStep1();
-            });
-        },
-
-        /**
-         * Show the completion summary overlay.
-         *
-         * @param {object} stats
-         * @param {string} status
-         */
-        showCompleteSummary: function (stats, status) {
-            this.$completeSummary.show();
-
-            // Update progress bar colour based on actual results
-            if (stats.failed > 0 && (stats.created || 0) === 0 && (stats.updated || 0) === 0) {
-                // All failed — show error state
-                this.$progressFill.removeClass('complete').addClass('error');
-                this.$completeSummary.addClass('has-errors');
-            } else if (stats.failed > 0) {
-                // Partial failure — warning state
-                this.$completeSummary.addClass('has-errors');
-            }
-
-            // Show errors table
-            if (stats.errors && stats.errors.length) {
-                const $errorsSection = this.$completeSummary.find('.importers-complete-errors');
-                const $tbody = $errorsSection.find('tbody');
-                $tbody.empty();
+                    parts.push(response.csv);
 
-                stats.errors.forEach(function (err) {
-                    $tbody.append(
-                        '<tr>' +
-                        '<td>' + (err.row || '—') + '</td>' +
-                        '<td>' + this.escHtml(err.item || '—') + '</td>' +
-                        '<td>' + this.escHtml(err.message) + '</td>' +
-                        '</tr>'
-                    );
-                }.bind(this));
+                    if (response.has_more) {
+                        $link.find('.importers-export-text').text(
+                            ImportersAdmin.i18n.exportProgress.replace('%d', response.offset)
+                        );
+                        self.exportPage(response.offset, parts);
+                        return;
+                    }
 
-                $errorsSection.show();
-            }
+                    ImportersManager.saveCsv(parts.join(''), response.filename);
+                    self.finishExport();
+                },
+                error: function (xhr) {
+                    self.showNotice(xhr.responseJSON?.message || ImportersAdmin.i18n.errorOccurred, 'error');
+                    self.finishExport();
+                }
+            });
         },
 
         /**
-         * Handle cancel request.
+         * Restore the export link after an export ends.
          */
-        handleCancel: function () {
-            if (!confirm(ImportersAdmin.i18n.confirmCancel)) return;
-
-            this.isCancelled = true;
-            this.addLogEntry(ImportersAdmin.i18n.operationCancelled, 'info');
-            this.completeImport('cancelled');
+        finishExport: function () {
+            this.$card.find('.importers-export')
+                .removeClass('is-busy')
+                .find('.importers-export-text').text(ImportersAdmin.i18n.exportLabel);
         },
 
         /* =================================================================
@@ -0,0 +1,527 @@
+<?php
+/**
+ * Background Manager
+ *
+ * Runs imports server-side for operations with the 'background' option.
+ * The job is queued by the import start request and its batches run
+ * through Action Scheduler when available, or WP-Cron otherwise, while
+ * the import card polls for progress.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use WP_Error;
+
+/**
+ * Class BackgroundManager
+ *
+ * One job per operation is stored in a non-autoloaded option. Each
+ * scheduled invocation processes batches for up to TIME_LIMIT seconds and
+ * then schedules the next one, so no single request runs long. Finished
+ * jobs are kept until the next job is queued so the card can read the
+ * final result.
+ */
+class BackgroundManager {
+
+	/**
+	 * Action hook that runs a job's batches.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const HOOK = 'importers_run_background_import';
+
+	/**
+	 * Action Scheduler group.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const GROUP = 'importers';
+
+	/**
+	 * Option prefix for job state.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const OPTION_PREFIX = 'importers_job_';
+
+	/**
+	 * Transient prefix for the lock held while a job is running.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const LOCK_PREFIX = 'importers_job_lock_';
+
+	/**
+	 * Seconds of batch processing per scheduled invocation.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const TIME_LIMIT = 20;
+
+	/**
+	 * Seconds without progress before a job is rescheduled.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const STALL_TIMEOUT = 300;
+
+	/**
+	 * Times a stalled or lock-blocked job is rescheduled without progress
+	 * before it fails.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_RESTARTS = 3;
+
+	/**
+	 * Maximum number of errors kept in the job log.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_ERRORS = 500;
+
+	/**
+	 * Job statuses that have not finished yet.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const ACTIVE_STATUSES = [ 'queued', 'running' ];
+
+	/**
+	 * Whether the runner hook has been registered.
+	 *
+	 * @since 2.2.0
+	 * @var bool
+	 */
+	private static bool $registered = false;
+
+	/**
+	 * Register the runner hook.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return void
+	 */
+	public static function register(): void {
+		if ( self::$registered ) {
+			return;
+		}
+
+		add_action( self::HOOK, [ __CLASS__, 'run' ], 10, 2 );
+
+		self::$registered = true;
+	}
+
+	/**
+	 * Queue a started import to run in the background.
+	 *
+	 * The run must already be started with ImportProcessor::start().
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param string $file_uuid    The import file UUID.
+	 * @param array  $field_map    Mapping of field_key => column.
+	 * @param int    $total        Total rows to process.
+	 *
+	 * @return array The queued job.
+	 */
+	public static function queue( string $page_id, string $operation_id, string $file_uuid, array $field_map, int $total ): array {
+		$job = [
+			'page_id'          => $page_id,
+			'operation_id'     => $operation_id,
+			'file_uuid'        => $file_uuid,
+			'field_map'        => $field_map,
+			'user_id'          => get_current_user_id(),
+			'status'           => 'queued',
+			'cancel_requested' => false,
+			'offset'           => 0,
+			'total_items'      => $total,
+			'total_processed'  => 0,
+			'percentage'       => 0,
+			'errors'           => [],
+			'error_count'      => 0,
+			'result'           => null,
+			'restarts'         => 0,
+			'updated_at'       => time(),
+		];
+
+		self::save_job( $job );
+		self::schedule( $page_id, $operation_id );
+
+		return $job;
+	}
+
+	/**
+	 * Get an operation's job.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return array|null Job or null if none exists.
+	 */
+	public static function get_job( string $page_id, string $operation_id ): ?array {
+		$job = get_option( self::get_option_key( $page_id, $operation_id ) );
+
+		return is_array( $job ) ? $job : null;
+	}
+
+	/**
+	 * Get an operation's job if it is queued or running.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return array|null
+	 */
+	public static function get_active_job( string $page_id, string $operation_id ): ?array {
+		$job = self::get_job( $page_id, $operation_id );
+
+		return $job && in_array( $job['status'], self::ACTIVE_STATUSES, true ) ? $job : null;
+	}
+
+	/**
+	 * Get the job state for the import card.
+	 *
+	 * Reschedules jobs that stopped making progress, e.g. after the
+	 * process running them was killed. A job that stalls MAX_RESTARTS
+	 * times in a row, such as one whose batch hits a fatal error every
+	 * time, fails instead of repeating the batch forever.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param int    $since        Number of log errors the client already has.
+	 *
+	 * @return array|WP_Error Job state or WP_Error if there is no job.
+	 */
+	public static function get_status( string $page_id, string $operation_id, int $since = 0 ) {
+		$job = self::get_job( $page_id, $operation_id );
+
+		if ( ! $job ) {
+			return new WP_Error( 'job_not_found', __( 'No background import found.', 'arraypress' ) );
+		}
+
+		if ( in_array( $job['status'], self::ACTIVE_STATUSES, true )
+		     && time() - (int) $job['updated_at'] > self::STALL_TIMEOUT
+		     && ! get_transient( self::get_lock_key( $page_id, $operation_id ) ) ) {
+			if ( (int) ( $job['restarts'] ?? 0 ) >= self::MAX_RESTARTS ) {
+				self::add_errors( $job, [ [ 'message' => __( 'The import stopped making progress and was ended.', 'arraypress' ) ] ] );
+				$job = self::finish( $job, 'error' );
+			} else {
+				$job['restarts'] = (int) ( $job['restarts'] ?? 0 ) + 1;
+				self::save_job( $job );
+				self::schedule( $page_id, $operation_id );
+			}
+		}
+
+		// Errors dropped from the capped log are skipped
+		$first = $job['error_count'] - count( $job['errors'] );
+
+		return [
+			'status'          => $job['status'],
+			'cancelling'      => $job['cancel_requested'],
+			'offset'          => $job['offset'],
+			'total_items'     => $job['total_items'],
+			'total_processed' => $job['total_processed'],
+			'percentage'      => $job['percentage'],
+			'errors'          => array_slice( $job['errors'], max( 0, $since - $first ) ),
+			'error_count'     => $job['error_count'],
+			'stats'           => StatsManager::get_stats( $page_id, $operation_id ),
+			'result'          => $job['result'],
+		];
+	}
+
+	/**
+	 * Cancel a queued or running job.
+	 *
+	 * Queued jobs are cancelled immediately. Running jobs stop after the
+	 * batch in progress.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return array|WP_Error The updated job or WP_Error if nothing is active.
+	 */
+	public static function cancel( string $page_id, string $operation_id ) {
+		$job = self::get_active_job( $page_id, $operation_id );
+
+		if ( ! $job ) {
+			return new WP_Error( 'job_not_found', __( 'No active background import found.', 'arraypress' ) );
+		}
+
+		if ( ! get_transient( self::get_lock_key( $page_id, $operation_id ) ) ) {
+			self::unschedule( $page_id, $operation_id );
+
+			return self::finish( $job, 'cancelled' );
+		}
+
+		$job['cancel_requested'] = true;
+		self::save_job( $job );
+
+		return $job;
+	}
+
+	/**
+	 * Run a job's batches until it finishes or the time limit is reached.
+	 *
+	 * Hooked to the scheduled action. Runs as the user who queued the job
+	 * so file ownership and capability checks behave as in the browser.
+	 * A batch that could not get the stats lock is tried again in a later
+	 * run, up to MAX_RESTARTS times in a row.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return void
+	 */
+	public static function run( string $page_id, string $operation_id ): void {
+		$lock = self::get_lock_key( $page_id, $operation_id );
+
+		if ( get_transient( $lock ) || ! self::get_active_job( $page_id, $operation_id ) ) {
+			return;
+		}
+
+		set_transient( $lock, 1, self::TIME_LIMIT * 3 );
+
+		$job = self::get_active_job( $page_id, $operation_id );
+		wp_set_current_user( (int) $job['user_id'] );
+
+		$started = time();
+
+		while ( $job ) {
+			if ( $job['cancel_requested'] ) {
+				self::finish( $job, 'cancelled' );
+				break;
+			}
+
+			$job['status'] = 'running';
+
+			try {
+				$results = ImportProcessor::process_batch(
+					$page_id,
+					$operation_id,
+					$job['file_uuid'],
+					(int) $job['offset'],
+					$job['field_map']
+				);
+			} catch ( \Throwable $e ) {
+				$results = new WP_Error( 'batch_failed', $e->getMessage() );
+			}
+
+			if ( is_wp_error( $results ) ) {
+				$data = $results->get_error_data();
+
+				// Rows already committed — continue after them
+				if ( $results->get_error_code() === 'offset_committed' && isset( $data['offset'] ) ) {
+					$job['offset'] = (int) $data['offset'];
+					self::save_job( $job );
+					continue;
+				}
+
+				// The stats lock stayed busy — try the batch again in a later run
+				if ( $results->get_error_code() === 'lock_timeout' && (int) $job['restarts'] < self::MAX_RESTARTS ) {
+					$job['restarts'] = (int) $job['restarts'] + 1;
+					self::save_job( $job );
+					self::schedule( $page_id, $operation_id );
+					break;
+				}
+
+				self::add_errors( $job, [ [ 'message' => $results->get_error_message() ] ] );
+				self::finish( $job, 'error' );
+				break;
+			}
+
+			self::add_errors( $job, $results['errors'] );
+
+			$job['offset']          = $results['offset'];
+			$job['total_items']     = $results['total_items'];
+			$job['total_processed'] = $results['total_processed'];
+			$job['percentage']      = $results['percentage'];
+			$job['restarts']        = 0;
+
+			if ( ! $results['has_more'] ) {
+				self::finish( $job, 'complete' );
+				break;
+			}
+
+			// Keep cancel requests made while the batch ran
+			$stored = self::get_job( $page_id, $operation_id );
+
+			$job['cancel_requested'] = ! empty( $stored['cancel_requested'] );
+			self::save_job( $job );
+
+			if ( time() - $started >= self::TIME_LIMIT ) {
+				self::schedule( $page_id, $operation_id );
+				break;
+			}
+		}
+
+		delete_transient( $lock );
+	}
+
+	/** Internal ****************************************************************/
+
+	/**
+	 * Complete the import run and record the job's final status.
+	 *
+	 * Jobs started by a schedule also report back to it.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array  $job    The job.
+	 * @param string $status Final status ('complete', 'cancelled', 'error').
+	 *
+	 * @return array The finished job.
+	 */
+	private static function finish( array $job, string $status ): array {
+		$job['status'] = $status;
+		$job['result'] = ImportProcessor::complete(
+			$job['page_id'],
+			$job['operation_id'],
+			$status,
+			$job['file_uuid']
+		);
+
+		if ( $status === 'complete' ) {
+			$job['percentage'] = 100;
+		}
+
+		self::save_job( $job );
+		ScheduleManager::finish_job( $job );
+
+		return $job;
+	}
+
+	/**
+	 * Append batch errors to the job log, keeping the newest.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $job    The job (modified in place).
+	 * @param array $errors Errors with 'row', 'item' and 'message'.
+	 *
+	 * @return void
+	 */
+	private static function add_errors( array &$job, array $errors ): void {
+		if ( empty( $errors ) ) {
+			return;
+		}
+
+		$job['errors']      = array_slice( array_merge( $job['errors'], $errors ), - self::MAX_ERRORS );
+		$job['error_count'] += count( $errors );
+	}
+
+	/**
+	 * Schedule the next invocation of a job.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return void
+	 */
+	private static function schedule( string $page_id, string $operation_id ): void {
+		$args = [ $page_id, $operation_id ];
+
+		if ( function_exists( 'as_enqueue_async_action' ) ) {
+			as_enqueue_async_action( self::HOOK, $args, self::GROUP );
+
+			return;
+		}
+
+		wp_schedule_single_event( time(), self::HOOK, $args );
+		spawn_cron();
+	}
+
+	/**
+	 * Remove pending invocations of a job.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return void
+	 */
+	private static function unschedule( string $page_id, string $operation_id ): void {
+		$args = [ $page_id, $operation_id ];
+
+		if ( function_exists( 'as_unschedule_all_actions' ) ) {
+			as_unschedule_all_actions( self::HOOK, $args, self::GROUP );
+		}
+
+		wp_clear_scheduled_hook( self::HOOK, $args );
+	}
+
+	/**
+	 * Save a job.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $job The job.
+	 *
+	 * @return void
+	 */
+	private static function save_job( array $job ): void {
+		$job['updated_at'] = time();
+
+		update_option( self::get_option_key( $job['page_id'], $job['operation_id'] ), $job, false );
+	}
+
+	/**
+	 * Get the option key for an operation's job.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return string
+	 */
+	private static function get_option_key( string $page_id, string $operation_id ): string {
+		return self::OPTION_PREFIX . sanitize_key( $page_id ) . '_' . sanitize_key( $operation_id );
+	}
+
+	/**
+	 * Get the lock transient key for an operation's job.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return string
+	 */
+	private static function get_lock_key( string $page_id, string $operation_id ): string {
+		return self::LOCK_PREFIX . sanitize_key( $page_id ) . '_' . sanitize_key( $operation_id );
+	}
+
+}
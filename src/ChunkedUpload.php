@@ -0,0 +1,357 @@
+<?php
+/**
+ * Chunked Upload
+ *
+ * Receives large import files in fixed-size chunks, so uploads are not
+ * limited by upload_max_filesize or post_max_size and an interrupted
+ * upload can continue from the chunks already received. Chunks are
+ * written into a partial file in the importer's upload directory, which
+ * becomes an import file once every chunk has arrived.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use WP_Error;
+
+/**
+ * Class ChunkedUpload
+ *
+ * An upload is started with the file's name and size, which fixes its
+ * chunk size and chunk count. Chunks can arrive in any order and be sent
+ * again; each is written at its own position in the partial file.
+ */
+class ChunkedUpload {
+
+	/**
+	 * Transient prefix for upload state.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const TRANSIENT_PREFIX = 'importer_upload_';
+
+	/**
+	 * Largest chunk size in bytes.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const CHUNK_SIZE = 2 * MB_IN_BYTES;
+
+	/**
+	 * Extension of partial files.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const EXTENSION = 'part';
+
+	/**
+	 * Start an upload, or continue an unfinished one.
+	 *
+	 * An unfinished upload of the same file by the same user is continued
+	 * when its ID is given; otherwise a new upload is started.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id   The importer page ID.
+	 * @param string $name      Original filename.
+	 * @param int    $size      File size in bytes.
+	 * @param int    $max_size  Maximum file size in bytes (0 = unlimited).
+	 * @param string $upload_id ID of an unfinished upload to continue.
+	 *
+	 * @return array|WP_Error Upload state for the client or WP_Error.
+	 */
+	public static function start( string $page_id, string $name, int $size, int $max_size = 0, string $upload_id = '' ) {
+		$valid = FileManager::check_file_name( $name );
+		if ( is_wp_error( $valid ) ) {
+			$valid->add_data( [ 'status' => 400 ] );
+
+			return $valid;
+		}
+
+		if ( $size < 1 ) {
+			return new WP_Error( 'empty_file', __( 'The file is empty.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		if ( $max_size > 0 && $size > $max_size ) {
+			return new WP_Error(
+				'file_too_large',
+				sprintf(
+					__( 'File exceeds maximum size of %s.', 'arraypress' ),
+					size_format( $max_size )
+				),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$upload = $upload_id !== '' ? self::get_upload( $upload_id ) : null;
+
+		if ( $upload && ( $upload['page_id'] !== $page_id || $upload['name'] !== $name || $upload['size'] !== $size ) ) {
+			$upload = null;
+		}
+
+		if ( ! $upload ) {
+			$upload_id  = wp_generate_uuid4();
+			$chunk_size = self::get_chunk_size();
+			$path       = trailingslashit( FileManager::get_upload_dir( $page_id ) ) . $upload_id . '.' . self::EXTENSION;
+
+			if ( file_put_contents( $path, '' ) === false ) {
+				return new WP_Error(
+					'move_failed',
+					__( 'Failed to save the uploaded file.', 'arraypress' ),
+					[ 'status' => 500 ]
+				);
+			}
+
+			$upload = [
+				'id'          => $upload_id,
+				'page_id'     => $page_id,
+				'name'        => $name,
+				'size'        => $size,
+				'chunk_size'  => $chunk_size,
+				'chunks'      => (int) ceil( $size / $chunk_size ),
+				'received'    => [],
+				'path'        => $path,
+				'uploaded_by' => get_current_user_id(),
+			];
+
+			self::save_upload( $upload );
+		}
+
+		return self::get_client_data( $upload );
+	}
+
+	/**
+	 * Write an uploaded chunk into its upload's partial file.
+	 *
+	 * Every chunk but the last must be exactly the upload's chunk size,
+	 * so a truncated chunk is refused rather than corrupting the file.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $upload_id  The upload ID.
+	 * @param int    $index      0-indexed chunk number.
+	 * @param string $field_name The form field name (default: 'chunk').
+	 *
+	 * @return array|WP_Error Upload state for the client or WP_Error.
+	 */
+	public static function add_chunk( string $upload_id, int $index, string $field_name = 'chunk' ) {
+		$upload = self::get_upload( $upload_id );
+
+		if ( ! $upload ) {
+			return self::not_found();
+		}
+
+		if ( $index >= $upload['chunks'] ) {
+			return new WP_Error( 'invalid_chunk', __( 'Invalid chunk number.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		$file = $_FILES[ $field_name ] ?? null;
+
+		if ( ! $file || $file['error'] !== UPLOAD_ERR_OK || ! is_uploaded_file( $file['tmp_name'] ) ) {
+			return new WP_Error( 'upload_error', __( 'The chunk was not received.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		$offset   = $index * $upload['chunk_size'];
+		$expected = min( $upload['chunk_size'], $upload['size'] - $offset );
+
+		if ( filesize( $file['tmp_name'] ) !== $expected ) {
+			return new WP_Error(
+				'invalid_chunk',
+				__( 'The chunk is incomplete. Please try again.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$source = fopen( $file['tmp_name'], 'rb' );
+		$target = fopen( $upload['path'], 'c+b' );
+		$copied = false;
+
+		if ( $source && $target && fseek( $target, $offset ) === 0 ) {
+			$copied = stream_copy_to_stream( $source, $target ) === $expected;
+		}
+
+		if ( $source ) {
+			fclose( $source );
+		}
+
+		if ( $target ) {
+			fclose( $target );
+		}
+
+		if ( ! $copied ) {
+			return new WP_Error(
+				'move_failed',
+				__( 'Failed to save the uploaded file.', 'arraypress' ),
+				[ 'status' => 500 ]
+			);
+		}
+
+		$upload['received'] = array_values( array_unique( array_merge( $upload['received'], [ $index ] ) ) );
+		sort( $upload['received'] );
+
+		self::save_upload( $upload );
+
+		return self::get_client_data( $upload );
+	}
+
+	/**
+	 * Finish an upload once every chunk has been received.
+	 *
+	 * The partial file is validated and stored like any other upload. A
+	 * file that fails validation is deleted, as sending it again would
+	 * fail the same way.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $upload_id The upload ID.
+	 *
+	 * @return array|WP_Error File data array on success, WP_Error on failure.
+	 */
+	public static function complete( string $upload_id ) {
+		$upload = self::get_upload( $upload_id );
+
+		if ( ! $upload ) {
+			return self::not_found();
+		}
+
+		$missing = array_values( array_diff( range( 0, $upload['chunks'] - 1 ), $upload['received'] ) );
+
+		if ( ! empty( $missing ) ) {
+			return new WP_Error(
+				'missing_chunks',
+				sprintf( __( '%d chunks of the file have not been received yet.', 'arraypress' ), count( $missing ) ),
+				[
+					'status'  => 409,
+					'missing' => $missing,
+				]
+			);
+		}
+
+		clearstatcache( true, $upload['path'] );
+
+		$result = filesize( $upload['path'] ) === $upload['size']
+			? FileManager::handle_assembled_file( $upload['page_id'], $upload['path'], $upload['name'] )
+			: new WP_Error( 'upload_error', __( 'The uploaded file is incomplete.', 'arraypress' ) );
+
+		self::delete( $upload_id );
+
+		if ( is_wp_error( $result ) ) {
+			$result->add_data( [ 'status' => 400 ] );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Delete an upload and its partial file.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $upload_id The upload ID.
+	 *
+	 * @return void
+	 */
+	public static function delete( string $upload_id ): void {
+		$upload = self::get_upload( $upload_id );
+
+		if ( $upload && file_exists( $upload['path'] ) ) {
+			unlink( $upload['path'] );
+		}
+
+		delete_transient( self::TRANSIENT_PREFIX . $upload_id );
+	}
+
+	/**
+	 * Get the chunk size for new uploads.
+	 *
+	 * Chunks stay well below the server's upload limit, which also covers
+	 * post_max_size.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return int Chunk size in bytes.
+	 */
+	public static function get_chunk_size(): int {
+		$limit = (int) wp_max_upload_size();
+
+		return $limit > 0 ? max( KB_IN_BYTES * 64, min( self::CHUNK_SIZE, (int) floor( $limit / 2 ) ) ) : self::CHUNK_SIZE;
+	}
+
+	/**
+	 * Get an upload's state.
+	 *
+	 * Only the user who started an upload can continue it.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $upload_id The upload ID.
+	 *
+	 * @return array|null Upload state or null if not found.
+	 */
+	private static function get_upload( string $upload_id ): ?array {
+		$upload = get_transient( self::TRANSIENT_PREFIX . $upload_id );
+
+		if ( ! is_array( $upload ) || ! file_exists( $upload['path'] ) || get_current_user_id() !== (int) $upload['uploaded_by'] ) {
+			return null;
+		}
+
+		return $upload;
+	}
+
+	/**
+	 * Save an upload's state.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $upload Upload state.
+	 *
+	 * @return void
+	 */
+	private static function save_upload( array $upload ): void {
+		set_transient( self::TRANSIENT_PREFIX . $upload['id'], $upload, FileManager::MAX_FILE_AGE );
+	}
+
+	/**
+	 * Get the upload state that is safe to send to the browser.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $upload Upload state.
+	 *
+	 * @return array Array with 'upload_id', 'chunk_size', 'chunks' and
+	 *               'received' (chunk numbers already stored).
+	 */
+	private static function get_client_data( array $upload ): array {
+		return [
+			'upload_id'  => $upload['id'],
+			'chunk_size' => $upload['chunk_size'],
+			'chunks'     => $upload['chunks'],
+			'received'   => $upload['received'],
+		];
+	}
+
+	/**
+	 * Build the error for an unknown or expired upload.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return WP_Error
+	 */
+	private static function not_found(): WP_Error {
+		return new WP_Error(
+			'upload_not_found',
+			__( 'The upload was not found or has expired. Please upload the file again.', 'arraypress' ),
+			[ 'status' => 404 ]
+		);
+	}
+
+}
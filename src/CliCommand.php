@@ -0,0 +1,682 @@
+<?php
+/**
+ * CLI Command
+ *
+ * Runs registered import operations from WP-CLI, so deploy scripts and
+ * server cron jobs can import files without the admin wizard.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use ArrayPress\RegisterImporters\Validation\FieldValidator;
+use WP_CLI;
+use WP_Error;
+use function WP_CLI\Utils\format_items;
+use function WP_CLI\Utils\get_flag_value;
+use function WP_CLI\Utils\make_progress_bar;
+
+/**
+ * Manage and run registered importers.
+ *
+ * Files are added through FileManager and processed by ImportProcessor,
+ * the same as uploads in the admin, so the field pipeline, callbacks,
+ * stats and run history are shared with browser-driven imports.
+ */
+class CliCommand {
+
+	/**
+	 * Maximum number of row errors printed after a run.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_ERRORS = 20;
+
+	/**
+	 * Whether the command has been registered.
+	 *
+	 * @since 2.2.0
+	 * @var bool
+	 */
+	private static bool $registered = false;
+
+	/**
+	 * Register the `wp importers` command when running under WP-CLI.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return void
+	 */
+	public static function register(): void {
+		if ( self::$registered || ! defined( 'WP_CLI' ) || ! WP_CLI ) {
+			return;
+		}
+
+		WP_CLI::add_command( 'importers', self::class );
+
+		self::$registered = true;
+	}
+
+	/**
+	 * Lists importer pages and their operations.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--page=<page>]
+	 * : Only list the operations of this importer page.
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - csv
+	 *   - json
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp importers list
+	 *     wp importers list --page=my-plugin --format=json
+	 *
+	 * @subcommand list
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 *
+	 * @return void
+	 */
+	public function list_( array $args, array $assoc_args ): void {
+		$page  = $assoc_args['page'] ?? null;
+		$items = [];
+
+		if ( $page && ! Registry::instance()->has( $page ) ) {
+			WP_CLI::error( __( 'Invalid importer page.', 'arraypress' ) );
+		}
+
+		foreach ( Registry::instance()->all() as $page_id => $importers ) {
+			if ( $page && $page !== $page_id ) {
+				continue;
+			}
+
+			foreach ( $importers->get_all_operations() as $operation_id => $operation ) {
+				$fields   = $operation['fields'] ?? [];
+				$required = array_filter( $fields, function ( array $field ) {
+					return ! empty( $field['required'] );
+				} );
+
+				$items[] = [
+					'page'       => $page_id,
+					'operation'  => $operation_id,
+					'title'      => $operation['title'] ?? $operation_id,
+					'fields'     => implode( ', ', array_keys( $fields ) ),
+					'required'   => implode( ', ', array_keys( $required ) ),
+					'background' => ! empty( $operation['background'] ) ? 'yes' : 'no',
+				];
+			}
+		}
+
+		format_items( $assoc_args['format'] ?? 'table', $items, [ 'page', 'operation', 'title', 'fields', 'required', 'background' ] );
+	}
+
+	/**
+	 * Prints a sample CSV for an operation.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <page>
+	 * : The importer page ID.
+	 *
+	 * <operation>
+	 * : The operation ID.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp importers sample my-plugin import_products > products.csv
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 *
+	 * @return void
+	 */
+	public function sample( array $args, array $assoc_args ): void {
+		$operation = $this->get_operation( $args[0], $args[1] );
+
+		WP_CLI::line( rtrim( FieldValidator::generate_sample_csv( $operation['fields'] ?? [] ), "\n" ) );
+	}
+
+	/**
+	 * Validates a file against an operation without importing it.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <page>
+	 * : The importer page ID.
+	 *
+	 * <operation>
+	 * : The operation ID.
+	 *
+	 * <file>
+	 * : Path or URL of a CSV, spreadsheet, JSON or ZIP file.
+	 *
+	 * [--map=<map>]
+	 * : Field map as a JSON object of field keys to column names, or the path to a JSON file.
+	 *
+	 * [--preset=<preset>]
+	 * : ID of a saved mapping preset to use.
+	 *
+	 * [--mode=<mode>]
+	 * : Import mode, for operations with match keys.
+	 *
+	 * [--match-key=<match-key>]
+	 * : Match key used to find existing items, for operations with match keys.
+	 *
+	 * [--sheet=<sheet>]
+	 * : Workbook sheet to read, starting at 1.
+	 * ---
+	 * default: 1
+	 * ---
+	 *
+	 * [--error-report=<path>]
+	 * : Save the failed rows with their errors as a CSV file.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp importers dry-run my-plugin import_products products.csv
+	 *     wp importers dry-run my-plugin import_products products.csv --map='{"sku":"Product Code"}'
+	 *
+	 * @subcommand dry-run
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 *
+	 * @return void
+	 */
+	public function dry_run( array $args, array $assoc_args ): void {
+		[ $page_id, $operation_id, $path ] = $args;
+
+		$operation = $this->get_operation( $page_id, $operation_id );
+		$settings  = $this->get_settings( $operation, $assoc_args );
+		$file      = $this->add_file( $page_id, $path, $assoc_args );
+		$field_map = $this->get_field_map( $page_id, $operation_id, $operation, $settings, $file, $assoc_args );
+
+		$progress = make_progress_bar( __( 'Validating rows', 'arraypress' ), $file['rows'] );
+		$offset   = 0;
+
+		do {
+			$results = ImportProcessor::dry_run_batch( $page_id, $operation_id, $file['uuid'], $offset, $field_map, $settings );
+
+			if ( is_wp_error( $results ) ) {
+				$this->fail( $file, $results );
+			}
+
+			$progress->tick( $results['offset'] - $offset );
+			$offset = $results['offset'];
+		} while ( $results['has_more'] );
+
+		$progress->finish();
+
+		$this->save_error_report( $file['uuid'], 'dry_run', $assoc_args );
+		FileManager::delete_file( $file['uuid'] );
+
+		$this->print_errors( $results['errors'], $results['error_count'] );
+
+		if ( $results['predicted'] ) {
+			WP_CLI::log( sprintf(
+				__( 'Would create %1$d, update %2$d and skip %3$d rows.', 'arraypress' ),
+				$results['predicted']['created'],
+				$results['predicted']['updated'],
+				$results['predicted']['skipped']
+			) );
+		}
+
+		if ( $results['error_count'] > 0 ) {
+			WP_CLI::error( sprintf(
+				__( '%1$d of %2$d rows are valid; %3$d errors found.', 'arraypress' ),
+				$results['valid_rows'],
+				$results['total_rows'],
+				$results['error_count']
+			) );
+		}
+
+		WP_CLI::success( sprintf( __( 'All %d rows are valid.', 'arraypress' ), $results['total_rows'] ) );
+	}
+
+	/**
+	 * Imports a file with an operation.
+	 *
+	 * Rows go through the same field pipeline and callbacks as imports
+	 * from the admin, and the run is recorded in the operation's stats and
+	 * history.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <page>
+	 * : The importer page ID.
+	 *
+	 * <operation>
+	 * : The operation ID.
+	 *
+	 * <file>
+	 * : Path or URL of a CSV, spreadsheet, JSON or ZIP file.
+	 *
+	 * [--map=<map>]
+	 * : Field map as a JSON object of field keys to column names, or the path to a JSON file.
+	 *
+	 * [--preset=<preset>]
+	 * : ID of a saved mapping preset to use.
+	 *
+	 * [--mode=<mode>]
+	 * : Import mode, for operations with match keys.
+	 *
+	 * [--match-key=<match-key>]
+	 * : Match key used to find existing items, for operations with match keys.
+	 *
+	 * [--sheet=<sheet>]
+	 * : Workbook sheet to read, starting at 1.
+	 * ---
+	 * default: 1
+	 * ---
+	 *
+	 * [--error-report=<path>]
+	 * : Save the failed rows with their errors as a CSV file.
+	 *
+	 * [--background]
+	 * : Queue the import as a background job instead of running it now.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp importers run my-plugin import_products products.csv --preset=supplier-feed
+	 *     wp importers run my-plugin import_products products.csv --mode=update --match-key=sku
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 *
+	 * @return void
+	 */
+	public function run( array $args, array $assoc_args ): void {
+		[ $page_id, $operation_id, $path ] = $args;
+
+		$operation = $this->get_operation( $page_id, $operation_id );
+
+		if ( BackgroundManager::get_active_job( $page_id, $operation_id ) ) {
+			WP_CLI::error( __( 'A background import is already running for this operation.', 'arraypress' ) );
+		}
+
+		$settings  = $this->get_settings( $operation, $assoc_args );
+		$file      = $this->add_file( $page_id, $path, $assoc_args );
+		$field_map = $this->get_field_map( $page_id, $operation_id, $operation, $settings, $file, $assoc_args );
+		$started   = ImportProcessor::start( $page_id, $operation_id, $file['uuid'], $field_map, $settings );
+
+		if ( is_wp_error( $started ) ) {
+			$this->fail( $file, $started );
+		}
+
+		if ( get_flag_value( $assoc_args, 'background' ) ) {
+			BackgroundManager::queue( $page_id, $operation_id, $file['uuid'], $field_map, $started['total'] );
+			WP_CLI::success( sprintf( __( 'Queued a background import of %d rows.', 'arraypress' ), $started['total'] ) );
+
+			return;
+		}
+
+		$progress = make_progress_bar( __( 'Importing rows', 'arraypress' ), $started['total'] );
+		$offset   = 0;
+		$error    = null;
+
+		do {
+			$results = ImportProcessor::process_batch( $page_id, $operation_id, $file['uuid'], $offset, $field_map );
+
+			if ( is_wp_error( $results ) ) {
+				$error = $results;
+				break;
+			}
+
+			$progress->tick( $results['processed'] );
+			$offset = $results['offset'];
+		} while ( $results['has_more'] );
+
+		$progress->finish();
+
+		$this->save_error_report( $file['uuid'], 'import', $assoc_args );
+
+		$completed = ImportProcessor::complete( $page_id, $operation_id, $error ? 'error' : 'complete', $file['uuid'] );
+		$stats     = $completed['stats'];
+
+		if ( $error ) {
+			WP_CLI::error( $error );
+		}
+
+		// The run history keeps more errors than the stats
+		$run    = $stats['run_id'] ? HistoryManager::get_run( $page_id, $operation_id, $stats['run_id'] ) : null;
+		$errors = $run ? HistoryManager::get_run_errors( $run['id'] ) : $stats['errors'];
+
+		$this->print_errors( array_slice( $errors, 0, self::MAX_ERRORS ), $run['error_count'] ?? count( $errors ) );
+
+		$summary = sprintf(
+			__( '%1$d created, %2$d updated, %3$d skipped, %4$d failed.', 'arraypress' ),
+			$stats['created'],
+			$stats['updated'],
+			$stats['skipped'],
+			$stats['failed']
+		);
+
+		if ( $stats['failed'] > 0 ) {
+			WP_CLI::error( __( 'Import finished with failed rows:', 'arraypress' ) . ' ' . $summary );
+		}
+
+		WP_CLI::success( __( 'Import complete:', 'arraypress' ) . ' ' . $summary );
+	}
+
+	/** Helpers *****************************************************************/
+
+	/**
+	 * Get an operation's configuration or stop with an error.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return array Operation configuration.
+	 */
+	private function get_operation( string $page_id, string $operation_id ): array {
+		$operation = ImportProcessor::get_operation( $page_id, $operation_id );
+
+		if ( is_wp_error( $operation ) ) {
+			WP_CLI::error( $operation );
+		}
+
+		return $operation;
+	}
+
+	/**
+	 * Get the validated run settings or stop with an error.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $operation  Operation configuration.
+	 * @param array $assoc_args Associative arguments.
+	 *
+	 * @return array Settings with 'mode' and 'match_key', empty for
+	 *               operations without match keys.
+	 */
+	private function get_settings( array $operation, array $assoc_args ): array {
+		$settings = MatchResolver::get_settings(
+			$operation,
+			isset( $assoc_args['mode'] ) ? sanitize_key( $assoc_args['mode'] ) : null,
+			isset( $assoc_args['match-key'] ) ? sanitize_key( $assoc_args['match-key'] ) : null
+		);
+
+		if ( is_wp_error( $settings ) ) {
+			WP_CLI::error( $settings );
+		}
+
+		return $settings;
+	}
+
+	/**
+	 * Add the file to import and select its sheet.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id    The importer page ID.
+	 * @param string $path       Path or URL of the file.
+	 * @param array  $assoc_args Associative arguments.
+	 *
+	 * @return array File metadata.
+	 */
+	private function add_file( string $page_id, string $path, array $assoc_args ): array {
+		$file = wp_http_validate_url( $path )
+			? FileManager::handle_remote_file( $page_id, $path )
+			: FileManager::handle_local_file( $page_id, $path );
+
+		if ( is_wp_error( $file ) ) {
+			WP_CLI::error( $file );
+		}
+
+		$sheet = max( 1, (int) ( $assoc_args['sheet'] ?? 1 ) ) - 1;
+
+		if ( $sheet > 0 ) {
+			$selected = FileManager::select_sheet( $file['uuid'], $sheet );
+
+			if ( is_wp_error( $selected ) ) {
+				$this->fail( $file, $selected );
+			}
+
+			$file = $selected;
+		}
+
+		WP_CLI::log( sprintf( __( 'Read %1$d rows from %2$s.', 'arraypress' ), $file['rows'], $file['original_name'] ) );
+
+		return $file;
+	}
+
+	/**
+	 * Get the field map for a file or stop with an error.
+	 *
+	 * Uses --map or --preset when given. Otherwise the saved preset that
+	 * best matches the file's headers is used, falling back to matching
+	 * columns to field keys, labels and aliases by name.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param array  $operation    Operation configuration.
+	 * @param array  $settings     Run settings.
+	 * @param array  $file         File metadata.
+	 * @param array  $assoc_args   Associative arguments.
+	 *
+	 * @return array Mapping of field_key => column.
+	 */
+	private function get_field_map( string $page_id, string $operation_id, array $operation, array $settings, array $file, array $assoc_args ): array {
+		$fields = $operation['fields'] ?? [];
+
+		if ( isset( $assoc_args['map'] ) ) {
+			$json      = is_file( $assoc_args['map'] ) ? file_get_contents( $assoc_args['map'] ) : $assoc_args['map'];
+			$field_map = json_decode( (string) $json, true );
+
+			if ( ! is_array( $field_map ) ) {
+				$this->fail( $file, __( 'The field map must be a JSON object of field keys and column names.', 'arraypress' ) );
+			}
+		} elseif ( isset( $assoc_args['preset'] ) ) {
+			$preset = PresetManager::get_preset( $page_id, $operation_id, sanitize_title( $assoc_args['preset'] ) );
+
+			if ( ! $preset ) {
+				$this->fail( $file, sprintf( __( 'Preset "%s" not found.', 'arraypress' ), $assoc_args['preset'] ) );
+			}
+
+			$field_map = $preset['field_map'];
+		} else {
+			$preset    = PresetManager::find_best_preset( $page_id, $operation_id, $file['headers'] );
+			$field_map = $preset ? $preset['field_map'] : $this->match_columns( $fields, $file['headers'] );
+
+			if ( $preset ) {
+				WP_CLI::log( sprintf( __( 'Using the "%s" preset.', 'arraypress' ), $preset['name'] ) );
+			}
+		}
+
+		$field_map = array_filter(
+			array_intersect_key( RestApi::sanitize_field_map( $field_map ), $fields ),
+			[ ColumnMapper::class, 'is_mapped' ]
+		);
+
+		if ( empty( $field_map ) ) {
+			$this->fail( $file, __( 'No columns could be mapped to fields. Use --map or --preset.', 'arraypress' ) );
+		}
+
+		foreach ( $field_map as $key => $entry ) {
+			foreach ( ColumnMapper::get_columns( $entry ) as $column ) {
+				if ( ! in_array( $column, $file['headers'], true ) ) {
+					$this->fail( $file, sprintf( __( 'Column "%1$s" mapped to %2$s is not in the file.', 'arraypress' ), $column, $key ) );
+				}
+			}
+		}
+
+		$missing = [];
+
+		foreach ( $fields as $key => $field ) {
+			if ( ! empty( $field['required'] ) && ! isset( $field_map[ $key ] ) ) {
+				$missing[] = $field['label'] ?? $key;
+			}
+		}
+
+		if ( $missing ) {
+			$this->fail( $file, __( 'Please map all required fields:', 'arraypress' ) . ' ' . implode( ', ', $missing ) );
+		}
+
+		// Existing items can only be matched if the match key's field is mapped
+		$match_field = $settings ? $operation['match_keys'][ $settings['match_key'] ]['field'] : null;
+
+		if ( $match_field && ! isset( $field_map[ $match_field ] ) ) {
+			$this->fail( $file, sprintf(
+				__( 'Please map the %s field so existing items can be matched.', 'arraypress' ),
+				$fields[ $match_field ]['label'] ?? $match_field
+			) );
+		}
+
+		return $field_map;
+	}
+
+	/**
+	 * Match file columns to fields by key, label or alias.
+	 *
+	 * Names are compared ignoring case, spaces and punctuation, in any
+	 * script. Each column is used at most once, and names with nothing
+	 * left to compare never match.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $fields  Field definitions.
+	 * @param array $headers Column headers of the file.
+	 *
+	 * @return array Mapping of field_key => column.
+	 */
+	private function match_columns( array $fields, array $headers ): array {
+		$field_map = [];
+		$used      = [];
+
+		foreach ( $fields as $key => $field ) {
+			$names = array_filter( array_map(
+				[ $this, 'normalize_name' ],
+				array_merge( [ $key, $field['label'] ?? $key ], (array) ( $field['aliases'] ?? [] ) )
+			), 'strlen' );
+
+			foreach ( $headers as $header ) {
+				$name = $this->normalize_name( (string) $header );
+
+				if ( $name !== '' && ! isset( $used[ $header ] ) && in_array( $name, $names, true ) ) {
+					$field_map[ $key ] = $header;
+					$used[ $header ]   = true;
+					break;
+				}
+			}
+		}
+
+		return $field_map;
+	}
+
+	/**
+	 * Normalize a field or column name for matching.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $name The name.
+	 *
+	 * @return string
+	 */
+	private function normalize_name( string $name ): string {
+		return (string) preg_replace( '/[^\p{L}\p{N}]+/u', '', mb_strtolower( $name, 'UTF-8' ) );
+	}
+
+	/**
+	 * Print row errors as a table.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $errors Errors with 'row', 'column' and 'message'.
+	 * @param int   $total  Total number of errors.
+	 *
+	 * @return void
+	 */
+	private function print_errors( array $errors, int $total ): void {
+		if ( empty( $errors ) ) {
+			return;
+		}
+
+		$items = array_map( function ( array $error ) {
+			return [
+				'row'     => $error['row'] ?? '',
+				'column'  => $error['column'] ?? '',
+				'message' => $error['message'],
+			];
+		}, $errors );
+
+		format_items( 'table', $items, [ 'row', 'column', 'message' ] );
+
+		if ( $total > count( $errors ) ) {
+			WP_CLI::log( sprintf( __( '...and %d more errors.', 'arraypress' ), $total - count( $errors ) ) );
+		}
+	}
+
+	/**
+	 * Save a run's error report to the path given with --error-report.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $file_uuid  The import file UUID.
+	 * @param string $type       Report type ('dry_run' or 'import').
+	 * @param array  $assoc_args Associative arguments.
+	 *
+	 * @return void
+	 */
+	private function save_error_report( string $file_uuid, string $type, array $assoc_args ): void {
+		if ( empty( $assoc_args['error-report'] ) || ErrorReportManager::get_count( $file_uuid, $type ) === 0 ) {
+			return;
+		}
+
+		$report = ErrorReportManager::get_download( $file_uuid, $type );
+
+		if ( is_wp_error( $report ) || file_put_contents( $assoc_args['error-report'], $report['csv'] ) === false ) {
+			WP_CLI::warning( sprintf( __( 'Could not save the error report to %s.', 'arraypress' ), $assoc_args['error-report'] ) );
+
+			return;
+		}
+
+		WP_CLI::log( sprintf( __( 'Saved the failed rows to %s.', 'arraypress' ), $assoc_args['error-report'] ) );
+	}
+
+	/**
+	 * Delete the import file and stop with an error.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array           $file  File metadata.
+	 * @param string|WP_Error $error The error.
+	 *
+	 * @return void
+	 */
+	private function fail( array $file, $error ): void {
+		FileManager::delete_file( $file['uuid'] );
+
+		WP_CLI::error( $error );
+	}
+
+}
@@ -0,0 +1,396 @@
+<?php
+/**
+ * Column Mapper
+ *
+ * Builds a field's raw value from a row using its field map entry: a
+ * single column, a template of several columns or a constant, followed by
+ * optional column transforms such as find/replace or date conversion.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use DateTime;
+
+/**
+ * Class ColumnMapper
+ *
+ * A field map entry is either a column name, as produced by the plain
+ * mapping dropdown, or an array with a 'type' ('column', 'template' or
+ * 'constant'), its 'column', 'template' or 'value', a list of
+ * 'transforms' and a value map ('values', see ValueMapper). Column
+ * transforms run before the field's own pipeline, so the result is
+ * validated like any other column value.
+ */
+class ColumnMapper {
+
+	/**
+	 * Supported entry types.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const TYPES = [ 'column', 'template', 'constant' ];
+
+	/**
+	 * Supported column transforms.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const TRANSFORMS = [ 'replace', 'regex', 'trim', 'number', 'date', 'lookup' ];
+
+	/**
+	 * Maximum number of transforms per entry.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_TRANSFORMS = 10;
+
+	/**
+	 * Sanitize a field map entry.
+	 *
+	 * Column-only entries without transforms or a value map are reduced to
+	 * the column name. Invalid transforms, such as a regex that does not compile, are
+	 * dropped.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param mixed $entry Raw field map entry.
+	 *
+	 * @return string|array Column name, normalized entry, or '' if unmapped.
+	 */
+	public static function sanitize( $entry ) {
+		if ( is_object( $entry ) ) {
+			$entry = (array) $entry;
+		}
+
+		if ( ! is_array( $entry ) ) {
+			return is_scalar( $entry ) ? sanitize_text_field( (string) $entry ) : '';
+		}
+
+		$type = in_array( $entry['type'] ?? '', self::TYPES, true ) ? $entry['type'] : 'column';
+
+		$sanitized = [
+			'type'       => $type,
+			'column'     => $type === 'column' ? sanitize_text_field( (string) ( $entry['column'] ?? '' ) ) : '',
+			'template'   => $type === 'template' ? sanitize_text_field( (string) ( $entry['template'] ?? '' ) ) : '',
+			'value'      => $type === 'constant' ? sanitize_text_field( (string) ( $entry['value'] ?? '' ) ) : '',
+			'transforms' => [],
+			'values'     => ValueMapper::sanitize( $entry['values'] ?? [] ),
+		];
+
+		foreach ( array_slice( (array) ( $entry['transforms'] ?? [] ), 0, self::MAX_TRANSFORMS ) as $transform ) {
+			$transform = self::sanitize_transform( (array) $transform );
+
+			if ( $transform ) {
+				$sanitized['transforms'][] = $transform;
+			}
+		}
+
+		if ( $type === 'column' && empty( $sanitized['transforms'] ) && empty( $sanitized['values'] ) ) {
+			return $sanitized['column'];
+		}
+
+		return self::is_mapped( $sanitized ) ? $sanitized : '';
+	}
+
+	/**
+	 * Check whether a field map entry maps anything.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param mixed $entry Field map entry.
+	 *
+	 * @return bool
+	 */
+	public static function is_mapped( $entry ): bool {
+		if ( ! is_array( $entry ) ) {
+			return $entry !== null && $entry !== '';
+		}
+
+		return match ( $entry['type'] ?? 'column' ) {
+			'template' => ( $entry['template'] ?? '' ) !== '',
+			'constant' => true,
+			default    => ( $entry['column'] ?? '' ) !== '',
+		};
+	}
+
+	/**
+	 * Get the columns a field map entry reads.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param mixed $entry Field map entry.
+	 *
+	 * @return array Column names.
+	 */
+	public static function get_columns( $entry ): array {
+		if ( ! is_array( $entry ) ) {
+			return self::is_mapped( $entry ) ? [ (string) $entry ] : [];
+		}
+
+		if ( $entry['type'] === 'template' ) {
+			preg_match_all( '/\{([^{}]+)\}/', $entry['template'], $matches );
+
+			return array_values( array_unique( $matches[1] ) );
+		}
+
+		return $entry['type'] === 'column' && $entry['column'] !== '' ? [ $entry['column'] ] : [];
+	}
+
+	/**
+	 * Get a short description of where a field's value comes from.
+	 *
+	 * Used as the 'column' of row errors and preview headers.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param mixed $entry Field map entry.
+	 *
+	 * @return string|null Column name, template, quoted constant, or null if unmapped.
+	 */
+	public static function get_label( $entry ): ?string {
+		if ( ! self::is_mapped( $entry ) ) {
+			return null;
+		}
+
+		if ( ! is_array( $entry ) ) {
+			return (string) $entry;
+		}
+
+		return match ( $entry['type'] ) {
+			'template' => $entry['template'],
+			'constant' => '"' . $entry['value'] . '"',
+			default    => $entry['column'],
+		};
+	}
+
+	/**
+	 * Build a field's raw value from a row.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $row   Row data keyed by column name.
+	 * @param mixed $entry Field map entry.
+	 *
+	 * @return mixed The value, or null if the column is missing.
+	 */
+	public static function get_value( array $row, $entry ) {
+		if ( ! is_array( $entry ) ) {
+			return $row[ $entry ] ?? null;
+		}
+
+		if ( $entry['type'] === 'template' ) {
+			$value = trim( preg_replace_callback( '/\{([^{}]+)\}/', function ( $matches ) use ( $row ) {
+				return (string) ( $row[ $matches[1] ] ?? '' );
+			}, $entry['template'] ) );
+		} elseif ( $entry['type'] === 'constant' ) {
+			$value = $entry['value'];
+		} else {
+			$value = $row[ $entry['column'] ] ?? null;
+		}
+
+		if ( $value === null ) {
+			return null;
+		}
+
+		foreach ( $entry['transforms'] as $transform ) {
+			$value = self::apply_transform( (string) $value, $transform );
+		}
+
+		return $value;
+	}
+
+	/** Transforms **************************************************************/
+
+	/**
+	 * Sanitize a single column transform.
+	 *
+	 * Find, replace and trim values keep their whitespace, since it is
+	 * often what they are meant to match.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $transform Raw transform.
+	 *
+	 * @return array|null Normalized transform or null if invalid.
+	 */
+	private static function sanitize_transform( array $transform ): ?array {
+		$text = function ( $value ): string {
+			return wp_check_invalid_utf8( wp_kses_no_null( (string) $value ) );
+		};
+
+		switch ( $transform['type'] ?? '' ) {
+			case 'replace':
+				$find = $text( $transform['find'] ?? '' );
+
+				return $find === '' ? null : [
+					'type'    => 'replace',
+					'find'    => $find,
+					'replace' => $text( $transform['replace'] ?? '' ),
+				];
+
+			case 'regex':
+				$pattern = $text( $transform['pattern'] ?? '' );
+
+				// Drop patterns that do not compile instead of warning on every row
+				if ( $pattern === '' || ! self::is_valid_regex( $pattern ) ) {
+					return null;
+				}
+
+				return [
+					'type'    => 'regex',
+					'pattern' => $pattern,
+					'group'   => absint( $transform['group'] ?? 1 ),
+				];
+
+			case 'trim':
+				return [
+					'type'       => 'trim',
+					'characters' => $text( $transform['characters'] ?? '' ),
+				];
+
+			case 'number':
+				return [
+					'type'      => 'number',
+					'decimal'   => substr( $text( $transform['decimal'] ?? '.' ), 0, 1 ) ?: '.',
+					'thousands' => substr( $text( $transform['thousands'] ?? '' ), 0, 1 ),
+				];
+
+			case 'date':
+				return [
+					'type' => 'date',
+					'from' => sanitize_text_field( (string) ( $transform['from'] ?? '' ) ),
+					'to'   => sanitize_text_field( (string) ( $transform['to'] ?? '' ) ) ?: 'Y-m-d',
+				];
+
+			case 'lookup':
+				$table = [];
+
+				foreach ( (array) ( $transform['table'] ?? [] ) as $pair ) {
+					$pair = (array) $pair;
+					$from = trim( sanitize_text_field( (string) ( $pair['from'] ?? '' ) ) );
+
+					if ( $from !== '' ) {
+						$table[] = [
+							'from' => $from,
+							'to'   => sanitize_text_field( (string) ( $pair['to'] ?? '' ) ),
+						];
+					}
+				}
+
+				return $table ? [ 'type' => 'lookup', 'table' => $table ] : null;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Apply a column transform to a value.
+	 *
+	 * Values a transform cannot handle, such as an unparseable date, are
+	 * returned unchanged so field validation reports them.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $value     The value.
+	 * @param array  $transform Sanitized transform.
+	 *
+	 * @return string The transformed value.
+	 */
+	private static function apply_transform( string $value, array $transform ): string {
+		switch ( $transform['type'] ) {
+			case 'replace':
+				return str_replace( $transform['find'], $transform['replace'], $value );
+
+			case 'regex':
+				if ( ! preg_match( self::get_regex( $transform['pattern'] ), $value, $matches ) ) {
+					return '';
+				}
+
+				return $matches[ $transform['group'] ] ?? $matches[0];
+
+			case 'trim':
+				return $transform['characters'] === '' ? trim( $value ) : trim( $value, $transform['characters'] );
+
+			case 'number':
+				$number = $transform['thousands'] !== '' ? str_replace( $transform['thousands'], '', $value ) : $value;
+				$number = str_replace( $transform['decimal'], '.', $number );
+				$number = preg_replace( '/[^0-9.\-]/', '', $number );
+
+				return is_numeric( $number ) ? $number : $value;
+
+			case 'date':
+				if ( trim( $value ) === '' ) {
+					return $value;
+				}
+
+				$date = $transform['from'] !== ''
+					? DateTime::createFromFormat( '!' . $transform['from'], trim( $value ), wp_timezone() )
+					: date_create( trim( $value ), wp_timezone() );
+
+				return $date ? $date->format( $transform['to'] ) : $value;
+
+			case 'lookup':
+				foreach ( $transform['table'] as $pair ) {
+					if ( strcasecmp( $pair['from'], trim( $value ) ) === 0 ) {
+						return $pair['to'];
+					}
+				}
+
+				return $value;
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Wrap a user-entered pattern in delimiters.
+	 *
+	 * Also used for row filter patterns, so both are written the same way.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $pattern Pattern without delimiters.
+	 *
+	 * @return string
+	 */
+	public static function get_regex( string $pattern ): string {
+		return '~' . str_replace( '~', '\~', $pattern ) . '~u';
+	}
+
+	/**
+	 * Check whether a user-entered pattern compiles.
+	 *
+	 * The warning PHP raises for an invalid pattern is caught rather than
+	 * shown.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $pattern Pattern without delimiters.
+	 *
+	 * @return bool
+	 */
+	public static function is_valid_regex( string $pattern ): bool {
+		set_error_handler( function () {
+			return true;
+		} );
+
+		try {
+			$result = preg_match( self::get_regex( $pattern ), '' );
+		} finally {
+			restore_error_handler();
+		}
+
+		return $result !== false && preg_last_error() === PREG_NO_ERROR;
+	}
+
+}
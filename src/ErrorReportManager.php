@@ -0,0 +1,261 @@
+<?php
+/**
+ * Error Report Manager
+ *
+ * Collects the original rows that failed during a dry run or import into
+ * a CSV file, so they can be downloaded, fixed and re-uploaded.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use WP_Error;
+
+/**
+ * Class ErrorReportManager
+ *
+ * Reports are stored next to the uploads and outlive the import file,
+ * so they can still be downloaded after an import completes. Both expire
+ * with the regular upload cleanup.
+ */
+class ErrorReportManager {
+
+	/**
+	 * Transient prefix for report metadata.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const TRANSIENT_PREFIX = 'importer_report_';
+
+	/**
+	 * Report types.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const TYPES = [ 'dry_run', 'import' ];
+
+	/**
+	 * Extra columns appended to the original headers.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const COLUMNS = [ 'row_number', 'error' ];
+
+	/**
+	 * Start a new, empty report for an import file.
+	 *
+	 * Replaces any previous report of the same type for the file.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array  $file_data File metadata from FileManager::get_file().
+	 * @param string $type      Report type ('dry_run' or 'import').
+	 *
+	 * @return bool True if the report file was created.
+	 */
+	public static function start( array $file_data, string $type ): bool {
+		self::delete_report( $file_data['uuid'], $type );
+
+		$path   = self::get_path( $file_data, $type );
+		$handle = fopen( $path, 'w' );
+
+		if ( ! $handle ) {
+			return false;
+		}
+
+		fputcsv( $handle, array_merge( $file_data['headers'], self::COLUMNS ) );
+		fclose( $handle );
+
+		set_transient( self::get_transient_key( $file_data['uuid'], $type ), [
+			'path'          => $path,
+			'type'          => $type,
+			'original_name' => $file_data['original_name'],
+			'headers'       => $file_data['headers'],
+			'count'         => 0,
+			'created_by'    => get_current_user_id(),
+		], FileManager::MAX_FILE_AGE );
+
+		return true;
+	}
+
+	/**
+	 * Append failed rows to a report.
+	 *
+	 * Each failure is an array with 'row_number', 'row' (the original row,
+	 * keyed by header or positional) and 'error'.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $file_uuid The import file UUID.
+	 * @param string $type      Report type.
+	 * @param array  $failures  Failed rows.
+	 *
+	 * @return void
+	 */
+	public static function add_rows( string $file_uuid, string $type, array $failures ): void {
+		$report = self::get_report( $file_uuid, $type );
+
+		if ( ! $report || empty( $failures ) ) {
+			return;
+		}
+
+		$handle = fopen( $report['path'], 'a' );
+
+		if ( ! $handle ) {
+			return;
+		}
+
+		$width = count( $report['headers'] );
+
+		foreach ( $failures as $failure ) {
+			$values = array_values( $failure['row'] );
+			$values = array_slice( array_pad( $values, $width, '' ), 0, $width );
+
+			fputcsv( $handle, array_merge( $values, [ $failure['row_number'], $failure['error'] ] ) );
+		}
+
+		fclose( $handle );
+
+		$report['count'] += count( $failures );
+
+		set_transient( self::get_transient_key( $file_uuid, $type ), $report, FileManager::MAX_FILE_AGE );
+	}
+
+	/**
+	 * Get report metadata.
+	 *
+	 * Only the user who created the report can access it.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $file_uuid The import file UUID.
+	 * @param string $type      Report type.
+	 *
+	 * @return array|null Report metadata or null if not found.
+	 */
+	public static function get_report( string $file_uuid, string $type ): ?array {
+		$report = get_transient( self::get_transient_key( $file_uuid, $type ) );
+
+		if ( ! $report || ! is_array( $report ) || ! file_exists( $report['path'] ) ) {
+			return null;
+		}
+
+		if ( get_current_user_id() !== (int) $report['created_by'] ) {
+			return null;
+		}
+
+		return $report;
+	}
+
+	/**
+	 * Get the number of failed rows in a report.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $file_uuid The import file UUID.
+	 * @param string $type      Report type.
+	 *
+	 * @return int
+	 */
+	public static function get_count( string $file_uuid, string $type ): int {
+		$report = self::get_report( $file_uuid, $type );
+
+		return $report ? (int) $report['count'] : 0;
+	}
+
+	/**
+	 * Get the CSV content and download filename of a report.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $file_uuid The import file UUID.
+	 * @param string $type      Report type.
+	 *
+	 * @return array|WP_Error Array with 'csv' and 'filename' or WP_Error.
+	 */
+	public static function get_download( string $file_uuid, string $type ) {
+		$report = self::get_report( $file_uuid, $type );
+
+		if ( ! $report || $report['count'] === 0 ) {
+			return new WP_Error(
+				'report_not_found',
+				__( 'No failed rows were recorded for this file.', 'arraypress' )
+			);
+		}
+
+		$csv = file_get_contents( $report['path'] );
+
+		if ( $csv === false ) {
+			return new WP_Error(
+				'file_read_error',
+				__( 'Unable to read the error report.', 'arraypress' )
+			);
+		}
+
+		$name = pathinfo( $report['original_name'], PATHINFO_FILENAME );
+
+		return [
+			'csv'      => $csv,
+			'filename' => sanitize_file_name( $name . '-failed-rows.csv' ),
+		];
+	}
+
+	/**
+	 * Delete a report and its metadata.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $file_uuid The import file UUID.
+	 * @param string $type      Report type.
+	 *
+	 * @return void
+	 */
+	public static function delete_report( string $file_uuid, string $type ): void {
+		$report = get_transient( self::get_transient_key( $file_uuid, $type ) );
+
+		if ( is_array( $report ) && ! empty( $report['path'] ) && file_exists( $report['path'] ) ) {
+			unlink( $report['path'] );
+		}
+
+		delete_transient( self::get_transient_key( $file_uuid, $type ) );
+	}
+
+	/**
+	 * Get the path of a report file.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array  $file_data File metadata.
+	 * @param string $type      Report type.
+	 *
+	 * @return string
+	 */
+	private static function get_path( array $file_data, string $type ): string {
+		return trailingslashit( FileManager::get_upload_dir( $file_data['page_id'] ) )
+		       . $file_data['uuid'] . '-' . $type . '-errors.csv';
+	}
+
+	/**
+	 * Get the transient key for a report.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $file_uuid The import file UUID.
+	 * @param string $type      Report type.
+	 *
+	 * @return string
+	 */
+	private static function get_transient_key( string $file_uuid, string $type ): string {
+		return self::TRANSIENT_PREFIX . $type . '_' . $file_uuid;
+	}
+
+}
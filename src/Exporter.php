@@ -0,0 +1,282 @@
+<?php
+/**
+ * Exporter
+ *
+ * Exports an operation's existing data as a CSV in the layout its import
+ * accepts: one column per field, headed by the field label, with entity
+ * fields written the way they are matched on import. An exported file can
+ * be edited in a spreadsheet and imported again.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use WP_Error;
+
+/**
+ * Class Exporter
+ *
+ * Items come from the operation's export_callback, a page at a time, in
+ * the shape process_callback receives rows: keyed by field key, with IDs
+ * for entity fields and arrays for separator fields.
+ */
+class Exporter {
+
+	/**
+	 * Check whether an operation can be exported.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $operation Operation configuration.
+	 *
+	 * @return bool
+	 */
+	public static function supports( array $operation ): bool {
+		return isset( $operation['export_callback'] ) && is_callable( $operation['export_callback'] );
+	}
+
+	/**
+	 * Export the next page of an operation's items.
+	 *
+	 * Each page holds up to the operation's batch_size items. The first
+	 * page starts with the header row, so the pages can be joined into one
+	 * file in order.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param int    $offset       Number of items already exported.
+	 *
+	 * @return array|WP_Error Array with 'csv', 'count', 'offset' (to continue
+	 *                        from), 'has_more' and 'filename', or WP_Error.
+	 */
+	public static function export_batch( string $page_id, string $operation_id, int $offset = 0 ): array|WP_Error {
+		$operation = ImportProcessor::get_operation( $page_id, $operation_id );
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
+		}
+
+		if ( ! self::supports( $operation ) ) {
+			return new WP_Error(
+				'no_export_callback',
+				__( 'This operation cannot be exported.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$fields = $operation['fields'] ?? [];
+		$limit  = max( 1, (int) ( $operation['batch_size'] ?? 100 ) );
+		$items  = call_user_func( $operation['export_callback'], [
+			'offset' => $offset,
+			'limit'  => $limit,
+		] );
+
+		if ( is_wp_error( $items ) ) {
+			return $items;
+		}
+
+		$items = array_slice( array_values( (array) $items ), 0, $limit );
+		$rows  = $offset === 0 ? [ self::get_headers( $fields ) ] : [];
+
+		foreach ( $items as $item ) {
+			$rows[] = self::format_row( (array) $item, $fields );
+		}
+
+		return [
+			'csv'      => self::to_csv( $rows ),
+			'count'    => count( $items ),
+			'offset'   => $offset + count( $items ),
+			'has_more' => count( $items ) === $limit,
+			'filename' => sanitize_file_name( $operation_id . '-export-' . wp_date( 'Y-m-d' ) . '.csv' ),
+		];
+	}
+
+	/**
+	 * Get the header row for an operation's fields.
+	 *
+	 * Headers are the field labels, as in the sample CSV, so an exported
+	 * file maps itself when it is imported.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $fields Field definitions.
+	 *
+	 * @return array
+	 */
+	public static function get_headers( array $fields ): array {
+		$headers = [];
+
+		foreach ( $fields as $key => $field ) {
+			$headers[] = $field['label'] ?? $key;
+		}
+
+		return $headers;
+	}
+
+	/**
+	 * Format an item as a CSV row.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $item   Item values keyed by field key.
+	 * @param array $fields Field definitions.
+	 *
+	 * @return array Cell values in field order.
+	 */
+	public static function format_row( array $item, array $fields ): array {
+		$row = [];
+
+		foreach ( $fields as $key => $field ) {
+			$row[] = self::format_value( $item[ $key ] ?? null, $field );
+		}
+
+		return $row;
+	}
+
+	/**
+	 * Format a value as its field's import expects it.
+	 *
+	 * Arrays are joined with the field's separator (its first character,
+	 * when several are accepted). Entity IDs are written as their match_by
+	 * value; see format_entity().
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param mixed $value The value, as process_callback would receive it.
+	 * @param array $field Field definition.
+	 *
+	 * @return string
+	 */
+	public static function format_value( $value, array $field ): string {
+		if ( $value === null || $value === '' ) {
+			return '';
+		}
+
+		if ( is_array( $value ) ) {
+			$separator = (string) ( $field['separator'] ?? ',' );
+			$items     = [];
+
+			foreach ( $value as $item ) {
+				$items[] = self::format_value( $item, $field );
+			}
+
+			return implode( $separator !== '' ? $separator[0] : ',', array_filter( $items, 'strlen' ) );
+		}
+
+		$type = $field['type'] ?? 'string';
+
+		if ( in_array( $type, [ 'post', 'term', 'user', 'attachment' ], true ) ) {
+			return self::format_entity( $value, $field );
+		}
+
+		if ( $value instanceof \DateTimeInterface ) {
+			return $value->format( $type === 'datetime' ? 'Y-m-d H:i:s' : 'Y-m-d' );
+		}
+
+		if ( is_bool( $value ) ) {
+			return $value ? 'true' : 'false';
+		}
+
+		return is_scalar( $value ) ? (string) $value : '';
+	}
+
+	/**
+	 * Format an entity ID as the value its field matches by.
+	 *
+	 * Fields matched by 'identifier' are written as slugs for posts and
+	 * terms, emails for users and URLs for attachments. Values that are
+	 * not the ID of an existing entity are written unchanged.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param mixed $value The entity ID.
+	 * @param array $field Field definition.
+	 *
+	 * @return string
+	 */
+	private static function format_entity( $value, array $field ): string {
+		$match_by = $field['match_by'] ?? 'identifier';
+
+		if ( ! is_numeric( $value ) || $match_by === 'id' ) {
+			return (string) $value;
+		}
+
+		$id = (int) $value;
+
+		switch ( $field['type'] ) {
+			case 'post':
+				$post = get_post( $id );
+				if ( ! $post instanceof \WP_Post ) {
+					break;
+				}
+
+				return match ( $match_by ) {
+					'title' => $post->post_title,
+					'meta'  => (string) get_post_meta( $id, $field['meta_key'] ?? '', true ),
+					default => $post->post_name,
+				};
+
+			case 'term':
+				$term = get_term( $id, $field['taxonomy'] ?? 'category' );
+				if ( ! $term instanceof \WP_Term ) {
+					break;
+				}
+
+				return $match_by === 'name' ? $term->name : $term->slug;
+
+			case 'user':
+				$user = get_user_by( 'id', $id );
+				if ( ! $user instanceof \WP_User ) {
+					break;
+				}
+
+				return match ( $match_by ) {
+					'login' => $user->user_login,
+					'slug'  => $user->user_nicename,
+					default => $user->user_email,
+				};
+
+			case 'attachment':
+				if ( get_post_type( $id ) !== 'attachment' ) {
+					break;
+				}
+
+				return $match_by === 'filename'
+					? wp_basename( (string) get_attached_file( $id ) )
+					: (string) wp_get_attachment_url( $id );
+		}
+
+		return (string) $value;
+	}
+
+	/**
+	 * Write rows as CSV.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $rows Rows of cell values.
+	 *
+	 * @return string CSV content.
+	 */
+	private static function to_csv( array $rows ): string {
+		$output = fopen( 'php://temp', 'r+' );
+
+		foreach ( $rows as $row ) {
+			fputcsv( $output, $row );
+		}
+
+		rewind( $output );
+		$csv = stream_get_contents( $output );
+		fclose( $output );
+
+		return $csv;
+	}
+
+}
@@ -3,6 +3,13 @@
  * File Manager
  *
  * Handles secure file uploads, storage, and cleanup for CSV imports.
+ * Spreadsheet uploads (.xlsx, .ods) are converted to CSV on upload, and
+ * JSON uploads (.json, .jsonl) to JSON Lines of flattened records, so
+ * every reader below works the same regardless of the source format.
+ * CSV uploads keep their original bytes; the detected dialect (delimiter,
+ * encoding, header row) is stored with the metadata and applied on read.
+ * ZIP uploads are unpacked by MediaBundle into their data file, which is
+ * prepared as above, and the media files the rows refer to.
  *
  * @package     ArrayPress\RegisterImporters
  * @copyright   Copyright (c) 2026, ArrayPress Limited
@@ -14,6 +21,9 @@ declare( strict_types=1 );
 
 namespace ArrayPress\RegisterImporters;
 
+use ArrayPress\RegisterImporters\Readers\CsvReader;
+use ArrayPress\RegisterImporters\Readers\JsonReader;
+use ArrayPress\RegisterImporters\Readers\SpreadsheetReader;
 use WP_Error;
 
 /**
@@ -57,6 +67,51 @@ class FileManager {
 		'text/comma-separated-values',
 	];
 
+	/**
+	 * Allowed MIME types for spreadsheet workbooks.
+	 *
+	 * Workbooks are zip archives, which some servers report generically.
+	 * The archive structure is verified by SpreadsheetReader after upload.
+	 *
+	 * @var array
+	 */
+	const SPREADSHEET_MIME_TYPES = [
+		'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+		'application/vnd.oasis.opendocument.spreadsheet',
+		'application/zip',
+		'application/x-zip-compressed',
+		'application/octet-stream',
+	];
+
+	/**
+	 * Allowed MIME types for JSON and JSON Lines files.
+	 *
+	 * @var array
+	 */
+	const JSON_MIME_TYPES = [
+		'application/json',
+		'application/x-ndjson',
+		'application/jsonl',
+		'text/json',
+		'text/plain',
+	];
+
+	/**
+	 * Sources an import file can come from besides a browser upload.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const SOURCES = [ 'url', 'media', 'server' ];
+
+	/**
+	 * Timeout in seconds for downloading a file from a URL.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const DOWNLOAD_TIMEOUT = 60;
+
 	/**
 	 * Get the base upload directory for importers.
 	 *
@@ -144,72 +199,645 @@ class FileManager {
 			);
 		}
 
+		return self::store_file( $page_id, $file['tmp_name'], $file['name'], 'upload' );
+	}
+
+	/**
+	 * Add a file from the server's filesystem as an import file.
+	 *
+	 * The file is validated like an upload and copied into the importer's
+	 * upload directory, leaving the original in place.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id The importer page ID.
+	 * @param string $path    Path to the file.
+	 *
+	 * @return array|WP_Error File data array on success, WP_Error on failure.
+	 */
+	public static function handle_local_file( string $page_id, string $path ) {
+		if ( ! is_file( $path ) || ! is_readable( $path ) ) {
+			return new WP_Error(
+				'file_not_found',
+				sprintf( __( 'The file %s does not exist or cannot be read.', 'arraypress' ), $path )
+			);
+		}
+
+		return self::store_file( $page_id, $path, basename( $path ), 'copy' );
+	}
+
+	/**
+	 * Download a file from a URL as an import file.
+	 *
+	 * Only public http(s) URLs are fetched. When the URL has no usable
+	 * file extension, it is taken from the response's content type.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id  The importer page ID.
+	 * @param string $url      URL of the file.
+	 * @param int    $max_size Maximum file size in bytes (0 = unlimited).
+	 *
+	 * @return array|WP_Error File data array on success, WP_Error on failure.
+	 */
+	public static function handle_remote_file( string $page_id, string $url, int $max_size = 0 ) {
+		if ( ! wp_http_validate_url( $url ) ) {
+			return new WP_Error(
+				'invalid_url',
+				__( 'Please enter a valid public http or https URL.', 'arraypress' )
+			);
+		}
+
+		if ( ! function_exists( 'wp_tempnam' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/file.php';
+		}
+
+		$name = sanitize_file_name( basename( (string) wp_parse_url( $url, PHP_URL_PATH ) ) );
+		$tmp  = wp_tempnam( $name ?: 'import' );
+
+		// Stop reading just past the limit so oversized files are never fully downloaded
+		$response = wp_safe_remote_get( $url, [
+			'timeout'             => self::DOWNLOAD_TIMEOUT,
+			'stream'              => true,
+			'filename'            => $tmp,
+			'limit_response_size' => $max_size > 0 ? $max_size + 1 : null,
+		] );
+
+		if ( is_wp_error( $response ) || wp_remote_retrieve_response_code( $response ) !== 200 ) {
+			if ( file_exists( $tmp ) ) {
+				unlink( $tmp );
+			}
+
+			return new WP_Error(
+				'download_failed',
+				sprintf(
+					__( 'The file could not be downloaded: %s', 'arraypress' ),
+					is_wp_error( $response )
+						? $response->get_error_message()
+						: sprintf( __( 'the server responded with status %d.', 'arraypress' ), wp_remote_retrieve_response_code( $response ) )
+				)
+			);
+		}
+
+		$extension = strtolower( pathinfo( $name, PATHINFO_EXTENSION ) );
+
+		if ( ! in_array( $extension, self::get_allowed_extensions(), true ) ) {
+			$content_type = strtolower( trim( strtok( (string) wp_remote_retrieve_header( $response, 'content-type' ), ';' ) ) );
+			$extension    = array_search( $content_type, self::get_allowed_mimes(), true );
+
+			if ( $extension ) {
+				$name = ( pathinfo( $name, PATHINFO_FILENAME ) ?: 'import' ) . '.' . $extension;
+			}
+		}
+
+		$result = self::check_file_size( $tmp, $max_size );
+
+		if ( ! is_wp_error( $result ) ) {
+			$result = self::store_file( $page_id, $tmp, $name, 'copy' );
+		}
+
+		unlink( $tmp );
+
+		return $result;
+	}
+
+	/**
+	 * Use a media library file as an import file.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id       The importer page ID.
+	 * @param int    $attachment_id The attachment ID.
+	 * @param int    $max_size      Maximum file size in bytes (0 = unlimited).
+	 *
+	 * @return array|WP_Error File data array on success, WP_Error on failure.
+	 */
+	public static function handle_media_file( string $page_id, int $attachment_id, int $max_size = 0 ) {
+		$path = get_post_type( $attachment_id ) === 'attachment' ? get_attached_file( $attachment_id ) : false;
+
+		if ( ! $path || ! is_file( $path ) ) {
+			return new WP_Error(
+				'file_not_found',
+				__( 'The selected media file could not be found.', 'arraypress' )
+			);
+		}
+
+		$result = self::check_file_size( $path, $max_size );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return self::store_file( $page_id, $path, basename( $path ), 'copy' );
+	}
+
+	/**
+	 * Store a file reassembled from uploaded chunks as an import file.
+	 *
+	 * The file is moved, not copied, so large uploads are not written
+	 * twice. See ChunkedUpload.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id The importer page ID.
+	 * @param string $path    Path to the reassembled file.
+	 * @param string $name    Original filename.
+	 *
+	 * @return array|WP_Error File data array on success, WP_Error on failure.
+	 */
+	public static function handle_assembled_file( string $page_id, string $path, string $name ) {
+		return self::store_file( $page_id, $path, $name, 'move' );
+	}
+
+	/**
+	 * List the import files in allow-listed server directories.
+	 *
+	 * Only files directly inside each directory with an allowed
+	 * extension are listed, newest first.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $directories Absolute directory paths.
+	 *
+	 * @return array List of files with 'directory' (index in $directories),
+	 *               'name', 'size' and 'modified' (Unix timestamp).
+	 */
+	public static function get_server_files( array $directories ): array {
+		$files = [];
+
+		foreach ( array_values( $directories ) as $index => $directory ) {
+			$directory = realpath( (string) $directory );
+
+			if ( ! $directory || ! is_dir( $directory ) || ! is_readable( $directory ) ) {
+				continue;
+			}
+
+			foreach ( scandir( $directory ) as $name ) {
+				$path      = trailingslashit( $directory ) . $name;
+				$extension = strtolower( pathinfo( $name, PATHINFO_EXTENSION ) );
+
+				if ( ! is_file( $path ) || ! in_array( $extension, self::get_allowed_extensions(), true ) ) {
+					continue;
+				}
+
+				$files[] = [
+					'directory' => $index,
+					'name'      => $name,
+					'size'      => filesize( $path ),
+					'modified'  => filemtime( $path ),
+				];
+			}
+		}
+
+		usort( $files, function ( $a, $b ) {
+			return $b['modified'] <=> $a['modified'];
+		} );
+
+		return $files;
+	}
+
+	/**
+	 * Use a file from an allow-listed server directory as an import file.
+	 *
+	 * The file must sit directly inside the directory; paths that resolve
+	 * elsewhere, including through symlinks, are refused.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id     The importer page ID.
+	 * @param array  $directories Absolute directory paths.
+	 * @param int    $directory   Index of the directory in $directories.
+	 * @param string $name        Filename within the directory.
+	 * @param int    $max_size    Maximum file size in bytes (0 = unlimited).
+	 *
+	 * @return array|WP_Error File data array on success, WP_Error on failure.
+	 */
+	public static function handle_server_file( string $page_id, array $directories, int $directory, string $name, int $max_size = 0 ) {
+		$directories = array_values( $directories );
+		$base        = isset( $directories[ $directory ] ) ? realpath( (string) $directories[ $directory ] ) : false;
+		$path        = $base && $name === basename( $name ) ? realpath( trailingslashit( $base ) . $name ) : false;
+
+		if ( ! $path || dirname( $path ) !== $base || ! is_file( $path ) ) {
+			return new WP_Error(
+				'invalid_server_file',
+				__( 'The selected file is not in an allowed directory.', 'arraypress' )
+			);
+		}
+
+		$result = self::check_file_size( $path, $max_size );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return self::store_file( $page_id, $path, $name, 'copy' );
+	}
+
+	/**
+	 * Check a file against a maximum size.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path     Path to the file.
+	 * @param int    $max_size Maximum file size in bytes (0 = unlimited).
+	 *
+	 * @return true|WP_Error True if the file is small enough, WP_Error otherwise.
+	 */
+	private static function check_file_size( string $path, int $max_size ) {
+		if ( $max_size > 0 && filesize( $path ) > $max_size ) {
+			return new WP_Error(
+				'file_too_large',
+				sprintf(
+					__( 'File exceeds maximum size of %s.', 'arraypress' ),
+					size_format( $max_size )
+				)
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check that a filename has an allowed extension and type.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $name The filename.
+	 *
+	 * @return true|WP_Error True if the name is allowed, WP_Error otherwise.
+	 */
+	public static function check_file_name( string $name ) {
 		// Validate file extension
-		$extension = strtolower( pathinfo( $file['name'], PATHINFO_EXTENSION ) );
-		if ( $extension !== 'csv' ) {
+		$extension = strtolower( pathinfo( $name, PATHINFO_EXTENSION ) );
+		if ( ! in_array( $extension, self::get_allowed_extensions(), true ) ) {
 			return new WP_Error(
 				'invalid_extension',
-				__( 'File must have a .csv extension.', 'arraypress' )
+				sprintf(
+					__( 'File must have one of the following extensions: %s.', 'arraypress' ),
+					'.' . implode( ', .', self::get_allowed_extensions() )
+				)
 			);
 		}
 
 		// Validate file type using WordPress function
-		$filetype = wp_check_filetype( $file['name'], self::get_allowed_mimes() );
+		$filetype = wp_check_filetype( $name, self::get_allowed_mimes() );
 		if ( empty( $filetype['type'] ) ) {
 			return new WP_Error(
 				'invalid_type',
-				__( 'Invalid file type. Please upload a CSV file.', 'arraypress' )
+				__( 'Invalid file type. Please upload a CSV, spreadsheet, JSON or ZIP file.', 'arraypress' )
 			);
 		}
 
+		return true;
+	}
+
+	/**
+	 * Validate a file and store it as an import file.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id The importer page ID.
+	 * @param string $source  Path to the file to store.
+	 * @param string $name    Original filename.
+	 * @param string $method  How to store the file: 'upload' (a PHP upload to
+	 *                        move), 'move' or 'copy'.
+	 *
+	 * @return array|WP_Error File data array on success, WP_Error on failure.
+	 */
+	private static function store_file( string $page_id, string $source, string $name, string $method ) {
+		$valid = self::check_file_name( $name );
+		if ( is_wp_error( $valid ) ) {
+			return $valid;
+		}
+
 		// Additional MIME validation on actual file content
-		$detected_type = self::get_file_mime_type( $file['tmp_name'] );
-		if ( ! in_array( $detected_type, self::ALLOWED_MIME_TYPES, true ) ) {
+		$extension     = strtolower( pathinfo( $name, PATHINFO_EXTENSION ) );
+		$detected_type = self::get_file_mime_type( $source );
+		if ( ! in_array( $detected_type, self::get_content_mime_types( $extension ), true ) ) {
 			return new WP_Error(
 				'invalid_type',
-				__( 'Invalid file type. Please upload a CSV file.', 'arraypress' )
+				__( 'Invalid file type. Please upload a CSV, spreadsheet, JSON or ZIP file.', 'arraypress' )
 			);
 		}
 
 		// Generate secure filename with UUID
 		$uuid     = wp_generate_uuid4();
-		$filename = $uuid . '.csv';
+		$filename = $uuid . '.' . $extension;
 		$dir      = self::get_upload_dir( $page_id );
 		$filepath = trailingslashit( $dir ) . $filename;
 
-		// Move uploaded file
-		if ( ! move_uploaded_file( $file['tmp_name'], $filepath ) ) {
+		// Move an uploaded or reassembled file, or copy a local one
+		$stored = match ( $method ) {
+			'upload' => move_uploaded_file( $source, $filepath ),
+			'move'   => rename( $source, $filepath ),
+			default  => copy( $source, $filepath ),
+		};
+
+		if ( ! $stored ) {
 			return new WP_Error(
 				'move_failed',
 				__( 'Failed to save the uploaded file.', 'arraypress' )
 			);
 		}
 
-		// Get file info
-		$row_count = self::count_csv_rows( $filepath );
-		$headers   = self::get_csv_headers( $filepath );
-
 		// Store metadata in transient
 		$file_data = [
 			'uuid'          => $uuid,
-			'original_name' => sanitize_file_name( $file['name'] ),
+			'original_name' => sanitize_file_name( $name ),
 			'path'          => $filepath,
+			'format'        => $extension,
 			'size'          => filesize( $filepath ),
 			'size_human'    => size_format( filesize( $filepath ) ),
-			'rows'          => $row_count,
-			'headers'       => $headers,
+			'rows'          => 0,
+			'headers'       => [],
 			'uploaded_at'   => current_time( 'mysql', true ),
 			'uploaded_by'   => get_current_user_id(),
 			'page_id'       => $page_id,
 		];
 
+		$file_data = MediaBundle::supports( $extension ) ? self::prepare_bundle( $file_data ) : self::prepare_data_file( $file_data );
+
+		if ( is_wp_error( $file_data ) ) {
+			if ( file_exists( $filepath ) ) {
+				unlink( $filepath );
+			}
+
+			return $file_data;
+		}
+
+		set_transient( self::TRANSIENT_PREFIX . $uuid, $file_data, self::MAX_FILE_AGE );
+
+		return $file_data;
+	}
+
+	/**
+	 * Read the rows and headers of a stored data file.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $file_data File metadata with 'path' and 'format' of the file.
+	 *
+	 * @return array|WP_Error Updated file metadata or WP_Error on failure.
+	 */
+	private static function prepare_data_file( array $file_data ) {
+		if ( SpreadsheetReader::supports( $file_data['format'] ) ) {
+			return self::prepare_spreadsheet( $file_data );
+		}
+
+		if ( JsonReader::supports( $file_data['format'] ) ) {
+			return self::prepare_json( $file_data );
+		}
+
+		$file_data['dialect'] = CsvReader::detect( $file_data['path'] );
+		$file_data['rows']    = self::count_csv_rows( $file_data['path'], $file_data['dialect'] );
+		$file_data['headers'] = self::get_csv_headers( $file_data['path'], $file_data['dialect'] );
+
+		return $file_data;
+	}
+
+	/**
+	 * Unpack an uploaded ZIP bundle and prepare its data file.
+	 *
+	 * The archive is deleted once its files are extracted; 'path' and
+	 * 'format' then describe the data file, and 'media_dir' holds the
+	 * media files.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $file_data File metadata with 'path' pointing to the archive.
+	 *
+	 * @return array|WP_Error Updated file metadata or WP_Error on failure.
+	 */
+	private static function prepare_bundle( array $file_data ) {
+		$bundle = MediaBundle::extract( $file_data );
+
+		if ( is_wp_error( $bundle ) ) {
+			return $bundle;
+		}
+
+		unlink( $file_data['path'] );
+
+		$file_data = array_merge( $file_data, $bundle );
+		$prepared  = self::prepare_data_file( $file_data );
+
+		if ( is_wp_error( $prepared ) ) {
+			MediaBundle::delete( $file_data );
+
+			if ( file_exists( $file_data['path'] ) ) {
+				unlink( $file_data['path'] );
+			}
+		}
+
+		return $prepared;
+	}
+
+	/**
+	 * Convert the first sheet of an uploaded workbook to CSV.
+	 *
+	 * The workbook is kept as the source so another sheet can be
+	 * selected later; 'path' points to the generated CSV.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $file_data File metadata with 'path' pointing to the workbook.
+	 *
+	 * @return array|WP_Error Updated file metadata or WP_Error on failure.
+	 */
+	private static function prepare_spreadsheet( array $file_data ) {
+		$sheets = SpreadsheetReader::get_sheets( $file_data['path'], $file_data['format'] );
+
+		if ( is_wp_error( $sheets ) ) {
+			return $sheets;
+		}
+
+		$file_data['source_path'] = $file_data['path'];
+		$file_data['path']        = trailingslashit( dirname( $file_data['path'] ) ) . $file_data['uuid'] . '.csv';
+		$file_data['sheets']      = $sheets;
+
+		return self::convert_sheet( $file_data, 0 );
+	}
+
+	/**
+	 * Normalize an uploaded JSON or JSON Lines file.
+	 *
+	 * Records are flattened to dot-path columns and written one per line,
+	 * after which the original upload is no longer needed.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $file_data File metadata with 'path' pointing to the upload.
+	 *
+	 * @return array|WP_Error Updated file metadata or WP_Error on failure.
+	 */
+	private static function prepare_json( array $file_data ) {
+		$output = trailingslashit( dirname( $file_data['path'] ) ) . $file_data['uuid'] . '.rows.jsonl';
+		$result = JsonReader::convert_to_jsonl( $file_data['path'], $file_data['format'], $output );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		unlink( $file_data['path'] );
+
+		$file_data['path']    = $output;
+		$file_data['rows']    = $result['rows'];
+		$file_data['headers'] = $result['headers'];
+
+		return $file_data;
+	}
+
+	/**
+	 * Select a different sheet of an uploaded workbook.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $uuid  The file UUID.
+	 * @param int    $sheet Zero-based sheet index.
+	 *
+	 * @return array|WP_Error Updated file metadata or WP_Error on failure.
+	 */
+	public static function select_sheet( string $uuid, int $sheet ) {
+		$file_data = self::get_file( $uuid );
+
+		if ( ! $file_data ) {
+			return new WP_Error(
+				'file_not_found',
+				__( 'Import file not found or expired.', 'arraypress' )
+			);
+		}
+
+		if ( empty( $file_data['source_path'] ) || ! isset( $file_data['sheets'][ $sheet ] ) ) {
+			return new WP_Error(
+				'invalid_sheet',
+				__( 'The selected sheet does not exist.', 'arraypress' )
+			);
+		}
+
+		$file_data = self::convert_sheet( $file_data, $sheet );
+
+		if ( is_wp_error( $file_data ) ) {
+			return $file_data;
+		}
+
 		set_transient( self::TRANSIENT_PREFIX . $uuid, $file_data, self::MAX_FILE_AGE );
 
 		return $file_data;
 	}
 
 	/**
-	 * Get allowed MIME types for CSV uploads.
+	 * Override the detected dialect of an uploaded CSV file.
+	 *
+	 * Headers and row count are re-read with the new settings.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $uuid    The file UUID.
+	 * @param array  $dialect Dialect values ('delimiter', 'enclosure', 'encoding', 'header_row').
+	 *
+	 * @return array|WP_Error Updated file metadata or WP_Error on failure.
+	 */
+	public static function set_dialect( string $uuid, array $dialect ) {
+		$file_data = self::get_file( $uuid );
+
+		if ( ! $file_data ) {
+			return new WP_Error(
+				'file_not_found',
+				__( 'Import file not found or expired.', 'arraypress' )
+			);
+		}
+
+		if ( ( $file_data['format'] ?? 'csv' ) !== 'csv' ) {
+			return new WP_Error(
+				'invalid_format',
+				__( 'CSV settings can only be changed for CSV files.', 'arraypress' )
+			);
+		}
+
+		$dialect = CsvReader::sanitize_dialect( $dialect );
+
+		// Confirm the encoding can be read before saving it
+		$handle = CsvReader::open( $file_data['path'], $dialect );
+		if ( is_wp_error( $handle ) ) {
+			return $handle;
+		}
+		fclose( $handle );
+
+		$file_data['dialect'] = $dialect;
+		$file_data['rows']    = self::count_csv_rows( $file_data['path'], $dialect );
+		$file_data['headers'] = self::get_csv_headers( $file_data['path'], $dialect );
+
+		set_transient( self::TRANSIENT_PREFIX . $uuid, $file_data, self::MAX_FILE_AGE );
+
+		return $file_data;
+	}
+
+	/**
+	 * Convert a workbook sheet to the file's CSV path and update its metadata.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $file_data File metadata with 'source_path' set.
+	 * @param int   $sheet     Zero-based sheet index.
+	 *
+	 * @return array|WP_Error Updated file metadata or WP_Error on failure.
+	 */
+	private static function convert_sheet( array $file_data, int $sheet ) {
+		$result = SpreadsheetReader::convert_to_csv(
+			$file_data['source_path'],
+			$file_data['format'],
+			$sheet,
+			$file_data['path']
+		);
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$file_data['sheet']   = $sheet;
+		$file_data['rows']    = $result['rows'];
+		$file_data['headers'] = $result['headers'];
+
+		return $file_data;
+	}
+
+	/**
+	 * Get allowed file extensions for uploads.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return array
+	 */
+	public static function get_allowed_extensions(): array {
+		return array_keys( self::get_allowed_mimes() );
+	}
+
+	/**
+	 * Get the MIME types accepted for a file's detected content.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $extension File extension.
+	 *
+	 * @return array
+	 */
+	private static function get_content_mime_types( string $extension ): array {
+		if ( MediaBundle::supports( $extension ) ) {
+			return MediaBundle::MIME_TYPES;
+		}
+
+		if ( SpreadsheetReader::supports( $extension ) ) {
+			return self::SPREADSHEET_MIME_TYPES;
+		}
+
+		if ( JsonReader::supports( $extension ) ) {
+			return self::JSON_MIME_TYPES;
+		}
+
+		return self::ALLOWED_MIME_TYPES;
+	}
+
+	/**
+	 * Get allowed MIME types for uploads.
 	 *
 	 * @since 1.0.0
 	 *
@@ -217,7 +845,13 @@ class FileManager {
 	 */
 	public static function get_allowed_mimes(): array {
 		return [
-			'csv' => 'text/csv',
+			'csv'    => 'text/csv',
+			'xlsx'   => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+			'ods'    => 'application/vnd.oasis.opendocument.spreadsheet',
+			'json'   => 'application/json',
+			'jsonl'  => 'application/jsonl',
+			'ndjson' => 'application/x-ndjson',
+			'zip'    => 'application/zip',
 		];
 	}
 
@@ -256,7 +890,70 @@ class FileManager {
 	}
 
 	/**
-	 * Read a batch of rows from a CSV file.
+	 * Check whether an import file is still available to anyone.
+	 *
+	 * Unlike get_file(), this does not check who uploaded the file, so it
+	 * can be used where there is no current user, such as in cron.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $uuid The file UUID.
+	 *
+	 * @return bool
+	 */
+	public static function has_file( string $uuid ): bool {
+		$file_data = get_transient( self::TRANSIENT_PREFIX . $uuid );
+
+		return is_array( $file_data ) && file_exists( $file_data['path'] );
+	}
+
+	/**
+	 * Get the file row number of an import file's first data row.
+	 *
+	 * Rows are numbered as a spreadsheet shows them, counting from the top
+	 * of the file, so rows above a detected or chosen header row count too.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $uuid The file UUID.
+	 *
+	 * @return int
+	 */
+	public static function get_first_row_number( string $uuid ): int {
+		$file_data = self::get_file( $uuid );
+
+		return 2 + (int) ( $file_data['dialect']['header_row'] ?? 0 );
+	}
+
+	/**
+	 * Get the file metadata that is safe to send to the browser.
+	 *
+	 * Omits server paths and uploader details.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $file_data File metadata.
+	 *
+	 * @return array
+	 */
+	public static function get_client_data( array $file_data ): array {
+		return [
+			'uuid'          => $file_data['uuid'],
+			'original_name' => $file_data['original_name'],
+			'size'          => $file_data['size'],
+			'size_human'    => $file_data['size_human'],
+			'rows'          => $file_data['rows'],
+			'headers'       => $file_data['headers'],
+			'format'        => $file_data['format'] ?? 'csv',
+			'sheets'        => $file_data['sheets'] ?? [],
+			'sheet'         => $file_data['sheet'] ?? 0,
+			'dialect'       => $file_data['dialect'] ?? null,
+			'media_files'   => $file_data['media_files'] ?? 0,
+		];
+	}
+
+	/**
+	 * Read a batch of rows from an import file.
 	 *
 	 * @since 1.0.0
 	 *
@@ -276,27 +973,23 @@ class FileManager {
 			);
 		}
 
-		$filepath = $file_data['path'];
-		$handle   = fopen( $filepath, 'r' );
+		$handle = self::open_file( $file_data );
 
-		if ( ! $handle ) {
-			return new WP_Error(
-				'file_read_error',
-				__( 'Unable to read the import file.', 'arraypress' )
-			);
+		if ( is_wp_error( $handle ) ) {
+			return $handle;
 		}
 
 		$rows    = [];
-		$headers = fgetcsv( $handle ); // Skip header row
+		$headers = self::read_headers( $handle, $file_data ); // Skip header row
 		$current = 0;
 
 		// Skip to offset
-		while ( $current < $offset && fgetcsv( $handle ) !== false ) {
+		while ( $current < $offset && self::read_row( $handle, $file_data ) !== false ) {
 			$current ++;
 		}
 
 		// Read batch
-		while ( count( $rows ) < $limit && ( $row = fgetcsv( $handle ) ) !== false ) {
+		while ( count( $rows ) < $limit && ( $row = self::read_row( $handle, $file_data ) ) !== false ) {
 			if ( count( $row ) === count( $headers ) ) {
 				$rows[] = array_combine( $headers, $row );
 			} else {
@@ -305,7 +998,7 @@ class FileManager {
 			$current ++;
 		}
 
-		$has_more = fgetcsv( $handle ) !== false;
+		$has_more = self::read_row( $handle, $file_data ) !== false;
 
 		fclose( $handle );
 
@@ -318,7 +1011,7 @@ class FileManager {
 	}
 
 	/**
-	 * Read all rows from a CSV file.
+	 * Read all rows from an import file.
 	 *
 	 * Used for pre-import validation (duplicate checking, dry runs).
 	 *
@@ -338,20 +1031,16 @@ class FileManager {
 			);
 		}
 
-		$filepath = $file_data['path'];
-		$handle   = fopen( $filepath, 'r' );
+		$handle = self::open_file( $file_data );
 
-		if ( ! $handle ) {
-			return new WP_Error(
-				'file_read_error',
-				__( 'Unable to read the import file.', 'arraypress' )
-			);
+		if ( is_wp_error( $handle ) ) {
+			return $handle;
 		}
 
 		$rows    = [];
-		$headers = fgetcsv( $handle );
+		$headers = self::read_headers( $handle, $file_data );
 
-		while ( ( $row = fgetcsv( $handle ) ) !== false ) {
+		while ( ( $row = self::read_row( $handle, $file_data ) ) !== false ) {
 			if ( count( $row ) === count( $headers ) ) {
 				$rows[] = array_combine( $headers, $row );
 			}
@@ -363,7 +1052,57 @@ class FileManager {
 	}
 
 	/**
-	 * Get preview rows from a CSV file.
+	 * Count the rows of an import file that pass a check.
+	 *
+	 * Rows are read one at a time, so large files are never held in memory.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string   $uuid  The file UUID.
+	 * @param callable $check Receives the row (keyed by header when its column
+	 *                        count matches) and its 0-indexed position.
+	 *
+	 * @return int|WP_Error Number of rows or WP_Error on failure.
+	 */
+	public static function count_rows( string $uuid, callable $check ) {
+		$file_data = self::get_file( $uuid );
+
+		if ( ! $file_data ) {
+			return new WP_Error(
+				'file_not_found',
+				__( 'Import file not found or expired.', 'arraypress' )
+			);
+		}
+
+		$handle = self::open_file( $file_data );
+
+		if ( is_wp_error( $handle ) ) {
+			return $handle;
+		}
+
+		$headers = self::read_headers( $handle, $file_data );
+		$index   = 0;
+		$count   = 0;
+
+		while ( ( $row = self::read_row( $handle, $file_data ) ) !== false ) {
+			if ( count( $row ) === count( $headers ) ) {
+				$row = array_combine( $headers, $row );
+			}
+
+			if ( $check( $row, $index ) ) {
+				$count ++;
+			}
+
+			$index ++;
+		}
+
+		fclose( $handle );
+
+		return $count;
+	}
+
+	/**
+	 * Get preview rows from an import file.
 	 *
 	 * @since 1.0.0
 	 *
@@ -382,20 +1121,16 @@ class FileManager {
 			);
 		}
 
-		$filepath = $file_data['path'];
-		$handle   = fopen( $filepath, 'r' );
+		$handle = self::open_file( $file_data );
 
-		if ( ! $handle ) {
-			return new WP_Error(
-				'file_read_error',
-				__( 'Unable to read the import file.', 'arraypress' )
-			);
+		if ( is_wp_error( $handle ) ) {
+			return $handle;
 		}
 
-		$headers = fgetcsv( $handle );
+		$headers = self::read_headers( $handle, $file_data );
 		$rows    = [];
 
-		while ( count( $rows ) < $max_rows && ( $row = fgetcsv( $handle ) ) !== false ) {
+		while ( count( $rows ) < $max_rows && ( $row = self::read_row( $handle, $file_data ) ) !== false ) {
 			$rows[] = $row;
 		}
 
@@ -408,6 +1143,74 @@ class FileManager {
 		];
 	}
 
+	/**
+	 * Open an import file for reading.
+	 *
+	 * CSV files are opened with their dialect applied, positioned on the
+	 * header row.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $file_data File metadata.
+	 *
+	 * @return resource|WP_Error
+	 */
+	private static function open_file( array $file_data ) {
+		if ( JsonReader::supports( $file_data['format'] ?? 'csv' ) ) {
+			$handle = fopen( $file_data['path'], 'r' );
+
+			if ( ! $handle ) {
+				return new WP_Error(
+					'file_read_error',
+					__( 'Unable to read the import file.', 'arraypress' )
+				);
+			}
+
+			return $handle;
+		}
+
+		return CsvReader::open( $file_data['path'], $file_data['dialect'] ?? CsvReader::get_default_dialect() );
+	}
+
+	/**
+	 * Read the header row from an open import file.
+	 *
+	 * Normalized JSON files have no header line; their headers are stored
+	 * in the file metadata.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param resource $handle    Open file handle positioned at the start.
+	 * @param array    $file_data File metadata.
+	 *
+	 * @return array|false Header names or false if the file is empty.
+	 */
+	private static function read_headers( $handle, array $file_data ) {
+		if ( JsonReader::supports( $file_data['format'] ?? 'csv' ) ) {
+			return $file_data['headers'];
+		}
+
+		return CsvReader::read_row( $handle, $file_data['dialect'] ?? CsvReader::get_default_dialect() );
+	}
+
+	/**
+	 * Read the next data row from an open import file.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param resource $handle    Open file handle.
+	 * @param array    $file_data File metadata.
+	 *
+	 * @return array|false Row values or false at end of file.
+	 */
+	private static function read_row( $handle, array $file_data ) {
+		if ( JsonReader::supports( $file_data['format'] ?? 'csv' ) ) {
+			return JsonReader::read_row( $handle, $file_data['headers'] );
+		}
+
+		return CsvReader::read_row( $handle, $file_data['dialect'] ?? CsvReader::get_default_dialect() );
+	}
+
 	/**
 	 * Delete a file by UUID.
 	 *
@@ -424,6 +1227,14 @@ class FileManager {
 			unlink( $file_data['path'] );
 		}
 
+		if ( $file_data && ! empty( $file_data['source_path'] ) && file_exists( $file_data['source_path'] ) ) {
+			unlink( $file_data['source_path'] );
+		}
+
+		if ( $file_data ) {
+			MediaBundle::delete( $file_data );
+		}
+
 		delete_transient( self::TRANSIENT_PREFIX . $uuid );
 
 		return true;
@@ -452,11 +1263,17 @@ class FileManager {
 		);
 
 		foreach ( $iterator as $file ) {
-			if ( $file->isFile() && strtolower( $file->getExtension() ) === 'csv' ) {
+			$extension = strtolower( $file->getExtension() );
+			$is_media  = str_ends_with( $file->getPath(), MediaBundle::DIR_SUFFIX );
+
+			// Partial chunked uploads and bundle media files expire like import files
+			if ( $file->isFile() && ( $is_media || in_array( $extension, self::get_allowed_extensions(), true ) || $extension === ChunkedUpload::EXTENSION ) ) {
 				if ( ( $now - $file->getMTime() ) > self::MAX_FILE_AGE ) {
 					unlink( $file->getPathname() );
 					$deleted ++;
 				}
+			} elseif ( $file->isDir() && str_ends_with( $file->getFilename(), MediaBundle::DIR_SUFFIX ) && ! ( new \FilesystemIterator( $file->getPathname() ) )->valid() ) {
+				rmdir( $file->getPathname() );
 			}
 		}
 
@@ -466,24 +1283,34 @@ class FileManager {
 	/**
 	 * Count data rows in a CSV file (excluding header).
 	 *
+	 * Rows above the header row are not counted.
+	 *
 	 * @since 1.0.0
 	 *
 	 * @param string $filepath Path to the CSV file.
+	 * @param array  $dialect  Optional. CSV dialect (default: UTF-8, comma, header on first row).
 	 *
 	 * @return int Number of data rows.
 	 */
-	public static function count_csv_rows( string $filepath ): int {
-		$count  = 0;
-		$handle = fopen( $filepath, 'r' );
+	public static function count_csv_rows( string $filepath, array $dialect = [] ): int {
+		$dialect = CsvReader::sanitize_dialect( $dialect );
+		$count   = 0;
+		$handle  = CsvReader::open( $filepath, $dialect );
+
+		if ( is_wp_error( $handle ) ) {
+			return 0;
+		}
 
-		if ( $handle ) {
-			while ( fgets( $handle ) !== false ) {
+		// Skip header row
+		if ( CsvReader::read_row( $handle, $dialect ) !== false ) {
+			while ( CsvReader::read_row( $handle, $dialect ) !== false ) {
 				$count ++;
 			}
-			fclose( $handle );
 		}
 
-		return max( 0, $count - 1 );
+		fclose( $handle );
+
+		return $count;
 	}
 
 	/**
@@ -492,17 +1319,19 @@ class FileManager {
 	 * @since 1.0.0
 	 *
 	 * @param string $filepath Path to the CSV file.
+	 * @param array  $dialect  Optional. CSV dialect (default: UTF-8, comma, header on first row).
 	 *
 	 * @return array Array of header column names.
 	 */
-	public static function get_csv_headers( string $filepath ): array {
-		$handle = fopen( $filepath, 'r' );
+	public static function get_csv_headers( string $filepath, array $dialect = [] ): array {
+		$dialect = CsvReader::sanitize_dialect( $dialect );
+		$handle  = CsvReader::open( $filepath, $dialect );
 
-		if ( ! $handle ) {
+		if ( is_wp_error( $handle ) ) {
 			return [];
 		}
 
-		$headers = fgetcsv( $handle );
+		$headers = CsvReader::read_row( $handle, $dialect );
 		fclose( $handle );
 
 		return is_array( $headers ) ? $headers : [];
@@ -0,0 +1,339 @@
+<?php
+/**
+ * History Manager
+ *
+ * Keeps a persistent history of import runs per operation: who ran it,
+ * which file and field map were used, when it started and ended, the
+ * final counts and status, and the errors it produced.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+/**
+ * Class HistoryManager
+ *
+ * Run summaries are stored newest first in one non-autoloaded option per
+ * operation. Each run's errors live in their own option so listing runs
+ * never loads error lists. Both are capped and pruned together.
+ */
+class HistoryManager {
+
+	/**
+	 * Option prefix for run summaries.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const OPTION_PREFIX = 'importers_history_';
+
+	/**
+	 * Option prefix for a run's errors.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const ERRORS_OPTION_PREFIX = 'importers_history_errors_';
+
+	/**
+	 * Maximum number of runs kept per operation.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_RUNS = 100;
+
+	/**
+	 * Maximum number of errors kept per run.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_RUN_ERRORS = 1000;
+
+	/**
+	 * Get the option key for an operation's run history.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return string
+	 */
+	public static function get_option_key( string $page_id, string $operation_id ): string {
+		return self::OPTION_PREFIX . sanitize_key( $page_id ) . '_' . sanitize_key( $operation_id );
+	}
+
+	/**
+	 * Record the start of a run.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string      $page_id      The importer page ID.
+	 * @param string      $operation_id The operation ID.
+	 * @param string|null $source_file  Original filename.
+	 * @param int         $total        Total items to process.
+	 * @param array       $field_map    Field map used for the run.
+	 * @param array       $settings     Run settings such as the import mode.
+	 *
+	 * @return string The new run ID.
+	 */
+	public static function start_run( string $page_id, string $operation_id, ?string $source_file, int $total, array $field_map, array $settings = [] ): string {
+		$user   = wp_get_current_user();
+		$run_id = wp_generate_uuid4();
+
+		$run = [
+			'id'          => $run_id,
+			'user_id'     => $user->ID,
+			'user_name'   => $user->ID ? $user->display_name : '',
+			'source_file' => $source_file,
+			'field_map'   => $field_map,
+			'settings'    => $settings,
+			'started_at'  => current_time( 'mysql', true ),
+			'ended_at'    => null,
+			'status'      => 'running',
+			'total'       => $total,
+			'created'     => 0,
+			'updated'     => 0,
+			'skipped'     => 0,
+			'failed'      => 0,
+			'error_count' => 0,
+		];
+
+		$runs = self::get_all_runs( $page_id, $operation_id );
+		array_unshift( $runs, $run );
+
+		// Prune the oldest runs with their errors and rollback journals
+		foreach ( array_slice( $runs, self::MAX_RUNS ) as $pruned ) {
+			delete_option( self::ERRORS_OPTION_PREFIX . $pruned['id'] );
+			RollbackManager::delete_journal( $pruned['id'] );
+		}
+
+		self::save_runs( $page_id, $operation_id, array_slice( $runs, 0, self::MAX_RUNS ) );
+
+		return $run_id;
+	}
+
+	/**
+	 * Add a batch's counts and errors to a run.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param string $run_id       The run ID.
+	 * @param array  $batch_result Results from the batch processing.
+	 *
+	 * @return void
+	 */
+	public static function update_run( string $page_id, string $operation_id, string $run_id, array $batch_result ): void {
+		$errors = $batch_result['errors'] ?? [];
+
+		self::modify_run( $page_id, $operation_id, $run_id, function ( array $run ) use ( $batch_result, $errors ) {
+			foreach ( [ 'created', 'updated', 'skipped', 'failed' ] as $count ) {
+				$run[ $count ] += (int) ( $batch_result[ $count ] ?? 0 );
+			}
+
+			$run['error_count'] += count( $errors );
+
+			return $run;
+		} );
+
+		if ( empty( $errors ) ) {
+			return;
+		}
+
+		$stored = self::get_run_errors( $run_id );
+
+		if ( count( $stored ) < self::MAX_RUN_ERRORS ) {
+			$stored = array_slice( array_merge( $stored, $errors ), 0, self::MAX_RUN_ERRORS );
+			update_option( self::ERRORS_OPTION_PREFIX . $run_id, $stored, false );
+		}
+	}
+
+	/**
+	 * Record the end of a run.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param string $run_id       The run ID.
+	 * @param string $status       Final status ('complete', 'cancelled', 'error').
+	 * @param int    $total        Final total item count.
+	 *
+	 * @return void
+	 */
+	public static function finish_run( string $page_id, string $operation_id, string $run_id, string $status, int $total ): void {
+		self::modify_run( $page_id, $operation_id, $run_id, function ( array $run ) use ( $status, $total ) {
+			$run['status']   = $status;
+			$run['total']    = $total;
+			$run['ended_at'] = current_time( 'mysql', true );
+
+			return $run;
+		} );
+	}
+
+	/**
+	 * Change the status of a finished run.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param string $run_id       The run ID.
+	 * @param string $status       New status (e.g. 'rolled_back').
+	 *
+	 * @return void
+	 */
+	public static function set_status( string $page_id, string $operation_id, string $run_id, string $status ): void {
+		self::modify_run( $page_id, $operation_id, $run_id, function ( array $run ) use ( $status ) {
+			$run['status'] = $status;
+
+			return $run;
+		} );
+	}
+
+	/**
+	 * Get a page of runs for an operation, newest first.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param int    $page         Page number (1-based).
+	 * @param int    $per_page     Runs per page.
+	 *
+	 * @return array Array with 'runs', 'total' and 'pages'.
+	 */
+	public static function get_runs( string $page_id, string $operation_id, int $page = 1, int $per_page = 20 ): array {
+		$runs     = self::get_all_runs( $page_id, $operation_id );
+		$per_page = max( 1, $per_page );
+		$page     = max( 1, $page );
+
+		return [
+			'runs'  => array_slice( $runs, ( $page - 1 ) * $per_page, $per_page ),
+			'total' => count( $runs ),
+			'pages' => (int) ceil( count( $runs ) / $per_page ),
+		];
+	}
+
+	/**
+	 * Get a single run.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param string $run_id       The run ID.
+	 *
+	 * @return array|null Run data or null if not found.
+	 */
+	public static function get_run( string $page_id, string $operation_id, string $run_id ): ?array {
+		foreach ( self::get_all_runs( $page_id, $operation_id ) as $run ) {
+			if ( $run['id'] === $run_id ) {
+				return $run;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the stored errors for a run.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $run_id The run ID.
+	 *
+	 * @return array List of errors with 'row', 'item' and 'message'.
+	 */
+	public static function get_run_errors( string $run_id ): array {
+		$errors = get_option( self::ERRORS_OPTION_PREFIX . $run_id, [] );
+
+		return is_array( $errors ) ? $errors : [];
+	}
+
+	/**
+	 * Delete the whole run history for an operation.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return bool True on success.
+	 */
+	public static function clear_history( string $page_id, string $operation_id ): bool {
+		foreach ( self::get_all_runs( $page_id, $operation_id ) as $run ) {
+			delete_option( self::ERRORS_OPTION_PREFIX . $run['id'] );
+			RollbackManager::delete_journal( $run['id'] );
+		}
+
+		return delete_option( self::get_option_key( $page_id, $operation_id ) );
+	}
+
+	/**
+	 * Get all stored runs for an operation.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return array
+	 */
+	private static function get_all_runs( string $page_id, string $operation_id ): array {
+		$runs = get_option( self::get_option_key( $page_id, $operation_id ), [] );
+
+		return is_array( $runs ) ? $runs : [];
+	}
+
+	/**
+	 * Apply a change to one run and save the history.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string   $page_id      The importer page ID.
+	 * @param string   $operation_id The operation ID.
+	 * @param string   $run_id       The run ID.
+	 * @param callable $callback     Receives the run array and returns the updated run.
+	 *
+	 * @return void
+	 */
+	private static function modify_run( string $page_id, string $operation_id, string $run_id, callable $callback ): void {
+		$runs = self::get_all_runs( $page_id, $operation_id );
+
+		foreach ( $runs as $index => $run ) {
+			if ( $run['id'] === $run_id ) {
+				$runs[ $index ] = $callback( $run );
+				self::save_runs( $page_id, $operation_id, $runs );
+
+				return;
+			}
+		}
+	}
+
+	/**
+	 * Save the run history for an operation.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param array  $runs         Runs, newest first.
+	 *
+	 * @return void
+	 */
+	private static function save_runs( string $page_id, string $operation_id, array $runs ): void {
+		update_option( self::get_option_key( $page_id, $operation_id ), $runs, false );
+	}
+
+}
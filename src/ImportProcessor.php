@@ -0,0 +1,1018 @@
+<?php
+/**
+ * Import Processor
+ *
+ * Runs the stages of an import — start, batch processing and completion —
+ * independently of how they are triggered, so browser-driven imports and
+ * background jobs share the same pipeline, callbacks and bookkeeping.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use ArrayPress\RegisterImporters\Validation\FieldValidator;
+use Throwable;
+use WP_Error;
+
+/**
+ * Class ImportProcessor
+ *
+ * Errors are returned as WP_Error with an HTTP status in their data, so
+ * REST handlers can return them unchanged.
+ */
+class ImportProcessor {
+
+	/**
+	 * Transient prefix for dry run state.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const DRY_RUN_PREFIX = 'importers_dry_run_';
+
+	/**
+	 * Maximum number of errors returned with dry run results.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const DRY_RUN_MAX_ERRORS = 20;
+
+	/**
+	 * Maximum number of batches an operation can run in parallel.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_PARALLEL_BATCHES = 10;
+
+	/**
+	 * Get an operation's configuration.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return array|WP_Error Operation configuration or WP_Error.
+	 */
+	public static function get_operation( string $page_id, string $operation_id ) {
+		$importers = Registry::instance()->get( $page_id );
+		if ( ! $importers ) {
+			return new WP_Error( 'invalid_page', __( 'Invalid importer page.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		$operation = $importers->get_operation( $operation_id );
+		if ( ! $operation ) {
+			return new WP_Error( 'invalid_operation', __( 'Invalid import operation.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		return $operation;
+	}
+
+	/**
+	 * Start an import run.
+	 *
+	 * Fires before_import, initializes the run's stats and history and
+	 * starts its error report. The run settings are validated and stored
+	 * with the stats, so every batch of the run uses them. With row
+	 * filters, the run's total is the number of rows that pass them.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param string $file_uuid    The import file UUID.
+	 * @param array  $field_map    Mapping of field_key => column.
+	 * @param array  $settings     Chosen 'mode' and 'match_key', if any, and
+	 *                             row 'filters' (see RowFilter).
+	 *
+	 * @return array|WP_Error Array with 'file' (file metadata), 'total'
+	 *                        (rows to process) and 'stats' or WP_Error.
+	 */
+	public static function start( string $page_id, string $operation_id, string $file_uuid, array $field_map, array $settings = [] ) {
+		$operation = self::get_operation( $page_id, $operation_id );
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
+		}
+
+		$settings = self::get_settings( $operation, $settings );
+		if ( is_wp_error( $settings ) ) {
+			return $settings;
+		}
+
+		$file_data = FileManager::get_file( $file_uuid );
+
+		if ( ! $file_data ) {
+			return new WP_Error(
+				'file_not_found',
+				__( 'Import file not found or expired.', 'arraypress' ),
+				[ 'status' => 404 ]
+			);
+		}
+
+		$total = empty( $settings['filters'] )
+			? (int) $file_data['rows']
+			: RowFilter::count( $file_uuid, $settings['filters'], (int) $file_data['rows'] );
+
+		if ( is_wp_error( $total ) ) {
+			return $total;
+		}
+
+		// Fire before_import callback — can return WP_Error to abort
+		if ( isset( $operation['before_import'] ) && is_callable( $operation['before_import'] ) ) {
+			$before_result = call_user_func( $operation['before_import'] );
+
+			if ( is_wp_error( $before_result ) ) {
+				return $before_result;
+			}
+		}
+
+		$stats = StatsManager::init_run(
+			$page_id,
+			$operation_id,
+			$file_data['original_name'],
+			$total,
+			$file_uuid,
+			$field_map,
+			$settings
+		);
+
+		ErrorReportManager::start( $file_data, 'import' );
+
+		return [
+			'file'  => $file_data,
+			'total' => $total,
+			'stats' => $stats,
+		];
+	}
+
+	/**
+	 * Get the number of rows to read for a batch.
+	 *
+	 * Operations with adaptive_batch_size accept any size from 1 up to
+	 * their max_batch_size; others always use their batch_size.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array    $operation Operation configuration.
+	 * @param int|null $requested Batch size asked for, or null for the default.
+	 *
+	 * @return int
+	 */
+	public static function get_batch_size( array $operation, ?int $requested = null ): int {
+		$batch_size = max( 1, (int) ( $operation['batch_size'] ?? 100 ) );
+
+		if ( $requested === null || empty( $operation['adaptive_batch_size'] ) ) {
+			return $batch_size;
+		}
+
+		return max( 1, min( $requested, (int) ( $operation['max_batch_size'] ?? $batch_size ) ) );
+	}
+
+	/**
+	 * Process one batch of rows.
+	 *
+	 * Rows that were already committed for the active run are refused so
+	 * a resumed or retried run never processes the same rows twice. A
+	 * batch stops short of rows committed by a batch that ran in parallel,
+	 * and one that finds its rows committed by the time it is done (a
+	 * retry of a batch that was still running) is not counted, though its
+	 * changes are still added to the rollback journal. A batch claims its
+	 * rows before processing them, so a retry that arrives while they are
+	 * still being processed is refused rather than run again. Batches for
+	 * a file that is no longer the active run's (a tab left open after the
+	 * run was replaced) are refused, and never committed to the new run.
+	 * Errors thrown by process_callback fail only their row. A batch that
+	 * cannot get the stats lock fails with 'lock_timeout' before its rows
+	 * are processed, and with 'commit_failed' after, as a retry would then
+	 * write them again.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string   $page_id      The importer page ID.
+	 * @param string   $operation_id The operation ID.
+	 * @param string   $file_uuid    The import file UUID.
+	 * @param int      $offset       Row offset to start from.
+	 * @param array    $field_map    Mapping of field_key => column.
+	 * @param int|null $batch_size   Rows to read (see get_batch_size()).
+	 *
+	 * @return array|WP_Error Batch results with running totals, the batch's
+	 *                        'duration' in seconds and the server's
+	 *                        'headroom', or WP_Error.
+	 */
+	public static function process_batch( string $page_id, string $operation_id, string $file_uuid, int $offset, array $field_map, ?int $batch_size = null ) {
+		$started   = microtime( true );
+		$operation = self::get_operation( $page_id, $operation_id );
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
+		}
+
+		$current = StatsManager::get_stats( $page_id, $operation_id );
+
+		if ( $current['file_uuid'] !== $file_uuid ) {
+			return self::replaced_error();
+		}
+
+		$settings   = $current['settings'];
+		$batch_size = self::get_batch_size( $operation, $batch_size );
+
+		// Skipped rows are never read, so runs are committed from the first one after them
+		$offset = max( $offset, (int) ( $settings['filters']['skip'] ?? 0 ) );
+
+		$process_callback = $operation['process_callback'] ?? null;
+
+		if ( ! is_callable( $process_callback ) ) {
+			return new WP_Error( 'no_callback', __( 'No process callback defined.', 'arraypress' ), [ 'status' => 500 ] );
+		}
+
+		$claimed = StatsManager::with_lock( $page_id, $operation_id, function ( array $stats ) use ( $page_id, $operation_id, $file_uuid, $offset, $batch_size ) {
+			if ( $stats['file_uuid'] !== $file_uuid ) {
+				return self::replaced_error();
+			}
+
+			$next = StatsManager::get_next_uncommitted( $stats, $offset );
+
+			if ( $next > $offset ) {
+				return self::committed_error( $next );
+			}
+
+			$batch_size = StatsManager::get_uncommitted_size( $stats, $offset, $batch_size );
+
+			// A retry sent while the batch it repeats is still running
+			if ( ! StatsManager::claim_range( $page_id, $operation_id, $stats, $offset, $offset + $batch_size ) ) {
+				return new WP_Error(
+					'batch_in_progress',
+					sprintf( __( 'Rows from %d are still being imported.', 'arraypress' ), $offset + 1 ),
+					[
+						'status' => 409,
+						'offset' => $offset,
+					]
+				);
+			}
+
+			return $batch_size;
+		} );
+
+		if ( is_wp_error( $claimed ) ) {
+			return $claimed;
+		}
+
+		$batch_size = $claimed;
+
+		$batch_data = RowFilter::read_batch(
+			$file_uuid,
+			$offset,
+			$batch_size,
+			$settings['filters'] ?? [],
+			$current['created'] + $current['updated'] + $current['skipped'] + $current['failed']
+		);
+
+		if ( is_wp_error( $batch_data ) ) {
+			StatsManager::with_lock( $page_id, $operation_id, function ( array $stats ) use ( $page_id, $operation_id, $offset ) {
+				StatsManager::release_claim( $page_id, $operation_id, $stats, $offset );
+			} );
+
+			return $batch_data;
+		}
+
+		$results = [
+			'created'   => 0,
+			'updated'   => 0,
+			'skipped'   => 0,
+			'failed'    => 0,
+			'errors'    => [],
+			'processed' => 0,
+		];
+
+		$fields    = MediaBundle::apply( ValueMapper::apply( $operation['fields'] ?? [], $field_map ), $file_uuid );
+		$journal   = [];
+		$first_row = $offset + FileManager::get_first_row_number( $file_uuid );
+
+		foreach ( $batch_data['rows'] as $index => $row ) {
+			$row_number = $first_row + $index;
+			$results['processed'] ++;
+
+			// Map CSV columns to field keys
+			$mapped_row = self::map_row( $row, $field_map, $fields );
+
+			// Skip empty rows if configured
+			if ( ! empty( $operation['skip_empty_rows'] ) && self::is_empty_row( $mapped_row ) ) {
+				$results['skipped'] ++;
+				continue;
+			}
+
+			// Run field validation pipeline
+			$validated_row = FieldValidator::process_row( $mapped_row, $fields );
+
+			if ( is_wp_error( $validated_row ) ) {
+				$results['failed'] ++;
+				$results['errors'] = array_merge(
+					$results['errors'],
+					self::get_row_errors( $validated_row, $row_number, self::get_row_identifier( $mapped_row ), $field_map )
+				);
+				continue;
+			}
+
+			// Run custom validate_callback if defined
+			if ( isset( $operation['validate_callback'] ) && is_callable( $operation['validate_callback'] ) ) {
+				$validation = call_user_func( $operation['validate_callback'], $validated_row );
+
+				if ( is_wp_error( $validation ) ) {
+					$results['failed'] ++;
+					$results['errors'] = array_merge(
+						$results['errors'],
+						self::get_row_errors( $validation, $row_number, self::get_row_identifier( $validated_row ), $field_map )
+					);
+					continue;
+				}
+			}
+
+			// Look up the existing object and apply the import mode
+			$match = null;
+
+			if ( ! empty( $settings['mode'] ) ) {
+				$match = MatchResolver::resolve( $operation, $settings, $validated_row );
+
+				if ( is_wp_error( $match ) ) {
+					$results['failed'] ++;
+					$results['errors'] = array_merge(
+						$results['errors'],
+						self::get_row_errors( $match, $row_number, self::get_row_identifier( $validated_row ), $field_map )
+					);
+					continue;
+				}
+
+				if ( $match['action'] === 'skip' ) {
+					$results['skipped'] ++;
+					continue;
+				}
+			}
+
+			// Rows count as the action the match predicted unless the callback says otherwise
+			$default_status = $match && $match['action'] === 'update' ? 'updated' : 'created';
+
+			try {
+				$result = $match
+					? call_user_func( $process_callback, $validated_row, $match )
+					: call_user_func( $process_callback, $validated_row );
+				$record = null;
+
+				// Result arrays describe the affected object for rollback
+				if ( is_array( $result ) ) {
+					$record = $result;
+					$result = $record['status'] ?? $default_status;
+				}
+
+				if ( $record && in_array( $result, [ 'created', 'updated' ], true ) ) {
+					$entry = RollbackManager::create_entry( $record, $result );
+
+					if ( $entry ) {
+						$journal[] = $entry;
+					}
+				}
+
+				if ( is_wp_error( $result ) ) {
+					$results['failed'] ++;
+					$results['errors'] = array_merge(
+						$results['errors'],
+						self::get_row_errors( $result, $row_number, self::get_row_identifier( $validated_row ), $field_map )
+					);
+				} elseif ( $result === 'created' ) {
+					$results['created'] ++;
+				} elseif ( $result === 'updated' ) {
+					$results['updated'] ++;
+				} elseif ( $result === 'skipped' ) {
+					$results['skipped'] ++;
+				} else {
+					$results[ $default_status ] ++;
+				}
+			} catch ( Throwable $e ) {
+				$results['failed'] ++;
+				$results['errors'] = array_merge(
+					$results['errors'],
+					self::get_row_errors( new WP_Error( 'exception', $e->getMessage() ), $row_number, self::get_row_identifier( $validated_row ), $field_map )
+				);
+			}
+		}
+
+		// Record the original rows that failed for the error report
+		$messages = [];
+		foreach ( $results['errors'] as $error ) {
+			$messages[ $error['row'] - $first_row ][] = $error['message'];
+		}
+
+		$results['start']  = $offset;
+		$results['offset'] = $offset + $batch_data['count'];
+		$results['count']  = $batch_data['count'];
+
+		// Commit the batch, unless a retry of it already has or its run was replaced
+		$run_id = $current['run_id'];
+		$stats  = StatsManager::with_lock( $page_id, $operation_id, function ( array $stats ) use ( $page_id, $operation_id, $file_uuid, $run_id, $offset, $first_row, $messages, $batch_data, $journal, $results ) {
+			if ( $stats['file_uuid'] !== $file_uuid ) {
+				// The run the rows were written for can still undo them
+				if ( $run_id ) {
+					RollbackManager::add_entries( $run_id, $journal );
+				}
+
+				return self::replaced_error();
+			}
+
+			if ( StatsManager::is_committed( $stats, $offset, $results['offset'] ) ) {
+				// The rows were still written, so their changes must stay undoable
+				if ( $stats['run_id'] ) {
+					RollbackManager::add_entries( $stats['run_id'], $journal );
+				}
+
+				StatsManager::release_claim( $page_id, $operation_id, $stats, $offset );
+
+				return self::committed_error( StatsManager::get_next_uncommitted( $stats, $offset ) );
+			}
+
+			ErrorReportManager::add_rows( $file_uuid, 'import', self::get_failures( $messages, $batch_data['rows'], $first_row ) );
+
+			if ( $stats['run_id'] ) {
+				RollbackManager::add_entries( $stats['run_id'], $journal );
+			}
+
+			return StatsManager::update_batch( $page_id, $operation_id, $results );
+		} );
+
+		// The rows were written but not counted, so a retry would write them again
+		if ( is_wp_error( $stats ) && $stats->get_error_code() === 'lock_timeout' ) {
+			if ( $run_id ) {
+				RollbackManager::add_entries( $run_id, $journal );
+			}
+
+			return new WP_Error(
+				'commit_failed',
+				sprintf( __( 'Rows from %d were imported but could not be recorded.', 'arraypress' ), $offset + 1 ),
+				[ 'status' => 500 ]
+			);
+		}
+
+		if ( is_wp_error( $stats ) ) {
+			return $stats;
+		}
+
+		$total_processed = $stats['created'] + $stats['updated'] + $stats['skipped'] + $stats['failed'];
+		$total_items     = $stats['total'] ?: $total_processed;
+
+		return array_merge( $results, [
+			'has_more'        => $batch_data['has_more'],
+			'total_processed' => $total_processed,
+			'total_items'     => $total_items,
+			'percentage'      => $total_items > 0 ? round( ( $total_processed / $total_items ) * 100 ) : 0,
+			'stats'           => $stats,
+			'duration'        => round( microtime( true ) - $started, 3 ),
+			'headroom'        => self::get_headroom(),
+		] );
+	}
+
+	/**
+	 * Build the error for a batch whose rows are already committed.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param int $offset The first row that is not committed.
+	 *
+	 * @return WP_Error
+	 */
+	private static function committed_error( int $offset ): WP_Error {
+		return new WP_Error(
+			'offset_committed',
+			sprintf( __( 'Rows up to %d have already been imported.', 'arraypress' ), $offset ),
+			[
+				'status' => 409,
+				'offset' => $offset,
+			]
+		);
+	}
+
+	/**
+	 * Build the error for a batch whose run is no longer the active one.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return WP_Error
+	 */
+	private static function replaced_error(): WP_Error {
+		return new WP_Error(
+			'run_replaced',
+			__( 'This import was replaced by a newer run.', 'arraypress' ),
+			[ 'status' => 409 ]
+		);
+	}
+
+	/**
+	 * Get how much memory and time this request has left.
+	 *
+	 * Browser-driven imports size their batches from it.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return array Array with 'memory' (share of the memory limit still free
+	 *               at peak usage, 0-1) and 'time' (seconds left before
+	 *               max_execution_time, or null if there is no limit).
+	 */
+	private static function get_headroom(): array {
+		$memory_limit = wp_convert_hr_to_bytes( (string) ini_get( 'memory_limit' ) );
+		$time_limit   = (int) ini_get( 'max_execution_time' );
+		$elapsed      = microtime( true ) - (float) ( $_SERVER['REQUEST_TIME_FLOAT'] ?? microtime( true ) );
+
+		return [
+			'memory' => $memory_limit > 0 ? round( max( 0, 1 - memory_get_peak_usage( true ) / $memory_limit ), 2 ) : 1,
+			'time'   => $time_limit > 0 ? round( max( 0, $time_limit - $elapsed ), 1 ) : null,
+		];
+	}
+
+	/**
+	 * Complete an import run.
+	 *
+	 * Records the final status, fires after_import and deletes the import
+	 * file. The error report and rollback journal are kept.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string      $page_id      The importer page ID.
+	 * @param string      $operation_id The operation ID.
+	 * @param string      $status       Final status ('complete', 'cancelled', 'error').
+	 * @param string|null $file_uuid    The import file UUID.
+	 *
+	 * @return array Array with 'stats', 'error_report' (failed row count) and
+	 *               'rollback' (number of changes that can be undone).
+	 */
+	public static function complete( string $page_id, string $operation_id, string $status, ?string $file_uuid ): array {
+		$stats = StatsManager::complete_run( $page_id, $operation_id, $status );
+
+		// Fire after_import callback
+		$importers = Registry::instance()->get( $page_id );
+		$operation = $importers ? $importers->get_operation( $operation_id ) : null;
+
+		if ( $operation && isset( $operation['after_import'] ) && is_callable( $operation['after_import'] ) ) {
+			call_user_func( $operation['after_import'], $stats );
+		}
+
+		// Clean up file (the error report is kept for download)
+		if ( $file_uuid ) {
+			FileManager::delete_file( $file_uuid );
+		}
+
+		return [
+			'stats'        => $stats,
+			'error_report' => $file_uuid ? ErrorReportManager::get_count( $file_uuid, 'import' ) : 0,
+			'rollback'     => $stats['run_id'] ? RollbackManager::get_count( $stats['run_id'] ) : 0,
+		];
+	}
+
+	/** Dry Runs ****************************************************************/
+
+	/**
+	 * Validate one batch of rows without importing them.
+	 *
+	 * A dry run starts at offset 0 and continues from the offset each
+	 * batch returns. Its totals and the values seen for unique fields are
+	 * kept between batches, so duplicates are caught across the whole file
+	 * without reading it in one go. For operations with match keys, valid
+	 * rows are looked up to predict how many would be created, updated or
+	 * skipped. Values that match none of a field's options or entities are
+	 * collected so they can be given a value map (see ValueMapper), and
+	 * files that neither a ZIP bundle nor the media library has are listed
+	 * (see MediaBundle). Row filters apply as in the import, so totals and
+	 * offsets match it.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param string $file_uuid    The import file UUID.
+	 * @param int    $offset       Row offset to start from.
+	 * @param array  $field_map    Mapping of field_key => column.
+	 * @param array  $settings     Chosen 'mode', 'match_key' and 'filters', if
+	 *                             any. Only read at offset 0.
+	 *
+	 * @return array|WP_Error Running dry run results or WP_Error.
+	 */
+	public static function dry_run_batch( string $page_id, string $operation_id, string $file_uuid, int $offset, array $field_map, array $settings = [] ) {
+		$operation = self::get_operation( $page_id, $operation_id );
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
+		}
+
+		$file_data = FileManager::get_file( $file_uuid );
+		if ( ! $file_data ) {
+			return new WP_Error(
+				'file_not_found',
+				__( 'Import file not found or expired.', 'arraypress' ),
+				[ 'status' => 404 ]
+			);
+		}
+
+		$state = get_transient( self::DRY_RUN_PREFIX . $file_uuid );
+
+		if ( $offset === 0 ) {
+			$settings = self::get_settings( $operation, $settings );
+			if ( is_wp_error( $settings ) ) {
+				return $settings;
+			}
+
+			$total = empty( $settings['filters'] )
+				? (int) $file_data['rows']
+				: RowFilter::count( $file_uuid, $settings['filters'], (int) $file_data['rows'] );
+
+			if ( is_wp_error( $total ) ) {
+				return $total;
+			}
+
+			$state = [
+				'offset'      => 0,
+				'total'       => $total,
+				'processed'   => 0,
+				'valid'       => 0,
+				'error_count' => 0,
+				'errors'      => [],
+				'fields'      => [],
+				'seen'        => [],
+				'unmatched'   => [],
+				'missing'     => [],
+				'settings'    => $settings,
+				'predicted'   => [
+					'created' => 0,
+					'updated' => 0,
+					'skipped' => 0,
+				],
+			];
+
+			ErrorReportManager::start( $file_data, 'dry_run' );
+		} elseif ( ! is_array( $state ) ) {
+			return new WP_Error(
+				'dry_run_not_found',
+				__( 'The validation run has expired. Please start it again.', 'arraypress' ),
+				[ 'status' => 404 ]
+			);
+		} elseif ( $offset !== $state['offset'] ) {
+			return new WP_Error(
+				'invalid_offset',
+				sprintf( __( 'Validation should continue from row %d.', 'arraypress' ), $state['offset'] ),
+				[
+					'status' => 409,
+					'offset' => $state['offset'],
+				]
+			);
+		}
+
+		$batch_data = RowFilter::read_batch(
+			$file_uuid,
+			$offset,
+			$operation['batch_size'] ?? 100,
+			$state['settings']['filters'] ?? [],
+			$state['processed']
+		);
+
+		if ( is_wp_error( $batch_data ) ) {
+			return $batch_data;
+		}
+
+		// Filters can move the start past skipped rows
+		$offset   = $batch_data['offset'];
+		$fields    = MediaBundle::apply( ValueMapper::apply( $operation['fields'] ?? [], $field_map ), $file_uuid );
+		$mappable  = array_intersect_key( $fields, $field_map );
+		$mapped    = [];
+		$messages  = [];
+		$errors    = [];
+		$checked   = [];
+		$found     = [];
+		$first_row = $offset + FileManager::get_first_row_number( $file_uuid );
+
+		foreach ( $batch_data['rows'] as $index => $row ) {
+			$mapped[ $index ] = self::map_row( $row, $field_map, $fields );
+		}
+
+		// Check unique fields against every earlier batch
+		foreach ( FieldValidator::check_duplicates( $mapped, $fields, $state['seen'], $first_row ) as $error ) {
+			$messages[ $error['row'] - $first_row ][] = $error['message'];
+			$errors[]                                 = array_merge( $error, [
+				'column' => ColumnMapper::get_label( $field_map[ $error['field'] ] ?? null ),
+			] );
+		}
+
+		foreach ( $mapped as $index => $mapped_row ) {
+			$row_number = $first_row + $index;
+
+			// Skip empty rows if configured
+			if ( ! empty( $operation['skip_empty_rows'] ) && self::is_empty_row( $mapped_row ) ) {
+				$state['predicted']['skipped'] ++;
+				continue;
+			}
+
+			ValueMapper::add_unmatched( $state['unmatched'], $mapped_row, $mappable, $checked );
+			MediaBundle::add_missing( $state['missing'], $mapped_row, $mappable, $found );
+
+			$validation = FieldValidator::validate_row( $mapped_row, $fields );
+
+			// Run custom validate_callback if defined
+			if ( ! is_wp_error( $validation ) && isset( $operation['validate_callback'] ) && is_callable( $operation['validate_callback'] ) ) {
+				$validation = call_user_func( $operation['validate_callback'], $mapped_row );
+			}
+
+			// Predict the row's action from the import mode
+			if ( ! is_wp_error( $validation ) && ! isset( $messages[ $index ] ) && ! empty( $state['settings']['mode'] ) ) {
+				$match = MatchResolver::resolve( $operation, $state['settings'], self::get_match_row( $operation, $state['settings'], $mapped_row ) );
+
+				if ( is_wp_error( $match ) ) {
+					$validation = $match;
+				} else {
+					$action = [
+						'create' => 'created',
+						'update' => 'updated',
+						'skip'   => 'skipped',
+					][ $match['action'] ];
+
+					$state['predicted'][ $action ] ++;
+				}
+			}
+
+			if ( is_wp_error( $validation ) ) {
+				$row_errors = self::get_row_errors( $validation, $row_number, self::get_row_identifier( $mapped_row ), $field_map );
+				$errors     = array_merge( $errors, $row_errors );
+
+				foreach ( $row_errors as $error ) {
+					$messages[ $index ][] = $error['message'];
+				}
+			} elseif ( ! isset( $messages[ $index ] ) ) {
+				$state['valid'] ++;
+			}
+		}
+
+		// Record the original rows that failed for the error report
+		ErrorReportManager::add_rows( $file_uuid, 'dry_run', self::get_failures( $messages, $batch_data['rows'], $first_row ) );
+
+		usort( $errors, function ( $a, $b ) {
+			return $a['row'] <=> $b['row'];
+		} );
+
+		$state['offset']      = $offset + $batch_data['count'];
+		$state['processed']   += count( $batch_data['rows'] );
+		$state['error_count'] += count( $errors );
+
+		foreach ( $errors as $error ) {
+			if ( $error['field'] ) {
+				$state['fields'][ $error['field'] ] = ( $state['fields'][ $error['field'] ] ?? 0 ) + 1;
+			}
+		}
+		$state['errors']      = array_slice( array_merge( $state['errors'], $errors ), 0, self::DRY_RUN_MAX_ERRORS );
+
+		if ( $batch_data['has_more'] ) {
+			set_transient( self::DRY_RUN_PREFIX . $file_uuid, $state, FileManager::MAX_FILE_AGE );
+		} else {
+			delete_transient( self::DRY_RUN_PREFIX . $file_uuid );
+		}
+
+		$total_items = max( $state['total'], $state['processed'] );
+
+		return [
+			'has_more'     => $batch_data['has_more'],
+			'offset'       => $state['offset'],
+			'total_rows'   => $state['processed'],
+			'total_items'  => $total_items,
+			'percentage'   => $total_items > 0 ? round( ( $state['processed'] / $total_items ) * 100 ) : 100,
+			'valid_rows'   => $state['valid'],
+			'error_count'  => $state['error_count'],
+			'field_errors' => $state['fields'],
+			'predicted'    => empty( $state['settings']['mode'] ) ? null : $state['predicted'],
+			'errors'       => $state['errors'],
+			'unmatched'    => ValueMapper::format_unmatched( $state['unmatched'] ),
+			'missing'      => ValueMapper::format_unmatched( $state['missing'] ),
+			'error_report' => ErrorReportManager::get_count( $file_uuid, 'dry_run' ),
+		];
+	}
+
+	/**
+	 * Validate the run settings chosen for an import or dry run.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $operation Operation configuration.
+	 * @param array $settings  Chosen 'mode', 'match_key' and 'filters'.
+	 *
+	 * @return array|WP_Error Settings from MatchResolver::get_settings(), with
+	 *                        'filters' when any are set, or WP_Error.
+	 */
+	private static function get_settings( array $operation, array $settings ): array|WP_Error {
+		$filters = RowFilter::sanitize( $settings['filters'] ?? [] );
+		if ( is_wp_error( $filters ) ) {
+			return $filters;
+		}
+
+		$settings = MatchResolver::get_settings( $operation, $settings['mode'] ?? null, $settings['match_key'] ?? null );
+		if ( is_wp_error( $settings ) || empty( $filters ) ) {
+			return $settings;
+		}
+
+		$settings['filters'] = $filters;
+
+		return $settings;
+	}
+
+	/**
+	 * Get a mapped row with its match key value processed as the import would.
+	 *
+	 * The match key field goes through the side-effect free preview
+	 * pipeline, so a dry run looks up the same value the import will.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $operation  Operation configuration.
+	 * @param array $settings   Run settings.
+	 * @param array $mapped_row The mapped row.
+	 *
+	 * @return array
+	 */
+	private static function get_match_row( array $operation, array $settings, array $mapped_row ): array {
+		$field = $operation['match_keys'][ $settings['match_key'] ]['field'] ?? null;
+
+		if ( $field === null || ! isset( $operation['fields'][ $field ] ) ) {
+			return $mapped_row;
+		}
+
+		$preview = FieldValidator::preview_field( $field, $mapped_row[ $field ] ?? null, $operation['fields'][ $field ], $mapped_row );
+
+		$mapped_row[ $field ] = $preview['value'];
+
+		return $mapped_row;
+	}
+
+	/** Errors ******************************************************************/
+
+	/**
+	 * Expand a row's WP_Error into error entries.
+	 *
+	 * Field validation errors (see FieldValidator::row_error()) give one
+	 * entry per invalid field. Other errors give a single entry, attached
+	 * to a field when their data has a 'field' key.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_Error $error      The row's error.
+	 * @param int      $row_number The row number in the file.
+	 * @param string   $item       The row identifier.
+	 * @param array    $field_map  Mapping of field_key => column.
+	 *
+	 * @return array List of errors with 'row', 'item', 'message', 'code',
+	 *               'field', 'column' and 'value'.
+	 */
+	private static function get_row_errors( WP_Error $error, int $row_number, string $item, array $field_map ): array {
+		$data = $error->get_error_data();
+
+		if ( ! is_array( $data ) || ! isset( $data['fields'] ) ) {
+			$field = isset( $data['field'] ) ? (string) $data['field'] : null;
+
+			return [
+				[
+					'row'     => $row_number,
+					'item'    => $item,
+					'message' => $error->get_error_message(),
+					'code'    => (string) $error->get_error_code(),
+					'field'   => $field,
+					'column'  => $field !== null ? ColumnMapper::get_label( $field_map[ $field ] ?? null ) : null,
+					'value'   => $data['value'] ?? null,
+				],
+			];
+		}
+
+		$errors = [];
+
+		foreach ( $data['fields'] as $field => $field_error ) {
+			$errors[] = [
+				'row'     => $row_number,
+				'item'    => $item,
+				'message' => $field_error['message'],
+				'code'    => $field_error['code'],
+				'field'   => $field,
+				'column'  => ColumnMapper::get_label( $field_map[ $field ] ?? null ),
+				'value'   => $field_error['value'],
+			];
+		}
+
+		return $errors;
+	}
+
+	/**
+	 * Build error report rows from a batch's error messages.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $messages  Error messages keyed by row index within the batch.
+	 * @param array $rows      The batch's original rows.
+	 * @param int   $first_row File row number of the batch's first row.
+	 *
+	 * @return array Failures for ErrorReportManager::add_rows().
+	 */
+	private static function get_failures( array $messages, array $rows, int $first_row ): array {
+		ksort( $messages );
+
+		$failures = [];
+		foreach ( $messages as $index => $row_messages ) {
+			$failures[] = [
+				'row_number' => $first_row + $index,
+				'row'        => $rows[ $index ],
+				'error'      => implode( '; ', array_unique( $row_messages ) ),
+			];
+		}
+
+		return $failures;
+	}
+
+	/** Rows ********************************************************************/
+
+	/**
+	 * Map a CSV row to defined fields.
+	 *
+	 * Field map entries can be columns, templates or constants with
+	 * column transforms; see ColumnMapper.
+	 *
+	 * @since 2.0.0
+	 *
+	 * @param array $row       Raw row data.
+	 * @param array $field_map Mapping of field_key => column or computed entry.
+	 * @param array $fields    Field definitions.
+	 *
+	 * @return array Mapped data (keys are field keys, values are raw CSV values).
+	 */
+	public static function map_row( array $row, array $field_map, array $fields ): array {
+		$mapped = [];
+
+		foreach ( $field_map as $field_key => $entry ) {
+			$value = ColumnMapper::get_value( $row, $entry );
+
+			// Apply default if empty and not handled by FieldValidator
+			if ( ( $value === null || $value === '' ) && isset( $fields[ $field_key ]['default'] ) ) {
+				$value = $fields[ $field_key ]['default'];
+			}
+
+			$mapped[ $field_key ] = $value;
+		}
+
+		// Include unmapped fields with defaults
+		foreach ( $fields as $field_key => $field ) {
+			if ( ! isset( $mapped[ $field_key ] ) && isset( $field['default'] ) ) {
+				$mapped[ $field_key ] = $field['default'];
+			}
+		}
+
+		return $mapped;
+	}
+
+	/**
+	 * Check if a row is empty.
+	 *
+	 * @since 2.0.0
+	 *
+	 * @param array $row Row data.
+	 *
+	 * @return bool
+	 */
+	public static function is_empty_row( array $row ): bool {
+		foreach ( $row as $value ) {
+			if ( $value !== null && $value !== '' ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get a human-readable identifier for a row.
+	 *
+	 * @since 2.0.0
+	 *
+	 * @param array $row Row data.
+	 *
+	 * @return string
+	 */
+	public static function get_row_identifier( array $row ): string {
+		$id_fields = [ 'id', 'sku', 'email', 'name', 'title', 'slug', 'code' ];
+
+		foreach ( $id_fields as $field ) {
+			if ( ! empty( $row[ $field ] ) ) {
+				return (string) $row[ $field ];
+			}
+		}
+
+		foreach ( $row as $value ) {
+			if ( ! empty( $value ) ) {
+				return (string) $value;
+			}
+		}
+
+		return __( 'Unknown', 'arraypress' );
+	}
+
+}
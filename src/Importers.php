@@ -116,6 +116,9 @@ class Importers {
 
 		Registry::register( $this->id, $this );
 		RestApi::register();
+		BackgroundManager::register();
+		ScheduleManager::register();
+		CliCommand::register();
 
 		$this->init_hooks();
 	}
@@ -0,0 +1,216 @@
+<?php
+/**
+ * Match Resolver
+ *
+ * Looks up the existing object a row refers to using the operation's match
+ * keys, and decides from the chosen import mode whether the row creates an
+ * object, updates it or is skipped.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use ArrayPress\RegisterImporters\Validation\FieldValidator;
+use WP_Error;
+
+/**
+ * Class MatchResolver
+ *
+ * Only operations that declare match_keys use import modes. Their run
+ * settings hold the chosen 'mode' and 'match_key'; operations without
+ * match keys have empty settings and leave every decision to the
+ * process_callback.
+ */
+class MatchResolver {
+
+	/**
+	 * Supported import modes.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const MODES = [ 'upsert', 'create', 'update', 'skip' ];
+
+	/**
+	 * Get the labels of the import modes.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return array Mode => label.
+	 */
+	public static function get_mode_labels(): array {
+		return [
+			'upsert' => __( 'Create new items and update existing ones', 'arraypress' ),
+			'create' => __( 'Create new items only (existing items fail)', 'arraypress' ),
+			'update' => __( 'Update existing items only (new items fail)', 'arraypress' ),
+			'skip'   => __( 'Create new items and skip existing ones', 'arraypress' ),
+		];
+	}
+
+	/**
+	 * Get the import modes an operation allows.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $operation Operation configuration.
+	 *
+	 * @return array List of modes.
+	 */
+	public static function get_modes( array $operation ): array {
+		$modes = array_values( array_intersect( (array) ( $operation['import_modes'] ?? [] ), self::MODES ) );
+
+		return empty( $modes ) ? self::MODES : $modes;
+	}
+
+	/**
+	 * Validate the run settings chosen for an import or dry run.
+	 *
+	 * Missing values fall back to the operation's default mode and first
+	 * match key.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array       $operation Operation configuration.
+	 * @param string|null $mode      Chosen import mode.
+	 * @param string|null $match_key Chosen match key.
+	 *
+	 * @return array|WP_Error Settings with 'mode' and 'match_key', empty for
+	 *                        operations without match keys, or WP_Error.
+	 */
+	public static function get_settings( array $operation, ?string $mode, ?string $match_key ): array|WP_Error {
+		if ( empty( $operation['match_keys'] ) ) {
+			return [];
+		}
+
+		$modes = self::get_modes( $operation );
+
+		if ( empty( $mode ) ) {
+			$mode = in_array( $operation['default_mode'] ?? '', $modes, true ) ? $operation['default_mode'] : $modes[0];
+		}
+
+		if ( ! in_array( $mode, $modes, true ) ) {
+			return new WP_Error( 'invalid_mode', __( 'Invalid import mode.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		if ( empty( $match_key ) ) {
+			$match_key = (string) array_key_first( $operation['match_keys'] );
+		}
+
+		if ( ! isset( $operation['match_keys'][ $match_key ] ) ) {
+			return new WP_Error( 'invalid_match_key', __( 'Invalid match key.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		return [
+			'mode'      => $mode,
+			'match_key' => $match_key,
+		];
+	}
+
+	/**
+	 * Resolve what a row does under the run's settings.
+	 *
+	 * The returned match is passed to the process_callback as its second
+	 * argument. Rows that conflict with the mode ('create' finding an
+	 * existing item, 'update' finding none) return a WP_Error attached to
+	 * the match key's field.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $operation Operation configuration.
+	 * @param array $settings  Run settings from get_settings().
+	 * @param array $row       The validated row.
+	 *
+	 * @return array|WP_Error Array with 'key', 'mode', 'action' ('create',
+	 *                        'update' or 'skip') and 'id' (existing object
+	 *                        ID or null), or WP_Error.
+	 */
+	public static function resolve( array $operation, array $settings, array $row ): array|WP_Error {
+		$key    = $settings['match_key'] ?? '';
+		$config = $operation['match_keys'][ $key ] ?? null;
+
+		if ( ! $config ) {
+			return new WP_Error( 'invalid_match_key', __( 'Invalid match key.', 'arraypress' ) );
+		}
+
+		$value = $row[ $config['field'] ] ?? null;
+		$id    = self::find( $config, $value, $row );
+
+		if ( is_wp_error( $id ) ) {
+			return $id;
+		}
+
+		$mode = $settings['mode'];
+		$data = [
+			'field' => $config['field'],
+			'value' => is_scalar( $value ) ? $value : null,
+		];
+
+		if ( $id && $mode === 'create' ) {
+			return new WP_Error(
+				'already_exists',
+				sprintf( __( 'An item with %s "%s" already exists.', 'arraypress' ), $config['label'], $data['value'] ),
+				$data
+			);
+		}
+
+		if ( ! $id && $mode === 'update' ) {
+			return new WP_Error(
+				'no_match',
+				sprintf( __( 'No existing item has %s "%s".', 'arraypress' ), $config['label'], $data['value'] ),
+				$data
+			);
+		}
+
+		if ( $id ) {
+			$action = $mode === 'skip' ? 'skip' : 'update';
+		} else {
+			$action = 'create';
+		}
+
+		return [
+			'key'    => $key,
+			'mode'   => $mode,
+			'action' => $action,
+			'id'     => $id,
+		];
+	}
+
+	/**
+	 * Find the existing object for a match key value.
+	 *
+	 * Uses the match key's lookup_callback when set, otherwise the same
+	 * entity lookups as entity fields.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $config Match key configuration.
+	 * @param mixed $value  The row's value for the match key field.
+	 * @param array $row    The validated row.
+	 *
+	 * @return int|WP_Error|null Object ID, null if none matches, or WP_Error.
+	 */
+	private static function find( array $config, $value, array $row ): int|WP_Error|null {
+		if ( $value === null || $value === '' || ! is_scalar( $value ) ) {
+			return null;
+		}
+
+		if ( is_callable( $config['lookup_callback'] ) ) {
+			$result = call_user_func( $config['lookup_callback'], $value, $row );
+
+			if ( is_wp_error( $result ) ) {
+				return $result;
+			}
+
+			return absint( $result ) ?: null;
+		}
+
+		return FieldValidator::find_entity( $value, $config );
+	}
+
+}
@@ -0,0 +1,478 @@
+<?php
+/**
+ * Media Bundle
+ *
+ * Imports from a ZIP archive that holds the data file along with the
+ * images and documents its rows refer to. The data file is extracted and
+ * imported like any other upload; the media files are kept beside it and
+ * added to the media library when an attachment field matched by filename
+ * names one of them.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use ArrayPress\RegisterImporters\Validation\FieldValidator;
+use WP_Error;
+
+/**
+ * Class MediaBundle
+ *
+ * Media files are stored flat in a directory named after the import file,
+ * under their sanitized base names, so rows name them without the folders
+ * they had in the archive. Each file is added to the media library once;
+ * later rows naming it get the same attachment.
+ */
+class MediaBundle {
+
+	/**
+	 * File extension of bundles.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const EXTENSION = 'zip';
+
+	/**
+	 * Allowed MIME types for bundles.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const MIME_TYPES = [
+		'application/zip',
+		'application/x-zip-compressed',
+		'application/octet-stream',
+	];
+
+	/**
+	 * Suffix of media directories, after the import file UUID.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const DIR_SUFFIX = '-media';
+
+	/**
+	 * Transient prefix for the attachments imported from a bundle.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const TRANSIENT_PREFIX = 'importer_bundle_';
+
+	/**
+	 * Largest total size of the extracted files in bytes.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_SIZE = GB_IN_BYTES;
+
+	/**
+	 * Maximum number of missing files listed per field.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_MISSING = 100;
+
+	/**
+	 * Check whether a file extension is a bundle.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $extension File extension.
+	 *
+	 * @return bool
+	 */
+	public static function supports( string $extension ): bool {
+		return strtolower( $extension ) === self::EXTENSION;
+	}
+
+	/**
+	 * Extract a bundle's data file and media files.
+	 *
+	 * The data file is the CSV, spreadsheet or JSON file nearest the root
+	 * of the archive; the first one listed wins a tie. Every other file
+	 * WordPress accepts as an upload is a media file. Hidden files and
+	 * macOS resource forks are ignored. When two files share a name, the
+	 * first one listed is kept.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $file_data File metadata with 'path' pointing to the archive.
+	 *
+	 * @return array|WP_Error Array with 'path' and 'format' of the data file,
+	 *                        'media_dir' and 'media_files' (the number of
+	 *                        media files), or WP_Error on failure.
+	 */
+	public static function extract( array $file_data ): array|WP_Error {
+		if ( ! class_exists( 'ZipArchive' ) ) {
+			return new WP_Error(
+				'zip_unsupported',
+				__( 'ZIP files cannot be read on this server. The zip PHP extension is required.', 'arraypress' )
+			);
+		}
+
+		$zip = new \ZipArchive();
+
+		if ( $zip->open( $file_data['path'], \ZipArchive::RDONLY ) !== true ) {
+			return new WP_Error( 'invalid_archive', __( 'The ZIP file could not be opened.', 'arraypress' ) );
+		}
+
+		$entries = [];
+		$data    = null;
+
+		for ( $index = 0; $index < $zip->numFiles; $index ++ ) {
+			$stat = $zip->statIndex( $index );
+
+			if ( ! $stat || str_ends_with( $stat['name'], '/' ) || self::is_hidden( $stat['name'] ) ) {
+				continue;
+			}
+
+			$entries[ $index ] = $stat;
+			$extension         = strtolower( pathinfo( $stat['name'], PATHINFO_EXTENSION ) );
+			$depth             = substr_count( $stat['name'], '/' );
+
+			if ( in_array( $extension, self::get_data_extensions(), true )
+			     && ( $data === null || $depth < substr_count( $entries[ $data ]['name'], '/' ) ) ) {
+				$data = $index;
+			}
+		}
+
+		if ( $data === null ) {
+			$zip->close();
+
+			return new WP_Error(
+				'no_data_file',
+				__( 'The ZIP file does not contain a CSV, spreadsheet or JSON file to import.', 'arraypress' )
+			);
+		}
+
+		$media = [];
+		$total = $entries[ $data ]['size'];
+
+		foreach ( $entries as $index => $stat ) {
+			$name = sanitize_file_name( wp_basename( $stat['name'] ) );
+
+			if ( $index === $data || isset( $media[ $name ] ) || empty( wp_check_filetype( $name )['type'] ) ) {
+				continue;
+			}
+
+			$media[ $name ] = $index;
+			$total          += $stat['size'];
+		}
+
+		if ( $total > self::MAX_SIZE ) {
+			$zip->close();
+
+			return new WP_Error(
+				'archive_too_large',
+				sprintf(
+					__( 'The files in the ZIP file exceed the maximum extracted size of %s.', 'arraypress' ),
+					size_format( self::MAX_SIZE )
+				)
+			);
+		}
+
+		$dir       = trailingslashit( dirname( $file_data['path'] ) );
+		$format    = strtolower( pathinfo( $entries[ $data ]['name'], PATHINFO_EXTENSION ) );
+		$path      = $dir . $file_data['uuid'] . '.' . $format;
+		$media_dir = $dir . $file_data['uuid'] . self::DIR_SUFFIX;
+		$extracted = wp_mkdir_p( $media_dir ) && self::extract_entry( $zip, $entries[ $data ], $path );
+
+		foreach ( $media as $name => $index ) {
+			if ( ! $extracted ) {
+				break;
+			}
+
+			$extracted = self::extract_entry( $zip, $entries[ $index ], trailingslashit( $media_dir ) . $name );
+		}
+
+		$zip->close();
+
+		if ( ! $extracted ) {
+			self::delete_dir( $media_dir );
+
+			if ( file_exists( $path ) ) {
+				unlink( $path );
+			}
+
+			return new WP_Error( 'extract_failed', __( 'The ZIP file could not be extracted.', 'arraypress' ) );
+		}
+
+		return [
+			'path'        => $path,
+			'format'      => $format,
+			'media_dir'   => $media_dir,
+			'media_files' => count( $media ),
+		];
+	}
+
+	/**
+	 * Point an operation's filename-matched attachment fields at a bundle.
+	 *
+	 * Adds the import file UUID to those fields as 'bundle', which
+	 * FieldValidator uses to import files the media library does not have.
+	 * Fields are returned unchanged when the file is not a bundle.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array  $fields    Field definitions.
+	 * @param string $file_uuid The import file UUID.
+	 *
+	 * @return array The field definitions.
+	 */
+	public static function apply( array $fields, string $file_uuid ): array {
+		$file_data = FileManager::get_file( $file_uuid );
+
+		if ( empty( $file_data['media_dir'] ) ) {
+			return $fields;
+		}
+
+		foreach ( $fields as $key => $field ) {
+			if ( ( $field['type'] ?? '' ) === 'attachment' && ( $field['match_by'] ?? '' ) === 'filename' ) {
+				$fields[ $key ]['bundle'] = $file_uuid;
+			}
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Find a media file in a bundle.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $file_uuid The import file UUID.
+	 * @param string $filename  The filename from the row.
+	 *
+	 * @return string|null Path to the media file or null if the bundle does
+	 *                     not contain it.
+	 */
+	public static function find_file( string $file_uuid, string $filename ): ?string {
+		$file_data = FileManager::get_file( $file_uuid );
+		$name      = sanitize_file_name( wp_basename( $filename ) );
+
+		if ( empty( $file_data['media_dir'] ) || $name === '' ) {
+			return null;
+		}
+
+		$path = trailingslashit( $file_data['media_dir'] ) . $name;
+
+		return is_file( $path ) ? $path : null;
+	}
+
+	/**
+	 * Add a media file from a bundle to the media library.
+	 *
+	 * A file that was already imported from the bundle returns the same
+	 * attachment, even if the media library renamed it.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $file_uuid The import file UUID.
+	 * @param string $filename  The filename from the row.
+	 *
+	 * @return int|WP_Error The attachment ID or WP_Error.
+	 */
+	public static function import_file( string $file_uuid, string $filename ): int|WP_Error {
+		$path = self::find_file( $file_uuid, $filename );
+
+		if ( ! $path ) {
+			return new WP_Error(
+				'attachment_not_found',
+				sprintf( __( 'File "%s" not found in the ZIP file.', 'arraypress' ), $filename )
+			);
+		}
+
+		$name     = wp_basename( $path );
+		$imported = get_transient( self::TRANSIENT_PREFIX . $file_uuid ) ?: [];
+
+		if ( isset( $imported[ $name ] ) && get_post_type( $imported[ $name ] ) === 'attachment' ) {
+			return (int) $imported[ $name ];
+		}
+
+		if ( ! function_exists( 'media_handle_sideload' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/media.php';
+			require_once ABSPATH . 'wp-admin/includes/file.php';
+			require_once ABSPATH . 'wp-admin/includes/image.php';
+		}
+
+		// The media library moves the file it is given, so it gets a copy
+		$tmp = wp_tempnam( $name );
+
+		if ( ! copy( $path, $tmp ) ) {
+			wp_delete_file( $tmp );
+
+			return new WP_Error( 'copy_failed', sprintf( __( 'File "%s" could not be read from the ZIP file.', 'arraypress' ), $filename ) );
+		}
+
+		$attachment_id = media_handle_sideload( [
+			'name'     => $name,
+			'tmp_name' => $tmp,
+		], 0 );
+
+		if ( is_wp_error( $attachment_id ) ) {
+			wp_delete_file( $tmp );
+
+			return $attachment_id;
+		}
+
+		$imported[ $name ] = (int) $attachment_id;
+		set_transient( self::TRANSIENT_PREFIX . $file_uuid, $imported, FileManager::MAX_FILE_AGE );
+
+		return (int) $attachment_id;
+	}
+
+	/**
+	 * Record a row's files that are in neither the bundle nor the media library.
+	 *
+	 * Only fields pointed at a bundle by apply() are checked. To collect a
+	 * file batch by batch, pass the same $missing array to each call.
+	 * $checked caches lookups within a batch.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $missing Row counts keyed by field key, then by filename.
+	 * @param array $row     The mapped row.
+	 * @param array $fields  Field definitions from apply().
+	 * @param array $checked Whether each file was found, keyed by field key.
+	 *
+	 * @return void
+	 */
+	public static function add_missing( array &$missing, array $row, array $fields, array &$checked = [] ): void {
+		foreach ( $fields as $key => $field ) {
+			if ( empty( $field['bundle'] ) || ! array_key_exists( $key, $row ) ) {
+				continue;
+			}
+
+			foreach ( array_unique( FieldValidator::get_value_items( $row[ $key ], $field ) ) as $value ) {
+				if ( ! isset( $checked[ $key ][ $value ] ) ) {
+					$checked[ $key ][ $value ] = self::find_file( $field['bundle'], $value ) !== null
+					                             || is_int( FieldValidator::find_entity( $value, $field ) );
+				}
+
+				if ( $checked[ $key ][ $value ] ) {
+					continue;
+				}
+
+				if ( isset( $missing[ $key ][ $value ] ) ) {
+					$missing[ $key ][ $value ] ++;
+				} elseif ( count( $missing[ $key ] ?? [] ) < self::MAX_MISSING ) {
+					$missing[ $key ][ $value ] = 1;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Delete a bundle's media files.
+	 *
+	 * Attachments already imported from the bundle stay in the media
+	 * library.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $file_data File metadata.
+	 *
+	 * @return void
+	 */
+	public static function delete( array $file_data ): void {
+		if ( ! empty( $file_data['media_dir'] ) ) {
+			self::delete_dir( $file_data['media_dir'] );
+		}
+
+		delete_transient( self::TRANSIENT_PREFIX . $file_data['uuid'] );
+	}
+
+	/**
+	 * Get the extensions a bundle's data file can have.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return array
+	 */
+	private static function get_data_extensions(): array {
+		return array_values( array_diff( FileManager::get_allowed_extensions(), [ self::EXTENSION ] ) );
+	}
+
+	/**
+	 * Check whether an archive entry is hidden.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $name Entry name.
+	 *
+	 * @return bool True for dotfiles, files in dot folders and macOS
+	 *              resource forks.
+	 */
+	private static function is_hidden( string $name ): bool {
+		return preg_match( '#(^|/)(\.|__MACOSX/)#', $name ) === 1;
+	}
+
+	/**
+	 * Extract an archive entry to a file.
+	 *
+	 * Entries are read as streams, so large files are not loaded into
+	 * memory, and never written past the size the archive lists.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param \ZipArchive $zip  The open archive.
+	 * @param array       $stat Entry details from statIndex().
+	 * @param string      $path Path to write to.
+	 *
+	 * @return bool True if the entry was extracted.
+	 */
+	private static function extract_entry( \ZipArchive $zip, array $stat, string $path ): bool {
+		$source = $zip->getStream( $stat['name'] );
+		$target = fopen( $path, 'wb' );
+		$copied = false;
+
+		if ( $source && $target ) {
+			$copied = stream_copy_to_stream( $source, $target, $stat['size'] + 1 ) === $stat['size'];
+		}
+
+		if ( $source ) {
+			fclose( $source );
+		}
+
+		if ( $target ) {
+			fclose( $target );
+		}
+
+		return $copied;
+	}
+
+	/**
+	 * Delete a media directory and its files.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $dir Directory path.
+	 *
+	 * @return void
+	 */
+	private static function delete_dir( string $dir ): void {
+		if ( ! is_dir( $dir ) ) {
+			return;
+		}
+
+		foreach ( new \FilesystemIterator( $dir ) as $file ) {
+			if ( $file->isFile() ) {
+				unlink( $file->getPathname() );
+			}
+		}
+
+		rmdir( $dir );
+	}
+
+}
@@ -0,0 +1,216 @@
+<?php
+/**
+ * Preset Manager
+ *
+ * Handles named field-mapping presets per import operation so that
+ * recurring files can be mapped with a single click.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use WP_Error;
+
+/**
+ * Class PresetManager
+ *
+ * Manages saved field-mapping presets using non-autoloaded options.
+ */
+class PresetManager {
+
+	/**
+	 * Option prefix for preset storage.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const OPTION_PREFIX = 'importers_presets_';
+
+	/**
+	 * Maximum number of presets stored per operation.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_PRESETS = 50;
+
+	/**
+	 * Get the option key for an operation's presets.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return string
+	 */
+	public static function get_option_key( string $page_id, string $operation_id ): string {
+		return self::OPTION_PREFIX . sanitize_key( $page_id ) . '_' . sanitize_key( $operation_id );
+	}
+
+	/**
+	 * Get all presets for an operation.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return array Presets keyed by preset ID.
+	 */
+	public static function get_presets( string $page_id, string $operation_id ): array {
+		$presets = get_option( self::get_option_key( $page_id, $operation_id ), [] );
+
+		return is_array( $presets ) ? $presets : [];
+	}
+
+	/**
+	 * Get a single preset.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param string $preset_id    The preset ID.
+	 *
+	 * @return array|null Preset data or null if not found.
+	 */
+	public static function get_preset( string $page_id, string $operation_id, string $preset_id ): ?array {
+		$presets = self::get_presets( $page_id, $operation_id );
+
+		return $presets[ $preset_id ] ?? null;
+	}
+
+	/**
+	 * Save a preset, replacing any existing preset with the same name.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param string $name         Human-readable preset name.
+	 * @param array  $field_map    Mapping of field_key => csv_column or computed entry.
+	 * @param array  $headers      Headers of the file the preset was built from.
+	 *
+	 * @return array|WP_Error The saved preset or WP_Error on failure.
+	 */
+	public static function save_preset( string $page_id, string $operation_id, string $name, array $field_map, array $headers = [] ) {
+		$name      = trim( $name );
+		$preset_id = sanitize_title( $name );
+
+		if ( $preset_id === '' ) {
+			return new WP_Error(
+				'invalid_preset_name',
+				__( 'Please enter a name for the preset.', 'arraypress' )
+			);
+		}
+
+		$field_map = array_filter( $field_map, [ ColumnMapper::class, 'is_mapped' ] );
+
+		if ( empty( $field_map ) ) {
+			return new WP_Error(
+				'empty_preset',
+				__( 'Map at least one field before saving a preset.', 'arraypress' )
+			);
+		}
+
+		$presets = self::get_presets( $page_id, $operation_id );
+
+		if ( ! isset( $presets[ $preset_id ] ) && count( $presets ) >= self::MAX_PRESETS ) {
+			return new WP_Error(
+				'too_many_presets',
+				sprintf(
+					__( 'An operation can have at most %d presets.', 'arraypress' ),
+					self::MAX_PRESETS
+				)
+			);
+		}
+
+		$presets[ $preset_id ] = [
+			'id'         => $preset_id,
+			'name'       => $name,
+			'field_map'  => $field_map,
+			'headers'    => array_values( $headers ),
+			'updated_at' => current_time( 'mysql', true ),
+			'updated_by' => get_current_user_id(),
+		];
+
+		update_option( self::get_option_key( $page_id, $operation_id ), $presets, false );
+
+		return $presets[ $preset_id ];
+	}
+
+	/**
+	 * Delete a preset.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param string $preset_id    The preset ID.
+	 *
+	 * @return bool True if the preset existed and was deleted.
+	 */
+	public static function delete_preset( string $page_id, string $operation_id, string $preset_id ): bool {
+		$presets = self::get_presets( $page_id, $operation_id );
+
+		if ( ! isset( $presets[ $preset_id ] ) ) {
+			return false;
+		}
+
+		unset( $presets[ $preset_id ] );
+
+		if ( empty( $presets ) ) {
+			return delete_option( self::get_option_key( $page_id, $operation_id ) );
+		}
+
+		return update_option( self::get_option_key( $page_id, $operation_id ), $presets, false );
+	}
+
+	/**
+	 * Find the preset whose headers best match a file's headers.
+	 *
+	 * Scores presets by the overlap between their stored headers and the
+	 * file headers (Jaccard index, case-insensitive). Presets scoring
+	 * below the threshold are ignored.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param array  $headers      Headers of the uploaded file.
+	 * @param float  $threshold    Minimum score (0–1) for a match.
+	 *
+	 * @return array|null Best matching preset or null.
+	 */
+	public static function find_best_preset( string $page_id, string $operation_id, array $headers, float $threshold = 0.5 ): ?array {
+		$best       = null;
+		$best_score = $threshold;
+		$file_set   = array_unique( array_map( 'strtolower', array_map( 'trim', $headers ) ) );
+
+		foreach ( self::get_presets( $page_id, $operation_id ) as $preset ) {
+			$preset_set = array_unique( array_map( 'strtolower', array_map( 'trim', $preset['headers'] ?? [] ) ) );
+			$union      = count( array_unique( array_merge( $file_set, $preset_set ) ) );
+
+			if ( $union === 0 ) {
+				continue;
+			}
+
+			$score = count( array_intersect( $file_set, $preset_set ) ) / $union;
+
+			if ( $score >= $best_score ) {
+				$best       = $preset;
+				$best_score = $score;
+			}
+		}
+
+		return $best;
+	}
+
+}
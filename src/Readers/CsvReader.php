@@ -0,0 +1,446 @@
+<?php
+/**
+ * CSV Reader
+ *
+ * Detects and applies the dialect of a CSV file — delimiter, enclosure,
+ * character encoding, byte order mark and header row — so semicolon
+ * exports, UTF-16 or Windows-1252 files and files with a title row above
+ * the headers are read the same way as a plain UTF-8 comma CSV.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters\Readers;
+
+use WP_Error;
+
+/**
+ * Class CsvReader
+ *
+ * A dialect is an array with 'delimiter', 'enclosure', 'encoding' and
+ * 'header_row' (zero-based record index) keys. Files are decoded to UTF-8
+ * on the fly with an iconv stream filter, so nothing is rewritten on disk.
+ */
+class CsvReader {
+
+	/**
+	 * Delimiters that can be detected or selected.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const DELIMITERS = [ ',', ';', "\t", '|' ];
+
+	/**
+	 * Enclosure characters that can be detected or selected.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const ENCLOSURES = [ '"', "'" ];
+
+	/**
+	 * Encodings that can be detected or selected.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const ENCODINGS = [ 'UTF-8', 'UTF-16LE', 'UTF-16BE', 'Windows-1252', 'ISO-8859-1' ];
+
+	/**
+	 * Byte order marks by encoding.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const BOMS = [
+		'UTF-8'    => "\xEF\xBB\xBF",
+		'UTF-16LE' => "\xFF\xFE",
+		'UTF-16BE' => "\xFE\xFF",
+	];
+
+	/**
+	 * Bytes sampled from the start of the file for detection.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const SAMPLE_SIZE = 65536;
+
+	/**
+	 * Maximum number of lines examined for delimiter and header detection.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const SAMPLE_LINES = 50;
+
+	/**
+	 * Get the dialect of a standard UTF-8 comma-separated file.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return array
+	 */
+	public static function get_default_dialect(): array {
+		return [
+			'delimiter'  => ',',
+			'enclosure'  => '"',
+			'encoding'   => 'UTF-8',
+			'header_row' => 0,
+		];
+	}
+
+	/**
+	 * Sanitize a dialect, falling back to defaults for unsupported values.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $dialect Dialect values to sanitize.
+	 *
+	 * @return array
+	 */
+	public static function sanitize_dialect( array $dialect ): array {
+		$defaults = self::get_default_dialect();
+
+		return [
+			'delimiter'  => in_array( $dialect['delimiter'] ?? null, self::DELIMITERS, true )
+				? $dialect['delimiter']
+				: $defaults['delimiter'],
+			'enclosure'  => in_array( $dialect['enclosure'] ?? null, self::ENCLOSURES, true )
+				? $dialect['enclosure']
+				: $defaults['enclosure'],
+			'encoding'   => in_array( $dialect['encoding'] ?? null, self::ENCODINGS, true )
+				? $dialect['encoding']
+				: $defaults['encoding'],
+			'header_row' => max( 0, (int) ( $dialect['header_row'] ?? 0 ) ),
+		];
+	}
+
+	/**
+	 * Detect the dialect of a CSV file from a sample of its first bytes.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path Path to the CSV file.
+	 *
+	 * @return array Detected dialect.
+	 */
+	public static function detect( string $path ): array {
+		$dialect = self::get_default_dialect();
+		$handle  = fopen( $path, 'r' );
+
+		if ( ! $handle ) {
+			return $dialect;
+		}
+
+		$sample = (string) fread( $handle, self::SAMPLE_SIZE );
+		$more   = ! feof( $handle );
+		fclose( $handle );
+
+		$dialect['encoding'] = self::detect_encoding( $sample );
+
+		foreach ( self::BOMS as $bom ) {
+			if ( str_starts_with( $sample, $bom ) ) {
+				$sample = substr( $sample, strlen( $bom ) );
+				break;
+			}
+		}
+
+		if ( $dialect['encoding'] !== 'UTF-8' && function_exists( 'mb_convert_encoding' ) ) {
+			$sample = (string) mb_convert_encoding( $sample, 'UTF-8', $dialect['encoding'] );
+		}
+
+		$lines = preg_split( '/\r\n|\r|\n/', $sample );
+
+		// Drop the last line when the sample cut it short
+		if ( $more && count( $lines ) > 1 ) {
+			array_pop( $lines );
+		}
+
+		// Blank lines are kept so line indexes match fgetcsv() record indexes
+		$lines = array_slice( $lines, 0, self::SAMPLE_LINES );
+
+		if ( trim( implode( '', $lines ) ) === '' ) {
+			return $dialect;
+		}
+
+		$dialect['delimiter']  = self::detect_delimiter( $lines );
+		$dialect['enclosure']  = self::detect_enclosure( $lines, $dialect['delimiter'] );
+		$dialect['header_row'] = self::detect_header_row( $lines, $dialect['delimiter'], $dialect['enclosure'] );
+
+		return $dialect;
+	}
+
+	/**
+	 * Open a CSV file for reading with a dialect applied.
+	 *
+	 * Skips any byte order mark, decodes to UTF-8 and positions the handle
+	 * on the header row.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path    Path to the CSV file.
+	 * @param array  $dialect The file's dialect.
+	 *
+	 * @return resource|WP_Error
+	 */
+	public static function open( string $path, array $dialect ) {
+		$dialect = self::sanitize_dialect( $dialect );
+		$handle  = fopen( $path, 'r' );
+
+		if ( ! $handle ) {
+			return new WP_Error(
+				'file_read_error',
+				__( 'Unable to read the import file.', 'arraypress' )
+			);
+		}
+
+		// Skip the byte order mark before decoding
+		$start = (string) fread( $handle, 3 );
+		$skip  = 0;
+
+		foreach ( self::BOMS as $bom ) {
+			if ( str_starts_with( $start, $bom ) ) {
+				$skip = strlen( $bom );
+				break;
+			}
+		}
+
+		fseek( $handle, $skip );
+
+		if ( $dialect['encoding'] !== 'UTF-8' ) {
+			$filter = in_array( 'convert.iconv.*', stream_get_filters(), true )
+				? stream_filter_append( $handle, 'convert.iconv.' . $dialect['encoding'] . '/UTF-8', STREAM_FILTER_READ )
+				: false;
+
+			if ( ! $filter ) {
+				fclose( $handle );
+
+				return new WP_Error(
+					'encoding_unsupported',
+					sprintf(
+						__( 'Reading %s files requires the PHP iconv extension.', 'arraypress' ),
+						$dialect['encoding']
+					)
+				);
+			}
+		}
+
+		for ( $i = 0; $i < $dialect['header_row']; $i ++ ) {
+			if ( self::read_row( $handle, $dialect ) === false ) {
+				break;
+			}
+		}
+
+		return $handle;
+	}
+
+	/**
+	 * Read the next row from a handle returned by open().
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param resource $handle  Open file handle.
+	 * @param array    $dialect The file's dialect.
+	 *
+	 * @return array|false Row values or false at end of file.
+	 */
+	public static function read_row( $handle, array $dialect ) {
+		return fgetcsv(
+			$handle,
+			0,
+			$dialect['delimiter'] ?? ',',
+			$dialect['enclosure'] ?? '"'
+		);
+	}
+
+	/** Detection ***************************************************************/
+
+	/**
+	 * Detect the character encoding of a sample.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $sample Raw bytes from the start of the file.
+	 *
+	 * @return string One of ENCODINGS.
+	 */
+	private static function detect_encoding( string $sample ): string {
+		foreach ( self::BOMS as $encoding => $bom ) {
+			if ( str_starts_with( $sample, $bom ) ) {
+				return $encoding;
+			}
+		}
+
+		// UTF-16 without a BOM: ASCII text leaves every other byte null
+		$length = min( strlen( $sample ), 1000 );
+		if ( $length >= 4 ) {
+			$even = 0;
+			$odd  = 0;
+
+			for ( $i = 0; $i < $length; $i ++ ) {
+				if ( $sample[ $i ] !== "\0" ) {
+					continue;
+				}
+
+				if ( $i % 2 === 0 ) {
+					$even ++;
+				} else {
+					$odd ++;
+				}
+			}
+
+			if ( $odd > $length / 4 && $even === 0 ) {
+				return 'UTF-16LE';
+			}
+
+			if ( $even > $length / 4 && $odd === 0 ) {
+				return 'UTF-16BE';
+			}
+		}
+
+		// Ignore a multibyte character cut off at the end of the sample
+		$trimmed = preg_replace( '/[\x80-\xFF]{1,3}$/', '', $sample );
+
+		if ( function_exists( 'mb_check_encoding' ) ? mb_check_encoding( $trimmed, 'UTF-8' ) : preg_match( '//u', $trimmed ) ) {
+			return 'UTF-8';
+		}
+
+		return 'Windows-1252';
+	}
+
+	/**
+	 * Detect the delimiter that splits the sample most consistently.
+	 *
+	 * Each candidate is scored by how many lines share its most common
+	 * field count; ties go to the delimiter producing more fields.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $lines Sample lines.
+	 *
+	 * @return string
+	 */
+	private static function detect_delimiter( array $lines ): string {
+		$best         = ',';
+		$best_matches = 0;
+		$best_width   = 0;
+
+		foreach ( self::DELIMITERS as $delimiter ) {
+			[ $width, $matches ] = self::get_modal_width( $lines, $delimiter, '"' );
+
+			if ( $width < 2 ) {
+				continue;
+			}
+
+			if ( $matches > $best_matches || ( $matches === $best_matches && $width > $best_width ) ) {
+				$best         = $delimiter;
+				$best_matches = $matches;
+				$best_width   = $width;
+			}
+		}
+
+		return $best;
+	}
+
+	/**
+	 * Detect whether fields are enclosed in single rather than double quotes.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array  $lines     Sample lines.
+	 * @param string $delimiter Detected delimiter.
+	 *
+	 * @return string
+	 */
+	private static function detect_enclosure( array $lines, string $delimiter ): string {
+		$text  = implode( "\n", $lines );
+		$quote = preg_quote( $delimiter, '/' );
+		$count = [];
+
+		foreach ( self::ENCLOSURES as $enclosure ) {
+			$count[ $enclosure ] = preg_match_all(
+				'/(?:^|' . $quote . ')' . $enclosure . '[^' . $enclosure . ']*' . $enclosure . '(?=' . $quote . '|$)/m',
+				$text
+			);
+		}
+
+		return $count["'"] > $count['"'] ? "'" : '"';
+	}
+
+	/**
+	 * Detect the header row as the first line that fills the table width.
+	 *
+	 * Title or comment lines above the header usually have one or two
+	 * non-empty cells, while the header names most columns.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array  $lines     Sample lines.
+	 * @param string $delimiter Detected delimiter.
+	 * @param string $enclosure Detected enclosure.
+	 *
+	 * @return int Zero-based row index.
+	 */
+	private static function detect_header_row( array $lines, string $delimiter, string $enclosure ): int {
+		[ $width ] = self::get_modal_width( $lines, $delimiter, $enclosure );
+
+		if ( $width < 2 ) {
+			return 0;
+		}
+
+		foreach ( $lines as $index => $line ) {
+			$cells  = str_getcsv( $line, $delimiter, $enclosure );
+			$filled = count( array_filter( $cells, function ( $cell ) {
+				return trim( (string) $cell ) !== '';
+			} ) );
+
+			if ( count( $cells ) >= $width && $filled * 2 >= $width ) {
+				return $index;
+			}
+		}
+
+		return 0;
+	}
+
+	/**
+	 * Get the most common field count across non-blank sample lines.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array  $lines     Sample lines.
+	 * @param string $delimiter Delimiter to split on.
+	 * @param string $enclosure Enclosure character.
+	 *
+	 * @return array Tuple of [field count, number of lines with that count].
+	 */
+	private static function get_modal_width( array $lines, string $delimiter, string $enclosure ): array {
+		$widths = [];
+
+		foreach ( $lines as $line ) {
+			if ( trim( $line ) === '' ) {
+				continue;
+			}
+
+			$width            = count( str_getcsv( $line, $delimiter, $enclosure ) );
+			$widths[ $width ] = ( $widths[ $width ] ?? 0 ) + 1;
+		}
+
+		if ( empty( $widths ) ) {
+			return [ 0, 0 ];
+		}
+
+		// Prefer the wider table when two widths are equally common
+		krsort( $widths );
+		$matches = max( $widths );
+
+		return [ (int) array_search( $matches, $widths, true ), $matches ];
+	}
+
+}
@@ -0,0 +1,505 @@
+<?php
+/**
+ * JSON Reader
+ *
+ * Reads JSON array and JSON Lines (NDJSON) files and normalizes them to a
+ * JSON Lines file of flattened records, so nested objects become dot-path
+ * columns (e.g. "address.city") that can be mapped like CSV headers.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters\Readers;
+
+use WP_Error;
+
+/**
+ * Class JsonReader
+ *
+ * Both formats are streamed record by record: JSON Lines line by line, and
+ * JSON arrays by scanning for top-level elements, so large API dumps are
+ * never decoded in one piece.
+ */
+class JsonReader {
+
+	/**
+	 * Supported JSON formats (file extensions).
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const FORMATS = [ 'json', 'jsonl', 'ndjson' ];
+
+	/**
+	 * Bytes read per chunk when scanning JSON arrays.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const CHUNK_SIZE = 65536;
+
+	/**
+	 * Separator used to join arrays of scalar values.
+	 *
+	 * Matches the comma separator most fields use, so list values can be
+	 * split again with a field's 'separator' option.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const LIST_SEPARATOR = ', ';
+
+	/**
+	 * Check whether a file extension is a supported JSON format.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $format File extension.
+	 *
+	 * @return bool
+	 */
+	public static function supports( string $format ): bool {
+		return in_array( $format, self::FORMATS, true );
+	}
+
+	/**
+	 * Convert a JSON or JSON Lines file to a JSON Lines file of flat records.
+	 *
+	 * Headers are the union of all dot-paths in the order they are first
+	 * seen. Empty records are skipped.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path        Path to the source file.
+	 * @param string $format      Source format ('json', 'jsonl' or 'ndjson').
+	 * @param string $output_path Destination JSON Lines path.
+	 *
+	 * @return array|WP_Error Array with 'headers' and 'rows' (record count) or WP_Error.
+	 */
+	public static function convert_to_jsonl( string $path, string $format, string $output_path ) {
+		$output = fopen( $output_path, 'w' );
+		if ( ! $output ) {
+			return new WP_Error(
+				'file_write_error',
+				__( 'Unable to write the converted import file.', 'arraypress' )
+			);
+		}
+
+		$headers = [];
+		$count   = 0;
+
+		$writer = function ( array $record ) use ( $output, &$headers, &$count ) {
+			$flat = self::flatten( $record );
+			if ( empty( $flat ) ) {
+				return;
+			}
+
+			foreach ( array_keys( $flat ) as $key ) {
+				$headers[ (string) $key ] = true;
+			}
+
+			fwrite( $output, wp_json_encode( $flat, JSON_FORCE_OBJECT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ) . "\n" );
+			$count ++;
+		};
+
+		$result = $format === 'json'
+			? self::read_array( $path, $writer )
+			: self::read_lines( $path, $writer );
+
+		fclose( $output );
+
+		if ( is_wp_error( $result ) || $count === 0 ) {
+			unlink( $output_path );
+		}
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		if ( $count === 0 ) {
+			return new WP_Error(
+				'empty_file',
+				__( 'The JSON file does not contain any records.', 'arraypress' )
+			);
+		}
+
+		return [
+			'headers' => array_map( 'strval', array_keys( $headers ) ),
+			'rows'    => $count,
+		];
+	}
+
+	/**
+	 * Read the next record from a normalized JSON Lines file.
+	 *
+	 * Returns values in header order, with missing paths as empty strings,
+	 * mirroring what fgetcsv() returns for a CSV row.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param resource $handle  Open handle on a file written by convert_to_jsonl().
+	 * @param array    $headers The file's headers.
+	 *
+	 * @return array|false Row values or false at end of file.
+	 */
+	public static function read_row( $handle, array $headers ) {
+		while ( ( $line = fgets( $handle ) ) !== false ) {
+			$record = json_decode( $line, true );
+
+			if ( ! is_array( $record ) ) {
+				continue;
+			}
+
+			$row = [];
+			foreach ( $headers as $header ) {
+				$row[] = $record[ $header ] ?? '';
+			}
+
+			return $row;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Flatten a nested record into dot-path keys with string values.
+	 *
+	 * Nested objects and arrays of objects are expanded ("items.0.sku").
+	 * Arrays of scalar values are joined into a single column.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array  $data   Decoded record.
+	 * @param string $prefix Path prefix for nested values.
+	 *
+	 * @return array Flat array of path => string value.
+	 */
+	public static function flatten( array $data, string $prefix = '' ): array {
+		$flat = [];
+
+		foreach ( $data as $key => $value ) {
+			$path = $prefix === '' ? (string) $key : $prefix . '.' . $key;
+
+			if ( is_array( $value ) && ! empty( $value ) && ! self::is_scalar_list( $value ) ) {
+				foreach ( self::flatten( $value, $path ) as $child_path => $child_value ) {
+					$flat[ $child_path ] = $child_value;
+				}
+			} else {
+				$flat[ $path ] = self::to_string( $value );
+			}
+		}
+
+		return $flat;
+	}
+
+	/** Sources *****************************************************************/
+
+	/**
+	 * Stream records from a JSON Lines file.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string   $path   Path to the file.
+	 * @param callable $writer Called with each decoded record.
+	 *
+	 * @return true|WP_Error
+	 */
+	private static function read_lines( string $path, callable $writer ) {
+		$handle = fopen( $path, 'r' );
+		if ( ! $handle ) {
+			return new WP_Error(
+				'file_read_error',
+				__( 'Unable to read the import file.', 'arraypress' )
+			);
+		}
+
+		$line_number = 0;
+
+		while ( ( $line = fgets( $handle ) ) !== false ) {
+			$line_number ++;
+
+			if ( $line_number === 1 ) {
+				$line = self::strip_bom( $line );
+			}
+
+			if ( trim( $line ) === '' ) {
+				continue;
+			}
+
+			$record = self::decode( $line );
+
+			if ( $record === null ) {
+				fclose( $handle );
+
+				return new WP_Error(
+					'invalid_json',
+					sprintf(
+						__( 'Line %d is not a valid JSON object.', 'arraypress' ),
+						$line_number
+					)
+				);
+			}
+
+			$writer( $record );
+		}
+
+		fclose( $handle );
+
+		return true;
+	}
+
+	/**
+	 * Stream records from a file containing a JSON array of objects.
+	 *
+	 * Scans the file in chunks, tracking string and nesting state, and
+	 * decodes each top-level element on its own.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string   $path   Path to the file.
+	 * @param callable $writer Called with each decoded record.
+	 *
+	 * @return true|WP_Error
+	 */
+	private static function read_array( string $path, callable $writer ) {
+		$handle = fopen( $path, 'r' );
+		if ( ! $handle ) {
+			return new WP_Error(
+				'file_read_error',
+				__( 'Unable to read the import file.', 'arraypress' )
+			);
+		}
+
+		$started   = false;
+		$ended     = false;
+		$in_string = false;
+		$escape    = false;
+		$depth     = 0;
+		$buffer    = '';
+		$index     = 0;
+		$first     = true;
+		$error     = null;
+
+		while ( ! $ended && $error === null && ( $chunk = fread( $handle, self::CHUNK_SIZE ) ) !== false && $chunk !== '' ) {
+			if ( $first ) {
+				$chunk = self::strip_bom( $chunk );
+				$first = false;
+			}
+
+			$length = strlen( $chunk );
+
+			for ( $i = 0; $i < $length; $i ++ ) {
+				$char = $chunk[ $i ];
+
+				if ( $in_string ) {
+					if ( $escape ) {
+						$buffer .= $char;
+						$escape = false;
+						continue;
+					}
+
+					// Copy the run of plain string characters in one step
+					$span = strcspn( $chunk, '"\\', $i );
+					if ( $span > 0 ) {
+						$buffer .= substr( $chunk, $i, $span );
+						$i      += $span;
+
+						if ( $i >= $length ) {
+							break;
+						}
+
+						$char = $chunk[ $i ];
+					}
+
+					$buffer .= $char;
+
+					if ( $char === '\\' ) {
+						$escape = true;
+					} else {
+						$in_string = false;
+					}
+
+					continue;
+				}
+
+				if ( $depth === 0 ) {
+					if ( ctype_space( $char ) ) {
+						continue;
+					}
+
+					if ( ! $started ) {
+						if ( $char !== '[' ) {
+							$error = new WP_Error(
+								'invalid_json',
+								__( 'JSON files must contain an array of objects.', 'arraypress' )
+							);
+							break;
+						}
+
+						$started = true;
+						continue;
+					}
+
+					if ( $char === ',' ) {
+						continue;
+					}
+
+					if ( $char === ']' ) {
+						$ended = true;
+						break;
+					}
+
+					if ( $char !== '{' ) {
+						$error = self::record_error( $index + 1 );
+						break;
+					}
+				}
+
+				$buffer .= $char;
+
+				if ( $char === '"' ) {
+					$in_string = true;
+				} elseif ( $char === '{' || $char === '[' ) {
+					$depth ++;
+				} elseif ( $char === '}' || $char === ']' ) {
+					$depth --;
+
+					if ( $depth === 0 ) {
+						$index ++;
+						$record = self::decode( $buffer );
+						$buffer = '';
+
+						if ( $record === null ) {
+							$error = self::record_error( $index );
+							break;
+						}
+
+						$writer( $record );
+					}
+				}
+			}
+		}
+
+		fclose( $handle );
+
+		if ( $error !== null ) {
+			return $error;
+		}
+
+		if ( ! $ended ) {
+			return new WP_Error(
+				'invalid_json',
+				$started
+					? __( 'The JSON file is incomplete or malformed.', 'arraypress' )
+					: __( 'JSON files must contain an array of objects.', 'arraypress' )
+			);
+		}
+
+		return true;
+	}
+
+	/** Helpers *****************************************************************/
+
+	/**
+	 * Decode a JSON object.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $json Encoded object.
+	 *
+	 * @return array|null Decoded record or null if not a valid object.
+	 */
+	private static function decode( string $json ): ?array {
+		$json = ltrim( $json );
+
+		if ( ! str_starts_with( $json, '{' ) ) {
+			return null;
+		}
+
+		$record = json_decode( $json, true, 512, JSON_BIGINT_AS_STRING );
+
+		return is_array( $record ) ? $record : null;
+	}
+
+	/**
+	 * Build the error for an array element that is not a valid object.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param int $index One-based record index.
+	 *
+	 * @return WP_Error
+	 */
+	private static function record_error( int $index ): WP_Error {
+		return new WP_Error(
+			'invalid_json',
+			sprintf(
+				__( 'Record %d in the JSON file is not a valid object.', 'arraypress' ),
+				$index
+			)
+		);
+	}
+
+	/**
+	 * Check whether an array is a list of scalar (or null) values.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $value Array to check.
+	 *
+	 * @return bool
+	 */
+	private static function is_scalar_list( array $value ): bool {
+		if ( ! array_is_list( $value ) ) {
+			return false;
+		}
+
+		foreach ( $value as $item ) {
+			if ( is_array( $item ) ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Convert a decoded JSON value to its column string.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param mixed $value Decoded value.
+	 *
+	 * @return string
+	 */
+	private static function to_string( $value ): string {
+		if ( is_array( $value ) ) {
+			return implode( self::LIST_SEPARATOR, array_map( [ self::class, 'to_string' ], $value ) );
+		}
+
+		if ( is_bool( $value ) ) {
+			return $value ? 'true' : 'false';
+		}
+
+		return $value === null ? '' : (string) $value;
+	}
+
+	/**
+	 * Remove a UTF-8 byte order mark from the start of a string.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $text Text to clean.
+	 *
+	 * @return string
+	 */
+	private static function strip_bom( string $text ): string {
+		return str_starts_with( $text, "\xEF\xBB\xBF" ) ? substr( $text, 3 ) : $text;
+	}
+
+}
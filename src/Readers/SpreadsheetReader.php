@@ -0,0 +1,982 @@
+<?php
+/**
+ * Spreadsheet Reader
+ *
+ * Reads Excel (.xlsx) and OpenDocument (.ods) workbooks without external
+ * libraries and converts a single sheet to CSV, so the rest of the import
+ * pipeline can treat every upload as a CSV file.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters\Readers;
+
+use DOMElement;
+use DOMNode;
+use WP_Error;
+use XMLReader;
+use ZipArchive;
+
+/**
+ * Class SpreadsheetReader
+ *
+ * Streams workbook sheets row by row using XMLReader over the zip archive.
+ * Loops advance with next() after expanding an element so its subtree is
+ * skipped without also skipping the following sibling.
+ */
+class SpreadsheetReader {
+
+	/**
+	 * Supported workbook formats (file extensions).
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const FORMATS = [ 'xlsx', 'ods' ];
+
+	/**
+	 * SpreadsheetML main namespace.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const XLSX_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+
+	/**
+	 * Office document relationships namespace.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const XLSX_REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+	/**
+	 * OpenDocument table namespace.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const ODS_TABLE_NS = 'urn:oasis:names:tc:opendocument:xmlns:table:1.0';
+
+	/**
+	 * OpenDocument office namespace.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const ODS_OFFICE_NS = 'urn:oasis:names:tc:opendocument:xmlns:office:1.0';
+
+	/**
+	 * OpenDocument text namespace.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const ODS_TEXT_NS = 'urn:oasis:names:tc:opendocument:xmlns:text:1.0';
+
+	/**
+	 * Built-in Excel number format IDs that represent dates or times.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const XLSX_DATE_FORMATS = [ 14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47 ];
+
+	/**
+	 * Most rows an XLSX or ODS sheet can have.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_ROWS = 1048576;
+
+	/**
+	 * Most columns an XLSX or ODS sheet can have.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_COLUMNS = 16384;
+
+	/**
+	 * Check whether a file extension is a supported workbook format.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $format File extension.
+	 *
+	 * @return bool
+	 */
+	public static function supports( string $format ): bool {
+		return in_array( $format, self::FORMATS, true );
+	}
+
+	/**
+	 * Get the sheet names in a workbook.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path   Path to the workbook.
+	 * @param string $format Workbook format ('xlsx' or 'ods').
+	 *
+	 * @return array|WP_Error Array of sheet names or WP_Error on failure.
+	 */
+	public static function get_sheets( string $path, string $format ) {
+		$check = self::check_archive( $path, $format );
+		if ( is_wp_error( $check ) ) {
+			return $check;
+		}
+
+		$sheets = $format === 'xlsx' ? self::get_xlsx_sheets( $path ) : self::get_ods_sheets( $path );
+
+		if ( empty( $sheets ) ) {
+			return new WP_Error(
+				'no_sheets',
+				__( 'The workbook does not contain any sheets.', 'arraypress' )
+			);
+		}
+
+		return array_column( $sheets, 'name' );
+	}
+
+	/**
+	 * Convert a workbook sheet to a CSV file.
+	 *
+	 * The first non-empty row is treated as the header. Data rows are padded
+	 * or truncated to the header width so every row maps cleanly.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path     Path to the workbook.
+	 * @param string $format   Workbook format ('xlsx' or 'ods').
+	 * @param int    $sheet    Zero-based sheet index.
+	 * @param string $csv_path Destination CSV path.
+	 *
+	 * @return array|WP_Error Array with 'headers' and 'rows' (data row count) or WP_Error.
+	 */
+	public static function convert_to_csv( string $path, string $format, int $sheet, string $csv_path ) {
+		$check = self::check_archive( $path, $format );
+		if ( is_wp_error( $check ) ) {
+			return $check;
+		}
+
+		$output = fopen( $csv_path, 'w' );
+		if ( ! $output ) {
+			return new WP_Error(
+				'file_write_error',
+				__( 'Unable to write the converted import file.', 'arraypress' )
+			);
+		}
+
+		$headers = null;
+		$count   = 0;
+		$blank   = 0;
+
+		$writer = function ( array $row ) use ( $output, &$headers, &$count, &$blank ) {
+			if ( $headers === null ) {
+				// Skip leading blank rows; first non-empty row is the header
+				$row = self::trim_trailing_empty( $row );
+				if ( empty( $row ) ) {
+					return;
+				}
+
+				$headers = $row;
+				fputcsv( $output, $headers );
+
+				return;
+			}
+
+			// Hold blank rows back so trailing padding rows are never written
+			if ( empty( self::trim_trailing_empty( $row ) ) ) {
+				$blank ++;
+
+				return;
+			}
+
+			$width = count( $headers );
+			$empty = array_fill( 0, $width, '' );
+
+			for ( ; $blank > 0; $blank -- ) {
+				fputcsv( $output, $empty );
+				$count ++;
+			}
+
+			fputcsv( $output, array_slice( array_pad( $row, $width, '' ), 0, $width ) );
+			$count ++;
+		};
+
+		$result = $format === 'xlsx'
+			? self::read_xlsx_sheet( $path, $sheet, $writer )
+			: self::read_ods_sheet( $path, $sheet, $writer );
+
+		fclose( $output );
+
+		if ( is_wp_error( $result ) || $headers === null ) {
+			unlink( $csv_path );
+		}
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		if ( $headers === null ) {
+			return new WP_Error(
+				'empty_sheet',
+				__( 'The selected sheet is empty.', 'arraypress' )
+			);
+		}
+
+		return [
+			'headers' => $headers,
+			'rows'    => $count,
+		];
+	}
+
+	/** Archive *****************************************************************/
+
+	/**
+	 * Verify a workbook is a readable zip archive with the expected entries.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path   Path to the workbook.
+	 * @param string $format Workbook format.
+	 *
+	 * @return true|WP_Error
+	 */
+	private static function check_archive( string $path, string $format ) {
+		if ( ! class_exists( ZipArchive::class ) || ! class_exists( XMLReader::class ) ) {
+			return new WP_Error(
+				'spreadsheet_unsupported',
+				__( 'Reading spreadsheets requires the PHP zip and xmlreader extensions.', 'arraypress' )
+			);
+		}
+
+		$entry = $format === 'xlsx' ? 'xl/workbook.xml' : 'content.xml';
+
+		if ( ! self::has_entry( $path, $entry ) ) {
+			return new WP_Error(
+				'invalid_spreadsheet',
+				__( 'The file is not a valid spreadsheet.', 'arraypress' )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check whether a zip archive contains an entry.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path  Path to the archive.
+	 * @param string $entry Entry name within the archive.
+	 *
+	 * @return bool
+	 */
+	private static function has_entry( string $path, string $entry ): bool {
+		$zip = new ZipArchive();
+		if ( $zip->open( $path ) !== true ) {
+			return false;
+		}
+
+		$found = $zip->locateName( $entry ) !== false;
+		$zip->close();
+
+		return $found;
+	}
+
+	/**
+	 * Read a small XML entry from a zip archive into a DOM document.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path  Path to the archive.
+	 * @param string $entry Entry name within the archive.
+	 *
+	 * @return \DOMDocument|null
+	 */
+	private static function load_entry( string $path, string $entry ): ?\DOMDocument {
+		$zip = new ZipArchive();
+		if ( $zip->open( $path ) !== true ) {
+			return null;
+		}
+
+		$xml = $zip->getFromName( $entry );
+		$zip->close();
+
+		if ( $xml === false ) {
+			return null;
+		}
+
+		$dom = new \DOMDocument();
+		if ( ! $dom->loadXML( $xml, LIBXML_NONET | LIBXML_COMPACT ) ) {
+			return null;
+		}
+
+		return $dom;
+	}
+
+	/**
+	 * Open a streaming XML reader on an archive entry.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path  Path to the archive.
+	 * @param string $entry Entry name within the archive.
+	 *
+	 * @return XMLReader|null
+	 */
+	private static function open_entry( string $path, string $entry ): ?XMLReader {
+		$reader = new XMLReader();
+
+		if ( ! $reader->open( 'zip://' . $path . '#' . $entry, null, LIBXML_NONET | LIBXML_COMPACT ) ) {
+			return null;
+		}
+
+		return $reader;
+	}
+
+	/** XLSX ********************************************************************/
+
+	/**
+	 * Get XLSX sheet names and their worksheet entries.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path Path to the workbook.
+	 *
+	 * @return array Array of ['name' => string, 'entry' => string].
+	 */
+	private static function get_xlsx_sheets( string $path ): array {
+		$workbook = self::load_entry( $path, 'xl/workbook.xml' );
+		$rels     = self::load_entry( $path, 'xl/_rels/workbook.xml.rels' );
+
+		if ( ! $workbook ) {
+			return [];
+		}
+
+		$targets = [];
+		if ( $rels ) {
+			foreach ( $rels->getElementsByTagName( 'Relationship' ) as $rel ) {
+				$target = ltrim( $rel->getAttribute( 'Target' ), '/' );
+				if ( ! str_starts_with( $target, 'xl/' ) ) {
+					$target = 'xl/' . $target;
+				}
+
+				$targets[ $rel->getAttribute( 'Id' ) ] = $target;
+			}
+		}
+
+		$sheets = [];
+		$index  = 0;
+		foreach ( $workbook->getElementsByTagNameNS( self::XLSX_NS, 'sheet' ) as $sheet ) {
+			$index ++;
+			$rel_id = $sheet->getAttributeNS( self::XLSX_REL_NS, 'id' );
+
+			$sheets[] = [
+				'name'  => $sheet->getAttribute( 'name' ),
+				'entry' => $targets[ $rel_id ] ?? 'xl/worksheets/sheet' . $index . '.xml',
+			];
+		}
+
+		return $sheets;
+	}
+
+	/**
+	 * Stream the rows of an XLSX sheet to a callback.
+	 *
+	 * Row and column references past the sheet size limits are cut off.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string   $path   Path to the workbook.
+	 * @param int      $sheet  Zero-based sheet index.
+	 * @param callable $writer Receives each row as an array of strings.
+	 *
+	 * @return true|WP_Error
+	 */
+	private static function read_xlsx_sheet( string $path, int $sheet, callable $writer ) {
+		$sheets = self::get_xlsx_sheets( $path );
+
+		if ( ! isset( $sheets[ $sheet ] ) ) {
+			return new WP_Error( 'invalid_sheet', __( 'The selected sheet does not exist.', 'arraypress' ) );
+		}
+
+		$strings  = self::get_xlsx_shared_strings( $path );
+		$styles   = self::get_xlsx_date_styles( $path );
+		$date1904 = self::is_xlsx_date1904( $path );
+
+		$reader = self::open_entry( $path, $sheets[ $sheet ]['entry'] );
+		if ( ! $reader ) {
+			return new WP_Error( 'invalid_sheet', __( 'The selected sheet could not be read.', 'arraypress' ) );
+		}
+
+		$last_row = 0;
+		$moved    = $reader->read();
+
+		while ( $moved ) {
+			if ( $reader->nodeType !== XMLReader::ELEMENT || $reader->localName !== 'row' ) {
+				$moved = $reader->read();
+				continue;
+			}
+
+			$node  = $reader->expand();
+			$moved = $reader->next();
+
+			if ( ! $node instanceof DOMElement ) {
+				continue;
+			}
+
+			if ( $last_row >= self::MAX_ROWS ) {
+				break;
+			}
+
+			$row_number = min( (int) $node->getAttribute( 'r' ) ?: $last_row + 1, self::MAX_ROWS );
+
+			// Emit blank rows for gaps so row numbers match the spreadsheet
+			for ( $gap = $last_row + 1; $last_row > 0 && $gap < $row_number; $gap ++ ) {
+				$writer( [] );
+			}
+			$last_row = $row_number;
+
+			$row    = [];
+			$column = 0;
+
+			foreach ( $node->childNodes as $cell ) {
+				if ( ! $cell instanceof DOMElement || $cell->localName !== 'c' ) {
+					continue;
+				}
+
+				$ref    = $cell->getAttribute( 'r' );
+				$column = $ref !== '' ? self::column_index( $ref ) : $column + 1;
+
+				if ( $column > self::MAX_COLUMNS ) {
+					break;
+				}
+
+				$row[ $column - 1 ] = self::read_xlsx_cell( $cell, $strings, $styles, $date1904 );
+			}
+
+			$writer( self::fill_row( $row ) );
+		}
+
+		$reader->close();
+
+		return true;
+	}
+
+	/**
+	 * Read the display value of an XLSX cell.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param DOMElement $cell     The <c> element.
+	 * @param array      $strings  Shared strings table.
+	 * @param array      $styles   Map of style index => 'date', 'datetime' or 'time'.
+	 * @param bool       $date1904 Whether the workbook uses the 1904 date system.
+	 *
+	 * @return string
+	 */
+	private static function read_xlsx_cell( DOMElement $cell, array $strings, array $styles, bool $date1904 ): string {
+		$type  = $cell->getAttribute( 't' );
+		$value = '';
+
+		foreach ( $cell->childNodes as $child ) {
+			if ( $child instanceof DOMElement && $child->localName === 'v' ) {
+				$value = $child->textContent;
+			} elseif ( $child instanceof DOMElement && $child->localName === 'is' ) {
+				$value = self::collect_text( $child );
+			}
+		}
+
+		switch ( $type ) {
+			case 's':
+				return $strings[ (int) $value ] ?? '';
+
+			case 'b':
+				return $value === '1' ? 'TRUE' : 'FALSE';
+
+			case 'inlineStr':
+			case 'str':
+			case 'e':
+				return $value;
+		}
+
+		if ( $value === '' || ! is_numeric( $value ) ) {
+			return $value;
+		}
+
+		$style = $styles[ (int) $cell->getAttribute( 's' ) ] ?? null;
+		if ( $style ) {
+			return self::excel_serial_to_date( (float) $value, $style, $date1904 );
+		}
+
+		// Tidy floating point noise (0.30000000000000004) but keep long integers intact
+		if ( str_contains( $value, '.' ) || stripos( $value, 'e' ) !== false ) {
+			return (string) ( (float) $value );
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Load the XLSX shared strings table.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path Path to the workbook.
+	 *
+	 * @return array
+	 */
+	private static function get_xlsx_shared_strings( string $path ): array {
+		// Workbooks without any text cells have no shared strings entry
+		if ( ! self::has_entry( $path, 'xl/sharedStrings.xml' ) ) {
+			return [];
+		}
+
+		$reader = self::open_entry( $path, 'xl/sharedStrings.xml' );
+		if ( ! $reader ) {
+			return [];
+		}
+
+		$strings = [];
+		$moved   = $reader->read();
+
+		while ( $moved ) {
+			if ( $reader->nodeType === XMLReader::ELEMENT && $reader->localName === 'si' ) {
+				$node      = $reader->expand();
+				$strings[] = $node ? self::collect_text( $node ) : '';
+				$moved     = $reader->next();
+				continue;
+			}
+
+			$moved = $reader->read();
+		}
+
+		$reader->close();
+
+		return $strings;
+	}
+
+	/**
+	 * Concatenate the <t> text runs of a string item, ignoring phonetic runs.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param DOMNode $node The <si> or <is> element.
+	 *
+	 * @return string
+	 */
+	private static function collect_text( DOMNode $node ): string {
+		$text = '';
+
+		foreach ( $node->childNodes as $child ) {
+			if ( ! $child instanceof DOMElement || $child->localName === 'rPh' ) {
+				continue;
+			}
+
+			$text .= $child->localName === 't' ? $child->textContent : self::collect_text( $child );
+		}
+
+		return $text;
+	}
+
+	/**
+	 * Map XLSX cell style indexes to date kinds.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path Path to the workbook.
+	 *
+	 * @return array Map of style index => 'date', 'datetime' or 'time'.
+	 */
+	private static function get_xlsx_date_styles( string $path ): array {
+		$dom = self::load_entry( $path, 'xl/styles.xml' );
+		if ( ! $dom ) {
+			return [];
+		}
+
+		$custom = [];
+		foreach ( $dom->getElementsByTagNameNS( self::XLSX_NS, 'numFmt' ) as $format ) {
+			$custom[ (int) $format->getAttribute( 'numFmtId' ) ] = $format->getAttribute( 'formatCode' );
+		}
+
+		$styles   = [];
+		$cell_xfs = $dom->getElementsByTagNameNS( self::XLSX_NS, 'cellXfs' )->item( 0 );
+		if ( ! $cell_xfs ) {
+			return [];
+		}
+
+		$index = 0;
+		foreach ( $cell_xfs->childNodes as $xf ) {
+			if ( ! $xf instanceof DOMElement || $xf->localName !== 'xf' ) {
+				continue;
+			}
+
+			$format_id = (int) $xf->getAttribute( 'numFmtId' );
+			$kind      = null;
+
+			if ( isset( $custom[ $format_id ] ) ) {
+				$kind = self::get_format_date_kind( $custom[ $format_id ] );
+			} elseif ( in_array( $format_id, self::XLSX_DATE_FORMATS, true ) ) {
+				$kind = in_array( $format_id, [ 14, 15, 16, 17 ], true ) ? 'date'
+					: ( $format_id === 22 ? 'datetime' : 'time' );
+			}
+
+			if ( $kind ) {
+				$styles[ $index ] = $kind;
+			}
+
+			$index ++;
+		}
+
+		return $styles;
+	}
+
+	/**
+	 * Work out whether a custom number format code is a date, time or both.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $code The format code (e.g. 'dd/mm/yyyy hh:mm').
+	 *
+	 * @return string|null 'date', 'datetime', 'time' or null if not a date format.
+	 */
+	private static function get_format_date_kind( string $code ): ?string {
+		// Strip quoted literals, escapes and [color]/[locale] sections
+		$code = strtolower( preg_replace( '/"[^"]*"|\\\\.|\[[^\]]*\]/', '', $code ) );
+
+		$has_date = (bool) preg_match( '/[yd]/', $code );
+		$has_time = (bool) preg_match( '/[hs]/', $code );
+
+		if ( $has_date && $has_time ) {
+			return 'datetime';
+		}
+
+		if ( $has_date ) {
+			return 'date';
+		}
+
+		return $has_time ? 'time' : null;
+	}
+
+	/**
+	 * Check whether an XLSX workbook uses the 1904 date system.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path Path to the workbook.
+	 *
+	 * @return bool
+	 */
+	private static function is_xlsx_date1904( string $path ): bool {
+		$dom = self::load_entry( $path, 'xl/workbook.xml' );
+		if ( ! $dom ) {
+			return false;
+		}
+
+		$props = $dom->getElementsByTagNameNS( self::XLSX_NS, 'workbookPr' )->item( 0 );
+
+		return $props instanceof DOMElement && in_array( $props->getAttribute( 'date1904' ), [ '1', 'true' ], true );
+	}
+
+	/**
+	 * Convert an Excel date serial to a date/time string.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param float  $serial   The serial number.
+	 * @param string $kind     'date', 'datetime' or 'time'.
+	 * @param bool   $date1904 Whether the workbook uses the 1904 date system.
+	 *
+	 * @return string
+	 */
+	private static function excel_serial_to_date( float $serial, string $kind, bool $date1904 ): string {
+		$epoch     = $date1904 ? 24107 : 25569;
+		$timestamp = (int) round( ( $serial - $epoch ) * DAY_IN_SECONDS );
+
+		if ( $kind === 'time' ) {
+			return gmdate( 'H:i:s', (int) round( fmod( $serial, 1 ) * DAY_IN_SECONDS ) );
+		}
+
+		return gmdate( $kind === 'datetime' ? 'Y-m-d H:i:s' : 'Y-m-d', $timestamp );
+	}
+
+	/**
+	 * Convert a cell reference such as "AB12" to a one-based column index.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $ref The cell reference.
+	 *
+	 * @return int
+	 */
+	private static function column_index( string $ref ): int {
+		$letters = strtoupper( preg_replace( '/[^A-Za-z]/', '', $ref ) );
+		$index   = 0;
+
+		for ( $i = 0, $length = strlen( $letters ); $i < $length; $i ++ ) {
+			$index = $index * 26 + ( ord( $letters[ $i ] ) - 64 );
+		}
+
+		return max( 1, $index );
+	}
+
+	/** ODS *********************************************************************/
+
+	/**
+	 * Get ODS sheet names.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $path Path to the workbook.
+	 *
+	 * @return array Array of ['name' => string].
+	 */
+	private static function get_ods_sheets( string $path ): array {
+		$reader = self::open_entry( $path, 'content.xml' );
+		if ( ! $reader ) {
+			return [];
+		}
+
+		$sheets = [];
+		$moved  = $reader->read();
+
+		while ( $moved ) {
+			if ( $reader->nodeType === XMLReader::ELEMENT && $reader->localName === 'table' && $reader->namespaceURI === self::ODS_TABLE_NS ) {
+				$sheets[] = [ 'name' => (string) $reader->getAttributeNs( 'name', self::ODS_TABLE_NS ) ];
+				$moved    = $reader->next();
+				continue;
+			}
+
+			$moved = $reader->read();
+		}
+
+		$reader->close();
+
+		return $sheets;
+	}
+
+	/**
+	 * Stream the rows of an ODS sheet to a callback.
+	 *
+	 * Repeated empty rows and cells (used by ODS to pad sheets to their
+	 * full size) are only emitted when followed by real content. Repeats
+	 * are cut off at the sheet size limits, so a crafted repeat count
+	 * cannot make the sheet endless.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string   $path   Path to the workbook.
+	 * @param int      $sheet  Zero-based sheet index.
+	 * @param callable $writer Receives each row as an array of strings.
+	 *
+	 * @return true|WP_Error
+	 */
+	private static function read_ods_sheet( string $path, int $sheet, callable $writer ) {
+		$reader = self::open_entry( $path, 'content.xml' );
+		if ( ! $reader ) {
+			return new WP_Error( 'invalid_sheet', __( 'The selected sheet could not be read.', 'arraypress' ) );
+		}
+
+		$index   = - 1;
+		$found   = false;
+		$pending = 0;
+		$count   = 0;
+		$moved   = $reader->read();
+
+		while ( $moved ) {
+			if ( $reader->nodeType !== XMLReader::ELEMENT || $reader->namespaceURI !== self::ODS_TABLE_NS ) {
+				$moved = $reader->read();
+				continue;
+			}
+
+			if ( $reader->localName === 'table' ) {
+				$index ++;
+
+				if ( $index > $sheet ) {
+					break;
+				}
+
+				if ( $index < $sheet ) {
+					$moved = $reader->next();
+					continue;
+				}
+
+				$found = true;
+				$moved = $reader->read();
+				continue;
+			}
+
+			if ( ! $found || $reader->localName !== 'table-row' ) {
+				$moved = $reader->read();
+				continue;
+			}
+
+			$node  = $reader->expand();
+			$moved = $reader->next();
+
+			if ( ! $node instanceof DOMElement ) {
+				continue;
+			}
+
+			$repeat = min( max( 1, (int) $node->getAttributeNS( self::ODS_TABLE_NS, 'number-rows-repeated' ) ), self::MAX_ROWS );
+			$row    = self::read_ods_row( $node );
+
+			if ( empty( $row ) ) {
+				$pending = min( $pending + $repeat, self::MAX_ROWS );
+				continue;
+			}
+
+			for ( ; $pending > 0 && $count < self::MAX_ROWS; $pending --, $count ++ ) {
+				$writer( [] );
+			}
+
+			for ( $i = 0; $i < $repeat && $count < self::MAX_ROWS; $i ++, $count ++ ) {
+				$writer( $row );
+			}
+
+			if ( $count >= self::MAX_ROWS ) {
+				break;
+			}
+		}
+
+		$reader->close();
+
+		if ( ! $found ) {
+			return new WP_Error( 'invalid_sheet', __( 'The selected sheet does not exist.', 'arraypress' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Read the cell values of an ODS row, dropping trailing empty cells.
+	 *
+	 * Rows are cut off at MAX_COLUMNS.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param DOMElement $row The <table:table-row> element.
+	 *
+	 * @return array
+	 */
+	private static function read_ods_row( DOMElement $row ): array {
+		$values  = [];
+		$pending = 0;
+
+		foreach ( $row->childNodes as $cell ) {
+			if ( ! $cell instanceof DOMElement || ! in_array( $cell->localName, [ 'table-cell', 'covered-table-cell' ], true ) ) {
+				continue;
+			}
+
+			$repeat = min( max( 1, (int) $cell->getAttributeNS( self::ODS_TABLE_NS, 'number-columns-repeated' ) ), self::MAX_COLUMNS );
+			$value  = self::read_ods_cell( $cell );
+
+			if ( $value === '' ) {
+				$pending = min( $pending + $repeat, self::MAX_COLUMNS );
+				continue;
+			}
+
+			for ( ; $pending > 0 && count( $values ) < self::MAX_COLUMNS; $pending -- ) {
+				$values[] = '';
+			}
+
+			for ( $i = 0; $i < $repeat && count( $values ) < self::MAX_COLUMNS; $i ++ ) {
+				$values[] = $value;
+			}
+
+			if ( count( $values ) >= self::MAX_COLUMNS ) {
+				break;
+			}
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Read the value of an ODS cell.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param DOMElement $cell The cell element.
+	 *
+	 * @return string
+	 */
+	private static function read_ods_cell( DOMElement $cell ): string {
+		$type = $cell->getAttributeNS( self::ODS_OFFICE_NS, 'value-type' );
+
+		switch ( $type ) {
+			case 'float':
+			case 'percentage':
+			case 'currency':
+				return $cell->getAttributeNS( self::ODS_OFFICE_NS, 'value' );
+
+			case 'date':
+				return str_replace( 'T', ' ', $cell->getAttributeNS( self::ODS_OFFICE_NS, 'date-value' ) );
+
+			case 'time':
+				$duration = $cell->getAttributeNS( self::ODS_OFFICE_NS, 'time-value' );
+				if ( preg_match( '/PT(\d+)H(\d+)M(\d+)/', $duration, $parts ) ) {
+					return sprintf( '%02d:%02d:%02d', $parts[1], $parts[2], $parts[3] );
+				}
+
+				return $duration;
+
+			case 'boolean':
+				return $cell->getAttributeNS( self::ODS_OFFICE_NS, 'boolean-value' ) === 'true' ? 'TRUE' : 'FALSE';
+		}
+
+		$lines = [];
+		foreach ( $cell->getElementsByTagNameNS( self::ODS_TEXT_NS, 'p' ) as $paragraph ) {
+			$lines[] = $paragraph->textContent;
+		}
+
+		return implode( "\n", $lines );
+	}
+
+	/** Helpers *****************************************************************/
+
+	/**
+	 * Fill gaps in a sparse, zero-indexed row with empty strings.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $row Sparse row keyed by column index.
+	 *
+	 * @return array
+	 */
+	private static function fill_row( array $row ): array {
+		if ( empty( $row ) ) {
+			return [];
+		}
+
+		$filled = array_fill( 0, max( array_keys( $row ) ) + 1, '' );
+
+		return array_replace( $filled, $row );
+	}
+
+	/**
+	 * Remove trailing empty values from a row.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $row Row values.
+	 *
+	 * @return array
+	 */
+	private static function trim_trailing_empty( array $row ): array {
+		while ( ! empty( $row ) && trim( (string) end( $row ) ) === '' ) {
+			array_pop( $row );
+		}
+
+		return $row;
+	}
+
+}
@@ -14,8 +14,8 @@ declare( strict_types=1 );
 
 namespace ArrayPress\RegisterImporters;
 
+use ArrayPress\RegisterImporters\Readers\CsvReader;
 use ArrayPress\RegisterImporters\Validation\FieldValidator;
-use Exception;
 use WP_Error;
 use WP_REST_Request;
 use WP_REST_Response;
@@ -87,28 +87,150 @@ class RestApi {
 			],
 		] );
 
-		// Get file preview
-		register_rest_route( self::NAMESPACE, '/preview/(?P<uuid>[a-f0-9-]+)', [
-			'methods'             => WP_REST_Server::READABLE,
-			'callback'            => [ __CLASS__, 'handle_preview' ],
+		// Start or continue a chunked upload
+		register_rest_route( self::NAMESPACE, '/upload/chunked/start', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_chunked_start' ],
 			'permission_callback' => [ __CLASS__, 'check_permission' ],
 			'args'                => [
-				'uuid'     => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'name'         => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_file_name',
+				],
+				'size'         => [
+					'required'          => true,
+					'type'              => 'integer',
+					'sanitize_callback' => 'absint',
+				],
+				'upload_id'    => [
+					'default'           => '',
+					'type'              => 'string',
+					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+				],
+			],
+		] );
+
+		// Upload one chunk of a file
+		register_rest_route( self::NAMESPACE, '/upload/chunked', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_chunk' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'   => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'upload_id' => [
+					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+					'required'          => true,
+					'type'              => 'string',
+				],
+				'index'     => [
+					'required'          => true,
+					'type'              => 'integer',
+					'sanitize_callback' => 'absint',
+				],
+			],
+		] );
+
+		// Finish a chunked upload
+		register_rest_route( self::NAMESPACE, '/upload/chunked/complete', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_chunked_complete' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'   => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'upload_id' => [
+					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+					'required'          => true,
+					'type'              => 'string',
+				],
+			],
+		] );
+
+		// Select a workbook sheet
+		register_rest_route( self::NAMESPACE, '/upload/sheet', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_select_sheet' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'file_uuid'    => [
+					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+					'required'          => true,
+					'type'              => 'string',
+				],
+				'sheet'        => [
+					'required'          => true,
+					'type'              => 'integer',
+					'sanitize_callback' => 'absint',
+				],
+			],
+		] );
+
+		// Override the detected CSV dialect
+		register_rest_route( self::NAMESPACE, '/upload/dialect', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_set_dialect' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'    => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'file_uuid'  => [
+					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+					'required'          => true,
+					'type'              => 'string',
+				],
+				'delimiter'  => [
 					'required' => true,
 					'type'     => 'string',
+					'enum'     => CsvReader::DELIMITERS,
 				],
-				'max_rows' => [
-					'default'           => 5,
+				'enclosure'  => [
+					'default' => '"',
+					'type'    => 'string',
+					'enum'    => CsvReader::ENCLOSURES,
+				],
+				'encoding'   => [
+					'required' => true,
+					'type'     => 'string',
+					'enum'     => CsvReader::ENCODINGS,
+				],
+				'header_row' => [
+					'default'           => 0,
 					'type'              => 'integer',
 					'sanitize_callback' => 'absint',
 				],
 			],
 		] );
 
-		// Download sample CSV
-		register_rest_route( self::NAMESPACE, '/sample/(?P<page_id>[a-z0-9_-]+)/(?P<operation_id>[a-z0-9_-]+)', [
-			'methods'             => WP_REST_Server::READABLE,
-			'callback'            => [ __CLASS__, 'handle_sample_download' ],
+		// Fetch a file from a URL
+		register_rest_route( self::NAMESPACE, '/upload/url', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_upload_url' ],
 			'permission_callback' => [ __CLASS__, 'check_permission' ],
 			'args'                => [
 				'page_id'      => [
@@ -121,13 +243,42 @@ class RestApi {
 					'type'              => 'string',
 					'sanitize_callback' => 'sanitize_key',
 				],
+				'url'          => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'esc_url_raw',
+				],
 			],
 		] );
 
-		// Dry run (validate without importing)
-		register_rest_route( self::NAMESPACE, '/dry-run', [
+		// Use a media library file
+		register_rest_route( self::NAMESPACE, '/upload/media', [
 			'methods'             => WP_REST_Server::CREATABLE,
-			'callback'            => [ __CLASS__, 'handle_dry_run' ],
+			'callback'            => [ __CLASS__, 'handle_upload_media' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'       => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id'  => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'attachment_id' => [
+					'required'          => true,
+					'type'              => 'integer',
+					'sanitize_callback' => 'absint',
+				],
+			],
+		] );
+
+		// Use a file from a server directory
+		register_rest_route( self::NAMESPACE, '/upload/server', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_upload_server' ],
 			'permission_callback' => [ __CLASS__, 'check_permission' ],
 			'args'                => [
 				'page_id'      => [
@@ -140,23 +291,40 @@ class RestApi {
 					'type'              => 'string',
 					'sanitize_callback' => 'sanitize_key',
 				],
-				'file_uuid'    => [
-					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+				'directory'    => [
+					'default'           => 0,
+					'type'              => 'integer',
+					'sanitize_callback' => 'absint',
+				],
+				'file'         => [
 					'required' => true,
 					'type'     => 'string',
 				],
-				'field_map'    => [
-					'sanitize_callback' => [ __CLASS__, 'sanitize_field_map' ],
+			],
+		] );
+
+		// Get file preview
+		register_rest_route( self::NAMESPACE, '/preview/(?P<uuid>[a-f0-9-]+)', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'handle_preview' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'uuid'     => [
 					'required' => true,
-					'type'     => 'object',
+					'type'     => 'string',
+				],
+				'max_rows' => [
+					'default'           => 5,
+					'type'              => 'integer',
+					'sanitize_callback' => 'absint',
 				],
 			],
 		] );
 
-		// Start import
-		register_rest_route( self::NAMESPACE, '/import/start', [
+		// Preview processed field values for a field map
+		register_rest_route( self::NAMESPACE, '/preview/processed', [
 			'methods'             => WP_REST_Server::CREATABLE,
-			'callback'            => [ __CLASS__, 'handle_import_start' ],
+			'callback'            => [ __CLASS__, 'handle_processed_preview' ],
 			'permission_callback' => [ __CLASS__, 'check_permission' ],
 			'args'                => [
 				'page_id'      => [
@@ -179,13 +347,20 @@ class RestApi {
 					'required' => true,
 					'type'     => 'object',
 				],
+				'max_rows'     => [
+					'default'           => 5,
+					'type'              => 'integer',
+					'minimum'           => 1,
+					'maximum'           => 20,
+					'sanitize_callback' => 'absint',
+				],
 			],
 		] );
 
-		// Process import batch
-		register_rest_route( self::NAMESPACE, '/import/batch', [
-			'methods'             => WP_REST_Server::CREATABLE,
-			'callback'            => [ __CLASS__, 'handle_import_batch' ],
+		// Download sample CSV
+		register_rest_route( self::NAMESPACE, '/sample/(?P<page_id>[a-z0-9_-]+)/(?P<operation_id>[a-z0-9_-]+)', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'handle_sample_download' ],
 			'permission_callback' => [ __CLASS__, 'check_permission' ],
 			'args'                => [
 				'page_id'      => [
@@ -198,28 +373,60 @@ class RestApi {
 					'type'              => 'string',
 					'sanitize_callback' => 'sanitize_key',
 				],
-				'file_uuid'    => [
-					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
-					'required' => true,
-					'type'     => 'string',
+			],
+		] );
+
+		// Export an operation's items as CSV
+		register_rest_route( self::NAMESPACE, '/export/(?P<page_id>[a-z0-9_-]+)/(?P<operation_id>[a-z0-9_-]+)', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'handle_export' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
 				],
-				'offset'       => [
+				'operation_id' => [
 					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'offset'       => [
+					'default'           => 0,
 					'type'              => 'integer',
 					'sanitize_callback' => 'absint',
 				],
-				'field_map'    => [
-					'sanitize_callback' => [ __CLASS__, 'sanitize_field_map' ],
-					'required' => true,
-					'type'     => 'object',
+			],
+		] );
+
+		// List field-mapping presets
+		register_rest_route( self::NAMESPACE, '/presets/(?P<page_id>[a-z0-9_-]+)/(?P<operation_id>[a-z0-9_-]+)', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'handle_presets_list' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'file_uuid'    => [
+					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+					'type'              => 'string',
 				],
 			],
 		] );
 
-		// Complete operation
-		register_rest_route( self::NAMESPACE, '/complete', [
+		// Save a field-mapping preset
+		register_rest_route( self::NAMESPACE, '/presets', [
 			'methods'             => WP_REST_Server::CREATABLE,
-			'callback'            => [ __CLASS__, 'handle_complete' ],
+			'callback'            => [ __CLASS__, 'handle_preset_save' ],
 			'permission_callback' => [ __CLASS__, 'check_permission' ],
 			'args'                => [
 				'page_id'      => [
@@ -232,119 +439,1282 @@ class RestApi {
 					'type'              => 'string',
 					'sanitize_callback' => 'sanitize_key',
 				],
-				'status'       => [
-					'default' => 'complete',
-					'type'    => 'string',
-					'enum'    => [ 'complete', 'cancelled', 'error' ],
+				'name'         => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+				'field_map'    => [
+					'sanitize_callback' => [ __CLASS__, 'sanitize_field_map' ],
+					'required'          => true,
+					'type'              => 'object',
 				],
 				'file_uuid'    => [
 					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
-					'type' => 'string',
+					'type'              => 'string',
 				],
 			],
 		] );
 
-	}
-
-	/**
-	 * Check if the current user has permission.
-	 *
-	 * @since 2.0.0
-	 *
-	 * @param WP_REST_Request $request The request object.
-	 *
-	 * @return bool|WP_Error
-	 */
-	public static function check_permission( WP_REST_Request $request ) {
-		$page_id = $request->get_param( 'page_id' );
+		// Delete a field-mapping preset
+		register_rest_route( self::NAMESPACE, '/presets/(?P<page_id>[a-z0-9_-]+)/(?P<operation_id>[a-z0-9_-]+)/(?P<preset_id>[a-z0-9_-]+)', [
+			'methods'             => WP_REST_Server::DELETABLE,
+			'callback'            => [ __CLASS__, 'handle_preset_delete' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'preset_id'    => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_title',
+				],
+			],
+		] );
 
-		if ( $page_id ) {
+		// Dry run (validate without importing)
+		register_rest_route( self::NAMESPACE, '/dry-run', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_dry_run' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'file_uuid'    => [
+					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+					'required' => true,
+					'type'     => 'string',
+				],
+				'field_map'    => [
+					'sanitize_callback' => [ __CLASS__, 'sanitize_field_map' ],
+					'required' => true,
+					'type'     => 'object',
+				],
+				'offset'       => [
+					'default'           => 0,
+					'type'              => 'integer',
+					'sanitize_callback' => 'absint',
+				],
+				'mode'         => [
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'match_key'    => [
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'filters'      => [
+					'type'    => 'object',
+					'default' => [],
+				],
+			],
+		] );
+
+		// Search the entities a field's values can be mapped to
+		register_rest_route( self::NAMESPACE, '/values/(?P<page_id>[a-z0-9_-]+)/(?P<operation_id>[a-z0-9_-]+)/(?P<field>[a-z0-9_-]+)', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'handle_value_search' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'field'        => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'search'       => [
+					'default'           => '',
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+			],
+		] );
+
+		// Start import
+		register_rest_route( self::NAMESPACE, '/import/start', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_import_start' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'file_uuid'    => [
+					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+					'required' => true,
+					'type'     => 'string',
+				],
+				'field_map'    => [
+					'sanitize_callback' => [ __CLASS__, 'sanitize_field_map' ],
+					'required' => true,
+					'type'     => 'object',
+				],
+				'mode'         => [
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'match_key'    => [
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'filters'      => [
+					'type'    => 'object',
+					'default' => [],
+				],
+			],
+		] );
+
+		// Process import batch
+		register_rest_route( self::NAMESPACE, '/import/batch', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_import_batch' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'file_uuid'    => [
+					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+					'required' => true,
+					'type'     => 'string',
+				],
+				'offset'       => [
+					'required'          => true,
+					'type'              => 'integer',
+					'sanitize_callback' => 'absint',
+				],
+				'field_map'    => [
+					'sanitize_callback' => [ __CLASS__, 'sanitize_field_map' ],
+					'required' => true,
+					'type'     => 'object',
+				],
+				'batch_size'   => [
+					'default'           => 0,
+					'type'              => 'integer',
+					'sanitize_callback' => 'absint',
+				],
+			],
+		] );
+
+		// Poll a background import
+		register_rest_route( self::NAMESPACE, '/import/status/(?P<page_id>[a-z0-9_-]+)/(?P<operation_id>[a-z0-9_-]+)', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'handle_import_status' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'since'        => [
+					'default'           => 0,
+					'type'              => 'integer',
+					'minimum'           => 0,
+					'sanitize_callback' => 'absint',
+				],
+			],
+		] );
+
+		// Cancel a background import
+		register_rest_route( self::NAMESPACE, '/import/cancel', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_import_cancel' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+			],
+		] );
+
+		// Complete operation
+		register_rest_route( self::NAMESPACE, '/complete', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_complete' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'status'       => [
+					'default' => 'complete',
+					'type'    => 'string',
+					'enum'    => [ 'complete', 'cancelled', 'error' ],
+				],
+				'file_uuid'    => [
+					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+					'type' => 'string',
+				],
+			],
+		] );
+
+		// List an operation's run history
+		register_rest_route( self::NAMESPACE, '/history/(?P<page_id>[a-z0-9_-]+)/(?P<operation_id>[a-z0-9_-]+)', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'handle_history_list' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'page'         => [
+					'default'           => 1,
+					'type'              => 'integer',
+					'minimum'           => 1,
+					'sanitize_callback' => 'absint',
+				],
+				'per_page'     => [
+					'default'           => 20,
+					'type'              => 'integer',
+					'minimum'           => 1,
+					'maximum'           => 100,
+					'sanitize_callback' => 'absint',
+				],
+			],
+		] );
+
+		// Get a single run with its errors
+		register_rest_route( self::NAMESPACE, '/history/(?P<page_id>[a-z0-9_-]+)/(?P<operation_id>[a-z0-9_-]+)/(?P<run_id>[a-f0-9-]+)', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'handle_history_run' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'run_id'       => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+				],
+			],
+		] );
+
+		// Roll back a batch of a completed run
+		register_rest_route( self::NAMESPACE, '/rollback', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_rollback_batch' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'run_id'       => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+				],
+			],
+		] );
+
+		// Save an operation's schedule
+		register_rest_route( self::NAMESPACE, '/schedule', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_schedule_save' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'enabled'      => [
+					'default' => true,
+					'type'    => 'boolean',
+				],
+				'interval'     => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'time'         => [
+					'default'           => '',
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+				'source'       => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'url'          => [
+					'default'           => '',
+					'type'              => 'string',
+					'sanitize_callback' => 'esc_url_raw',
+				],
+				'directory'    => [
+					'default'           => 0,
+					'type'              => 'integer',
+					'sanitize_callback' => 'absint',
+				],
+				'file'         => [
+					'default' => '',
+					'type'    => 'string',
+				],
+				'preset_id'    => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_title',
+				],
+				'mode'         => [
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'match_key'    => [
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'email'        => [
+					'default'           => '',
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_email',
+				],
+			],
+		] );
+
+		// Delete an operation's schedule
+		register_rest_route( self::NAMESPACE, '/schedule/(?P<page_id>[a-z0-9_-]+)/(?P<operation_id>[a-z0-9_-]+)', [
+			'methods'             => WP_REST_Server::DELETABLE,
+			'callback'            => [ __CLASS__, 'handle_schedule_delete' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+			],
+		] );
+
+		// Run an operation's schedule now
+		register_rest_route( self::NAMESPACE, '/schedule/run', [
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => [ __CLASS__, 'handle_schedule_run' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'      => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'operation_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+			],
+		] );
+
+		// Download failed rows
+		register_rest_route( self::NAMESPACE, '/errors/(?P<page_id>[a-z0-9_-]+)/(?P<file_uuid>[a-f0-9-]+)', [
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => [ __CLASS__, 'handle_error_report_download' ],
+			'permission_callback' => [ __CLASS__, 'check_permission' ],
+			'args'                => [
+				'page_id'   => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'file_uuid' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => [ __CLASS__, 'sanitize_uuid' ],
+				],
+				'type'      => [
+					'default' => 'import',
+					'type'    => 'string',
+					'enum'    => ErrorReportManager::TYPES,
+				],
+			],
+		] );
+
+	}
+
+	/**
+	 * Check if the current user has permission.
+	 *
+	 * @since 2.0.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public static function check_permission( WP_REST_Request $request ) {
+		$page_id = $request->get_param( 'page_id' );
+
+		if ( $page_id ) {
 			$importers = Registry::instance()->get( $page_id );
 
-			if ( $importers ) {
-				$capability = $importers->get_config( 'capability', 'manage_options' );
+			if ( $importers ) {
+				$capability = $importers->get_config( 'capability', 'manage_options' );
+
+				if ( ! current_user_can( $capability ) ) {
+					return new WP_Error(
+						'rest_forbidden',
+						__( 'You do not have permission to perform this action.', 'arraypress' ),
+						[ 'status' => 403 ]
+					);
+				}
+
+				return true;
+			}
+		}
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return new WP_Error(
+				'rest_forbidden',
+				__( 'You do not have permission to perform this action.', 'arraypress' ),
+				[ 'status' => 403 ]
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Handle file upload.
+	 *
+	 * @since 2.0.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_upload( WP_REST_Request $request ) {
+		$page_id      = $request->get_param( 'page_id' );
+		$operation_id = $request->get_param( 'operation_id' );
+
+		$importers = Registry::instance()->get( $page_id );
+		if ( ! $importers || ! $importers->has_operation( $operation_id ) ) {
+			return new WP_Error(
+				'invalid_operation',
+				__( 'Invalid operation specified.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		// Check max file size if configured
+		$operation = $importers->get_operation( $operation_id );
+		if ( ! empty( $operation['max_file_size'] ) && ! empty( $_FILES['import_file']['size'] ) ) {
+			if ( $_FILES['import_file']['size'] > $operation['max_file_size'] ) {
+				return new WP_Error(
+					'file_too_large',
+					sprintf(
+						__( 'File exceeds maximum size of %s.', 'arraypress' ),
+						size_format( $operation['max_file_size'] )
+					),
+					[ 'status' => 400 ]
+				);
+			}
+		}
+
+		$result = FileManager::handle_upload( $page_id );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'file'    => FileManager::get_client_data( $result ),
+		], 200 );
+	}
+
+	/**
+	 * Handle starting or continuing a chunked upload.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_chunked_start( WP_REST_Request $request ) {
+		$operation = ImportProcessor::get_operation( $request->get_param( 'page_id' ), $request->get_param( 'operation_id' ) );
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
+		}
+
+		$upload = ChunkedUpload::start(
+			$request->get_param( 'page_id' ),
+			$request->get_param( 'name' ),
+			(int) $request->get_param( 'size' ),
+			(int) $operation['max_file_size'],
+			$request->get_param( 'upload_id' )
+		);
+
+		if ( is_wp_error( $upload ) ) {
+			return $upload;
+		}
+
+		return new WP_REST_Response( array_merge( [ 'success' => true ], $upload ), 200 );
+	}
+
+	/**
+	 * Handle an uploaded chunk.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_chunk( WP_REST_Request $request ) {
+		$upload = ChunkedUpload::add_chunk( $request->get_param( 'upload_id' ), (int) $request->get_param( 'index' ) );
+
+		if ( is_wp_error( $upload ) ) {
+			return $upload;
+		}
+
+		return new WP_REST_Response( array_merge( [ 'success' => true ], $upload ), 200 );
+	}
+
+	/**
+	 * Handle finishing a chunked upload.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_chunked_complete( WP_REST_Request $request ) {
+		$result = ChunkedUpload::complete( $request->get_param( 'upload_id' ) );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'file'    => FileManager::get_client_data( $result ),
+		], 200 );
+	}
+
+	/**
+	 * Handle fetching an import file from a URL.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_upload_url( WP_REST_Request $request ) {
+		$operation = self::get_source_operation( $request, 'url' );
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
+		}
+
+		return self::file_response( FileManager::handle_remote_file(
+			$request->get_param( 'page_id' ),
+			$request->get_param( 'url' ),
+			(int) $operation['max_file_size']
+		) );
+	}
+
+	/**
+	 * Handle using a media library file as the import file.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_upload_media( WP_REST_Request $request ) {
+		$operation = self::get_source_operation( $request, 'media' );
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
+		}
+
+		$attachment_id = $request->get_param( 'attachment_id' );
+
+		if ( ! current_user_can( 'read_post', $attachment_id ) ) {
+			return new WP_Error(
+				'rest_forbidden',
+				__( 'You do not have permission to use this media file.', 'arraypress' ),
+				[ 'status' => 403 ]
+			);
+		}
+
+		return self::file_response( FileManager::handle_media_file(
+			$request->get_param( 'page_id' ),
+			$attachment_id,
+			(int) $operation['max_file_size']
+		) );
+	}
+
+	/**
+	 * Handle using a file from an allow-listed server directory.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_upload_server( WP_REST_Request $request ) {
+		$operation = self::get_source_operation( $request, 'server' );
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
+		}
+
+		return self::file_response( FileManager::handle_server_file(
+			$request->get_param( 'page_id' ),
+			$operation['server_directories'],
+			$request->get_param( 'directory' ),
+			$request->get_param( 'file' ),
+			(int) $operation['max_file_size']
+		) );
+	}
+
+	/**
+	 * Handle selecting a different sheet of an uploaded workbook.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_select_sheet( WP_REST_Request $request ) {
+		$result = FileManager::select_sheet(
+			$request->get_param( 'file_uuid' ),
+			$request->get_param( 'sheet' )
+		);
+
+		if ( is_wp_error( $result ) ) {
+			$result->add_data( [ 'status' => 400 ] );
+
+			return $result;
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'file'    => FileManager::get_client_data( $result ),
+		], 200 );
+	}
+
+	/**
+	 * Handle overriding the detected dialect of an uploaded CSV file.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_set_dialect( WP_REST_Request $request ) {
+		$result = FileManager::set_dialect( $request->get_param( 'file_uuid' ), [
+			'delimiter'  => $request->get_param( 'delimiter' ),
+			'enclosure'  => $request->get_param( 'enclosure' ),
+			'encoding'   => $request->get_param( 'encoding' ),
+			'header_row' => $request->get_param( 'header_row' ),
+		] );
+
+		if ( is_wp_error( $result ) ) {
+			$result->add_data( [ 'status' => 400 ] );
+
+			return $result;
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'file'    => FileManager::get_client_data( $result ),
+		], 200 );
+	}
+
+	/**
+	 * Handle file preview request.
+	 *
+	 * @since 2.0.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_preview( WP_REST_Request $request ) {
+		$uuid     = $request->get_param( 'uuid' );
+		$max_rows = $request->get_param( 'max_rows' ) ?? 5;
+
+		$preview = FileManager::get_preview( $uuid, $max_rows );
+
+		if ( is_wp_error( $preview ) ) {
+			return $preview;
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'preview' => $preview,
+		], 200 );
+	}
+
+	/**
+	 * Handle processed value preview request.
+	 *
+	 * Runs the first rows through the field pipeline with the given field
+	 * map and returns each mapped field's raw and processed value. Nothing
+	 * is written: terms are not created and images are not sideloaded.
+	 * The operation's validate_callback receives the processed values, and
+	 * only for rows without field errors, as in the import. Errors of
+	 * fields that are not mapped are reported as the row's error.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_processed_preview( WP_REST_Request $request ) {
+		$page_id   = $request->get_param( 'page_id' );
+		$field_map = array_filter( $request->get_param( 'field_map' ), [ ColumnMapper::class, 'is_mapped' ] );
+		$operation = ImportProcessor::get_operation( $page_id, $request->get_param( 'operation_id' ) );
+
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
+		}
 
-				if ( ! current_user_can( $capability ) ) {
-					return new WP_Error(
-						'rest_forbidden',
-						__( 'You do not have permission to perform this action.', 'arraypress' ),
-						[ 'status' => 403 ]
-					);
+		$preview = FileManager::get_preview( $request->get_param( 'file_uuid' ), $request->get_param( 'max_rows' ) ?? 5 );
+
+		if ( is_wp_error( $preview ) ) {
+			return $preview;
+		}
+
+		$fields    = MediaBundle::apply( ValueMapper::apply( $operation['fields'] ?? [], $field_map ), $request->get_param( 'file_uuid' ) );
+		$mapped    = array_intersect_key( $fields, $field_map );
+		$columns   = [];
+		$rows      = [];
+		$first_row = FileManager::get_first_row_number( $request->get_param( 'file_uuid' ) );
+
+		foreach ( $mapped as $key => $field ) {
+			$columns[] = [
+				'key'    => $key,
+				'label'  => $field['label'] ?? $key,
+				'column' => ColumnMapper::get_label( $field_map[ $key ] ),
+			];
+		}
+
+		foreach ( $preview['rows'] as $index => $values ) {
+			// Rows with a mismatched column count are skipped by the import too
+			if ( count( $values ) !== count( $preview['headers'] ) ) {
+				continue;
+			}
+
+			$raw        = array_combine( $preview['headers'], $values );
+			$mapped_row = ImportProcessor::map_row( $raw, $field_map, $fields );
+			$result     = [
+				'row'     => $first_row + $index,
+				'skipped' => ! empty( $operation['skip_empty_rows'] ) && ImportProcessor::is_empty_row( $mapped_row ),
+				'error'   => null,
+				'cells'   => [],
+			];
+
+			if ( ! $result['skipped'] ) {
+				$processed = FieldValidator::preview_row( $mapped_row, $fields );
+
+				foreach ( array_intersect_key( $processed, $mapped ) as $key => $cell ) {
+					$result['cells'][ $key ] = array_merge( [ 'raw' => ColumnMapper::get_value( $raw, $field_map[ $key ] ) ], $cell );
+				}
+
+				// Like the import, only rows whose fields are valid reach validate_callback
+				$errors   = array_filter( wp_list_pluck( $processed, 'error' ) );
+				$unmapped = array_diff_key( $errors, $mapped );
+
+				if ( $unmapped ) {
+					$result['error'] = reset( $unmapped );
+				} elseif ( empty( $errors ) && isset( $operation['validate_callback'] ) && is_callable( $operation['validate_callback'] ) ) {
+					$validation = call_user_func( $operation['validate_callback'], wp_list_pluck( $processed, 'value' ) );
+
+					if ( is_wp_error( $validation ) ) {
+						$result['error'] = $validation->get_error_message();
+					}
 				}
+			}
+
+			$rows[] = $result;
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'fields'  => $columns,
+			'rows'    => $rows,
+			'total'   => $preview['total'],
+		], 200 );
+	}
+
+	/**
+	 * Handle export request.
+	 *
+	 * Returns one page of the operation's items as CSV. The client joins
+	 * the pages, continuing from the returned offset while has_more is
+	 * true.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_export( WP_REST_Request $request ) {
+		$export = Exporter::export_batch(
+			$request->get_param( 'page_id' ),
+			$request->get_param( 'operation_id' ),
+			(int) $request->get_param( 'offset' )
+		);
+
+		if ( is_wp_error( $export ) ) {
+			return $export;
+		}
+
+		return new WP_REST_Response( array_merge( [ 'success' => true ], $export ), 200 );
+	}
+
+	/**
+	 * Handle sample CSV download.
+	 *
+	 * @since 2.0.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_sample_download( WP_REST_Request $request ) {
+		$page_id      = $request->get_param( 'page_id' );
+		$operation_id = $request->get_param( 'operation_id' );
+
+		$importers = Registry::instance()->get( $page_id );
+		if ( ! $importers ) {
+			return new WP_Error( 'invalid_page', __( 'Invalid importer page.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		$operation = $importers->get_operation( $operation_id );
+		if ( ! $operation ) {
+			return new WP_Error( 'invalid_operation', __( 'Invalid operation.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		$fields = $operation['fields'] ?? [];
+		$csv    = FieldValidator::generate_sample_csv( $fields );
+
+		return new WP_REST_Response( [
+			'success'  => true,
+			'csv'      => $csv,
+			'filename' => sanitize_file_name( $operation_id . '-sample.csv' ),
+		], 200 );
+	}
+
+	/**
+	 * Handle listing field-mapping presets.
+	 *
+	 * When a file UUID is given, the preset whose headers best match
+	 * the file is returned as the suggestion to auto-apply.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_presets_list( WP_REST_Request $request ) {
+		$page_id      = $request->get_param( 'page_id' );
+		$operation_id = $request->get_param( 'operation_id' );
+		$file_uuid    = $request->get_param( 'file_uuid' );
+
+		$importers = Registry::instance()->get( $page_id );
+		if ( ! $importers || ! $importers->has_operation( $operation_id ) ) {
+			return new WP_Error( 'invalid_operation', __( 'Invalid operation.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		$suggested = null;
+		if ( $file_uuid ) {
+			$file_data = FileManager::get_file( $file_uuid );
+
+			if ( $file_data ) {
+				$best      = PresetManager::find_best_preset( $page_id, $operation_id, $file_data['headers'] );
+				$suggested = $best['id'] ?? null;
+			}
+		}
+
+		return new WP_REST_Response( [
+			'success'   => true,
+			'presets'   => array_values( PresetManager::get_presets( $page_id, $operation_id ) ),
+			'suggested' => $suggested,
+		], 200 );
+	}
+
+	/**
+	 * Handle saving a field-mapping preset.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_preset_save( WP_REST_Request $request ) {
+		$page_id      = $request->get_param( 'page_id' );
+		$operation_id = $request->get_param( 'operation_id' );
+		$file_uuid    = $request->get_param( 'file_uuid' );
+
+		$importers = Registry::instance()->get( $page_id );
+		if ( ! $importers || ! $importers->has_operation( $operation_id ) ) {
+			return new WP_Error( 'invalid_operation', __( 'Invalid operation.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		$file_data = $file_uuid ? FileManager::get_file( $file_uuid ) : null;
+
+		$preset = PresetManager::save_preset(
+			$page_id,
+			$operation_id,
+			$request->get_param( 'name' ),
+			$request->get_param( 'field_map' ),
+			$file_data['headers'] ?? []
+		);
+
+		if ( is_wp_error( $preset ) ) {
+			$preset->add_data( [ 'status' => 400 ] );
+
+			return $preset;
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'preset'  => $preset,
+		], 200 );
+	}
+
+	/**
+	 * Handle deleting a field-mapping preset.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_preset_delete( WP_REST_Request $request ) {
+		$deleted = PresetManager::delete_preset(
+			$request->get_param( 'page_id' ),
+			$request->get_param( 'operation_id' ),
+			$request->get_param( 'preset_id' )
+		);
+
+		if ( ! $deleted ) {
+			return new WP_Error( 'preset_not_found', __( 'Preset not found.', 'arraypress' ), [ 'status' => 404 ] );
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+		], 200 );
+	}
+
+	/**
+	 * Handle a dry run batch.
+	 *
+	 * Validates one batch of rows without executing the process callback.
+	 * Start at offset 0 and repeat with the returned offset while
+	 * has_more is true; the totals cover every batch so far.
+	 *
+	 * @since 2.0.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_dry_run( WP_REST_Request $request ) {
+		$results = ImportProcessor::dry_run_batch(
+			$request->get_param( 'page_id' ),
+			$request->get_param( 'operation_id' ),
+			$request->get_param( 'file_uuid' ),
+			$request->get_param( 'offset' ),
+			$request->get_param( 'field_map' ),
+			self::get_run_settings( $request )
+		);
+
+		if ( is_wp_error( $results ) ) {
+			return $results;
+		}
+
+		return new WP_REST_Response( array_merge( [ 'success' => true ], $results ), 200 );
+	}
+
+	/**
+	 * Handle a search for the entities a field's values can be mapped to.
+	 *
+	 * Used by the value mapping table after a dry run, for post and term
+	 * fields.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_value_search( WP_REST_Request $request ) {
+		$operation = ImportProcessor::get_operation( $request->get_param( 'page_id' ), $request->get_param( 'operation_id' ) );
+
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
+		}
+
+		$field = $operation['fields'][ $request->get_param( 'field' ) ] ?? null;
+
+		if ( ! $field || ! in_array( $field['type'] ?? 'string', ValueMapper::ENTITY_TYPES, true ) ) {
+			return new WP_Error( 'invalid_field', __( 'This field cannot be mapped to existing items.', 'arraypress' ), [ 'status' => 400 ] );
+		}
+
+		return new WP_REST_Response( [
+			'success' => true,
+			'results' => ValueMapper::search( $field, $request->get_param( 'search' ) ),
+		], 200 );
+	}
+
+	/**
+	 * Handle import start.
+	 *
+	 * Operations with the 'background' option are queued to run
+	 * server-side instead of being driven by batch requests.
+	 *
+	 * @since 2.0.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_import_start( WP_REST_Request $request ) {
+		$page_id      = $request->get_param( 'page_id' );
+		$operation_id = $request->get_param( 'operation_id' );
+		$file_uuid    = $request->get_param( 'file_uuid' );
+		$field_map    = $request->get_param( 'field_map' );
+
+		$operation = ImportProcessor::get_operation( $page_id, $operation_id );
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
+		}
+
+		$background = ! empty( $operation['background'] );
+
+		if ( $background && BackgroundManager::get_active_job( $page_id, $operation_id ) ) {
+			return new WP_Error(
+				'job_active',
+				__( 'A background import is already running for this operation.', 'arraypress' ),
+				[ 'status' => 409 ]
+			);
+		}
+
+		$started = ImportProcessor::start( $page_id, $operation_id, $file_uuid, $field_map, self::get_run_settings( $request ) );
+
+		if ( is_wp_error( $started ) ) {
+			return $started;
+		}
+
+		// Background operations hand the batches over to the job runner
+		if ( $background ) {
+			BackgroundManager::queue( $page_id, $operation_id, $file_uuid, $field_map, $started['total'] );
+		}
+
+		return new WP_REST_Response( [
+			'success'     => true,
+			'total_items' => $started['total'],
+			'batch_size'  => $operation['batch_size'] ?? 100,
+			'background'  => $background,
+			'stats'       => $started['stats'],
+		], 200 );
+	}
+
+	/**
+	 * Handle import batch processing.
+	 *
+	 * Offsets that were already committed for the active run are refused
+	 * so a resumed or retried run never processes the same rows twice.
+	 * The client can ask for a batch size, which the operation's batch
+	 * size limits apply to.
+	 *
+	 * @since 2.0.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_import_batch( WP_REST_Request $request ) {
+		$results = ImportProcessor::process_batch(
+			$request->get_param( 'page_id' ),
+			$request->get_param( 'operation_id' ),
+			$request->get_param( 'file_uuid' ),
+			$request->get_param( 'offset' ),
+			$request->get_param( 'field_map' ),
+			$request->get_param( 'batch_size' ) ?: null
+		);
+
+		if ( is_wp_error( $results ) ) {
+			return $results;
+		}
+
+		return new WP_REST_Response( [
+			'success'         => true,
+			'processed'       => $results['processed'],
+			'created'         => $results['created'],
+			'updated'         => $results['updated'],
+			'skipped'         => $results['skipped'],
+			'failed'          => $results['failed'],
+			'errors'          => $results['errors'],
+			'has_more'        => $results['has_more'],
+			'offset'          => $results['offset'],
+			'count'           => $results['count'],
+			'total_processed' => $results['total_processed'],
+			'total_items'     => $results['total_items'],
+			'percentage'      => $results['percentage'],
+			'stats'           => $results['stats'],
+			'duration'        => $results['duration'],
+			'headroom'        => $results['headroom'],
+		], 200 );
+	}
+
+	/**
+	 * Handle polling the state of a background import.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_import_status( WP_REST_Request $request ) {
+		$status = BackgroundManager::get_status(
+			$request->get_param( 'page_id' ),
+			$request->get_param( 'operation_id' ),
+			$request->get_param( 'since' )
+		);
 
-				return true;
-			}
-		}
+		if ( is_wp_error( $status ) ) {
+			$status->add_data( [ 'status' => 404 ] );
 
-		if ( ! current_user_can( 'manage_options' ) ) {
-			return new WP_Error(
-				'rest_forbidden',
-				__( 'You do not have permission to perform this action.', 'arraypress' ),
-				[ 'status' => 403 ]
-			);
+			return $status;
 		}
 
-		return true;
+		return new WP_REST_Response( array_merge( [ 'success' => true ], $status ), 200 );
 	}
 
 	/**
-	 * Handle file upload.
+	 * Handle cancelling a background import.
 	 *
-	 * @since 2.0.0
+	 * @since 2.2.0
 	 *
 	 * @param WP_REST_Request $request The request object.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public static function handle_upload( WP_REST_Request $request ) {
-		$page_id      = $request->get_param( 'page_id' );
-		$operation_id = $request->get_param( 'operation_id' );
-
-		$importers = Registry::instance()->get( $page_id );
-		if ( ! $importers || ! $importers->has_operation( $operation_id ) ) {
-			return new WP_Error(
-				'invalid_operation',
-				__( 'Invalid operation specified.', 'arraypress' ),
-				[ 'status' => 400 ]
-			);
-		}
-
-		// Check max file size if configured
-		$operation = $importers->get_operation( $operation_id );
-		if ( ! empty( $operation['max_file_size'] ) && ! empty( $_FILES['import_file']['size'] ) ) {
-			if ( $_FILES['import_file']['size'] > $operation['max_file_size'] ) {
-				return new WP_Error(
-					'file_too_large',
-					sprintf(
-						__( 'File exceeds maximum size of %s.', 'arraypress' ),
-						size_format( $operation['max_file_size'] )
-					),
-					[ 'status' => 400 ]
-				);
-			}
-		}
+	public static function handle_import_cancel( WP_REST_Request $request ) {
+		$job = BackgroundManager::cancel(
+			$request->get_param( 'page_id' ),
+			$request->get_param( 'operation_id' )
+		);
 
-		$result = FileManager::handle_upload( $page_id );
+		if ( is_wp_error( $job ) ) {
+			$job->add_data( [ 'status' => 404 ] );
 
-		if ( is_wp_error( $result ) ) {
-			return $result;
+			return $job;
 		}
 
 		return new WP_REST_Response( [
 			'success' => true,
-			'file'    => [
-				'uuid'          => $result['uuid'],
-				'original_name' => $result['original_name'],
-				'size'          => $result['size'],
-				'size_human'    => $result['size_human'],
-				'rows'          => $result['rows'],
-				'headers'       => $result['headers'],
-			],
+			'status'  => $job['status'],
 		], 200 );
 	}
 
 	/**
-	 * Handle file preview request.
+	 * Handle operation completion.
 	 *
 	 * @since 2.0.0
 	 *
@@ -352,378 +1722,264 @@ class RestApi {
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public static function handle_preview( WP_REST_Request $request ) {
-		$uuid     = $request->get_param( 'uuid' );
-		$max_rows = $request->get_param( 'max_rows' ) ?? 5;
+	public static function handle_complete( WP_REST_Request $request ) {
+		$result = ImportProcessor::complete(
+			$request->get_param( 'page_id' ),
+			$request->get_param( 'operation_id' ),
+			$request->get_param( 'status' ),
+			$request->get_param( 'file_uuid' ) ?: null
+		);
 
-		$preview = FileManager::get_preview( $uuid, $max_rows );
+		return new WP_REST_Response( [
+			'success'      => true,
+			'stats'        => $result['stats'],
+			'error_report' => $result['error_report'],
+			'rollback'     => $result['rollback'],
+		], 200 );
+	}
 
-		if ( is_wp_error( $preview ) ) {
-			return $preview;
+	/**
+	 * Handle listing an operation's run history.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_history_list( WP_REST_Request $request ) {
+		$page_id      = $request->get_param( 'page_id' );
+		$operation_id = $request->get_param( 'operation_id' );
+
+		$importers = Registry::instance()->get( $page_id );
+		if ( ! $importers || ! $importers->has_operation( $operation_id ) ) {
+			return new WP_Error( 'invalid_operation', __( 'Invalid operation.', 'arraypress' ), [ 'status' => 400 ] );
 		}
 
+		$history = HistoryManager::get_runs(
+			$page_id,
+			$operation_id,
+			$request->get_param( 'page' ),
+			min( 100, $request->get_param( 'per_page' ) )
+		);
+
 		return new WP_REST_Response( [
 			'success' => true,
-			'preview' => $preview,
+			'runs'    => $history['runs'],
+			'total'   => $history['total'],
+			'pages'   => $history['pages'],
 		], 200 );
 	}
 
 	/**
-	 * Handle sample CSV download.
+	 * Handle fetching a single run and its error list.
 	 *
-	 * @since 2.0.0
+	 * @since 2.2.0
 	 *
 	 * @param WP_REST_Request $request The request object.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public static function handle_sample_download( WP_REST_Request $request ) {
+	public static function handle_history_run( WP_REST_Request $request ) {
 		$page_id      = $request->get_param( 'page_id' );
 		$operation_id = $request->get_param( 'operation_id' );
+		$run_id       = $request->get_param( 'run_id' );
 
-		$importers = Registry::instance()->get( $page_id );
-		if ( ! $importers ) {
-			return new WP_Error( 'invalid_page', __( 'Invalid importer page.', 'arraypress' ), [ 'status' => 400 ] );
-		}
+		$run = HistoryManager::get_run( $page_id, $operation_id, $run_id );
 
-		$operation = $importers->get_operation( $operation_id );
-		if ( ! $operation ) {
-			return new WP_Error( 'invalid_operation', __( 'Invalid operation.', 'arraypress' ), [ 'status' => 400 ] );
+		if ( ! $run ) {
+			return new WP_Error( 'run_not_found', __( 'Import run not found.', 'arraypress' ), [ 'status' => 404 ] );
 		}
 
-		$fields = $operation['fields'] ?? [];
-		$csv    = FieldValidator::generate_sample_csv( $fields );
-
 		return new WP_REST_Response( [
-			'success'  => true,
-			'csv'      => $csv,
-			'filename' => sanitize_file_name( $operation_id . '-sample.csv' ),
+			'success' => true,
+			'run'     => $run,
+			'errors'  => HistoryManager::get_run_errors( $run_id ),
 		], 200 );
 	}
 
 	/**
-	 * Handle dry run validation.
+	 * Handle rolling back a batch of a run's journal.
 	 *
-	 * Validates all rows without executing the process callback.
-	 * Reports what would be created, updated, skipped, and any errors.
+	 * Each call undoes the next batch, newest change first, until the
+	 * journal is empty; the run is then marked as rolled back.
 	 *
-	 * @since 2.0.0
+	 * @since 2.2.0
 	 *
 	 * @param WP_REST_Request $request The request object.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public static function handle_dry_run( WP_REST_Request $request ) {
+	public static function handle_rollback_batch( WP_REST_Request $request ) {
 		$page_id      = $request->get_param( 'page_id' );
 		$operation_id = $request->get_param( 'operation_id' );
-		$file_uuid    = $request->get_param( 'file_uuid' );
-		$field_map    = $request->get_param( 'field_map' );
+		$run_id       = $request->get_param( 'run_id' );
 
 		$importers = Registry::instance()->get( $page_id );
-		if ( ! $importers ) {
-			return new WP_Error( 'invalid_page', __( 'Invalid importer page.', 'arraypress' ), [ 'status' => 400 ] );
-		}
+		$operation = $importers ? $importers->get_operation( $operation_id ) : null;
 
-		$operation = $importers->get_operation( $operation_id );
 		if ( ! $operation ) {
-			return new WP_Error( 'invalid_operation', __( 'Invalid operation.', 'arraypress' ), [ 'status' => 400 ] );
-		}
-
-		// Read all rows
-		$all_rows = FileManager::read_all_rows( $file_uuid );
-		if ( is_wp_error( $all_rows ) ) {
-			return $all_rows;
+			return new WP_Error( 'invalid_operation', __( 'Invalid import operation.', 'arraypress' ), [ 'status' => 400 ] );
 		}
 
-		$fields = $operation['fields'] ?? [];
-		$errors = [];
-		$valid  = 0;
+		$run = HistoryManager::get_run( $page_id, $operation_id, $run_id );
 
-		// Map all rows first
-		$mapped_rows = [];
-		foreach ( $all_rows as $row ) {
-			$mapped_rows[] = self::map_row( $row, $field_map, $fields );
+		if ( ! $run ) {
+			return new WP_Error( 'run_not_found', __( 'Import run not found.', 'arraypress' ), [ 'status' => 404 ] );
 		}
 
-		// Check for duplicates on unique fields
-		$duplicate_errors = FieldValidator::check_duplicates( $mapped_rows, $fields );
-		$errors           = array_merge( $errors, $duplicate_errors );
-
-		// Validate each row
-		$row_number = 1;
-		foreach ( $mapped_rows as $mapped_row ) {
-			$row_number ++;
+		if ( $run['status'] === 'running' ) {
+			return new WP_Error( 'run_active', __( 'An import cannot be undone while it is running.', 'arraypress' ), [ 'status' => 409 ] );
+		}
 
-			// Skip empty rows if configured
-			if ( ! empty( $operation['skip_empty_rows'] ) && self::is_empty_row( $mapped_row ) ) {
-				continue;
-			}
+		if ( RollbackManager::get_count( $run_id ) === 0 ) {
+			return new WP_Error( 'nothing_to_rollback', __( 'There is nothing to undo for this import.', 'arraypress' ), [ 'status' => 404 ] );
+		}
 
-			$validation = FieldValidator::validate_row( $mapped_row, $fields );
-
-			if ( is_wp_error( $validation ) ) {
-				$errors[] = [
-					'row'     => $row_number,
-					'item'    => self::get_row_identifier( $mapped_row ),
-					'message' => $validation->get_error_message(),
-				];
-			} else {
-				// Run custom validate_callback if defined
-				if ( isset( $operation['validate_callback'] ) && is_callable( $operation['validate_callback'] ) ) {
-					$custom_validation = call_user_func( $operation['validate_callback'], $mapped_row );
-					if ( is_wp_error( $custom_validation ) ) {
-						$errors[] = [
-							'row'     => $row_number,
-							'item'    => self::get_row_identifier( $mapped_row ),
-							'message' => $custom_validation->get_error_message(),
-						];
-						continue;
-					}
-				}
+		$callback = $operation['rollback_callback'] ?? null;
+		$results  = RollbackManager::process_batch(
+			$run_id,
+			$operation['batch_size'] ?? 100,
+			is_callable( $callback ) ? $callback : null
+		);
 
-				$valid ++;
-			}
+		if ( $results['remaining'] === 0 ) {
+			HistoryManager::set_status( $page_id, $operation_id, $run_id, 'rolled_back' );
 		}
 
+		$done = $results['total'] - $results['remaining'];
+
 		return new WP_REST_Response( [
-			'success'     => true,
-			'total_rows'  => count( $mapped_rows ),
-			'valid_rows'  => $valid,
-			'error_count' => count( $errors ),
-			'errors'      => array_slice( $errors, 0, 20 ),
+			'success'    => true,
+			'processed'  => $results['processed'],
+			'deleted'    => $results['deleted'],
+			'restored'   => $results['restored'],
+			'failed'     => $results['failed'],
+			'errors'     => $results['errors'],
+			'has_more'   => $results['remaining'] > 0,
+			'total'      => $results['total'],
+			'percentage' => $results['total'] > 0 ? round( ( $done / $results['total'] ) * 100 ) : 100,
 		], 200 );
 	}
 
 	/**
-	 * Handle import start.
+	 * Handle saving an operation's schedule.
 	 *
-	 * @since 2.0.0
+	 * @since 2.2.0
 	 *
 	 * @param WP_REST_Request $request The request object.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public static function handle_import_start( WP_REST_Request $request ) {
+	public static function handle_schedule_save( WP_REST_Request $request ) {
 		$page_id      = $request->get_param( 'page_id' );
 		$operation_id = $request->get_param( 'operation_id' );
-		$file_uuid    = $request->get_param( 'file_uuid' );
 
-		$file_data = FileManager::get_file( $file_uuid );
-
-		if ( ! $file_data ) {
-			return new WP_Error(
-				'file_not_found',
-				__( 'Import file not found or expired.', 'arraypress' ),
-				[ 'status' => 404 ]
-			);
-		}
-
-		$importers = Registry::instance()->get( $page_id );
-		$operation = $importers ? $importers->get_operation( $operation_id ) : null;
+		$schedule = ScheduleManager::save_schedule( $page_id, $operation_id, [
+			'enabled'   => $request->get_param( 'enabled' ),
+			'interval'  => $request->get_param( 'interval' ),
+			'time'      => $request->get_param( 'time' ),
+			'source'    => $request->get_param( 'source' ),
+			'url'       => $request->get_param( 'url' ),
+			'directory' => $request->get_param( 'directory' ),
+			'file'      => $request->get_param( 'file' ),
+			'preset_id' => $request->get_param( 'preset_id' ),
+			'mode'      => $request->get_param( 'mode' ),
+			'match_key' => $request->get_param( 'match_key' ),
+			'email'     => $request->get_param( 'email' ),
+		] );
 
-		// Fire before_import callback — can return WP_Error to abort
-		if ( $operation && isset( $operation['before_import'] ) && is_callable( $operation['before_import'] ) ) {
-			$before_result = call_user_func( $operation['before_import'] );
+		if ( is_wp_error( $schedule ) ) {
+			$schedule->add_data( [ 'status' => 400 ] );
 
-			if ( is_wp_error( $before_result ) ) {
-				return $before_result;
-			}
+			return $schedule;
 		}
 
-		$stats = StatsManager::init_run(
-			$page_id,
-			$operation_id,
-			$file_data['original_name'],
-			$file_data['rows']
-		);
-
 		return new WP_REST_Response( [
-			'success'     => true,
-			'total_items' => $file_data['rows'],
-			'batch_size'  => self::get_batch_size( $page_id, $operation_id ),
-			'stats'       => $stats,
+			'success'  => true,
+			'schedule' => $schedule,
+			'summary'  => ScheduleManager::get_summary( $page_id, $operation_id ),
 		], 200 );
 	}
 
 	/**
-	 * Handle import batch processing.
+	 * Handle deleting an operation's schedule.
 	 *
-	 * @since 2.0.0
+	 * @since 2.2.0
 	 *
 	 * @param WP_REST_Request $request The request object.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public static function handle_import_batch( WP_REST_Request $request ) {
+	public static function handle_schedule_delete( WP_REST_Request $request ) {
 		$page_id      = $request->get_param( 'page_id' );
 		$operation_id = $request->get_param( 'operation_id' );
-		$file_uuid    = $request->get_param( 'file_uuid' );
-		$offset       = $request->get_param( 'offset' );
-		$field_map    = $request->get_param( 'field_map' );
-
-		$importers = Registry::instance()->get( $page_id );
-		if ( ! $importers ) {
-			return new WP_Error( 'invalid_page', __( 'Invalid importer page.', 'arraypress' ), [ 'status' => 400 ] );
-		}
-
-		$operation = $importers->get_operation( $operation_id );
-		if ( ! $operation ) {
-			return new WP_Error( 'invalid_operation', __( 'Invalid import operation.', 'arraypress' ), [ 'status' => 400 ] );
-		}
-
-		$batch_size = $operation['batch_size'] ?? 100;
-		$batch_data = FileManager::read_batch( $file_uuid, $offset, $batch_size );
-
-		if ( is_wp_error( $batch_data ) ) {
-			return $batch_data;
-		}
-
-		$results = [
-			'created'   => 0,
-			'updated'   => 0,
-			'skipped'   => 0,
-			'failed'    => 0,
-			'errors'    => [],
-			'processed' => 0,
-		];
-
-		$process_callback = $operation['process_callback'] ?? null;
 
-		if ( ! is_callable( $process_callback ) ) {
-			return new WP_Error( 'no_callback', __( 'No process callback defined.', 'arraypress' ), [ 'status' => 500 ] );
+		if ( ! ScheduleManager::delete_schedule( $page_id, $operation_id ) ) {
+			return new WP_Error( 'schedule_not_found', __( 'No schedule has been saved for this operation.', 'arraypress' ), [ 'status' => 404 ] );
 		}
 
-		$fields     = $operation['fields'] ?? [];
-		$row_number = $offset + 1;
-
-		foreach ( $batch_data['rows'] as $row ) {
-			$row_number ++;
-			$results['processed'] ++;
-
-			// Map CSV columns to field keys
-			$mapped_row = self::map_row( $row, $field_map, $fields );
-
-			// Skip empty rows if configured
-			if ( ! empty( $operation['skip_empty_rows'] ) && self::is_empty_row( $mapped_row ) ) {
-				$results['skipped'] ++;
-				continue;
-			}
+		return new WP_REST_Response( [
+			'success' => true,
+			'summary' => ScheduleManager::get_summary( $page_id, $operation_id ),
+		], 200 );
+	}
 
-			// Run field validation pipeline
-			$validated_row = FieldValidator::process_row( $mapped_row, $fields );
+	/**
+	 * Handle running an operation's schedule immediately.
+	 *
+	 * The run is queued as a background job, which the card then follows.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle_schedule_run( WP_REST_Request $request ) {
+		$page_id      = $request->get_param( 'page_id' );
+		$operation_id = $request->get_param( 'operation_id' );
 
-			if ( is_wp_error( $validated_row ) ) {
-				$results['failed'] ++;
-				$results['errors'][] = [
-					'row'     => $row_number,
-					'item'    => self::get_row_identifier( $mapped_row ),
-					'message' => $validated_row->get_error_message(),
-				];
-				continue;
-			}
+		$job = ScheduleManager::start( $page_id, $operation_id );
 
-			// Run custom validate_callback if defined
-			if ( isset( $operation['validate_callback'] ) && is_callable( $operation['validate_callback'] ) ) {
-				$validation = call_user_func( $operation['validate_callback'], $validated_row );
-
-				if ( is_wp_error( $validation ) ) {
-					$results['failed'] ++;
-					$results['errors'][] = [
-						'row'     => $row_number,
-						'item'    => self::get_row_identifier( $validated_row ),
-						'message' => $validation->get_error_message(),
-					];
-					continue;
-				}
-			}
+		if ( is_wp_error( $job ) ) {
+			$job->add_data( [ 'status' => $job->get_error_code() === 'job_active' ? 409 : 400 ] );
 
-			try {
-				$result = call_user_func( $process_callback, $validated_row );
-
-				if ( is_wp_error( $result ) ) {
-					$results['failed'] ++;
-					$results['errors'][] = [
-						'row'     => $row_number,
-						'item'    => self::get_row_identifier( $validated_row ),
-						'message' => $result->get_error_message(),
-					];
-				} elseif ( $result === 'created' ) {
-					$results['created'] ++;
-				} elseif ( $result === 'updated' ) {
-					$results['updated'] ++;
-				} elseif ( $result === 'skipped' ) {
-					$results['skipped'] ++;
-				} else {
-					$results['created'] ++;
-				}
-			} catch ( Exception $e ) {
-				$results['failed'] ++;
-				$results['errors'][] = [
-					'row'     => $row_number,
-					'item'    => self::get_row_identifier( $validated_row ),
-					'message' => $e->getMessage(),
-				];
-			}
+			return $job;
 		}
 
-		// Update stats
-		StatsManager::update_batch( $page_id, $operation_id, $results );
-
-		$stats           = StatsManager::get_stats( $page_id, $operation_id );
-		$total_processed = $stats['created'] + $stats['updated'] + $stats['skipped'] + $stats['failed'];
-		$total_items     = $stats['total'] ?: $total_processed;
-		$percentage      = $total_items > 0 ? round( ( $total_processed / $total_items ) * 100 ) : 0;
-
 		return new WP_REST_Response( [
-			'success'         => true,
-			'processed'       => $results['processed'],
-			'created'         => $results['created'],
-			'updated'         => $results['updated'],
-			'skipped'         => $results['skipped'],
-			'failed'          => $results['failed'],
-			'errors'          => $results['errors'],
-			'has_more'        => $batch_data['has_more'],
-			'offset'          => $offset + $batch_data['count'],
-			'total_processed' => $total_processed,
-			'total_items'     => $total_items,
-			'percentage'      => $percentage,
-			'stats'           => $stats,
+			'success'     => true,
+			'total_items' => $job['total_items'],
+			'summary'     => ScheduleManager::get_summary( $page_id, $operation_id ),
 		], 200 );
 	}
 
 	/**
-	 * Handle operation completion.
+	 * Handle downloading the failed rows of a dry run or import.
 	 *
-	 * @since 2.0.0
+	 * @since 2.2.0
 	 *
 	 * @param WP_REST_Request $request The request object.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public static function handle_complete( WP_REST_Request $request ) {
-		$page_id      = $request->get_param( 'page_id' );
-		$operation_id = $request->get_param( 'operation_id' );
-		$status       = $request->get_param( 'status' );
-		$file_uuid    = $request->get_param( 'file_uuid' );
-
-		$stats = StatsManager::complete_run( $page_id, $operation_id, $status );
-
-		// Fire after_import callback
-		$importers = Registry::instance()->get( $page_id );
-		$operation = $importers ? $importers->get_operation( $operation_id ) : null;
+	public static function handle_error_report_download( WP_REST_Request $request ) {
+		$download = ErrorReportManager::get_download(
+			$request->get_param( 'file_uuid' ),
+			$request->get_param( 'type' )
+		);
 
-		if ( $operation && isset( $operation['after_import'] ) && is_callable( $operation['after_import'] ) ) {
-			call_user_func( $operation['after_import'], $stats );
-		}
+		if ( is_wp_error( $download ) ) {
+			$download->add_data( [ 'status' => 404 ] );
 
-		// Clean up file
-		if ( $file_uuid ) {
-			FileManager::delete_file( $file_uuid );
+			return $download;
 		}
 
 		return new WP_REST_Response( [
-			'success' => true,
-			'stats'   => $stats,
+			'success'  => true,
+			'csv'      => $download['csv'],
+			'filename' => $download['filename'],
 		], 200 );
 	}
 
@@ -745,7 +2001,8 @@ class RestApi {
 	/**
 	 * Sanitize a field map array.
 	 *
-	 * Ensures both keys and values are sanitized strings.
+	 * Keys are sanitized field keys. Values are column names or computed
+	 * entries, sanitized by ColumnMapper.
 	 *
 	 * @since 2.0.0
 	 *
@@ -760,115 +2017,80 @@ class RestApi {
 
 		$sanitized = [];
 		foreach ( (array) $field_map as $key => $value ) {
-			$sanitized[ sanitize_key( $key ) ] = sanitize_text_field( (string) $value );
+			$sanitized[ sanitize_key( $key ) ] = ColumnMapper::sanitize( $value );
 		}
 
 		return $sanitized;
 	}
 
 	/**
-	 * Get batch size for an operation.
+	 * Get the run settings chosen in the mapping step.
 	 *
-	 * @since 2.0.0
+	 * Row filters are validated when the run starts; see RowFilter.
+	 *
+	 * @since 2.2.0
 	 *
-	 * @param string $page_id      Page ID.
-	 * @param string $operation_id Operation ID.
+	 * @param WP_REST_Request $request The request object.
 	 *
-	 * @return int
+	 * @return array Array with 'mode', 'match_key' and 'filters'.
 	 */
-	private static function get_batch_size( string $page_id, string $operation_id ): int {
-		$importers = Registry::instance()->get( $page_id );
-
-		if ( $importers ) {
-			$operation = $importers->get_operation( $operation_id );
-
-			if ( $operation ) {
-				return $operation['batch_size'] ?? 100;
-			}
-		}
-
-		return 100;
+	private static function get_run_settings( WP_REST_Request $request ): array {
+		return [
+			'mode'      => $request->get_param( 'mode' ),
+			'match_key' => $request->get_param( 'match_key' ),
+			'filters'   => (array) $request->get_param( 'filters' ),
+		];
 	}
 
 	/**
-	 * Map a CSV row to defined fields.
+	 * Get an operation for a file source request.
 	 *
-	 * @since 2.0.0
+	 * @since 2.2.0
 	 *
-	 * @param array $row       Raw row data.
-	 * @param array $field_map Mapping of field_key => csv_column.
-	 * @param array $fields    Field definitions.
+	 * @param WP_REST_Request $request The request object.
+	 * @param string          $source  The file source ('url', 'media' or 'server').
 	 *
-	 * @return array Mapped data (keys are field keys, values are raw CSV values).
+	 * @return array|WP_Error Operation configuration or WP_Error if the
+	 *                        operation does not accept files from the source.
 	 */
-	private static function map_row( array $row, array $field_map, array $fields ): array {
-		$mapped = [];
-
-		foreach ( $field_map as $field_key => $csv_column ) {
-			$value = $row[ $csv_column ] ?? null;
-
-			// Apply default if empty and not handled by FieldValidator
-			if ( ( $value === null || $value === '' ) && isset( $fields[ $field_key ]['default'] ) ) {
-				$value = $fields[ $field_key ]['default'];
-			}
-
-			$mapped[ $field_key ] = $value;
-		}
+	private static function get_source_operation( WP_REST_Request $request, string $source ) {
+		$operation = ImportProcessor::get_operation( $request->get_param( 'page_id' ), $request->get_param( 'operation_id' ) );
 
-		// Include unmapped fields with defaults
-		foreach ( $fields as $field_key => $field ) {
-			if ( ! isset( $mapped[ $field_key ] ) && isset( $field['default'] ) ) {
-				$mapped[ $field_key ] = $field['default'];
-			}
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
 		}
 
-		return $mapped;
-	}
-
-	/**
-	 * Check if a row is empty.
-	 *
-	 * @since 2.0.0
-	 *
-	 * @param array $row Row data.
-	 *
-	 * @return bool
-	 */
-	private static function is_empty_row( array $row ): bool {
-		foreach ( $row as $value ) {
-			if ( $value !== null && $value !== '' ) {
-				return false;
-			}
+		if ( ! in_array( $source, $operation['sources'], true ) ) {
+			return new WP_Error(
+				'source_not_allowed',
+				__( 'This operation does not accept files from this source.', 'arraypress' ),
+				[ 'status' => 403 ]
+			);
 		}
 
-		return true;
+		return $operation;
 	}
 
 	/**
-	 * Get a human-readable identifier for a row.
+	 * Build the response for a newly added import file.
 	 *
-	 * @since 2.0.0
+	 * @since 2.2.0
 	 *
-	 * @param array $row Row data.
+	 * @param array|WP_Error $result File data or WP_Error.
 	 *
-	 * @return string
+	 * @return WP_REST_Response|WP_Error
 	 */
-	private static function get_row_identifier( array $row ): string {
-		$id_fields = [ 'id', 'sku', 'email', 'name', 'title', 'slug', 'code' ];
-
-		foreach ( $id_fields as $field ) {
-			if ( ! empty( $row[ $field ] ) ) {
-				return (string) $row[ $field ];
-			}
-		}
+	private static function file_response( $result ) {
+		if ( is_wp_error( $result ) ) {
+			$result->add_data( [ 'status' => 400 ] );
 
-		foreach ( $row as $value ) {
-			if ( ! empty( $value ) ) {
-				return (string) $value;
-			}
+			return $result;
 		}
 
-		return __( 'Unknown', 'arraypress' );
+		return new WP_REST_Response( [
+			'success' => true,
+			'file'    => FileManager::get_client_data( $result ),
+		], 200 );
 	}
 
 }
@@ -0,0 +1,383 @@
+<?php
+/**
+ * Rollback Manager
+ *
+ * Journals the objects an import run created or updated so the run can be
+ * undone: created objects are deleted and updated objects are restored to
+ * the previous values reported by the process callback.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use WP_Error;
+
+/**
+ * Class RollbackManager
+ *
+ * Each run's journal is a non-autoloaded option keyed by run ID. Rolling
+ * back consumes the journal from the end, newest entry first, so an object
+ * updated several times ends up with the values it had before the run,
+ * and an interrupted rollback can simply be continued.
+ */
+class RollbackManager {
+
+	/**
+	 * Option prefix for run journals.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const OPTION_PREFIX = 'importers_rollback_';
+
+	/**
+	 * Object types rolled back without a rollback_callback.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const OBJECT_TYPES = [ 'post', 'term', 'user', 'comment' ];
+
+	/**
+	 * Build a journal entry from a process_callback result.
+	 *
+	 * Only created objects and updated objects with previous values can
+	 * be rolled back; anything else returns null.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array  $record Result array returned by the process_callback.
+	 * @param string $status Resolved row status ('created' or 'updated').
+	 *
+	 * @return array|null Journal entry or null if the result is not journaled.
+	 */
+	public static function create_entry( array $record, string $status ): ?array {
+		$object_type = sanitize_key( (string) ( $record['object_type'] ?? '' ) );
+		$object_id   = absint( $record['object_id'] ?? 0 );
+
+		if ( $object_type === '' || $object_id === 0 ) {
+			return null;
+		}
+
+		$entry = [
+			'action'      => $status === 'updated' ? 'restore' : 'delete',
+			'object_type' => $object_type,
+			'object_id'   => $object_id,
+		];
+
+		if ( ! empty( $record['taxonomy'] ) ) {
+			$entry['taxonomy'] = sanitize_key( (string) $record['taxonomy'] );
+		}
+
+		if ( $entry['action'] === 'restore' ) {
+			if ( empty( $record['previous'] ) || ! is_array( $record['previous'] ) ) {
+				return null;
+			}
+
+			$entry['previous'] = $record['previous'];
+		}
+
+		return $entry;
+	}
+
+	/**
+	 * Append journal entries to a run.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $run_id  The run ID.
+	 * @param array  $entries Entries from create_entry().
+	 *
+	 * @return void
+	 */
+	public static function add_entries( string $run_id, array $entries ): void {
+		if ( empty( $entries ) ) {
+			return;
+		}
+
+		$journal = self::get_journal( $run_id );
+
+		$journal['entries'] = array_merge( $journal['entries'], $entries );
+		$journal['total']   += count( $entries );
+
+		update_option( self::OPTION_PREFIX . $run_id, $journal, false );
+	}
+
+	/**
+	 * Get the number of entries left to roll back for a run.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $run_id The run ID.
+	 *
+	 * @return int
+	 */
+	public static function get_count( string $run_id ): int {
+		return count( self::get_journal( $run_id )['entries'] );
+	}
+
+	/**
+	 * Roll back the next batch of journal entries, newest first.
+	 *
+	 * Processed entries are removed from the journal whether or not they
+	 * succeed; failures are reported instead of retried. The journal is
+	 * deleted once it is empty.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string        $run_id   The run ID.
+	 * @param int           $limit    Maximum entries to process.
+	 * @param callable|null $callback Operation rollback_callback for custom object types.
+	 *
+	 * @return array Batch results with 'processed', 'deleted', 'restored', 'failed',
+	 *               'errors', 'remaining' and 'total'.
+	 */
+	public static function process_batch( string $run_id, int $limit, ?callable $callback = null ): array {
+		$journal = self::get_journal( $run_id );
+		$batch   = array_reverse( array_splice( $journal['entries'], - max( 1, $limit ) ) );
+
+		$results = [
+			'processed' => 0,
+			'deleted'   => 0,
+			'restored'  => 0,
+			'failed'    => 0,
+			'errors'    => [],
+			'remaining' => count( $journal['entries'] ),
+			'total'     => $journal['total'],
+		];
+
+		foreach ( $batch as $entry ) {
+			$results['processed'] ++;
+
+			$result = self::rollback_entry( $entry, $callback );
+
+			if ( is_wp_error( $result ) ) {
+				$results['failed'] ++;
+				$results['errors'][] = [
+					'item'    => $entry['object_type'] . ' #' . $entry['object_id'],
+					'message' => $result->get_error_message(),
+				];
+			} elseif ( $entry['action'] === 'restore' ) {
+				$results['restored'] ++;
+			} else {
+				$results['deleted'] ++;
+			}
+		}
+
+		if ( empty( $journal['entries'] ) ) {
+			self::delete_journal( $run_id );
+		} else {
+			update_option( self::OPTION_PREFIX . $run_id, $journal, false );
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Delete a run's journal.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $run_id The run ID.
+	 *
+	 * @return void
+	 */
+	public static function delete_journal( string $run_id ): void {
+		delete_option( self::OPTION_PREFIX . $run_id );
+	}
+
+	/** Handlers ****************************************************************/
+
+	/**
+	 * Roll back a single journal entry.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array         $entry    Journal entry.
+	 * @param callable|null $callback Operation rollback_callback.
+	 *
+	 * @return true|WP_Error
+	 */
+	private static function rollback_entry( array $entry, ?callable $callback ) {
+		if ( ! in_array( $entry['object_type'], self::OBJECT_TYPES, true ) ) {
+			if ( ! $callback ) {
+				return new WP_Error(
+					'rollback_unsupported',
+					sprintf(
+						__( 'No rollback_callback is defined for "%s" objects.', 'arraypress' ),
+						$entry['object_type']
+					)
+				);
+			}
+
+			$result = call_user_func( $callback, $entry );
+
+			if ( is_wp_error( $result ) ) {
+				return $result;
+			}
+
+			return $result === false
+				? new WP_Error( 'rollback_failed', __( 'The object could not be rolled back.', 'arraypress' ) )
+				: true;
+		}
+
+		return $entry['action'] === 'restore'
+			? self::restore_object( $entry )
+			: self::delete_object( $entry );
+	}
+
+	/**
+	 * Delete an object created by the run.
+	 *
+	 * Objects that no longer exist count as rolled back.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $entry Journal entry.
+	 *
+	 * @return true|WP_Error
+	 */
+	private static function delete_object( array $entry ) {
+		$id = $entry['object_id'];
+
+		switch ( $entry['object_type'] ) {
+			case 'post':
+				if ( ! get_post( $id ) ) {
+					return true;
+				}
+
+				$deleted = (bool) wp_delete_post( $id, true );
+				break;
+
+			case 'term':
+				$term = get_term( $id, $entry['taxonomy'] ?? '' );
+				if ( ! $term || is_wp_error( $term ) ) {
+					return true;
+				}
+
+				$deleted = wp_delete_term( $id, $term->taxonomy );
+				break;
+
+			case 'user':
+				if ( ! get_userdata( $id ) ) {
+					return true;
+				}
+
+				if ( $id === get_current_user_id() ) {
+					return new WP_Error( 'rollback_failed', __( 'You cannot delete your own user account.', 'arraypress' ) );
+				}
+
+				if ( ! function_exists( 'wp_delete_user' ) ) {
+					require_once ABSPATH . 'wp-admin/includes/user.php';
+				}
+
+				$deleted = wp_delete_user( $id );
+				break;
+
+			default:
+				if ( ! get_comment( $id ) ) {
+					return true;
+				}
+
+				$deleted = wp_delete_comment( $id, true );
+		}
+
+		if ( is_wp_error( $deleted ) ) {
+			return $deleted;
+		}
+
+		return $deleted === true
+			? true
+			: new WP_Error( 'rollback_failed', __( 'The object could not be deleted.', 'arraypress' ) );
+	}
+
+	/**
+	 * Restore an object updated by the run to its previous values.
+	 *
+	 * Previous values are object fields as accepted by the matching
+	 * wp_update_*() function, plus an optional 'meta' array. A null meta
+	 * value means the key did not exist and is deleted.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $entry Journal entry.
+	 *
+	 * @return true|WP_Error
+	 */
+	private static function restore_object( array $entry ) {
+		$id     = $entry['object_id'];
+		$fields = $entry['previous'];
+		$meta   = $fields['meta'] ?? [];
+
+		unset( $fields['meta'] );
+
+		$result = true;
+
+		if ( ! empty( $fields ) ) {
+			switch ( $entry['object_type'] ) {
+				case 'post':
+					$result = wp_update_post( array_merge( $fields, [ 'ID' => $id ] ), true );
+					break;
+
+				case 'term':
+					$term   = get_term( $id, $entry['taxonomy'] ?? '' );
+					$result = $term && ! is_wp_error( $term )
+						? wp_update_term( $id, $term->taxonomy, $fields )
+						: new WP_Error( 'rollback_failed', __( 'The term no longer exists.', 'arraypress' ) );
+					break;
+
+				case 'user':
+					$result = wp_update_user( array_merge( $fields, [ 'ID' => $id ] ) );
+					break;
+
+				default:
+					$result = wp_update_comment( array_merge( $fields, [ 'comment_ID' => $id ] ), true );
+			}
+		}
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		foreach ( (array) $meta as $key => $value ) {
+			if ( $value === null ) {
+				delete_metadata( $entry['object_type'], $id, (string) $key );
+			} else {
+				update_metadata( $entry['object_type'], $id, (string) $key, $value );
+			}
+		}
+
+		return true;
+	}
+
+	/** Storage *****************************************************************/
+
+	/**
+	 * Get a run's journal.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $run_id The run ID.
+	 *
+	 * @return array Array with 'total' and 'entries'.
+	 */
+	private static function get_journal( string $run_id ): array {
+		$journal = get_option( self::OPTION_PREFIX . $run_id, [] );
+
+		if ( ! is_array( $journal ) || ! isset( $journal['entries'] ) ) {
+			return [
+				'total'   => 0,
+				'entries' => [],
+			];
+		}
+
+		return $journal;
+	}
+
+}
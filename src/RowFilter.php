@@ -0,0 +1,277 @@
+<?php
+/**
+ * Row Filter
+ *
+ * Limits a run to part of its file: rows whose columns match a set of
+ * rules, within a row range, up to a maximum number of rows. Dry runs,
+ * batches and the run's total all read rows through the same filters.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use WP_Error;
+
+/**
+ * Class RowFilter
+ *
+ * Filters are stored with the run settings under 'filters': a list of
+ * 'rules' (each a 'column', 'operator' and 'value'), whether rows must
+ * match 'all' or 'any' of them, the number of data rows to 'skip', the
+ * data row to 'end' at and the 'limit' of rows to process. Row positions
+ * count data rows only, not the header.
+ */
+class RowFilter {
+
+	/**
+	 * Supported rule operators.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const OPERATORS = [ 'equals', 'not_equals', 'contains', 'not_contains', 'regex', 'not_regex', 'empty', 'not_empty' ];
+
+	/**
+	 * Maximum number of rules.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_RULES = 10;
+
+	/**
+	 * Validate and normalize row filters.
+	 *
+	 * Rules without a column are ignored. A regex that does not compile
+	 * is an error rather than being dropped, as it would change which rows
+	 * are imported.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param mixed $filters Raw filters.
+	 *
+	 * @return array|WP_Error Normalized filters, an empty array if none are
+	 *                        set, or WP_Error if they are invalid.
+	 */
+	public static function sanitize( $filters ): array|WP_Error {
+		$filters = (array) $filters;
+		$rules   = [];
+
+		foreach ( array_slice( (array) ( $filters['rules'] ?? [] ), 0, self::MAX_RULES ) as $rule ) {
+			$rule     = (array) $rule;
+			$column   = sanitize_text_field( (string) ( $rule['column'] ?? '' ) );
+			$operator = in_array( $rule['operator'] ?? '', self::OPERATORS, true ) ? $rule['operator'] : 'equals';
+			$value    = wp_check_invalid_utf8( wp_kses_no_null( (string) ( $rule['value'] ?? '' ) ) );
+
+			if ( $column === '' ) {
+				continue;
+			}
+
+			if ( in_array( $operator, [ 'regex', 'not_regex' ], true ) && ! ColumnMapper::is_valid_regex( $value ) ) {
+				return new WP_Error(
+					'invalid_filter',
+					sprintf( __( 'The row filter pattern "%s" is not a valid regular expression.', 'arraypress' ), $value ),
+					[ 'status' => 400 ]
+				);
+			}
+
+			$rules[] = [
+				'column'   => $column,
+				'operator' => $operator,
+				'value'    => in_array( $operator, [ 'empty', 'not_empty' ], true ) ? '' : $value,
+			];
+		}
+
+		$sanitized = [
+			'rules' => $rules,
+			'match' => ( $filters['match'] ?? 'all' ) === 'any' ? 'any' : 'all',
+			'skip'  => absint( $filters['skip'] ?? 0 ),
+			'end'   => absint( $filters['end'] ?? 0 ),
+			'limit' => absint( $filters['limit'] ?? 0 ),
+		];
+
+		if ( $sanitized['end'] && $sanitized['end'] <= $sanitized['skip'] ) {
+			return new WP_Error(
+				'invalid_filter',
+				__( 'The last row to import must come after the skipped rows.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return self::is_active( $sanitized ) ? $sanitized : [];
+	}
+
+	/**
+	 * Check whether filters limit the rows of a run.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $filters Normalized filters.
+	 *
+	 * @return bool
+	 */
+	public static function is_active( array $filters ): bool {
+		return ! empty( $filters['rules'] ) || ! empty( $filters['skip'] ) || ! empty( $filters['end'] ) || ! empty( $filters['limit'] );
+	}
+
+	/**
+	 * Check whether a row matches the filter rules.
+	 *
+	 * Equals and contains ignore case; regex patterns are written without
+	 * delimiters. Missing columns count as empty.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $row     Row data keyed by column name.
+	 * @param array $filters Normalized filters.
+	 *
+	 * @return bool True if the row matches, or if there are no rules.
+	 */
+	public static function matches( array $row, array $filters ): bool {
+		if ( empty( $filters['rules'] ) ) {
+			return true;
+		}
+
+		foreach ( $filters['rules'] as $rule ) {
+			$matched = self::matches_rule( trim( (string) ( $row[ $rule['column'] ] ?? '' ) ), $rule );
+
+			if ( $matched && $filters['match'] === 'any' ) {
+				return true;
+			}
+
+			if ( ! $matched && $filters['match'] === 'all' ) {
+				return false;
+			}
+		}
+
+		return $filters['match'] === 'all';
+	}
+
+	/**
+	 * Count the rows a run will process.
+	 *
+	 * Files are only read when there are rules; row ranges and limits are
+	 * applied to the file's row count.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $file_uuid The import file UUID.
+	 * @param array  $filters   Normalized filters.
+	 * @param int    $rows      Number of data rows in the file.
+	 *
+	 * @return int|WP_Error The number of rows or WP_Error if the file cannot be read.
+	 */
+	public static function count( string $file_uuid, array $filters, int $rows ): int|WP_Error {
+		$first = $filters['skip'] ?? 0;
+		$last  = ! empty( $filters['end'] ) ? min( $filters['end'], $rows ) : $rows;
+
+		if ( empty( $filters['rules'] ) ) {
+			$total = max( 0, $last - $first );
+		} else {
+			$total = FileManager::count_rows( $file_uuid, function ( array $row, int $index ) use ( $first, $last, $filters ) {
+				return $index >= $first && $index < $last && self::matches( $row, $filters );
+			} );
+
+			if ( is_wp_error( $total ) ) {
+				return $total;
+			}
+		}
+
+		return ! empty( $filters['limit'] ) ? min( $total, $filters['limit'] ) : $total;
+	}
+
+	/**
+	 * Read the next batch of a run's rows.
+	 *
+	 * Reading starts after the skipped rows and stops at the end row or
+	 * once the limit is reached, which ends the run. Rows that do not
+	 * match the rules are left out but keep their place: 'rows' is keyed
+	 * by each row's position from 'offset', so row numbers still point at
+	 * the file.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $file_uuid  The import file UUID.
+	 * @param int    $offset     Row offset to continue from.
+	 * @param int    $batch_size Number of rows to read.
+	 * @param array  $filters    Normalized filters, or an empty array.
+	 * @param int    $taken      Rows the run has already processed.
+	 *
+	 * @return array|WP_Error Array with 'rows', 'offset' (where reading
+	 *                        started), 'count' (rows read) and 'has_more',
+	 *                        or WP_Error on failure.
+	 */
+	public static function read_batch( string $file_uuid, int $offset, int $batch_size, array $filters, int $taken = 0 ): array|WP_Error {
+		if ( empty( $filters ) ) {
+			return FileManager::read_batch( $file_uuid, $offset, $batch_size );
+		}
+
+		$offset = max( $offset, $filters['skip'] );
+
+		if ( $filters['end'] ) {
+			$batch_size = min( $batch_size, max( 0, $filters['end'] - $offset ) );
+		}
+
+		$batch = $batch_size > 0 ? FileManager::read_batch( $file_uuid, $offset, $batch_size ) : [
+			'rows'     => [],
+			'offset'   => $offset,
+			'count'    => 0,
+			'has_more' => false,
+		];
+
+		if ( is_wp_error( $batch ) ) {
+			return $batch;
+		}
+
+		$rows = [];
+
+		foreach ( $batch['rows'] as $index => $row ) {
+			if ( $filters['limit'] && $taken >= $filters['limit'] ) {
+				break;
+			}
+
+			if ( self::matches( is_array( $row ) ? $row : [], $filters ) ) {
+				$rows[ $index ] = $row;
+				$taken ++;
+			}
+		}
+
+		$batch['rows'] = $rows;
+
+		if ( ( $filters['end'] && $offset + $batch['count'] >= $filters['end'] ) || ( $filters['limit'] && $taken >= $filters['limit'] ) ) {
+			$batch['has_more'] = false;
+		}
+
+		return $batch;
+	}
+
+	/**
+	 * Check a value against a single rule.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $value The trimmed column value.
+	 * @param array  $rule  Normalized rule.
+	 *
+	 * @return bool
+	 */
+	private static function matches_rule( string $value, array $rule ): bool {
+		return match ( $rule['operator'] ) {
+			'not_equals'   => strcasecmp( $value, $rule['value'] ) !== 0,
+			'contains'     => mb_stripos( $value, $rule['value'] ) !== false,
+			'not_contains' => mb_stripos( $value, $rule['value'] ) === false,
+			'regex'        => preg_match( ColumnMapper::get_regex( $rule['value'] ), $value ) === 1,
+			'not_regex'    => preg_match( ColumnMapper::get_regex( $rule['value'] ), $value ) !== 1,
+			'empty'        => $value === '',
+			'not_empty'    => $value !== '',
+			default        => strcasecmp( $value, $rule['value'] ) === 0,
+		};
+	}
+
+}
@@ -0,0 +1,615 @@
+<?php
+/**
+ * Schedule Manager
+ *
+ * Runs imports on a recurring schedule for operations with the 'schedule'
+ * option. Each run fetches the file from a URL or server directory, maps
+ * it with a saved preset and hands it to the background job runner, so
+ * scheduled runs are recorded in the stats and history like any other.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use DateTime;
+use WP_Error;
+
+/**
+ * Class ScheduleManager
+ *
+ * One schedule per operation is stored in a non-autoloaded option and
+ * driven by a recurring WP-Cron event. Scheduled runs execute as the user
+ * who saved the schedule. A summary is emailed when a run cannot start,
+ * ends with an error or has failed rows.
+ */
+class ScheduleManager {
+
+	/**
+	 * Cron hook that starts a scheduled run.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const HOOK = 'importers_run_scheduled_import';
+
+	/**
+	 * Option prefix for schedules.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const OPTION_PREFIX = 'importers_schedule_';
+
+	/**
+	 * File sources a schedule can fetch from.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const SOURCES = [ 'url', 'server' ];
+
+	/**
+	 * Maximum number of errors listed in a failure email.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_EMAIL_ERRORS = 20;
+
+	/**
+	 * Whether the cron hook has been registered.
+	 *
+	 * @since 2.2.0
+	 * @var bool
+	 */
+	private static bool $registered = false;
+
+	/**
+	 * Register the cron hook.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return void
+	 */
+	public static function register(): void {
+		if ( self::$registered ) {
+			return;
+		}
+
+		add_action( self::HOOK, [ __CLASS__, 'run' ], 10, 2 );
+
+		self::$registered = true;
+	}
+
+	/**
+	 * Get the recurrence intervals a schedule can use.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return array Interval name => label, shortest first.
+	 */
+	public static function get_intervals(): array {
+		$schedules = wp_get_schedules();
+
+		uasort( $schedules, function ( $a, $b ) {
+			return $a['interval'] <=> $b['interval'];
+		} );
+
+		return wp_list_pluck( $schedules, 'display' );
+	}
+
+	/**
+	 * Get an operation's schedule.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return array|null Schedule or null if none is saved.
+	 */
+	public static function get_schedule( string $page_id, string $operation_id ): ?array {
+		$schedule = get_option( self::get_option_key( $page_id, $operation_id ) );
+
+		return is_array( $schedule ) ? $schedule : null;
+	}
+
+	/**
+	 * Validate and save an operation's schedule.
+	 *
+	 * Replaces any existing schedule and reschedules its cron event. The
+	 * first run is at the next occurrence of 'time' (site timezone) or one
+	 * interval from now when no time is given.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param array  $data         Schedule with 'enabled', 'interval', 'time',
+	 *                             'source', 'url', 'directory', 'file',
+	 *                             'preset_id', 'mode', 'match_key' and 'email'.
+	 *
+	 * @return array|WP_Error The saved schedule or WP_Error on failure.
+	 */
+	public static function save_schedule( string $page_id, string $operation_id, array $data ) {
+		$operation = ImportProcessor::get_operation( $page_id, $operation_id );
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
+		}
+
+		if ( empty( $operation['schedule'] ) ) {
+			return new WP_Error( 'schedule_not_allowed', __( 'This operation cannot be scheduled.', 'arraypress' ) );
+		}
+
+		$intervals = self::get_intervals();
+		$interval  = (string) ( $data['interval'] ?? '' );
+
+		if ( ! isset( $intervals[ $interval ] ) ) {
+			return new WP_Error( 'invalid_interval', __( 'Invalid schedule interval.', 'arraypress' ) );
+		}
+
+		$time = trim( (string) ( $data['time'] ?? '' ) );
+
+		if ( $time !== '' && ! preg_match( '/^([01]\d|2[0-3]):[0-5]\d$/', $time ) ) {
+			return new WP_Error( 'invalid_time', __( 'Please enter the start time as HH:MM.', 'arraypress' ) );
+		}
+
+		$source = (string) ( $data['source'] ?? '' );
+
+		if ( ! in_array( $source, self::SOURCES, true ) || ! in_array( $source, $operation['sources'], true ) ) {
+			return new WP_Error(
+				'source_not_allowed',
+				__( 'This operation does not accept files from this source.', 'arraypress' )
+			);
+		}
+
+		$url       = (string) ( $data['url'] ?? '' );
+		$directory = (int) ( $data['directory'] ?? 0 );
+		$file      = (string) ( $data['file'] ?? '' );
+
+		if ( $source === 'url' && ! wp_http_validate_url( $url ) ) {
+			return new WP_Error( 'invalid_url', __( 'Please enter a valid public http or https URL.', 'arraypress' ) );
+		}
+
+		if ( $source === 'server' && ( $file === '' || $file !== basename( $file ) || ! isset( $operation['server_directories'][ $directory ] ) ) ) {
+			return new WP_Error( 'invalid_server_file', __( 'The selected file is not in an allowed directory.', 'arraypress' ) );
+		}
+
+		$preset_id = (string) ( $data['preset_id'] ?? '' );
+
+		if ( ! PresetManager::get_preset( $page_id, $operation_id, $preset_id ) ) {
+			return new WP_Error( 'preset_not_found', __( 'Please choose a saved field mapping.', 'arraypress' ) );
+		}
+
+		$settings = MatchResolver::get_settings( $operation, $data['mode'] ?? null, $data['match_key'] ?? null );
+		if ( is_wp_error( $settings ) ) {
+			return $settings;
+		}
+
+		$email = (string) ( $data['email'] ?? '' );
+
+		if ( $email !== '' && ! is_email( $email ) ) {
+			return new WP_Error( 'invalid_email', __( 'Please enter a valid email address.', 'arraypress' ) );
+		}
+
+		$previous = self::get_schedule( $page_id, $operation_id ) ?? [];
+
+		$schedule = [
+			'enabled'      => ! empty( $data['enabled'] ),
+			'interval'     => $interval,
+			'time'         => $time,
+			'source'       => $source,
+			'url'          => $source === 'url' ? $url : '',
+			'directory'    => $source === 'server' ? $directory : 0,
+			'file'         => $source === 'server' ? $file : '',
+			'preset_id'    => $preset_id,
+			'settings'     => $settings,
+			'email'        => $email,
+			'user_id'      => get_current_user_id(),
+			'last_run'     => $previous['last_run'] ?? null,
+			'last_status'  => $previous['last_status'] ?? null,
+			'last_message' => $previous['last_message'] ?? '',
+			'file_uuid'    => $previous['file_uuid'] ?? null,
+		];
+
+		self::save( $page_id, $operation_id, $schedule );
+
+		$args = [ $page_id, $operation_id ];
+		wp_clear_scheduled_hook( self::HOOK, $args );
+
+		if ( $schedule['enabled'] ) {
+			wp_schedule_event( self::get_first_run( $interval, $time ), $interval, self::HOOK, $args );
+		}
+
+		return $schedule;
+	}
+
+	/**
+	 * Delete an operation's schedule and its cron event.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return bool True if a schedule was deleted.
+	 */
+	public static function delete_schedule( string $page_id, string $operation_id ): bool {
+		wp_clear_scheduled_hook( self::HOOK, [ $page_id, $operation_id ] );
+
+		return delete_option( self::get_option_key( $page_id, $operation_id ) );
+	}
+
+	/**
+	 * Get a one-line description of a schedule's next and last run.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return string
+	 */
+	public static function get_summary( string $page_id, string $operation_id ): string {
+		$schedule = self::get_schedule( $page_id, $operation_id );
+
+		if ( ! $schedule ) {
+			return __( 'No schedule has been saved for this operation.', 'arraypress' );
+		}
+
+		$next = wp_next_scheduled( self::HOOK, [ $page_id, $operation_id ] );
+
+		$summary = $next && $schedule['enabled']
+			? sprintf(
+				__( 'Next run: %s.', 'arraypress' ),
+				wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $next )
+			)
+			: __( 'The schedule is paused.', 'arraypress' );
+
+		if ( $schedule['last_run'] ) {
+			$summary .= ' ' . sprintf(
+				__( 'Last run: %1$s (%2$s).', 'arraypress' ),
+				StatsManager::get_relative_time( $schedule['last_run'] ),
+				$schedule['last_message'] ?: $schedule['last_status']
+			);
+		}
+
+		return $summary;
+	}
+
+	/**
+	 * Start a scheduled run from the cron event.
+	 *
+	 * Runs as the user who saved the schedule and processes the first
+	 * batches right away. Runs that cannot start are recorded on the
+	 * schedule and reported by email.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return void
+	 */
+	public static function run( string $page_id, string $operation_id ): void {
+		$schedule = self::get_schedule( $page_id, $operation_id );
+
+		if ( ! $schedule || ! $schedule['enabled'] ) {
+			return;
+		}
+
+		wp_set_current_user( (int) $schedule['user_id'] );
+
+		$started = self::start( $page_id, $operation_id );
+
+		if ( is_wp_error( $started ) ) {
+			$schedule = self::update( $page_id, $operation_id, [
+				'last_run'     => current_time( 'mysql', true ),
+				'last_status'  => 'error',
+				'last_message' => $started->get_error_message(),
+				'file_uuid'    => null,
+			] );
+
+			self::notify( $page_id, $operation_id, $schedule, $started->get_error_message() );
+
+			return;
+		}
+
+		BackgroundManager::run( $page_id, $operation_id );
+	}
+
+	/**
+	 * Fetch the schedule's file and queue it as a background import.
+	 *
+	 * Also used to run a schedule immediately from the import card.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return array|WP_Error The queued job or WP_Error if the run could not start.
+	 */
+	public static function start( string $page_id, string $operation_id ) {
+		$schedule = self::get_schedule( $page_id, $operation_id );
+
+		if ( ! $schedule ) {
+			return new WP_Error( 'schedule_not_found', __( 'No schedule has been saved for this operation.', 'arraypress' ) );
+		}
+
+		$operation = ImportProcessor::get_operation( $page_id, $operation_id );
+		if ( is_wp_error( $operation ) ) {
+			return $operation;
+		}
+
+		// Checking the status also restarts a job that stalled
+		if ( BackgroundManager::get_active_job( $page_id, $operation_id ) ) {
+			BackgroundManager::get_status( $page_id, $operation_id );
+
+			return new WP_Error(
+				'job_active',
+				__( 'A background import is already running for this operation.', 'arraypress' )
+			);
+		}
+
+		$stats = StatsManager::get_stats( $page_id, $operation_id );
+
+		// A run that can no longer be resumed would otherwise block every scheduled run
+		if ( StatsManager::is_abandoned( $stats ) ) {
+			StatsManager::complete_run( $page_id, $operation_id, 'cancelled' );
+		} elseif ( $stats['last_status'] === 'running' ) {
+			return new WP_Error(
+				'import_running',
+				__( 'Another import of this operation is in progress or unfinished.', 'arraypress' )
+			);
+		}
+
+		$preset = PresetManager::get_preset( $page_id, $operation_id, $schedule['preset_id'] );
+
+		if ( ! $preset ) {
+			return new WP_Error( 'preset_not_found', __( 'The saved field mapping used by the schedule no longer exists.', 'arraypress' ) );
+		}
+
+		if ( $schedule['source'] === 'url' ) {
+			$file_data = FileManager::handle_remote_file( $page_id, $schedule['url'], (int) $operation['max_file_size'] );
+		} else {
+			$file_data = FileManager::handle_server_file(
+				$page_id,
+				$operation['server_directories'],
+				(int) $schedule['directory'],
+				$schedule['file'],
+				(int) $operation['max_file_size']
+			);
+		}
+
+		if ( is_wp_error( $file_data ) ) {
+			return $file_data;
+		}
+
+		$missing = [];
+
+		foreach ( $preset['field_map'] as $entry ) {
+			$missing = array_merge( $missing, array_diff( ColumnMapper::get_columns( $entry ), $file_data['headers'] ) );
+		}
+
+		$missing = array_unique( $missing );
+
+		if ( $missing ) {
+			FileManager::delete_file( $file_data['uuid'] );
+
+			return new WP_Error(
+				'missing_columns',
+				sprintf(
+					__( 'The file is missing mapped columns: %s', 'arraypress' ),
+					implode( ', ', $missing )
+				)
+			);
+		}
+
+		$started = ImportProcessor::start( $page_id, $operation_id, $file_data['uuid'], $preset['field_map'], $schedule['settings'] );
+
+		if ( is_wp_error( $started ) ) {
+			FileManager::delete_file( $file_data['uuid'] );
+
+			return $started;
+		}
+
+		self::update( $page_id, $operation_id, [
+			'last_run'     => current_time( 'mysql', true ),
+			'last_status'  => 'running',
+			'last_message' => '',
+			'file_uuid'    => $file_data['uuid'],
+		] );
+
+		return BackgroundManager::queue( $page_id, $operation_id, $file_data['uuid'], $preset['field_map'], $started['total'] );
+	}
+
+	/**
+	 * Record the outcome of a finished background job.
+	 *
+	 * Called by the background runner for every finished job; jobs that
+	 * were not started by the operation's schedule are ignored.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $job The finished job.
+	 *
+	 * @return void
+	 */
+	public static function finish_job( array $job ): void {
+		$schedule = self::get_schedule( $job['page_id'], $job['operation_id'] );
+
+		if ( ! $schedule || $schedule['file_uuid'] !== $job['file_uuid'] ) {
+			return;
+		}
+
+		$stats   = $job['result']['stats'] ?? StatsManager::get_default_stats();
+		$message = sprintf(
+			__( '%1$d created, %2$d updated, %3$d skipped, %4$d failed', 'arraypress' ),
+			$stats['created'],
+			$stats['updated'],
+			$stats['skipped'],
+			$stats['failed']
+		);
+
+		$schedule = self::update( $job['page_id'], $job['operation_id'], [
+			'last_status'  => $job['status'],
+			'last_message' => $message,
+			'file_uuid'    => null,
+		] );
+
+		if ( $job['status'] === 'error' || ( $job['status'] === 'complete' && $stats['failed'] > 0 ) ) {
+			self::notify( $job['page_id'], $job['operation_id'], $schedule, $message, $job['errors'] );
+		}
+	}
+
+	/** Internal ****************************************************************/
+
+	/**
+	 * Email a summary of a failed scheduled run.
+	 *
+	 * Sent to the schedule's email address, or the site admin email when
+	 * none is set.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param array  $schedule     The schedule.
+	 * @param string $message      What went wrong or the run's counts.
+	 * @param array  $errors       Errors with 'row', 'item' and 'message'.
+	 *
+	 * @return void
+	 */
+	private static function notify( string $page_id, string $operation_id, array $schedule, string $message, array $errors = [] ): void {
+		$importers = Registry::instance()->get( $page_id );
+		$operation = $importers ? $importers->get_operation( $operation_id ) : null;
+		$title     = $operation['title'] ?? $operation_id;
+
+		$lines = [
+			sprintf(
+				__( 'The scheduled import "%1$s" on %2$s did not complete successfully.', 'arraypress' ),
+				$title,
+				wp_specialchars_decode( get_bloginfo( 'name' ), ENT_QUOTES )
+			),
+			'',
+			$message,
+		];
+
+		if ( $errors ) {
+			$lines[] = '';
+			$lines[] = __( 'Errors:', 'arraypress' );
+
+			foreach ( array_slice( $errors, 0, self::MAX_EMAIL_ERRORS ) as $error ) {
+				$line = '- ';
+
+				if ( ! empty( $error['row'] ) ) {
+					$line .= sprintf( __( 'Row %d: ', 'arraypress' ), $error['row'] );
+				}
+
+				if ( ! empty( $error['item'] ) ) {
+					$line .= $error['item'] . ' — ';
+				}
+
+				$lines[] = $line . $error['message'];
+			}
+
+			if ( count( $errors ) > self::MAX_EMAIL_ERRORS ) {
+				$lines[] = sprintf( __( '...and %d more.', 'arraypress' ), count( $errors ) - self::MAX_EMAIL_ERRORS );
+			}
+		}
+
+		if ( $importers ) {
+			$lines[] = '';
+			$lines[] = sprintf(
+				__( 'View the import history: %s', 'arraypress' ),
+				admin_url( 'admin.php?page=' . $importers->get_config( 'menu_slug' ) )
+			);
+		}
+
+		wp_mail(
+			$schedule['email'] ?: get_option( 'admin_email' ),
+			sprintf( __( '[%1$s] Scheduled import failed: %2$s', 'arraypress' ), wp_specialchars_decode( get_bloginfo( 'name' ), ENT_QUOTES ), $title ),
+			implode( "\n", $lines )
+		);
+	}
+
+	/**
+	 * Get the timestamp of a new schedule's first run.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $interval Recurrence interval name.
+	 * @param string $time     Start time as HH:MM in the site timezone, or empty.
+	 *
+	 * @return int
+	 */
+	private static function get_first_run( string $interval, string $time ): int {
+		if ( $time === '' ) {
+			return time() + (int) wp_get_schedules()[ $interval ]['interval'];
+		}
+
+		$next = new DateTime( 'today ' . $time, wp_timezone() );
+
+		if ( $next->getTimestamp() <= time() ) {
+			$next->modify( '+1 day' );
+		}
+
+		return $next->getTimestamp();
+	}
+
+	/**
+	 * Merge changes into a saved schedule.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param array  $changes      Schedule keys to change.
+	 *
+	 * @return array The updated schedule.
+	 */
+	private static function update( string $page_id, string $operation_id, array $changes ): array {
+		$schedule = array_merge( self::get_schedule( $page_id, $operation_id ) ?? [], $changes );
+
+		self::save( $page_id, $operation_id, $schedule );
+
+		return $schedule;
+	}
+
+	/**
+	 * Save a schedule.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param array  $schedule     The schedule.
+	 *
+	 * @return void
+	 */
+	private static function save( string $page_id, string $operation_id, array $schedule ): void {
+		update_option( self::get_option_key( $page_id, $operation_id ), $schedule, false );
+	}
+
+	/**
+	 * Get the option key for an operation's schedule.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return string
+	 */
+	private static function get_option_key( string $page_id, string $operation_id ): string {
+		return self::OPTION_PREFIX . sanitize_key( $page_id ) . '_' . sanitize_key( $operation_id );
+	}
+
+}
@@ -3,8 +3,17 @@
  * Stats Manager
  *
  * Handles lightweight tracking of import operation results.
- * Stores only the last run's stats per operation — no history,
- * no run counts, no duration tracking.
+ * Stores only the last run's stats per operation. While a run is in
+ * progress the file UUID, field map and last committed offset are stored
+ * alongside the counts so the run can be resumed after a reload. Each
+ * run is also recorded in the persistent history kept by HistoryManager.
+ *
+ * Batches of order-independent operations can run in parallel, so they
+ * can finish out of order. 'offset' is the row every earlier row has been
+ * committed up to; batches finished beyond it are kept in 'committed' as
+ * [start, end) row ranges until the rows before them are committed too.
+ * While a batch runs, its rows are claimed in 'claims', so a retry sent
+ * before the batch finishes does not process them a second time.
  *
  * @package     ArrayPress\RegisterImporters
  * @copyright   Copyright (c) 2026, ArrayPress Limited
@@ -16,6 +25,8 @@ declare( strict_types=1 );
 
 namespace ArrayPress\RegisterImporters;
 
+use WP_Error;
+
 /**
  * Class StatsManager
  *
@@ -47,6 +58,47 @@ class StatsManager {
 	 */
 	const STATS_EXPIRATION = WEEK_IN_SECONDS;
 
+	/**
+	 * Option prefix for the lock held while a batch is committed.
+	 *
+	 * @since 2.2.0
+	 * @var string
+	 */
+	const LOCK_PREFIX = 'importers_stats_lock_';
+
+	/**
+	 * Seconds after which a lock left by a failed request is taken over.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const LOCK_TIMEOUT = 30;
+
+	/**
+	 * Seconds a request waits for the lock before giving up.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const LOCK_WAIT = 60;
+
+	/**
+	 * Seconds a claim lasts when the claiming request has no time limit.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const CLAIM_TIMEOUT = HOUR_IN_SECONDS;
+
+	/**
+	 * Seconds without a stats change after which a running run counts as
+	 * abandoned.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const ABANDON_TIMEOUT = HOUR_IN_SECONDS;
+
 	/**
 	 * Get the transient key for an operation's stats.
 	 *
@@ -100,6 +152,14 @@ class StatsManager {
 			'failed'      => 0,
 			'errors'      => [],
 			'source_file' => null,
+			'file_uuid'   => null,
+			'field_map'   => [],
+			'settings'    => [],
+			'offset'      => 0,
+			'committed'   => [],
+			'claims'      => [],
+			'run_id'      => null,
+			'updated_at'  => null,
 		];
 	}
 
@@ -112,13 +172,23 @@ class StatsManager {
 	 * @param string      $operation_id The operation ID.
 	 * @param string|null $source_file  Original filename.
 	 * @param int|null    $total        Total items to process.
+	 * @param string|null $file_uuid    UUID of the file being imported.
+	 * @param array       $field_map    Field map used for the run.
+	 * @param array       $settings     Run settings such as the import mode.
 	 *
 	 * @return array The initialized stats.
 	 */
-	public static function init_run( string $page_id, string $operation_id, ?string $source_file = null, ?int $total = null ): array {
+	public static function init_run( string $page_id, string $operation_id, ?string $source_file = null, ?int $total = null, ?string $file_uuid = null, array $field_map = [], array $settings = [] ): array {
+		$previous = self::get_stats( $page_id, $operation_id );
+
+		// A run that never completed is being replaced
+		if ( $previous['last_status'] === 'running' && $previous['run_id'] ) {
+			HistoryManager::finish_run( $page_id, $operation_id, $previous['run_id'], 'cancelled', (int) $previous['total'] );
+		}
+
 		$stats = [
 			'last_run'    => current_time( 'mysql', true ),
-			'last_status' => null,
+			'last_status' => 'running',
 			'total'       => $total ?? 0,
 			'created'     => 0,
 			'updated'     => 0,
@@ -126,6 +196,13 @@ class StatsManager {
 			'failed'      => 0,
 			'errors'      => [],
 			'source_file' => $source_file,
+			'file_uuid'   => $file_uuid,
+			'field_map'   => $field_map,
+			'settings'    => $settings,
+			'offset'      => (int) ( $settings['filters']['skip'] ?? 0 ),
+			'committed'   => [],
+			'claims'      => [],
+			'run_id'      => HistoryManager::start_run( $page_id, $operation_id, $source_file, $total ?? 0, $field_map, $settings ),
 		];
 
 		self::save_stats( $page_id, $operation_id, $stats );
@@ -136,6 +213,11 @@ class StatsManager {
 	/**
 	 * Update stats after processing a batch.
 	 *
+	 * Batches that give the row they started at ('start') are recorded
+	 * as a committed range, which moves 'offset' once every row before it
+	 * is committed, and release the batch's claim. Otherwise 'offset'
+	 * moves straight to the batch's end.
+	 *
 	 * @since 2.0.0
 	 *
 	 * @param string $page_id      The importer page ID.
@@ -152,6 +234,14 @@ class StatsManager {
 		$stats['skipped'] += $batch_result['skipped'] ?? 0;
 		$stats['failed']  += $batch_result['failed'] ?? 0;
 
+		// Record the next uncommitted offset
+		if ( isset( $batch_result['start'], $batch_result['offset'] ) ) {
+			$stats           = self::commit_range( $stats, (int) $batch_result['start'], (int) $batch_result['offset'] );
+			$stats['claims'] = self::remove_claim( $stats['claims'], (int) $batch_result['start'] );
+		} elseif ( isset( $batch_result['offset'] ) ) {
+			$stats['offset'] = max( (int) $stats['offset'], (int) $batch_result['offset'] );
+		}
+
 		// Append errors (capped)
 		if ( ! empty( $batch_result['errors'] ) ) {
 			$stats['errors'] = array_merge( $stats['errors'], $batch_result['errors'] );
@@ -160,9 +250,287 @@ class StatsManager {
 
 		self::save_stats( $page_id, $operation_id, $stats );
 
+		if ( $stats['run_id'] ) {
+			HistoryManager::update_run( $page_id, $operation_id, $stats['run_id'], $batch_result );
+		}
+
 		return $stats;
 	}
 
+	/**
+	 * Get the first row at or after an offset that is not committed yet.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $stats  The operation's stats.
+	 * @param int   $offset Row offset.
+	 *
+	 * @return int
+	 */
+	public static function get_next_uncommitted( array $stats, int $offset ): int {
+		$offset = max( $offset, (int) $stats['offset'] );
+
+		foreach ( self::sort_ranges( $stats['committed'] ) as [ $start, $end ] ) {
+			if ( $start <= $offset && $offset < $end ) {
+				$offset = $end;
+			}
+		}
+
+		return $offset;
+	}
+
+	/**
+	 * Get how many rows from an offset can be read before reaching a
+	 * committed range.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $stats  The operation's stats.
+	 * @param int   $offset Row offset, which must not be committed.
+	 * @param int   $size   Number of rows wanted.
+	 *
+	 * @return int
+	 */
+	public static function get_uncommitted_size( array $stats, int $offset, int $size ): int {
+		foreach ( $stats['committed'] as [ $start ] ) {
+			if ( $start > $offset ) {
+				$size = min( $size, $start - $offset );
+			}
+		}
+
+		return $size;
+	}
+
+	/**
+	 * Check whether any row in a range has been committed.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $stats The operation's stats.
+	 * @param int   $start First row of the range.
+	 * @param int   $end   Row after the range.
+	 *
+	 * @return bool
+	 */
+	public static function is_committed( array $stats, int $start, int $end ): bool {
+		if ( $start < (int) $stats['offset'] ) {
+			return true;
+		}
+
+		foreach ( $stats['committed'] as [ $committed_start, $committed_end ] ) {
+			if ( $committed_start < $end && $start < $committed_end ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Claim a range of rows for a batch about to process them.
+	 *
+	 * Call this under with_lock(). Expired claims are dropped. A claim
+	 * lasts until the claiming request's max_execution_time has certainly
+	 * passed, plus the time it may wait for the lock to commit, so a batch
+	 * that is still running never loses its claim to a retry.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param array  $stats        The operation's stats, read under the lock.
+	 * @param int    $start        First row of the range.
+	 * @param int    $end          Row after the range.
+	 *
+	 * @return bool False if a batch that is still running has claimed any
+	 *              of the rows.
+	 */
+	public static function claim_range( string $page_id, string $operation_id, array $stats, int $start, int $end ): bool {
+		$claims = [];
+
+		foreach ( $stats['claims'] as [ $claim_start, $claim_end, $expires ] ) {
+			if ( $expires < time() ) {
+				continue;
+			}
+
+			if ( $claim_start < $end && $start < $claim_end ) {
+				return false;
+			}
+
+			$claims[] = [ $claim_start, $claim_end, $expires ];
+		}
+
+		$time_limit = (int) ini_get( 'max_execution_time' );
+		$lifetime   = $time_limit > 0 ? $time_limit + self::LOCK_WAIT : self::CLAIM_TIMEOUT;
+
+		$claims[]        = [ $start, $end, time() + $lifetime ];
+		$stats['claims'] = $claims;
+
+		self::save_stats( $page_id, $operation_id, $stats );
+
+		return true;
+	}
+
+	/**
+	 * Release the claim of a batch that ends without committing its rows.
+	 *
+	 * Call this under with_lock().
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param array  $stats        The operation's stats, read under the lock.
+	 * @param int    $start        First row of the batch.
+	 *
+	 * @return void
+	 */
+	public static function release_claim( string $page_id, string $operation_id, array $stats, int $start ): void {
+		$stats['claims'] = self::remove_claim( $stats['claims'], $start );
+
+		self::save_stats( $page_id, $operation_id, $stats );
+	}
+
+	/**
+	 * Run a callback while holding an operation's commit lock.
+	 *
+	 * Parallel batches read and write the same stats, history and error
+	 * report, so their results are committed one at a time. The lock is an
+	 * option inserted with INSERT IGNORE, as WordPress core does for its
+	 * upgrade lock, so only one request can create it. The stats are read
+	 * again under the lock. A request that cannot get the lock within
+	 * LOCK_WAIT, such as when the options table cannot be written, gives up
+	 * without running the callback.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string   $page_id      The importer page ID.
+	 * @param string   $operation_id The operation ID.
+	 * @param callable $callback     Receives the current stats.
+	 *
+	 * @return mixed|WP_Error The callback's return value, or WP_Error with
+	 *                        code 'lock_timeout' if the lock was not acquired.
+	 */
+	public static function with_lock( string $page_id, string $operation_id, callable $callback ) {
+		global $wpdb;
+
+		$name     = self::LOCK_PREFIX . sanitize_key( $page_id ) . '_' . sanitize_key( $operation_id );
+		$deadline = time() + self::LOCK_WAIT;
+
+		while ( ! $wpdb->query( $wpdb->prepare(
+			"INSERT IGNORE INTO `$wpdb->options` ( `option_name`, `option_value`, `autoload` ) VALUES ( %s, %s, 'no' )",
+			$name,
+			time()
+		) ) ) {
+			$locked = (int) $wpdb->get_var( $wpdb->prepare(
+				"SELECT `option_value` FROM `$wpdb->options` WHERE `option_name` = %s",
+				$name
+			) );
+
+			// Take over a lock left by a request that never released it
+			if ( $locked && $locked < time() - self::LOCK_TIMEOUT ) {
+				$wpdb->delete( $wpdb->options, [ 'option_name' => $name ] );
+				continue;
+			}
+
+			if ( time() >= $deadline ) {
+				return new WP_Error(
+					'lock_timeout',
+					__( 'The import is busy. Try again in a moment.', 'arraypress' ),
+					[ 'status' => 503 ]
+				);
+			}
+
+			usleep( 100000 );
+		}
+
+		// Without an object cache, this request may hold an older copy
+		if ( ! wp_using_ext_object_cache() ) {
+			$key = self::get_transient_key( $page_id, $operation_id );
+
+			wp_cache_delete( '_transient_' . $key, 'options' );
+			wp_cache_delete( '_transient_timeout_' . $key, 'options' );
+		}
+
+		try {
+			return $callback( self::get_stats( $page_id, $operation_id ) );
+		} finally {
+			$wpdb->delete( $wpdb->options, [ 'option_name' => $name ] );
+		}
+	}
+
+	/**
+	 * Get the in-progress run for an operation, if it can be resumed.
+	 *
+	 * A run is resumable when it never reached a final status and its
+	 * import file is still available to the current user. With row
+	 * filters, 'offset' (the next file row) can run ahead of 'processed'.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return array|null Resume data or null if nothing can be resumed.
+	 */
+	public static function get_resumable_run( string $page_id, string $operation_id ): ?array {
+		$stats = self::get_stats( $page_id, $operation_id );
+
+		if ( $stats['last_status'] !== 'running' || empty( $stats['file_uuid'] ) ) {
+			return null;
+		}
+
+		$file_data = FileManager::get_file( $stats['file_uuid'] );
+
+		if ( ! $file_data ) {
+			return null;
+		}
+
+		return [
+			'file'      => FileManager::get_client_data( $file_data ),
+			'field_map' => $stats['field_map'],
+			'offset'    => (int) $stats['offset'],
+			'processed' => $stats['created'] + $stats['updated'] + $stats['skipped'] + $stats['failed'],
+			'total'     => (int) $stats['total'],
+			'settings'  => $stats['settings'],
+			'last_run'  => $stats['last_run'],
+			'stats'     => [
+				'created' => $stats['created'],
+				'updated' => $stats['updated'],
+				'skipped' => $stats['skipped'],
+				'failed'  => $stats['failed'],
+			],
+		];
+	}
+
+	/**
+	 * Check whether a running run has been left unfinished for good.
+	 *
+	 * A browser run stays 'running' after its tab is closed or while it is
+	 * paused, and can be resumed for as long as its import file is kept.
+	 * Only once the file is gone and its stats have not changed for
+	 * ABANDON_TIMEOUT can nothing process it any more.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $stats The operation's stats.
+	 *
+	 * @return bool
+	 */
+	public static function is_abandoned( array $stats ): bool {
+		if ( $stats['last_status'] !== 'running' ) {
+			return false;
+		}
+
+		if ( ! empty( $stats['file_uuid'] ) && FileManager::has_file( $stats['file_uuid'] ) ) {
+			return false;
+		}
+
+		$updated = $stats['updated_at'] ?? ( $stats['last_run'] ? strtotime( $stats['last_run'] . ' UTC' ) : 0 );
+
+		return time() - (int) $updated > self::ABANDON_TIMEOUT;
+	}
+
 	/**
 	 * Complete an import run.
 	 *
@@ -175,7 +543,8 @@ class StatsManager {
 	 * @return array Final stats.
 	 */
 	public static function complete_run( string $page_id, string $operation_id, string $status = 'complete' ): array {
-		$stats = self::get_stats( $page_id, $operation_id );
+		$stats   = self::get_stats( $page_id, $operation_id );
+		$running = $stats['last_status'] === 'running';
 
 		$stats['last_status'] = $status;
 
@@ -186,6 +555,10 @@ class StatsManager {
 
 		self::save_stats( $page_id, $operation_id, $stats );
 
+		if ( $running && $stats['run_id'] ) {
+			HistoryManager::finish_run( $page_id, $operation_id, $stats['run_id'], $status, (int) $stats['total'] );
+		}
+
 		return $stats;
 	}
 
@@ -203,9 +576,74 @@ class StatsManager {
 	public static function save_stats( string $page_id, string $operation_id, array $stats ): bool {
 		$key = self::get_transient_key( $page_id, $operation_id );
 
+		$stats['updated_at'] = time();
+
 		return set_transient( $key, $stats, self::STATS_EXPIRATION );
 	}
 
+	/**
+	 * Record a committed row range.
+	 *
+	 * Ranges that start at or before 'offset' are merged into it, in row
+	 * order, so it moves past every range that now follows on from it.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $stats The operation's stats.
+	 * @param int   $start First row of the range.
+	 * @param int   $end   Row after the range.
+	 *
+	 * @return array Updated stats.
+	 */
+	private static function commit_range( array $stats, int $start, int $end ): array {
+		$pending = [];
+
+		foreach ( self::sort_ranges( array_merge( $stats['committed'], [ [ $start, $end ] ] ) ) as [ $range_start, $range_end ] ) {
+			if ( $range_start <= $stats['offset'] ) {
+				$stats['offset'] = max( (int) $stats['offset'], $range_end );
+			} elseif ( $range_end > $range_start ) {
+				$pending[] = [ $range_start, $range_end ];
+			}
+		}
+
+		$stats['committed'] = $pending;
+
+		return $stats;
+	}
+
+	/**
+	 * Remove the claim of the batch that starts at a row.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $claims List of [start, end, expires] claims.
+	 * @param int   $start  First row of the batch.
+	 *
+	 * @return array
+	 */
+	private static function remove_claim( array $claims, int $start ): array {
+		return array_values( array_filter( $claims, function ( array $claim ) use ( $start ) {
+			return $claim[0] !== $start;
+		} ) );
+	}
+
+	/**
+	 * Sort row ranges by their first row.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $ranges List of [start, end) ranges.
+	 *
+	 * @return array
+	 */
+	private static function sort_ranges( array $ranges ): array {
+		usort( $ranges, function ( array $a, array $b ) {
+			return $a[0] <=> $b[0];
+		} );
+
+		return $ranges;
+	}
+
 	/**
 	 * Clear stats for an operation.
 	 *
@@ -14,6 +14,9 @@ declare( strict_types=1 );
 
 namespace ArrayPress\RegisterImporters\Traits;
 
+use ArrayPress\RegisterImporters\ChunkedUpload;
+use ArrayPress\RegisterImporters\FileManager;
+
 /**
  * Trait AssetManager
  *
@@ -70,6 +73,14 @@ trait AssetManager {
 			'js/importers.js',
 			[ 'jquery' ]
 		);
+
+		// The media library modal is only needed when an operation offers it
+		foreach ( $this->get_all_operations() as $operation ) {
+			if ( in_array( 'media', $operation['sources'], true ) ) {
+				wp_enqueue_media();
+				break;
+			}
+		}
 	}
 
 	/**
@@ -83,19 +94,25 @@ trait AssetManager {
 
 		$operations_config = array_map( function ( $operation ) {
 			return [
-				'title'     => $operation['title'],
-				'batchSize' => $operation['batch_size'],
-				'fields'    => $operation['fields'] ?? [],
+				'title'             => $operation['title'],
+				'batchSize'         => $operation['batch_size'],
+				'adaptiveBatchSize' => (bool) $operation['adaptive_batch_size'],
+				'maxBatchSize'      => $operation['max_batch_size'],
+				'parallelBatches'   => $operation['parallel_batches'],
+				'batchDelay'        => $operation['batch_delay'],
+				'fields'            => $operation['fields'] ?? [],
 			];
 		}, $this->get_all_operations() );
 
 		wp_localize_script( 'arraypress-importers', 'ImportersAdmin', [
-			'ajaxUrl'    => admin_url( 'admin-ajax.php' ),
-			'restUrl'    => rest_url( 'importers/v1/' ),
-			'restNonce'  => wp_create_nonce( 'wp_rest' ),
-			'pageId'     => $this->id,
-			'operations' => $operations_config,
-			'i18n'       => $this->get_i18n_strings(),
+			'ajaxUrl'        => admin_url( 'admin-ajax.php' ),
+			'restUrl'        => rest_url( 'importers/v1/' ),
+			'restNonce'      => wp_create_nonce( 'wp_rest' ),
+			'pageId'         => $this->id,
+			'operations'     => $operations_config,
+			'fileExtensions' => FileManager::get_allowed_extensions(),
+			'chunkSize'      => ChunkedUpload::get_chunk_size(),
+			'i18n'           => $this->get_i18n_strings(),
 		] );
 	}
 
@@ -108,44 +125,142 @@ trait AssetManager {
 	 */
 	protected function get_i18n_strings(): array {
 		return [
-			'loading'            => __( 'Loading...', 'arraypress' ),
-			'error'              => __( 'Error', 'arraypress' ),
-			'success'            => __( 'Success', 'arraypress' ),
-			'cancel'             => __( 'Cancel', 'arraypress' ),
-			'close'              => __( 'Close', 'arraypress' ),
-			'invalidFile'        => __( 'Invalid file type. Please upload a CSV file.', 'arraypress' ),
-			'uploadFailed'       => __( 'File upload failed.', 'arraypress' ),
-			'rows'               => __( 'rows', 'arraypress' ),
-			'selectColumn'       => __( '-- Select Column --', 'arraypress' ),
-			'unmapped'           => __( 'unmapped', 'arraypress' ),
-			'mapRequiredFields'  => __( 'Please map the following required fields:', 'arraypress' ),
-			'batch'              => __( 'Batch', 'arraypress' ),
-			'created'            => __( 'Created', 'arraypress' ),
-			'updated'            => __( 'Updated', 'arraypress' ),
-			'skipped'            => __( 'Skipped', 'arraypress' ),
-			'failed'             => __( 'Failed', 'arraypress' ),
-			'startImport'        => __( 'Start Import', 'arraypress' ),
-			'importing'          => __( 'Importing...', 'arraypress' ),
-			'continueToMap'      => __( 'Continue', 'arraypress' ),
-			'startingImport'     => __( 'Starting import...', 'arraypress' ),
-			'processingRows'     => __( 'Processing %d rows...', 'arraypress' ),
-			'importCompleteMsg'  => __( 'Import complete!', 'arraypress' ),
-			'rowError'           => __( 'Row %d:', 'arraypress' ),
-			'runAnother'         => __( 'Run Another', 'arraypress' ),
-			'errorOccurred'      => __( 'An error occurred', 'arraypress' ),
-			'failedToStart'      => __( 'Failed to start:', 'arraypress' ),
-			'batchFailed'        => __( 'Batch failed:', 'arraypress' ),
-			'confirmCancel'      => __( 'Are you sure you want to cancel? Progress will be lost.', 'arraypress' ),
-			'confirmClearStats'  => __( 'Clear stats for this operation?', 'arraypress' ),
-			'operationCancelled' => __( 'Operation cancelled.', 'arraypress' ),
-			'lastImport'         => __( 'Last import', 'arraypress' ),
-			'neverImported'      => __( 'Never', 'arraypress' ),
-			'justNow'            => __( 'Just now', 'arraypress' ),
-			'logCopied'          => __( 'Copied!', 'arraypress' ),
-			'dryRun'             => __( 'Validate', 'arraypress' ),
-			'dryRunning'         => __( 'Validating...', 'arraypress' ),
-			'dryRunComplete'     => __( '%d valid, %d errors out of %d rows', 'arraypress' ),
-			'downloadSample'     => __( 'Download Sample CSV', 'arraypress' ),
+			'loading'                  => __( 'Loading...', 'arraypress' ),
+			'error'                    => __( 'Error', 'arraypress' ),
+			'success'                  => __( 'Success', 'arraypress' ),
+			'cancel'                   => __( 'Cancel', 'arraypress' ),
+			'close'                    => __( 'Close', 'arraypress' ),
+			'invalidFile'              => __( 'Invalid file type. Please upload a CSV, spreadsheet, JSON or ZIP file.', 'arraypress' ),
+			'uploadFailed'             => __( 'File upload failed.', 'arraypress' ),
+			'rows'                     => __( 'rows', 'arraypress' ),
+			'mediaFiles'               => __( '%d media files', 'arraypress' ),
+			'selectColumn'             => __( '-- Select Column --', 'arraypress' ),
+			'unmapped'                 => __( 'unmapped', 'arraypress' ),
+			'mapComputed'              => __( 'Computed', 'arraypress' ),
+			'mapTemplate'              => __( 'Combine columns...', 'arraypress' ),
+			'mapConstant'              => __( 'Fixed value...', 'arraypress' ),
+			'mapTransforms'            => __( 'Transform column', 'arraypress' ),
+			'templatePlaceholder'      => __( 'e.g. {First Name} {Last Name}', 'arraypress' ),
+			'constantPlaceholder'      => __( 'Value used for every row', 'arraypress' ),
+			'addTransform'             => __( '+ Add transform...', 'arraypress' ),
+			'removeTransform'          => __( 'Remove transform', 'arraypress' ),
+			'transformReplace'         => __( 'Find and replace', 'arraypress' ),
+			'transformRegex'           => __( 'Regex extract', 'arraypress' ),
+			'transformTrim'            => __( 'Trim', 'arraypress' ),
+			'transformNumber'          => __( 'Normalize number', 'arraypress' ),
+			'transformDate'            => __( 'Convert date', 'arraypress' ),
+			'transformLookup'          => __( 'Lookup table', 'arraypress' ),
+			'paramFind'                => __( 'Find', 'arraypress' ),
+			'paramReplace'             => __( 'Replace with', 'arraypress' ),
+			'paramPattern'             => __( 'Pattern, e.g. (\\d+)', 'arraypress' ),
+			'paramGroup'               => __( 'Group', 'arraypress' ),
+			'paramCharacters'          => __( 'Characters (default: whitespace)', 'arraypress' ),
+			'paramDecimal'             => __( 'Decimal separator', 'arraypress' ),
+			'paramThousands'           => __( 'Thousands separator', 'arraypress' ),
+			'paramFrom'                => __( 'Source format, e.g. d/m/Y (blank to detect)', 'arraypress' ),
+			'paramTo'                  => __( 'Output format', 'arraypress' ),
+			'paramTable'               => __( 'One per line: source = value', 'arraypress' ),
+			'unmatchedValues'          => __( 'Unmatched values', 'arraypress' ),
+			'unmatchedValuesHelp'      => __( 'These values match no allowed option or existing item. Map them, then run the dry run again to check.', 'arraypress' ),
+			'valueRows'                => __( '%d rows', 'arraypress' ),
+			'missingFiles'             => __( 'Missing files', 'arraypress' ),
+			'missingFilesHelp'         => __( 'These files are in neither the ZIP file nor the media library, so they cannot be attached.', 'arraypress' ),
+			'valueLeave'               => __( '-- Leave unmatched --', 'arraypress' ),
+			'valueCreateDefault'       => __( 'Create (default)', 'arraypress' ),
+			'valueCreate'              => __( 'Create new', 'arraypress' ),
+			'valueSkip'                => __( 'Skip value', 'arraypress' ),
+			'valueSearch'              => __( 'Search existing...', 'arraypress' ),
+			'valueResults'             => __( 'Matches', 'arraypress' ),
+			'valueNoResults'           => __( 'No matches found', 'arraypress' ),
+			'valueMapTitle'            => __( 'Mapped values:', 'arraypress' ),
+			'removeValueMap'           => __( 'Remove mapping', 'arraypress' ),
+			'filterEquals'             => __( 'equals', 'arraypress' ),
+			'filterNotEquals'          => __( 'does not equal', 'arraypress' ),
+			'filterContains'           => __( 'contains', 'arraypress' ),
+			'filterNotContains'        => __( 'does not contain', 'arraypress' ),
+			'filterRegex'              => __( 'matches pattern', 'arraypress' ),
+			'filterNotRegex'           => __( 'does not match pattern', 'arraypress' ),
+			'filterEmpty'              => __( 'is empty', 'arraypress' ),
+			'filterNotEmpty'           => __( 'is not empty', 'arraypress' ),
+			'filterValuePlaceholder'   => __( 'Value', 'arraypress' ),
+			'filterPatternPlaceholder' => __( 'Pattern, e.g. ^SKU-\\d+$', 'arraypress' ),
+			'removeRule'               => __( 'Remove rule', 'arraypress' ),
+			'exportLabel'              => __( 'Export', 'arraypress' ),
+			'exportProgress'           => __( 'Exporting... %d', 'arraypress' ),
+			'uploadStarting'           => __( 'Preparing upload...', 'arraypress' ),
+			'uploadProgress'           => __( 'Uploading... %1$d%% (chunk %2$d of %3$d)', 'arraypress' ),
+			'uploadRetrying'           => __( 'Connection lost, retrying chunk %d...', 'arraypress' ),
+			'uploadProcessing'         => __( 'Checking file...', 'arraypress' ),
+			'pause'                    => __( 'Pause', 'arraypress' ),
+			'resume'                   => __( 'Resume', 'arraypress' ),
+			'importPaused'             => __( 'Import paused. Batches in progress will finish first.', 'arraypress' ),
+			'importResumed'            => __( 'Import resumed.', 'arraypress' ),
+			'paused'                   => __( 'Paused', 'arraypress' ),
+			'batchRetrying'            => __( 'Batch from row %1$d failed (%2$s). Retrying in %3$d seconds (attempt %4$d of %5$d)...', 'arraypress' ),
+			'connectionError'          => __( 'connection error', 'arraypress' ),
+			'mapRequiredFields'        => __( 'Please map the following required fields:', 'arraypress' ),
+			'batch'                    => __( 'Batch', 'arraypress' ),
+			'created'                  => __( 'Created', 'arraypress' ),
+			'updated'                  => __( 'Updated', 'arraypress' ),
+			'skipped'                  => __( 'Skipped', 'arraypress' ),
+			'failed'                   => __( 'Failed', 'arraypress' ),
+			'startImport'              => __( 'Start Import', 'arraypress' ),
+			'importing'                => __( 'Importing...', 'arraypress' ),
+			'continueToMap'            => __( 'Continue', 'arraypress' ),
+			'startingImport'           => __( 'Starting import...', 'arraypress' ),
+			'processingRows'           => __( 'Processing %d rows...', 'arraypress' ),
+			'importCompleteMsg'        => __( 'Import complete!', 'arraypress' ),
+			'rowError'                 => __( 'Row %d:', 'arraypress' ),
+			'runAnother'               => __( 'Run Another', 'arraypress' ),
+			'errorOccurred'            => __( 'An error occurred', 'arraypress' ),
+			'failedToStart'            => __( 'Failed to start:', 'arraypress' ),
+			'batchFailed'              => __( 'Batch failed:', 'arraypress' ),
+			'confirmCancel'            => __( 'Are you sure you want to cancel? Progress will be lost.', 'arraypress' ),
+			'confirmClearStats'        => __( 'Clear stats for this operation?', 'arraypress' ),
+			'operationCancelled'       => __( 'Operation cancelled.', 'arraypress' ),
+			'lastImport'               => __( 'Last import', 'arraypress' ),
+			'neverImported'            => __( 'Never', 'arraypress' ),
+			'justNow'                  => __( 'Just now', 'arraypress' ),
+			'logCopied'                => __( 'Copied!', 'arraypress' ),
+			'dryRun'                   => __( 'Validate', 'arraypress' ),
+			'dryRunning'               => __( 'Validating...', 'arraypress' ),
+			'dryRunProgress'           => __( 'Validated %1$d of %2$d rows...', 'arraypress' ),
+			'otherErrors'              => __( 'Other errors', 'arraypress' ),
+			'dryRunPredicted'          => __( 'Would create %1$d, update %2$d and skip %3$d rows.', 'arraypress' ),
+			'mapMatchKey'              => __( 'Please map the %s field so existing items can be matched.', 'arraypress' ),
+			'chooseImportFile'         => __( 'Choose Import File', 'arraypress' ),
+			'useFile'                  => __( 'Use File', 'arraypress' ),
+			'dryRunComplete'           => __( '%d valid, %d errors out of %d rows', 'arraypress' ),
+			'downloadSample'           => __( 'Download Sample CSV', 'arraypress' ),
+			'resumingImport'           => __( 'Resuming import from row %d...', 'arraypress' ),
+			'checkMatch'               => __( 'Check match', 'arraypress' ),
+			'presetName'               => __( 'Preset name:', 'arraypress' ),
+			'presetSaved'              => __( 'Preset saved.', 'arraypress' ),
+			'confirmDeletePreset'      => __( 'Delete this preset?', 'arraypress' ),
+			'schedulePreset'           => __( 'Please choose a saved field mapping for the schedule.', 'arraypress' ),
+			'scheduleSaved'            => __( 'Schedule saved.', 'arraypress' ),
+			'scheduleBusy'             => __( 'Wait for the current import to finish before running the schedule.', 'arraypress' ),
+			'confirmDeleteSchedule'    => __( 'Delete this schedule? Scheduled imports will stop.', 'arraypress' ),
+			'confirmDiscard'           => __( 'Discard this unfinished import? Its uploaded file will be deleted.', 'arraypress' ),
+			'downloadFailedRows'       => __( 'Download failed rows (%d)', 'arraypress' ),
+			'viewErrors'               => __( 'Errors', 'arraypress' ),
+			'historyPage'              => __( 'Page %1$d of %2$d', 'arraypress' ),
+			'errorsTruncated'          => __( 'Showing the first %1$d of %2$d errors.', 'arraypress' ),
+			'statusRunning'            => __( 'Running', 'arraypress' ),
+			'statusComplete'           => __( 'Complete', 'arraypress' ),
+			'statusCancelled'          => __( 'Cancelled', 'arraypress' ),
+			'statusError'              => __( 'Error', 'arraypress' ),
+			'statusRolledBack'         => __( 'Rolled back', 'arraypress' ),
+			'confirmUndo'              => __( 'Undo this import? Created items will be permanently deleted and updated items restored to their previous values.', 'arraypress' ),
+			'undoingImport'            => __( 'Undoing import...', 'arraypress' ),
+			'undoComplete'             => __( 'Import undone: %1$d deleted, %2$d restored, %3$d failed.', 'arraypress' ),
+			'undoFailed'               => __( 'Undo failed:', 'arraypress' ),
+			'importQueued'             => __( 'Running in the background. You can leave this page; the import continues on the server.', 'arraypress' ),
+			'cancellingImport'         => __( 'Cancelling after the current batch...', 'arraypress' ),
+			'previewRow'               => __( 'Row', 'arraypress' ),
+			'previewNoFields'          => __( 'Map a column to see how its values will be imported.', 'arraypress' ),
+			'previewSkipped'           => __( 'Empty row, will be skipped', 'arraypress' ),
+			'previewEmpty'             => __( '(empty)', 'arraypress' ),
 		];
 	}
 
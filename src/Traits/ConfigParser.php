@@ -15,6 +15,11 @@ declare( strict_types=1 );
 
 namespace ArrayPress\RegisterImporters\Traits;
 
+use ArrayPress\RegisterImporters\FileManager;
+use ArrayPress\RegisterImporters\ImportProcessor;
+use ArrayPress\RegisterImporters\MatchResolver;
+use ArrayPress\RegisterImporters\ScheduleManager;
+
 /**
  * Trait ConfigParser
  *
@@ -114,18 +119,32 @@ trait ConfigParser {
 	 */
 	protected function normalize_operation( string $key, array $operation, string $first_tab ): array {
 		$defaults = [
-			'title'             => ucfirst( str_replace( [ '_', '-' ], ' ', $key ) ),
-			'description'       => '',
-			'tab'               => $first_tab,
-			'icon'              => 'dashicons-upload',
-			'batch_size'        => 100,
-			'max_file_size'     => 0,
-			'skip_empty_rows'   => true,
-			'fields'            => [],
-			'validate_callback' => null,
-			'process_callback'  => null,
-			'before_import'     => null,
-			'after_import'      => null,
+			'title'               => ucfirst( str_replace( [ '_', '-' ], ' ', $key ) ),
+			'description'         => '',
+			'tab'                 => $first_tab,
+			'icon'                => 'dashicons-upload',
+			'batch_size'          => 100,
+			'adaptive_batch_size' => true,
+			'max_batch_size'      => 0,
+			'parallel_batches'    => 1,
+			'order_independent'   => false,
+			'batch_delay'         => 0,
+			'max_file_size'       => 0,
+			'sources'             => [],
+			'server_directories'  => [],
+			'skip_empty_rows'     => true,
+			'background'          => false,
+			'schedule'            => false,
+			'fields'              => [],
+			'match_keys'          => [],
+			'import_modes'        => MatchResolver::MODES,
+			'default_mode'        => 'upsert',
+			'validate_callback'   => null,
+			'process_callback'    => null,
+			'rollback_callback'   => null,
+			'export_callback'     => null,
+			'before_import'       => null,
+			'after_import'        => null,
 		];
 
 		// Ensure tab exists, fallback to first tab
@@ -140,12 +159,82 @@ trait ConfigParser {
 			$operation['fields'] = $this->normalize_fields( $operation['fields'] );
 		}
 
+		// Normalize match keys
+		if ( ! empty( $operation['match_keys'] ) ) {
+			$operation['match_keys'] = $this->normalize_match_keys( $operation['match_keys'], $operation['fields'] );
+		}
+
+		// Server files can only be picked from configured directories
+		$operation['server_directories'] = array_values( array_filter( (array) $operation['server_directories'] ) );
+		$operation['sources']            = array_values( array_intersect( (array) $operation['sources'], FileManager::SOURCES ) );
+
+		if ( empty( $operation['server_directories'] ) ) {
+			$operation['sources'] = array_values( array_diff( $operation['sources'], [ 'server' ] ) );
+		}
+
+		// Adaptive batches grow up to ten times the batch size by default
+		$operation['batch_size']     = max( 1, (int) $operation['batch_size'] );
+		$operation['max_batch_size'] = max( $operation['batch_size'], (int) $operation['max_batch_size'] ?: $operation['batch_size'] * 10 );
+
+		$operation['batch_delay'] = max( 0, (int) $operation['batch_delay'] );
+
+		// Only order-independent operations run batches in parallel
+		$operation['parallel_batches'] = ! empty( $operation['order_independent'] )
+			? max( 1, min( (int) $operation['parallel_batches'], ImportProcessor::MAX_PARALLEL_BATCHES ) )
+			: 1;
+
+		// Schedules fetch their file from a URL or server directory
+		$operation['schedule'] = ! empty( $operation['schedule'] )
+		                         && array_intersect( ScheduleManager::SOURCES, $operation['sources'] );
+
 		return $operation;
 	}
 
+	/**
+	 * Normalize match key definitions.
+	 *
+	 * A match key names the field whose value identifies an existing
+	 * object and how to look it up: the entity lookup options of a field
+	 * ('type', 'match_by', 'post_type', 'meta_key', ...) or a
+	 * lookup_callback. Keys whose field does not exist are dropped.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $match_keys Raw match key definitions.
+	 * @param array $fields     Normalized field definitions.
+	 *
+	 * @return array Normalized match key definitions.
+	 */
+	protected function normalize_match_keys( array $match_keys, array $fields ): array {
+		$normalized = [];
+
+		foreach ( $match_keys as $key => $match_key ) {
+			$match_key = wp_parse_args( (array) $match_key, [
+				'field'           => $key,
+				'type'            => 'post',
+				'match_by'        => 'identifier',
+				'lookup_callback' => null,
+			] );
+
+			if ( ! isset( $fields[ $match_key['field'] ] ) ) {
+				continue;
+			}
+
+			// Labels default to the field's label
+			$match_key['label'] = $match_key['label'] ?? $fields[ $match_key['field'] ]['label'];
+
+			$normalized[ $key ] = $match_key;
+		}
+
+		return $normalized;
+	}
+
 	/**
 	 * Normalize field definitions.
 	 *
+	 * Aliases are alternative column names used when auto-matching
+	 * CSV headers to fields in the mapping step.
+	 *
 	 * @since 2.0.0
 	 *
 	 * @param array $fields Raw field definitions.
@@ -163,6 +252,7 @@ trait ConfigParser {
 					'type'     => 'string',
 					'required' => false,
 					'default'  => null,
+					'aliases'  => [],
 				];
 			} else {
 				$normalized[ $key ] = wp_parse_args( $field, [
@@ -170,7 +260,13 @@ trait ConfigParser {
 					'type'     => 'string',
 					'required' => false,
 					'default'  => null,
+					'aliases'  => [],
 				] );
+
+				// Allow a single alias as a string
+				$normalized[ $key ]['aliases'] = array_values( array_filter(
+					array_map( 'strval', (array) $normalized[ $key ]['aliases'] )
+				) );
 			}
 		}
 
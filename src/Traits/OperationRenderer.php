@@ -15,6 +15,13 @@ declare( strict_types=1 );
 
 namespace ArrayPress\RegisterImporters\Traits;
 
+use ArrayPress\RegisterImporters\BackgroundManager;
+use ArrayPress\RegisterImporters\Exporter;
+use ArrayPress\RegisterImporters\FileManager;
+use ArrayPress\RegisterImporters\MatchResolver;
+use ArrayPress\RegisterImporters\PresetManager;
+use ArrayPress\RegisterImporters\Readers\CsvReader;
+use ArrayPress\RegisterImporters\ScheduleManager;
 use ArrayPress\RegisterImporters\StatsManager;
 
 /**
@@ -65,7 +72,9 @@ trait OperationRenderer {
      *
      */
     protected function render_import_card( string $id, array $operation ): void {
-        $stats = StatsManager::get_stats( $this->id, $id );
+        $stats  = StatsManager::get_stats( $this->id, $id );
+        $job    = BackgroundManager::get_active_job( $this->id, $id );
+        $resume = $job ? null : StatsManager::get_resumable_run( $this->id, $id );
 
         // Normalize icon
         $icon = $operation['icon'] ?? 'dashicons-upload';
@@ -76,7 +85,8 @@ trait OperationRenderer {
         ?>
         <div class="importers-card"
              data-operation-id="<?php echo esc_attr( $id ); ?>"
-             data-operation-type="import">
+             data-operation-type="import"
+             data-background-job="<?php echo $job ? '1' : '0'; ?>">
 
             <div class="importers-card-header">
                 <div class="importers-card-icon">
@@ -96,21 +106,77 @@ trait OperationRenderer {
                         <span class="dashicons dashicons-download"></span>
                         <?php esc_html_e( 'Sample CSV', 'arraypress' ); ?>
                     </a>
+                    <?php if ( Exporter::supports( $operation ) ) : ?>
+                        <a href="#"
+                           class="importers-export"
+                           title="<?php esc_attr_e( 'Download existing items as a CSV that can be edited and imported again', 'arraypress' ); ?>">
+                            <span class="dashicons dashicons-database-export"></span>
+                            <span class="importers-export-text"><?php esc_html_e( 'Export', 'arraypress' ); ?></span>
+                        </a>
+                    <?php endif; ?>
+                    <a href="#"
+                       class="importers-history-toggle"
+                       title="<?php esc_attr_e( 'Show past imports for this operation', 'arraypress' ); ?>">
+                        <span class="dashicons dashicons-backup"></span>
+                        <?php esc_html_e( 'History', 'arraypress' ); ?>
+                    </a>
+                    <?php if ( $operation['schedule'] ) : ?>
+                        <a href="#"
+                           class="importers-schedule-toggle"
+                           title="<?php esc_attr_e( 'Run this import automatically from a URL or server file', 'arraypress' ); ?>">
+                            <span class="dashicons dashicons-clock"></span>
+                            <?php esc_html_e( 'Schedule', 'arraypress' ); ?>
+                        </a>
+                    <?php endif; ?>
                 </div>
             </div>
 
             <div class="importers-card-body">
                 <!-- Step 1: File Upload -->
                 <div class="importers-step" data-step="1">
+                    <?php if ( $resume ) : ?>
+                        <div class="importers-resume-notice"
+                             data-resume="<?php echo esc_attr( wp_json_encode( $resume ) ); ?>">
+                            <span class="dashicons dashicons-backup"></span>
+                            <div class="importers-resume-text">
+                                <strong><?php esc_html_e( 'Unfinished import', 'arraypress' ); ?></strong>
+                                <span>
+                                    <?php
+                                    printf(
+                                            esc_html__( '%1$s — %2$d of %3$d rows processed, started %4$s.', 'arraypress' ),
+                                            esc_html( $resume['file']['original_name'] ),
+                                            (int) $resume['processed'],
+                                            (int) $resume['total'],
+                                            esc_html( StatsManager::get_relative_time( $resume['last_run'] ) )
+                                    );
+                                    ?>
+                                </span>
+                            </div>
+                            <div class="importers-resume-actions">
+                                <button type="button" class="button importers-discard-button">
+                                    <?php esc_html_e( 'Discard', 'arraypress' ); ?>
+                                </button>
+                                <button type="button" class="button button-primary importers-resume-button">
+                                    <?php
+                                    printf(
+                                            esc_html__( 'Resume from row %d', 'arraypress' ),
+                                            (int) $resume['offset'] + 1
+                                    );
+                                    ?>
+                                </button>
+                            </div>
+                        </div>
+                    <?php endif; ?>
+
                     <div class="importers-dropzone">
                         <input type="file"
                                class="importers-file-input"
-                               accept=".csv"
+                               accept="<?php echo esc_attr( '.' . implode( ',.', FileManager::get_allowed_extensions() ) ); ?>"
                                id="import-file-<?php echo esc_attr( $id ); ?>">
                         <label for="import-file-<?php echo esc_attr( $id ); ?>" class="importers-dropzone-label">
                             <span class="dashicons dashicons-upload"></span>
                             <span class="importers-dropzone-text">
-								<?php esc_html_e( 'Drop CSV file here or click to browse', 'arraypress' ); ?>
+								<?php esc_html_e( 'Drop a CSV, spreadsheet, JSON or ZIP file here or click to browse', 'arraypress' ); ?>
 							</span>
                             <?php if ( ! empty( $operation['max_file_size'] ) ) : ?>
                                 <span class="importers-dropzone-hint">
@@ -123,8 +189,81 @@ trait OperationRenderer {
 								</span>
                             <?php endif; ?>
                         </label>
+                        <div class="importers-upload-progress">
+                            <div class="importers-progress-bar">
+                                <div class="importers-upload-fill"></div>
+                            </div>
+                            <span class="importers-upload-status"></span>
+                            <button type="button" class="button-link importers-upload-cancel">
+                                <?php esc_html_e( 'Cancel', 'arraypress' ); ?>
+                            </button>
+                        </div>
                     </div>
 
+                    <?php if ( ! empty( $operation['sources'] ) ) : ?>
+                        <div class="importers-sources">
+                            <span class="importers-sources-label"><?php esc_html_e( 'Or import from:', 'arraypress' ); ?></span>
+                            <?php if ( in_array( 'url', $operation['sources'], true ) ) : ?>
+                                <button type="button" class="button importers-source-button" data-source="url">
+                                    <span class="dashicons dashicons-admin-links"></span>
+                                    <?php esc_html_e( 'URL', 'arraypress' ); ?>
+                                </button>
+                            <?php endif; ?>
+                            <?php if ( in_array( 'media', $operation['sources'], true ) ) : ?>
+                                <button type="button" class="button importers-source-button" data-source="media">
+                                    <span class="dashicons dashicons-admin-media"></span>
+                                    <?php esc_html_e( 'Media Library', 'arraypress' ); ?>
+                                </button>
+                            <?php endif; ?>
+                            <?php if ( in_array( 'server', $operation['sources'], true ) ) : ?>
+                                <button type="button" class="button importers-source-button" data-source="server">
+                                    <span class="dashicons dashicons-database"></span>
+                                    <?php esc_html_e( 'Server', 'arraypress' ); ?>
+                                </button>
+                            <?php endif; ?>
+                        </div>
+
+                        <?php if ( in_array( 'url', $operation['sources'], true ) ) : ?>
+                            <div class="importers-source-panel" data-source="url" style="display: none;">
+                                <input type="url" class="regular-text importers-source-url" placeholder="https://">
+                                <button type="button" class="button importers-source-submit">
+                                    <?php esc_html_e( 'Fetch File', 'arraypress' ); ?>
+                                </button>
+                            </div>
+                        <?php endif; ?>
+
+                        <?php if ( in_array( 'server', $operation['sources'], true ) ) :
+                            $server_files = FileManager::get_server_files( $operation['server_directories'] );
+                            ?>
+                            <div class="importers-source-panel" data-source="server" style="display: none;">
+                                <?php if ( $server_files ) : ?>
+                                    <select class="importers-server-file">
+                                        <?php foreach ( $server_files as $server_file ) : ?>
+                                            <option value="<?php echo esc_attr( $server_file['name'] ); ?>"
+                                                    data-directory="<?php echo esc_attr( $server_file['directory'] ); ?>">
+                                                <?php
+                                                printf(
+                                                        esc_html__( '%1$s (%2$s, modified %3$s)', 'arraypress' ),
+                                                        esc_html( $server_file['name'] ),
+                                                        esc_html( size_format( $server_file['size'] ) ),
+                                                        esc_html( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $server_file['modified'] ) )
+                                                );
+                                                ?>
+                                            </option>
+                                        <?php endforeach; ?>
+                                    </select>
+                                    <button type="button" class="button importers-source-submit">
+                                        <?php esc_html_e( 'Use File', 'arraypress' ); ?>
+                                    </button>
+                                <?php else : ?>
+                                    <span class="importers-source-empty">
+                                        <?php esc_html_e( 'No import files were found in the server directories.', 'arraypress' ); ?>
+                                    </span>
+                                <?php endif; ?>
+                            </div>
+                        <?php endif; ?>
+                    <?php endif; ?>
+
                     <div class="importers-file-info" style="display: none;">
                         <div class="importers-file-details">
                             <span class="dashicons dashicons-media-spreadsheet"></span>
@@ -132,21 +271,154 @@ trait OperationRenderer {
                                 <span class="importers-file-name"></span>
                                 <span class="importers-file-size"></span>
                             </div>
+                            <label class="importers-sheet-picker" style="display: none;">
+                                <span><?php esc_html_e( 'Sheet', 'arraypress' ); ?></span>
+                                <select class="importers-sheet-select"></select>
+                            </label>
                             <button type="button" class="importers-file-remove"
                                     title="<?php esc_attr_e( 'Remove file', 'arraypress' ); ?>">
                                 <span class="dashicons dashicons-no-alt"></span>
                             </button>
                         </div>
+                        <div class="importers-csv-options" style="display: none;">
+                            <label>
+                                <span><?php esc_html_e( 'Delimiter', 'arraypress' ); ?></span>
+                                <select class="importers-csv-option" data-option="delimiter">
+                                    <option value=","><?php esc_html_e( 'Comma', 'arraypress' ); ?></option>
+                                    <option value=";"><?php esc_html_e( 'Semicolon', 'arraypress' ); ?></option>
+                                    <option value="&#9;"><?php esc_html_e( 'Tab', 'arraypress' ); ?></option>
+                                    <option value="|"><?php esc_html_e( 'Pipe', 'arraypress' ); ?></option>
+                                </select>
+                            </label>
+                            <label>
+                                <span><?php esc_html_e( 'Quote', 'arraypress' ); ?></span>
+                                <select class="importers-csv-option" data-option="enclosure">
+                                    <option value="&quot;"><?php esc_html_e( 'Double (")', 'arraypress' ); ?></option>
+                                    <option value="'"><?php esc_html_e( "Single (')", 'arraypress' ); ?></option>
+                                </select>
+                            </label>
+                            <label>
+                                <span><?php esc_html_e( 'Encoding', 'arraypress' ); ?></span>
+                                <select class="importers-csv-option" data-option="encoding">
+                                    <?php foreach ( CsvReader::ENCODINGS as $encoding ) : ?>
+                                        <option value="<?php echo esc_attr( $encoding ); ?>"><?php echo esc_html( $encoding ); ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                            </label>
+                            <label>
+                                <span><?php esc_html_e( 'Header row', 'arraypress' ); ?></span>
+                                <input type="number" class="importers-csv-option small-text" data-option="header_row"
+                                       min="1" step="1" value="1">
+                            </label>
+                        </div>
                     </div>
                 </div>
 
                 <!-- Step 2: Field Mapping -->
                 <div class="importers-step" data-step="2" style="display: none;">
+                    <div class="importers-presets">
+                        <label for="import-preset-<?php echo esc_attr( $id ); ?>" class="importers-presets-label">
+                            <?php esc_html_e( 'Mapping preset', 'arraypress' ); ?>
+                        </label>
+                        <select class="importers-preset-select" id="import-preset-<?php echo esc_attr( $id ); ?>">
+                            <option value=""><?php esc_html_e( '-- None --', 'arraypress' ); ?></option>
+                        </select>
+                        <button type="button" class="button importers-preset-save">
+                            <?php esc_html_e( 'Save as Preset', 'arraypress' ); ?>
+                        </button>
+                        <button type="button" class="button-link importers-preset-delete" style="display: none;">
+                            <?php esc_html_e( 'Delete', 'arraypress' ); ?>
+                        </button>
+                    </div>
+
+                    <?php if ( ! empty( $operation['match_keys'] ) ) :
+                        $defaults = MatchResolver::get_settings( $operation, null, null );
+                        $mode_labels = MatchResolver::get_mode_labels();
+                        ?>
+                        <div class="importers-import-mode">
+                            <label>
+                                <span><?php esc_html_e( 'Import mode', 'arraypress' ); ?></span>
+                                <select class="importers-mode-select">
+                                    <?php foreach ( MatchResolver::get_modes( $operation ) as $mode ) : ?>
+                                        <option value="<?php echo esc_attr( $mode ); ?>" <?php selected( $mode, $defaults['mode'] ); ?>>
+                                            <?php echo esc_html( $mode_labels[ $mode ] ); ?>
+                                        </option>
+                                    <?php endforeach; ?>
+                                </select>
+                            </label>
+                            <label>
+                                <span><?php esc_html_e( 'Match existing items by', 'arraypress' ); ?></span>
+                                <select class="importers-match-key-select">
+                                    <?php foreach ( $operation['match_keys'] as $key => $match_key ) : ?>
+                                        <option value="<?php echo esc_attr( $key ); ?>"
+                                                data-field="<?php echo esc_attr( $match_key['field'] ); ?>"
+                                            <?php selected( $key, $defaults['match_key'] ); ?>>
+                                            <?php echo esc_html( $match_key['label'] ); ?>
+                                        </option>
+                                    <?php endforeach; ?>
+                                </select>
+                            </label>
+                        </div>
+                    <?php endif; ?>
+
+                    <div class="importers-row-filters">
+                        <label class="importers-row-filters-toggle">
+                            <input type="checkbox" class="importers-row-filters-enable">
+                            <?php esc_html_e( 'Only import some rows', 'arraypress' ); ?>
+                        </label>
+                        <div class="importers-row-filters-panel" style="display: none;">
+                            <label class="importers-row-filters-match">
+                                <span><?php esc_html_e( 'Import rows that match', 'arraypress' ); ?></span>
+                                <select class="importers-row-filters-match-select">
+                                    <option value="all"><?php esc_html_e( 'all rules', 'arraypress' ); ?></option>
+                                    <option value="any"><?php esc_html_e( 'any rule', 'arraypress' ); ?></option>
+                                </select>
+                            </label>
+                            <div class="importers-row-filters-rules">
+                                <!-- Populated by JavaScript -->
+                            </div>
+                            <button type="button" class="button importers-row-filters-add">
+                                <?php esc_html_e( 'Add Rule', 'arraypress' ); ?>
+                            </button>
+                            <div class="importers-row-filters-range">
+                                <label>
+                                    <span><?php esc_html_e( 'Skip the first', 'arraypress' ); ?></span>
+                                    <input type="number" min="0" step="1" class="small-text importers-row-filters-skip" placeholder="0">
+                                    <span><?php esc_html_e( 'rows', 'arraypress' ); ?></span>
+                                </label>
+                                <label>
+                                    <span><?php esc_html_e( 'Stop after row', 'arraypress' ); ?></span>
+                                    <input type="number" min="0" step="1" class="small-text importers-row-filters-end">
+                                </label>
+                                <label>
+                                    <span><?php esc_html_e( 'Import at most', 'arraypress' ); ?></span>
+                                    <input type="number" min="0" step="1" class="small-text importers-row-filters-limit">
+                                    <span><?php esc_html_e( 'rows', 'arraypress' ); ?></span>
+                                </label>
+                            </div>
+                            <p class="description">
+                                <?php esc_html_e( 'Row numbers count data rows, not the header. The preview always shows the first rows of the file.', 'arraypress' ); ?>
+                            </p>
+                        </div>
+                    </div>
+
                     <div class="importers-mapping-grid">
                         <!-- Populated by JavaScript -->
                     </div>
+                    <div class="importers-dry-run-progress" style="display: none;">
+                        <div class="importers-progress-bar">
+                            <div class="importers-dry-run-fill"></div>
+                        </div>
+                        <span class="importers-dry-run-status"></span>
+                        <button type="button" class="button-link importers-dry-run-cancel">
+                            <?php esc_html_e( 'Cancel', 'arraypress' ); ?>
+                        </button>
+                    </div>
                     <div class="importers-preview-section">
                         <h4><?php esc_html_e( 'Preview', 'arraypress' ); ?></h4>
+                        <p class="importers-preview-description">
+                            <?php esc_html_e( 'How the first rows will be imported with the current mapping. Nothing is saved.', 'arraypress' ); ?>
+                        </p>
                         <div class="importers-preview-table-wrap">
                             <table class="importers-preview-table">
                                 <thead></thead>
@@ -198,6 +470,21 @@ trait OperationRenderer {
                             <span class="dashicons dashicons-yes-alt"></span>
                         </div>
                         <h3 class="importers-complete-title"><?php esc_html_e( 'Import Complete!', 'arraypress' ); ?></h3>
+                        <button type="button" class="button importers-download-errors" data-type="import"
+                                style="display: none;">
+                            <span class="dashicons dashicons-download"></span>
+                            <span class="button-text"></span>
+                        </button>
+                        <button type="button" class="button importers-undo-import" style="display: none;">
+                            <span class="dashicons dashicons-undo"></span>
+                            <span class="button-text"><?php esc_html_e( 'Undo this import', 'arraypress' ); ?></span>
+                        </button>
+                        <div class="importers-rollback-progress" style="display: none;">
+                            <div class="importers-progress-bar">
+                                <div class="importers-rollback-fill"></div>
+                            </div>
+                            <span class="importers-rollback-status"></span>
+                        </div>
                         <div class="importers-complete-errors" style="display: none;">
                             <h4><?php esc_html_e( 'Errors', 'arraypress' ); ?></h4>
                             <div class="importers-errors-table-wrap">
@@ -217,6 +504,177 @@ trait OperationRenderer {
                 </div>
             </div>
 
+            <?php if ( $operation['schedule'] ) :
+                $schedule = ScheduleManager::get_schedule( $this->id, $id ) ?? [];
+                $sources = array_intersect( ScheduleManager::SOURCES, $operation['sources'] );
+                $source = $schedule['source'] ?? reset( $sources );
+                $settings = $schedule['settings'] ?? MatchResolver::get_settings( $operation, null, null );
+                ?>
+                <div class="importers-schedule-panel" style="display: none;">
+                    <h4><?php esc_html_e( 'Schedule', 'arraypress' ); ?></h4>
+                    <p class="importers-schedule-summary">
+                        <?php echo esc_html( ScheduleManager::get_summary( $this->id, $id ) ); ?>
+                    </p>
+                    <div class="importers-schedule-form">
+                        <label class="importers-schedule-checkbox">
+                            <input type="checkbox" class="importers-schedule-enabled" <?php checked( $schedule['enabled'] ?? true ); ?>>
+                            <?php esc_html_e( 'Run this import on a schedule', 'arraypress' ); ?>
+                        </label>
+                        <label>
+                            <span><?php esc_html_e( 'Repeat', 'arraypress' ); ?></span>
+                            <select class="importers-schedule-interval">
+                                <?php foreach ( ScheduleManager::get_intervals() as $interval => $label ) : ?>
+                                    <option value="<?php echo esc_attr( $interval ); ?>" <?php selected( $interval, $schedule['interval'] ?? 'daily' ); ?>>
+                                        <?php echo esc_html( $label ); ?>
+                                    </option>
+                                <?php endforeach; ?>
+                            </select>
+                        </label>
+                        <label>
+                            <span><?php esc_html_e( 'Starting at', 'arraypress' ); ?></span>
+                            <input type="time" class="importers-schedule-time" value="<?php echo esc_attr( $schedule['time'] ?? '' ); ?>">
+                        </label>
+                        <label>
+                            <span><?php esc_html_e( 'Fetch the file from', 'arraypress' ); ?></span>
+                            <select class="importers-schedule-source">
+                                <?php if ( in_array( 'url', $sources, true ) ) : ?>
+                                    <option value="url" <?php selected( $source, 'url' ); ?>><?php esc_html_e( 'URL', 'arraypress' ); ?></option>
+                                <?php endif; ?>
+                                <?php if ( in_array( 'server', $sources, true ) ) : ?>
+                                    <option value="server" <?php selected( $source, 'server' ); ?>><?php esc_html_e( 'Server', 'arraypress' ); ?></option>
+                                <?php endif; ?>
+                            </select>
+                        </label>
+                        <?php if ( in_array( 'url', $sources, true ) ) : ?>
+                            <label class="importers-schedule-source-field" data-source="url">
+                                <span><?php esc_html_e( 'File URL', 'arraypress' ); ?></span>
+                                <input type="url" class="regular-text importers-schedule-url" placeholder="https://"
+                                       value="<?php echo esc_attr( $schedule['url'] ?? '' ); ?>">
+                            </label>
+                        <?php endif; ?>
+                        <?php if ( in_array( 'server', $sources, true ) ) :
+                            $server_files = FileManager::get_server_files( $operation['server_directories'] );
+                            $saved_file = ( $schedule['file'] ?? '' ) !== '';
+                            ?>
+                            <label class="importers-schedule-source-field" data-source="server">
+                                <span><?php esc_html_e( 'Server file', 'arraypress' ); ?></span>
+                                <select class="importers-schedule-file">
+                                    <?php foreach ( $server_files as $server_file ) :
+                                        $is_saved = $saved_file
+                                                    && $server_file['name'] === $schedule['file']
+                                                    && $server_file['directory'] === $schedule['directory'];
+                                        $saved_file = $saved_file && ! $is_saved;
+                                        ?>
+                                        <option value="<?php echo esc_attr( $server_file['name'] ); ?>"
+                                                data-directory="<?php echo esc_attr( $server_file['directory'] ); ?>"
+                                            <?php selected( $is_saved ); ?>>
+                                            <?php echo esc_html( $server_file['name'] ); ?>
+                                        </option>
+                                    <?php endforeach; ?>
+                                    <?php if ( $saved_file ) : ?>
+                                        <option value="<?php echo esc_attr( $schedule['file'] ); ?>"
+                                                data-directory="<?php echo esc_attr( $schedule['directory'] ); ?>" selected>
+                                            <?php
+                                            printf(
+                                                    esc_html__( '%s (not found)', 'arraypress' ),
+                                                    esc_html( $schedule['file'] )
+                                            );
+                                            ?>
+                                        </option>
+                                    <?php endif; ?>
+                                </select>
+                            </label>
+                        <?php endif; ?>
+                        <label>
+                            <span><?php esc_html_e( 'Field mapping', 'arraypress' ); ?></span>
+                            <select class="importers-schedule-preset">
+                                <option value=""><?php esc_html_e( '-- Choose a preset --', 'arraypress' ); ?></option>
+                                <?php foreach ( PresetManager::get_presets( $this->id, $id ) as $preset ) : ?>
+                                    <option value="<?php echo esc_attr( $preset['id'] ); ?>" <?php selected( $preset['id'], $schedule['preset_id'] ?? '' ); ?>>
+                                        <?php echo esc_html( $preset['name'] ); ?>
+                                    </option>
+                                <?php endforeach; ?>
+                            </select>
+                        </label>
+                        <?php if ( ! empty( $operation['match_keys'] ) ) :
+                            $mode_labels = MatchResolver::get_mode_labels();
+                            ?>
+                            <label>
+                                <span><?php esc_html_e( 'Import mode', 'arraypress' ); ?></span>
+                                <select class="importers-schedule-mode">
+                                    <?php foreach ( MatchResolver::get_modes( $operation ) as $mode ) : ?>
+                                        <option value="<?php echo esc_attr( $mode ); ?>" <?php selected( $mode, $settings['mode'] ); ?>>
+                                            <?php echo esc_html( $mode_labels[ $mode ] ); ?>
+                                        </option>
+                                    <?php endforeach; ?>
+                                </select>
+                            </label>
+                            <label>
+                                <span><?php esc_html_e( 'Match existing items by', 'arraypress' ); ?></span>
+                                <select class="importers-schedule-match-key">
+                                    <?php foreach ( $operation['match_keys'] as $key => $match_key ) : ?>
+                                        <option value="<?php echo esc_attr( $key ); ?>" <?php selected( $key, $settings['match_key'] ); ?>>
+                                            <?php echo esc_html( $match_key['label'] ); ?>
+                                        </option>
+                                    <?php endforeach; ?>
+                                </select>
+                            </label>
+                        <?php endif; ?>
+                        <label>
+                            <span><?php esc_html_e( 'Email failures to', 'arraypress' ); ?></span>
+                            <input type="email" class="regular-text importers-schedule-email"
+                                   placeholder="<?php echo esc_attr( get_option( 'admin_email' ) ); ?>"
+                                   value="<?php echo esc_attr( $schedule['email'] ?? '' ); ?>">
+                        </label>
+                    </div>
+                    <div class="importers-schedule-actions">
+                        <button type="button" class="button button-primary importers-schedule-save">
+                            <?php esc_html_e( 'Save Schedule', 'arraypress' ); ?>
+                        </button>
+                        <button type="button" class="button importers-schedule-run" <?php disabled( empty( $schedule ) ); ?>>
+                            <?php esc_html_e( 'Run Now', 'arraypress' ); ?>
+                        </button>
+                        <button type="button" class="button-link importers-schedule-delete" <?php echo empty( $schedule ) ? 'style="display: none;"' : ''; ?>>
+                            <?php esc_html_e( 'Delete', 'arraypress' ); ?>
+                        </button>
+                    </div>
+                </div>
+            <?php endif; ?>
+
+            <div class="importers-history-panel" style="display: none;">
+                <h4><?php esc_html_e( 'Import History', 'arraypress' ); ?></h4>
+                <div class="importers-history-table-wrap">
+                    <table class="importers-history-table">
+                        <thead>
+                        <tr>
+                            <th><?php esc_html_e( 'Date', 'arraypress' ); ?></th>
+                            <th><?php esc_html_e( 'User', 'arraypress' ); ?></th>
+                            <th><?php esc_html_e( 'File', 'arraypress' ); ?></th>
+                            <th><?php esc_html_e( 'Status', 'arraypress' ); ?></th>
+                            <th><?php esc_html_e( 'Created', 'arraypress' ); ?></th>
+                            <th><?php esc_html_e( 'Updated', 'arraypress' ); ?></th>
+                            <th><?php esc_html_e( 'Skipped', 'arraypress' ); ?></th>
+                            <th><?php esc_html_e( 'Failed', 'arraypress' ); ?></th>
+                            <th></th>
+                        </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+                <p class="importers-history-empty" style="display: none;">
+                    <?php esc_html_e( 'No imports have been run for this operation yet.', 'arraypress' ); ?>
+                </p>
+                <div class="importers-history-pagination" style="display: none;">
+                    <button type="button" class="button button-small importers-history-prev">
+                        <?php esc_html_e( 'Newer', 'arraypress' ); ?>
+                    </button>
+                    <span class="importers-history-page"></span>
+                    <button type="button" class="button button-small importers-history-next">
+                        <?php esc_html_e( 'Older', 'arraypress' ); ?>
+                    </button>
+                </div>
+            </div>
+
             <div class="importers-card-footer">
                 <div class="importers-footer-left">
                     <div class="importers-step-indicator">
@@ -245,6 +703,10 @@ trait OperationRenderer {
                     <button type="button" class="button importers-cancel-button" style="display: none;">
                         <?php esc_html_e( 'Cancel', 'arraypress' ); ?>
                     </button>
+                    <button type="button" class="button importers-pause-button" style="display: none;">
+                        <span class="dashicons dashicons-controls-pause"></span>
+                        <span class="button-text"><?php esc_html_e( 'Pause', 'arraypress' ); ?></span>
+                    </button>
                     <button type="button" class="button importers-dry-run-button" style="display: none;">
                         <span class="dashicons dashicons-visibility"></span>
                         <span class="button-text"><?php esc_html_e( 'Validate', 'arraypress' ); ?></span>
@@ -12,6 +12,7 @@
 
 declare( strict_types=1 );
 
+use ArrayPress\RegisterImporters\HistoryManager;
 use ArrayPress\RegisterImporters\Importers;
 use ArrayPress\RegisterImporters\Registry;
 use ArrayPress\RegisterImporters\StatsManager;
@@ -98,6 +99,40 @@ if ( ! function_exists( 'clear_importer_stats' ) ) {
 	}
 }
 
+if ( ! function_exists( 'get_importer_history' ) ) {
+	/**
+	 * Get a page of past runs for a specific import operation, newest first.
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 * @param int    $page         Page number (default: 1).
+	 * @param int    $per_page     Runs per page (default: 20).
+	 *
+	 * @return array Array with 'runs', 'total' and 'pages'.
+	 * @since 2.2.0
+	 *
+	 */
+	function get_importer_history( string $page_id, string $operation_id, int $page = 1, int $per_page = 20 ): array {
+		return HistoryManager::get_runs( $page_id, $operation_id, $page, $per_page );
+	}
+}
+
+if ( ! function_exists( 'clear_importer_history' ) ) {
+	/**
+	 * Delete the run history of a specific import operation.
+	 *
+	 * @param string $page_id      The importer page ID.
+	 * @param string $operation_id The operation ID.
+	 *
+	 * @return bool True on success.
+	 * @since 2.2.0
+	 *
+	 */
+	function clear_importer_history( string $page_id, string $operation_id ): bool {
+		return HistoryManager::clear_history( $page_id, $operation_id );
+	}
+}
+
 if ( ! function_exists( 'unregister_importer' ) ) {
 	/**
 	 * Unregister an importer page.
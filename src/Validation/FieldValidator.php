@@ -18,6 +18,7 @@ namespace ArrayPress\RegisterImporters\Validation;
 use ArrayPress\Countries\Countries;
 use ArrayPress\Currencies\Currency;
 use ArrayPress\DateUtils\Dates;
+use ArrayPress\RegisterImporters\MediaBundle;
 use WP_Error;
 
 /**
@@ -77,45 +78,129 @@ class FieldValidator {
 	 *
 	 */
 	public static function process_field( string $key, $value, array $field, array $row = [] ) {
-		$type = $field['type'] ?? 'string';
-
-		// Step 1: Trim
-		if ( is_string( $value ) ) {
-			$value = trim( $value );
+		// Steps 1–7: Trim, default, transform, split, cast and validate
+		$value = self::prepare_value( $key, $value, $field, $row );
+		if ( is_wp_error( $value ) ) {
+			return $value;
 		}
 
-		// Step 2: Default
-		if ( ( $value === null || $value === '' ) && isset( $field['default'] ) ) {
-			$value = $field['default'];
-		}
+		// Steps 8–9: Custom process_callback and WordPress type resolution
+		return self::finalize_value( $value, $field, $row );
+	}
 
-		// Step 3: Transform
-		$value = self::apply_transforms( $value, $field );
+	/**
+	 * Process an entire row through field validation.
+	 *
+	 * Every field is validated before any is processed, so a row with
+	 * several invalid fields reports them all. Processing stops at the
+	 * first failure, as process_callbacks and entity resolution can have
+	 * side effects.
+	 *
+	 * @param array $row    The mapped row data.
+	 * @param array $fields The field definitions.
+	 *
+	 * @return array|WP_Error The processed row or an 'invalid_row' WP_Error (see row_error()).
+	 * @since 2.0.0
+	 *
+	 */
+	public static function process_row( array $row, array $fields ): array|WP_Error {
+		$prepared = [];
+		$errors   = [];
 
-		// Step 4: Separator (split into array before further processing)
-		if ( ! empty( $field['separator'] ) && is_string( $value ) && $value !== '' ) {
-			$value = self::split_value( $value, $field['separator'] );
-		}
+		foreach ( $fields as $key => $field ) {
+			$value = self::prepare_value( $key, $row[ $key ] ?? null, $field, $row );
 
-		// Step 5: Type cast (scalar types only)
-		if ( in_array( $type, self::SCALAR_TYPES, true ) && ! is_array( $value ) ) {
-			$value = self::cast_type( $value, $type, $field );
+			if ( is_wp_error( $value ) ) {
+				$errors[ $key ] = self::describe_error( $value, $row[ $key ] ?? null );
+			} else {
+				$prepared[ $key ] = $value;
+			}
 		}
 
-		// Step 6: Built-in validation
-		$validation = self::validate_field( $key, $value, $field );
-		if ( is_wp_error( $validation ) ) {
-			return $validation;
+		if ( ! empty( $errors ) ) {
+			return self::row_error( $errors );
 		}
 
-		// Step 7: Custom validate_callback
-		if ( isset( $field['validate_callback'] ) && is_callable( $field['validate_callback'] ) ) {
-			$result = call_user_func( $field['validate_callback'], $value, $row );
+		$processed = [];
+
+		foreach ( $prepared as $key => $value ) {
+			$result = self::finalize_value( $value, $fields[ $key ], $row );
+
 			if ( is_wp_error( $result ) ) {
-				return $result;
+				return self::row_error( [ $key => self::describe_error( $result, $row[ $key ] ?? null ) ] );
 			}
+
+			$processed[ $key ] = $result;
 		}
 
+		return $processed;
+	}
+
+	/**
+	 * Validate a row without processing (dry run mode).
+	 *
+	 * Runs all validation steps but skips process_callback and
+	 * WordPress type resolution to avoid side effects. Every field is
+	 * checked, so all of the row's errors are reported together.
+	 *
+	 * @param array $row    The mapped row data.
+	 * @param array $fields The field definitions.
+	 *
+	 * @return true|WP_Error True if valid, an 'invalid_row' WP_Error (see row_error()) otherwise.
+	 * @since 2.0.0
+	 *
+	 */
+	public static function validate_row( array $row, array $fields ) {
+		$errors = [];
+
+		foreach ( $fields as $key => $field ) {
+			$value = self::prepare_value( $key, $row[ $key ] ?? null, $field, $row );
+
+			if ( is_wp_error( $value ) ) {
+				$errors[ $key ] = self::describe_error( $value, $row[ $key ] ?? null );
+			}
+		}
+
+		return empty( $errors ) ? true : self::row_error( $errors );
+	}
+
+	/**
+	 * Build the error returned for a row with invalid fields.
+	 *
+	 * The message joins every field's message. The error data holds a
+	 * 'fields' array keyed by field key, each with 'code', 'message' and
+	 * 'value' (the raw value).
+	 *
+	 * @param array $errors Field errors keyed by field key.
+	 *
+	 * @return WP_Error
+	 * @since 2.2.0
+	 *
+	 */
+	public static function row_error( array $errors ): WP_Error {
+		return new WP_Error(
+			'invalid_row',
+			implode( ' ', array_column( $errors, 'message' ) ),
+			[ 'fields' => $errors ]
+		);
+	}
+
+	/**
+	 * Run the value steps of the pipeline that can have side effects.
+	 *
+	 * Runs the field's process_callback and resolves WordPress entity types.
+	 *
+	 * @param mixed $value The prepared value.
+	 * @param array $field The field definition.
+	 * @param array $row   The full mapped row.
+	 *
+	 * @return mixed|WP_Error The processed value or WP_Error on failure.
+	 * @since 2.2.0
+	 *
+	 */
+	private static function finalize_value( $value, array $field, array $row ) {
+		$type = $field['type'] ?? 'string';
+
 		// Step 8: Custom process_callback
 		if ( isset( $field['process_callback'] ) && is_callable( $field['process_callback'] ) ) {
 			$value = call_user_func( $field['process_callback'], $value, $row );
@@ -141,108 +226,355 @@ class FieldValidator {
 	}
 
 	/**
-	 * Process an entire row through field validation.
+	 * Preview a row as the import would process it, without side effects.
+	 *
+	 * Runs the full pipeline including per-field process_callbacks and
+	 * entity lookups, but terms are never created and remote files never
+	 * sideloaded; those values are reported as notices instead.
 	 *
 	 * @param array $row    The mapped row data.
 	 * @param array $fields The field definitions.
 	 *
-	 * @return array|WP_Error The processed row or WP_Error on first failure.
-	 * @since 2.0.0
+	 * @return array Field key => array with 'value', 'error' and 'notices'.
+	 * @since 2.2.0
 	 *
 	 */
-	public static function process_row( array $row, array $fields ): array|WP_Error {
-		$processed = [];
+	public static function preview_row( array $row, array $fields ): array {
+		$preview = [];
 
 		foreach ( $fields as $key => $field ) {
-			$value  = $row[ $key ] ?? null;
-			$result = self::process_field( $key, $value, $field, $row );
+			$preview[ $key ] = self::preview_field( $key, $row[ $key ] ?? null, $field, $row );
+		}
+
+		return $preview;
+	}
+
+	/**
+	 * Preview a single field value, without side effects.
+	 *
+	 * @param string $key   The field key.
+	 * @param mixed  $value The raw value from CSV.
+	 * @param array  $field The field definition.
+	 * @param array  $row   The full mapped row.
+	 *
+	 * @return array Array with 'value', 'error' (message or null) and 'notices'.
+	 * @since 2.2.0
+	 *
+	 */
+	public static function preview_field( string $key, $value, array $field, array $row = [] ): array {
+		$preview = [
+			'value'   => null,
+			'error'   => null,
+			'notices' => [],
+		];
+
+		$value = self::prepare_value( $key, $value, $field, $row );
+
+		if ( ! is_wp_error( $value ) && isset( $field['process_callback'] ) && is_callable( $field['process_callback'] ) ) {
+			$value = call_user_func( $field['process_callback'], $value, $row );
+		}
+
+		if ( is_wp_error( $value ) ) {
+			$preview['error'] = $value->get_error_message();
+
+			return $preview;
+		}
+
+		if ( ! in_array( $field['type'] ?? 'string', self::WP_TYPES, true ) || $value === null || $value === '' ) {
+			$preview['value'] = $value;
+
+			return $preview;
+		}
+
+		// Resolve each item on its own so pending creations can be listed
+		$resolved = [];
 
+		foreach ( (array) $value as $item ) {
+			$result = self::resolve_single_wp_entity( $item, $field, true );
+
+			if ( ! is_wp_error( $result ) ) {
+				$resolved[] = $result;
+				continue;
+			}
+
+			if ( in_array( $result->get_error_code(), [ 'pending_create', 'pending_sideload' ], true ) ) {
+				$resolved[]           = $item;
+				$preview['notices'][] = $result->get_error_message();
+				continue;
+			}
+
+			// Same outcome as process_field(): optional fields become null
+			if ( empty( $field['required'] ) ) {
+				$preview['notices'][] = $result->get_error_message();
+			} else {
+				$preview['error'] = $result->get_error_message();
+			}
+
+			return $preview;
+		}
+
+		$preview['value'] = is_array( $value ) ? $resolved : $resolved[0];
+
+		return $preview;
+	}
+
+	/**
+	 * Describe a field error for row_error().
+	 *
+	 * @param WP_Error $error The field's error.
+	 * @param mixed    $value The raw value.
+	 *
+	 * @return array Array with 'code', 'message' and 'value'.
+	 * @since 2.2.0
+	 *
+	 */
+	private static function describe_error( WP_Error $error, $value ): array {
+		return [
+			'code'    => (string) $error->get_error_code(),
+			'message' => $error->get_error_message(),
+			'value'   => is_scalar( $value ) || $value === null ? $value : wp_json_encode( $value ),
+		];
+	}
+
+	/**
+	 * Run the value steps of the pipeline that have no side effects.
+	 *
+	 * Trims, applies the default, transforms, splits, casts and runs the
+	 * built-in and custom validation.
+	 *
+	 * @param string $key   The field key.
+	 * @param mixed  $value The raw value from CSV.
+	 * @param array  $field The field definition.
+	 * @param array  $row   The full mapped row.
+	 *
+	 * @return mixed|WP_Error The prepared value or WP_Error on failure.
+	 * @since 2.2.0
+	 *
+	 */
+	private static function prepare_value( string $key, $value, array $field, array $row ) {
+		$type  = $field['type'] ?? 'string';
+		$value = self::normalize_value( $value, $field );
+
+		// Type cast (scalar types only)
+		if ( in_array( $type, self::SCALAR_TYPES, true ) && ! is_array( $value ) ) {
+			$value = self::cast_type( $value, $type, $field );
+		}
+
+		// Built-in validation
+		$validation = self::validate_field( $key, $value, $field );
+		if ( is_wp_error( $validation ) ) {
+			return $validation;
+		}
+
+		// Custom validate_callback
+		if ( isset( $field['validate_callback'] ) && is_callable( $field['validate_callback'] ) ) {
+			$result = call_user_func( $field['validate_callback'], $value, $row );
 			if ( is_wp_error( $result ) ) {
 				return $result;
 			}
+		}
 
-			$processed[ $key ] = $result;
+		return $value;
+	}
+
+	/**
+	 * Trim, default, transform and split a value, then apply its value map.
+	 *
+	 * @param mixed $value The raw value from CSV.
+	 * @param array $field The field definition.
+	 *
+	 * @return mixed The normalized value.
+	 * @since 2.2.0
+	 *
+	 */
+	private static function normalize_value( $value, array $field ) {
+		// Trim
+		if ( is_string( $value ) ) {
+			$value = trim( $value );
 		}
 
-		return $processed;
+		// Default
+		if ( ( $value === null || $value === '' ) && isset( $field['default'] ) ) {
+			$value = $field['default'];
+		}
+
+		// Transform
+		$value = self::apply_transforms( $value, $field );
+
+		// Separator (split into array before further processing)
+		if ( ! empty( $field['separator'] ) && is_string( $value ) && $value !== '' ) {
+			$value = self::split_value( $value, $field['separator'] );
+		}
+
+		// Value map
+		if ( ! empty( $field['value_map'] ) ) {
+			$value = self::map_values( $value, $field );
+		}
+
+		return $value;
 	}
 
+	/** Value Maps **************************************************************/
+
 	/**
-	 * Validate a row without processing (dry run mode).
+	 * Apply a field's value map to a value or each item of a split value.
 	 *
-	 * Runs all validation steps but skips process_callback and
-	 * WordPress type resolution to avoid side effects.
+	 * Skipped values are dropped. Values mapped to an option are replaced;
+	 * entity values keep their source value and are swapped for the mapped
+	 * ID during resolution.
 	 *
-	 * @param array $row    The mapped row data.
-	 * @param array $fields The field definitions.
+	 * @param mixed $value The value.
+	 * @param array $field The field definition, with a 'value_map'.
 	 *
-	 * @return true|WP_Error True if valid, WP_Error on first failure.
-	 * @since 2.0.0
+	 * @return mixed The mapped value.
+	 * @since 2.2.0
 	 *
 	 */
-	public static function validate_row( array $row, array $fields ) {
-		foreach ( $fields as $key => $field ) {
-			$value = $row[ $key ] ?? null;
-			$type  = $field['type'] ?? 'string';
+	private static function map_values( $value, array $field ) {
+		if ( ! is_array( $value ) ) {
+			return self::map_value( $value, $field );
+		}
 
-			// Trim
-			if ( is_string( $value ) ) {
-				$value = trim( $value );
-			}
+		$mapped = [];
+
+		foreach ( $value as $item ) {
+			$item = self::map_value( $item, $field );
 
-			// Default
-			if ( ( $value === null || $value === '' ) && isset( $field['default'] ) ) {
-				$value = $field['default'];
+			if ( $item !== null ) {
+				$mapped[] = $item;
 			}
+		}
 
-			// Transform
-			$value = self::apply_transforms( $value, $field );
+		return $mapped;
+	}
 
-			// Separator
-			if ( ! empty( $field['separator'] ) && is_string( $value ) && $value !== '' ) {
-				$value = self::split_value( $value, $field['separator'] );
-			}
+	/**
+	 * Apply a field's value map to a single value.
+	 *
+	 * @param mixed $value The value.
+	 * @param array $field The field definition, with a 'value_map'.
+	 *
+	 * @return mixed The mapped value, or null if it is skipped.
+	 * @since 2.2.0
+	 *
+	 */
+	private static function map_value( $value, array $field ) {
+		$mapping = self::get_value_mapping( $value, $field );
 
-			// Type cast
-			if ( in_array( $type, self::SCALAR_TYPES, true ) && ! is_array( $value ) ) {
-				$value = self::cast_type( $value, $type, $field );
-			}
+		if ( ! $mapping ) {
+			return $value;
+		}
 
-			// Built-in validation
-			$validation = self::validate_field( $key, $value, $field );
-			if ( is_wp_error( $validation ) ) {
-				return $validation;
-			}
+		if ( $mapping['action'] === 'skip' ) {
+			return null;
+		}
 
-			// Custom validate_callback
-			if ( isset( $field['validate_callback'] ) && is_callable( $field['validate_callback'] ) ) {
-				$result = call_user_func( $field['validate_callback'], $value, $row );
-				if ( is_wp_error( $result ) ) {
-					return $result;
-				}
+		if ( $mapping['action'] === 'map' && ! in_array( $field['type'] ?? 'string', self::WP_TYPES, true ) ) {
+			return $mapping['to'];
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Get the value map entry for a value.
+	 *
+	 * @param mixed $value The value.
+	 * @param array $field The field definition.
+	 *
+	 * @return array|null Array with 'action' and 'to', or null if unmapped.
+	 * @since 2.2.0
+	 *
+	 */
+	private static function get_value_mapping( $value, array $field ): ?array {
+		if ( empty( $field['value_map'] ) || ! is_scalar( $value ) ) {
+			return null;
+		}
+
+		return $field['value_map'][ (string) $value ] ?? null;
+	}
+
+	/**
+	 * Get the values a field would check against its options or entities.
+	 *
+	 * Runs the trim, default, transform, split and value map steps and
+	 * returns the non-empty items, so split values are listed one by one.
+	 *
+	 * @param mixed $value The raw value from CSV.
+	 * @param array $field The field definition.
+	 *
+	 * @return array The items as strings.
+	 * @since 2.2.0
+	 *
+	 */
+	public static function get_value_items( $value, array $field ): array {
+		$items = [];
+
+		foreach ( (array) self::normalize_value( $value, $field ) as $item ) {
+			if ( is_scalar( $item ) && (string) $item !== '' ) {
+				$items[] = (string) $item;
 			}
 		}
 
-		return true;
+		return $items;
+	}
+
+	/**
+	 * Check whether a value matches an allowed option or existing entity.
+	 *
+	 * Values with a value map entry count as matched. Terms that the field
+	 * would create do not, so they can still be mapped to an existing term.
+	 *
+	 * @param string $value A value from get_value_items().
+	 * @param array  $field The field definition.
+	 *
+	 * @return bool
+	 * @since 2.2.0
+	 *
+	 */
+	public static function is_matched_value( string $value, array $field ): bool {
+		$type = $field['type'] ?? 'string';
+
+		if ( self::get_value_mapping( $value, $field ) ) {
+			return true;
+		}
+
+		if ( in_array( $type, self::WP_TYPES, true ) ) {
+			return is_int( self::find_entity( $value, $field ) );
+		}
+
+		if ( ! isset( $field['options'] ) || ! is_array( $field['options'] ) ) {
+			return true;
+		}
+
+		$cast = in_array( $type, self::SCALAR_TYPES, true ) ? self::cast_type( $value, $type, $field ) : $value;
+
+		return in_array( $cast, $field['options'], true );
 	}
 
 	/**
 	 * Check for duplicate values within a dataset for fields marked as unique.
 	 *
-	 * @param array $rows   All rows to check.
-	 * @param array $fields Field definitions.
+	 * To check a file batch by batch, pass the same $seen array to each call
+	 * along with the row number of the batch's first row. It holds the row
+	 * each unique value was first seen on. Rows are numbered by their keys,
+	 * so a batch with filtered-out rows keeps its row numbers.
+	 *
+	 * @param array $rows      Rows to check, keyed by position in the batch.
+	 * @param array $fields    Field definitions.
+	 * @param array $seen      Values seen so far, keyed by field key.
+	 * @param int   $first_row Row number of the row at position 0.
 	 *
-	 * @return array Array of errors, empty if no duplicates found.
+	 * @return array Array of errors with 'row', 'item', 'message', 'code', 'field'
+	 *               and 'value', empty if no duplicates found.
 	 * @since 2.0.0
 	 *
 	 */
-	public static function check_duplicates( array $rows, array $fields ): array {
-		$errors     = [];
-		$seen       = [];
-		$row_number = 0;
+	public static function check_duplicates( array $rows, array $fields, array &$seen = [], int $first_row = 1 ): array {
+		$errors = [];
 
-		foreach ( $rows as $row ) {
-			$row_number ++;
+		foreach ( $rows as $index => $row ) {
+			$row_number = $first_row + $index;
 
 			foreach ( $fields as $key => $field ) {
 				if ( empty( $field['unique'] ) ) {
@@ -266,6 +598,9 @@ class FieldValidator {
 							$value,
 							$seen[ $key ][ $value ]
 						),
+						'code'    => 'duplicate',
+						'field'   => $key,
+						'value'   => $value,
 					];
 				} else {
 					$seen[ $key ][ $value ] = $row_number;
@@ -723,6 +1058,36 @@ class FieldValidator {
 		return self::resolve_single_wp_entity( $value, $field );
 	}
 
+	/**
+	 * Find an existing WordPress entity without creating anything.
+	 *
+	 * Uses the same lookups as entity fields, so $lookup takes the same
+	 * keys: 'type', 'match_by', 'post_type', 'taxonomy', 'meta_key', etc.
+	 *
+	 * @param mixed $value  The value to look up.
+	 * @param array $lookup Lookup definition.
+	 *
+	 * @return int|WP_Error|null The entity ID, null if not found, or WP_Error
+	 *                           for an invalid lookup definition.
+	 * @since 2.2.0
+	 *
+	 */
+	public static function find_entity( $value, array $lookup ): int|WP_Error|null {
+		$result = self::resolve_single_wp_entity( $value, $lookup, true );
+
+		if ( ! is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		// Values that would be created or downloaded do not exist yet
+		$code = (string) $result->get_error_code();
+		if ( str_ends_with( $code, '_not_found' ) || str_starts_with( $code, 'pending_' ) ) {
+			return null;
+		}
+
+		return $result;
+	}
+
 	/**
 	 * Resolve a single value to a WordPress entity ID.
 	 *
@@ -734,31 +1099,47 @@ class FieldValidator {
 	 * - user: id → email → login → slug
 	 * - attachment: id → url → filename
 	 *
-	 * @param mixed $value The value to resolve.
-	 * @param array $field The field definition.
+	 * In preview mode, values that would create a term or sideload a file
+	 * return a 'pending_create' or 'pending_sideload' error instead.
+	 *
+	 * Values the field's value map assigns to an entity are looked up by
+	 * that ID; values marked 'create' are created as terms.
+	 *
+	 * @param mixed $value   The value to resolve.
+	 * @param array $field   The field definition.
+	 * @param bool  $preview Whether to skip creating and sideloading.
 	 *
 	 * @return int|WP_Error The entity ID or WP_Error.
 	 * @since 2.0.0
 	 *
 	 */
-	private static function resolve_single_wp_entity( $value, array $field ): int|WP_Error {
+	private static function resolve_single_wp_entity( $value, array $field, bool $preview = false ): int|WP_Error {
 		$type     = $field['type'];
 		$match_by = $field['match_by'] ?? 'identifier';
 		$create   = $field['create'] ?? false;
 		$label    = $field['label'] ?? $type;
+		$mapping  = self::get_value_mapping( $value, $field );
+
+		if ( $mapping && $mapping['action'] === 'map' ) {
+			$value    = $mapping['to'];
+			$match_by = 'id';
+		} elseif ( $mapping && $mapping['action'] === 'create' ) {
+			$create          = true;
+			$field['create'] = true;
+		}
 
 		switch ( $type ) {
 			case 'post':
 				return self::resolve_post( $value, $field, $match_by, $label );
 
 			case 'term':
-				return self::resolve_term( $value, $field, $match_by, $create, $label );
+				return self::resolve_term( $value, $field, $match_by, $create && ! $preview, $label, $preview );
 
 			case 'user':
 				return self::resolve_user( $value, $match_by, $label );
 
 			case 'attachment':
-				return self::resolve_attachment( $value, $field, $match_by, $label );
+				return self::resolve_attachment( $value, $field, $match_by, $label, $preview );
 
 			default:
 				return new WP_Error(
@@ -905,12 +1286,13 @@ class FieldValidator {
 	 * @param string $match_by How to match (identifier, name, slug, id).
 	 * @param bool   $create   Whether to create the term if not found.
 	 * @param string $label    The field label for error messages.
+	 * @param bool   $preview  Whether to report terms that would be created.
 	 *
 	 * @return int|WP_Error The term ID or WP_Error.
 	 * @since 2.0.0
 	 *
 	 */
-	private static function resolve_term( $value, array $field, string $match_by, bool $create, string $label ): int|WP_Error {
+	private static function resolve_term( $value, array $field, string $match_by, bool $create, string $label, bool $preview = false ): int|WP_Error {
 		$taxonomy = $field['taxonomy'] ?? 'category';
 		$term     = null;
 
@@ -952,6 +1334,13 @@ class FieldValidator {
 			return $term->term_id;
 		}
 
+		if ( $preview && ! empty( $field['create'] ) && ! empty( $value ) ) {
+			return new WP_Error(
+				'pending_create',
+				sprintf( __( '%s "%s" will be created.', 'arraypress' ), $label, $value )
+			);
+		}
+
 		// Auto-create if enabled
 		if ( $create && ! empty( $value ) ) {
 			$result = wp_insert_term( (string) $value, $taxonomy );
@@ -1046,12 +1435,13 @@ class FieldValidator {
 	 * @param array  $field    The field definition.
 	 * @param string $match_by How to match (identifier, url, id, filename).
 	 * @param string $label    The field label for error messages.
+	 * @param bool   $preview  Whether to report files that would be sideloaded.
 	 *
 	 * @return int|WP_Error The attachment ID or WP_Error.
 	 * @since 2.0.0
 	 *
 	 */
-	private static function resolve_attachment( $value, array $field, string $match_by, string $label ): int|WP_Error {
+	private static function resolve_attachment( $value, array $field, string $match_by, string $label, bool $preview = false ): int|WP_Error {
 		$sideload = ! empty( $field['sideload'] );
 
 		if ( $match_by === 'identifier' ) {
@@ -1074,7 +1464,7 @@ class FieldValidator {
 
 				// Sideload if enabled
 				if ( $sideload ) {
-					return self::sideload_image( $value );
+					return $preview ? self::pending_sideload( $value, $label ) : self::sideload_image( $value );
 				}
 			}
 
@@ -1103,7 +1493,7 @@ class FieldValidator {
 
 					// Sideload remote image if enabled
 					if ( $sideload && filter_var( $value, FILTER_VALIDATE_URL ) ) {
-						return self::sideload_image( $value );
+						return $preview ? self::pending_sideload( $value, $label ) : self::sideload_image( $value );
 					}
 					break;
 
@@ -1112,6 +1502,11 @@ class FieldValidator {
 					if ( $result ) {
 						return $result;
 					}
+
+					// Import the file from an uploaded ZIP bundle
+					if ( ! empty( $field['bundle'] ) && MediaBundle::find_file( $field['bundle'], (string) $value ) ) {
+						return $preview ? self::pending_bundle_file( $value, $label ) : MediaBundle::import_file( $field['bundle'], (string) $value );
+					}
 					break;
 			}
 		}
@@ -1144,6 +1539,40 @@ class FieldValidator {
 		return $attachment_id ? (int) $attachment_id : null;
 	}
 
+	/**
+	 * Build the preview notice for a file that would be sideloaded.
+	 *
+	 * @param string $url   The remote image URL.
+	 * @param string $label The field label.
+	 *
+	 * @return WP_Error
+	 * @since 2.2.0
+	 *
+	 */
+	private static function pending_sideload( string $url, string $label ): WP_Error {
+		return new WP_Error(
+			'pending_sideload',
+			sprintf( __( '%s "%s" will be downloaded to the media library.', 'arraypress' ), $label, $url )
+		);
+	}
+
+	/**
+	 * Build the preview notice for a file that will be imported from a bundle.
+	 *
+	 * @param string $filename The filename.
+	 * @param string $label    The field label.
+	 *
+	 * @return WP_Error
+	 * @since 2.2.0
+	 *
+	 */
+	private static function pending_bundle_file( string $filename, string $label ): WP_Error {
+		return new WP_Error(
+			'pending_sideload',
+			sprintf( __( '%s "%s" will be imported from the ZIP file.', 'arraypress' ), $label, $filename )
+		);
+	}
+
 	/**
 	 * Sideload a remote image into the WordPress media library.
 	 *
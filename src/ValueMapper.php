@@ -0,0 +1,266 @@
+<?php
+/**
+ * Value Mapper
+ *
+ * Maps source values that match none of a field's options or entities —
+ * "Y"/"N", "In Stock", legacy category names — to an allowed option or an
+ * existing entity, or marks them to be created or skipped. Value maps are
+ * stored on field map entries and found by the dry run.
+ *
+ * @package     ArrayPress\RegisterImporters
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL2+
+ * @since       2.2.0
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\RegisterImporters;
+
+use ArrayPress\RegisterImporters\Validation\FieldValidator;
+
+/**
+ * Class ValueMapper
+ *
+ * A value map is a list of entries with 'from' (the source value), an
+ * 'action' ('map', 'create' or 'skip') and 'to' (the option, or the
+ * entity ID, for 'map'). It is applied to each item of a split value,
+ * after the field's trim, transforms and split and before its type cast.
+ */
+class ValueMapper {
+
+	/**
+	 * Supported value map actions.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const ACTIONS = [ 'map', 'create', 'skip' ];
+
+	/**
+	 * Entity types whose values can be mapped.
+	 *
+	 * @since 2.2.0
+	 * @var array
+	 */
+	const ENTITY_TYPES = [ 'post', 'term' ];
+
+	/**
+	 * Maximum number of entries in a value map.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_ENTRIES = 500;
+
+	/**
+	 * Maximum number of distinct unmatched values reported per field.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const MAX_UNMATCHED = 100;
+
+	/**
+	 * Maximum number of entity search results.
+	 *
+	 * @since 2.2.0
+	 * @var int
+	 */
+	const SEARCH_LIMIT = 20;
+
+	/**
+	 * Check whether a field's values can be mapped.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $field Field definition.
+	 *
+	 * @return bool True for fields with options and post or term fields.
+	 */
+	public static function supports( array $field ): bool {
+		return ( ! empty( $field['options'] ) && is_array( $field['options'] ) )
+		       || in_array( $field['type'] ?? 'string', self::ENTITY_TYPES, true );
+	}
+
+	/**
+	 * Sanitize a value map.
+	 *
+	 * Entries without a source value, with an unknown action or mapped to
+	 * nothing are dropped. Later entries for the same value win.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param mixed $values Raw value map.
+	 *
+	 * @return array List of entries with 'from', 'action' and 'to'.
+	 */
+	public static function sanitize( $values ): array {
+		$sanitized = [];
+
+		foreach ( (array) $values as $entry ) {
+			$entry  = (array) $entry;
+			$from   = trim( sanitize_text_field( (string) ( $entry['from'] ?? '' ) ) );
+			$action = $entry['action'] ?? 'map';
+			$to     = $action === 'map' ? sanitize_text_field( (string) ( $entry['to'] ?? '' ) ) : '';
+
+			if ( $from === '' || ! in_array( $action, self::ACTIONS, true ) || ( $action === 'map' && $to === '' ) ) {
+				continue;
+			}
+
+			$sanitized[ $from ] = [
+				'from'   => $from,
+				'action' => $action,
+				'to'     => $to,
+			];
+		}
+
+		return array_slice( array_values( $sanitized ), 0, self::MAX_ENTRIES );
+	}
+
+	/**
+	 * Add the value maps of a field map to the field definitions.
+	 *
+	 * Each mapped field gets a 'value_map' keyed by source value, which
+	 * FieldValidator applies.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $fields    Field definitions.
+	 * @param array $field_map Mapping of field_key => column or computed entry.
+	 *
+	 * @return array The field definitions.
+	 */
+	public static function apply( array $fields, array $field_map ): array {
+		foreach ( $field_map as $key => $entry ) {
+			if ( ! isset( $fields[ $key ] ) || ! is_array( $entry ) || empty( $entry['values'] ) ) {
+				continue;
+			}
+
+			$fields[ $key ]['value_map'] = [];
+
+			foreach ( $entry['values'] as $value ) {
+				$fields[ $key ]['value_map'][ $value['from'] ] = [
+					'action' => $value['action'],
+					'to'     => $value['to'],
+				];
+			}
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Record a row's values that match no option or entity.
+	 *
+	 * To collect a file batch by batch, pass the same $unmatched array to
+	 * each call. $checked caches lookups within a batch.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $unmatched Row counts keyed by field key, then by value.
+	 * @param array $row       The mapped row.
+	 * @param array $fields    Field definitions, with their value maps.
+	 * @param array $checked   Whether each value matched, keyed by field key.
+	 *
+	 * @return void
+	 */
+	public static function add_unmatched( array &$unmatched, array $row, array $fields, array &$checked = [] ): void {
+		foreach ( $fields as $key => $field ) {
+			if ( ! array_key_exists( $key, $row ) || ! self::supports( $field ) ) {
+				continue;
+			}
+
+			foreach ( array_unique( FieldValidator::get_value_items( $row[ $key ], $field ) ) as $value ) {
+				if ( ! isset( $checked[ $key ][ $value ] ) ) {
+					$checked[ $key ][ $value ] = FieldValidator::is_matched_value( $value, $field );
+				}
+
+				if ( $checked[ $key ][ $value ] ) {
+					continue;
+				}
+
+				if ( isset( $unmatched[ $key ][ $value ] ) ) {
+					$unmatched[ $key ][ $value ] ++;
+				} elseif ( count( $unmatched[ $key ] ?? [] ) < self::MAX_UNMATCHED ) {
+					$unmatched[ $key ][ $value ] = 1;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Format collected unmatched values for a response.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array $unmatched Row counts keyed by field key, then by value.
+	 *
+	 * @return array Lists of 'value' and 'rows' keyed by field key, most
+	 *               frequent first.
+	 */
+	public static function format_unmatched( array $unmatched ): array {
+		$formatted = [];
+
+		foreach ( $unmatched as $key => $values ) {
+			arsort( $values );
+
+			foreach ( $values as $value => $rows ) {
+				$formatted[ $key ][] = [
+					'value' => (string) $value,
+					'rows'  => $rows,
+				];
+			}
+		}
+
+		return $formatted;
+	}
+
+	/**
+	 * Search the entities a post or term field can be mapped to.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @param array  $field  Field definition.
+	 * @param string $search Search term.
+	 *
+	 * @return array List of results with 'id' and 'label'.
+	 */
+	public static function search( array $field, string $search ): array {
+		$results = [];
+
+		if ( ( $field['type'] ?? '' ) === 'term' ) {
+			$terms = get_terms( [
+				'taxonomy'   => $field['taxonomy'] ?? 'category',
+				'search'     => $search,
+				'number'     => self::SEARCH_LIMIT,
+				'hide_empty' => false,
+			] );
+
+			foreach ( is_wp_error( $terms ) ? [] : $terms as $term ) {
+				$results[] = [
+					'id'    => $term->term_id,
+					'label' => $term->name,
+				];
+			}
+		} elseif ( ( $field['type'] ?? '' ) === 'post' ) {
+			$posts = get_posts( [
+				'post_type'      => $field['post_type'] ?? 'post',
+				'post_status'    => $field['post_status'] ?? 'any',
+				's'              => $search,
+				'posts_per_page' => self::SEARCH_LIMIT,
+				'no_found_rows'  => true,
+			] );
+
+			foreach ( $posts as $post ) {
+				$results[] = [
+					'id'    => $post->ID,
+					'label' => sprintf( '%s (#%d)', $post->post_title, $post->ID ),
+				];
+			}
+		}
+
+		return $results;
+	}
+
+}